@@ -0,0 +1,88 @@
+// models/AcademicTerm.js
+
+const mongoose = require('mongoose');
+
+const SEMESTERS = ['Fall', 'Spring', 'Summer', 'Winter'];
+
+// One term of the academic calendar (e.g. "2025-2026" / "Fall"), with the windows that
+// control registration, add/drop and grading. Exactly one term is marked as the current term.
+//
+// academicYear is always stored as "YYYY-YYYY" (see Services/AcademicTermService.js).
+const AcademicTermSchema = new mongoose.Schema({
+    academicYear: { // e.g., "2025-2026"
+        type: String,
+        required: [true, 'Academic year is required'],
+        trim: true,
+        match: [/^\d{4}-\d{4}$/, 'Academic year must look like 2025-2026']
+    },
+    semester: { // Same values as Enrollment.semester
+        type: String,
+        required: [true, 'Semester is required'],
+        enum: SEMESTERS,
+        trim: true
+    },
+    startDate: {
+        type: Date,
+        default: null
+    },
+    endDate: {
+        type: Date,
+        default: null
+    },
+    registrationOpensAt: { // Course registration window
+        type: Date,
+        default: null
+    },
+    registrationClosesAt: {
+        type: Date,
+        default: null
+    },
+    addDropDeadline: { // After this, students can no longer add or drop courses themselves
+        type: Date,
+        default: null
+    },
+    gradingOpensAt: { // Lecturers can enter scores inside this window
+        type: Date,
+        default: null
+    },
+    gradingClosesAt: {
+        type: Date,
+        default: null
+    },
+    isCurrent: { // Used whenever a request does not name a term
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+AcademicTermSchema.index({ academicYear: 1, semester: 1 }, { unique: true });
+// At most one current term
+AcademicTermSchema.index({ isCurrent: 1 }, { unique: true, partialFilterExpression: { isCurrent: true } });
+
+// Human-readable label, e.g. "Fall 2025-2026"
+AcademicTermSchema.virtual('name').get(function() {
+    return `${this.semester} ${this.academicYear}`;
+});
+
+AcademicTermSchema.set('toJSON', { virtuals: true });
+AcademicTermSchema.set('toObject', { virtuals: true });
+
+// Date windows must be in order
+AcademicTermSchema.pre('validate', function(next) {
+    const pairs = [
+        ['startDate', 'endDate'],
+        ['registrationOpensAt', 'registrationClosesAt'],
+        ['gradingOpensAt', 'gradingClosesAt']
+    ];
+    for (const [from, to] of pairs) {
+        if (this[from] && this[to] && this[from] > this[to]) {
+            this.invalidate(to, `${to} must be after ${from}`);
+        }
+    }
+    next();
+});
+
+module.exports = mongoose.model('AcademicTerm', AcademicTermSchema);
+module.exports.SEMESTERS = SEMESTERS;
@@ -0,0 +1,61 @@
+// models/Admin.js
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs'); // For password hashing
+
+// Staff accounts that manage the portal rather than teach or study:
+// - admin: full access, manages other staff accounts
+// - registrar: students, lecturers, courses and enrollments
+// - bursar: fees and payments
+const AdminSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true, // Emails should be unique
+        lowercase: true,
+        trim: true,
+        match: [/.+@.+\..+/, 'Please enter a valid email address'] // Basic email validation
+    },
+    phoneNumber: {
+        type: String,
+        trim: true
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required']
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'registrar', 'bursar'],
+        default: 'admin'
+    },
+    accountStatus: {
+        type: String,
+        enum: ['active', 'suspended'],
+        default: 'active'
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+// Pre-save hook to hash the password before saving a new admin
+AdminSchema.pre('save', async function(next) {
+    // Only hash the password if it has been modified (or is new)
+    if (!this.isModified('password')) {
+        return next();
+    }
+    try {
+        const salt = await bcrypt.genSalt(10); // Generate a salt
+        this.password = await bcrypt.hash(this.password, salt); // Hash the password
+        next();
+    } catch (error) {
+        next(error); // Pass any error to the next middleware
+    }
+});
+
+module.exports = mongoose.model('Admin', AdminSchema);
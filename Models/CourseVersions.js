@@ -0,0 +1,50 @@
+// models/CourseVersion.js
+
+const mongoose = require('mongoose');
+
+// Snapshot of a course's catalogue entry. A new version is written by the Course pre-save hook
+// whenever a versioned field changes (see VERSIONED_FIELDS in Models/Courses.js); enrollments
+// record the version they were taken under in Enrollment.courseVersion.
+const CourseVersionSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    courseCode: String,
+    title: String,
+    department: String,
+    credits: Number,
+    description: String,
+    prerequisites: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    changedFields: { // Empty for the first version
+        type: [String],
+        default: []
+    },
+    changedBy: { // User id from the JWT (null for system jobs)
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    changedByRole: {
+        type: String,
+        default: 'system'
+    },
+    changeNote: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+CourseVersionSchema.index({ course: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('CourseVersion', CourseVersionSchema);
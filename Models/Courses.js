@@ -1,4 +1,57 @@
 const mongoose = require('mongoose');
+const { normalizeSemester } = require('../Services/AcademicTermService.js');
+const CourseVersion = require('./CourseVersions.js');
+const { linkDepartment } = require('../Services/DepartmentService.js');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const SECTION_TYPES = ['lecture', 'lab', 'tutorial'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // 24-hour "HH:MM"
+
+// Catalogue status:
+// - active: open for registration,
+// - archived: temporarily withdrawn (no new registrations, hidden from search); can be restored,
+// - retired: permanently withdrawn; can no longer be edited or restored.
+const COURSE_STATUSES = ['active', 'archived', 'retired'];
+
+// Changes to these fields create a new CourseVersion
+const VERSIONED_FIELDS = ['courseCode', 'title', 'department', 'credits', 'description', 'prerequisites'];
+
+// One weekly meeting of a course, e.g. Monday 09:00-11:00 in LT1 (lecture)
+const ScheduleSectionSchema = new mongoose.Schema({
+    day: {
+        type: String,
+        required: [true, 'Day is required'],
+        enum: DAYS
+    },
+    startTime: { // "HH:MM", 24-hour clock
+        type: String,
+        required: [true, 'Start time is required'],
+        match: [TIME_PATTERN, 'Start time must look like 09:00']
+    },
+    endTime: {
+        type: String,
+        required: [true, 'End time is required'],
+        match: [TIME_PATTERN, 'End time must look like 11:00']
+    },
+    venue: { // e.g., "LT1", "Physics Lab 2"
+        type: String,
+        required: [true, 'Venue is required'],
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: SECTION_TYPES,
+        default: 'lecture'
+    }
+});
+
+ScheduleSectionSchema.pre('validate', function(next) {
+    // "HH:MM" strings compare correctly as text
+    if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+        this.invalidate('endTime', 'End time must be after start time');
+    }
+    next();
+});
 
 const CourseSchema = new mongoose.Schema({
     courseCode: { // e.g., "CSC101", "PHI205"
@@ -13,11 +66,15 @@ const CourseSchema = new mongoose.Schema({
         required: [true, 'Course title is required'],
         trim: true
     },
-    department: { // e.g., "Computer Science", "Philosophy"
+    department: { // e.g., "Computer Science", "Philosophy" (an id, code or any-case name is accepted and resolved on save)
         type: String,
         required: [true, 'Department is required'],
         trim: true
     },
+    departmentId: { // Set from `department` by the linkDepartment hook
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    },
     credits: { // e.g., 3, 4
         type: Number,
         required: [true, 'Credits are required'],
@@ -27,7 +84,8 @@ const CourseSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
-    // Reference to the lecturer(s) teaching this course (optional, can be array)
+    // Lecturer(s) assigned to this course in any term. Derived from TeachingAssignment, which is the
+    // source of truth (see Services/TeachingAssignmentService.js); do not set it directly.
     lecturers: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Lecturer' // Refers to your Lecturer model
@@ -38,17 +96,96 @@ const CourseSchema = new mongoose.Schema({
         ref: 'Course' // Refers to itself for prerequisites
     }],
     // Other relevant details like semester offered, capacity, etc.
-    semester: {
-        type: String, // e.g., "Fall 2025", "Spring 2026"
-        trim: true
+    semester: { // Semester the course is normally offered in: "Fall", "Spring", "Summer" or "Winter"
+        type: String, // Older values like "Fall 2025" are normalized to "Fall"
+        trim: true,
+        set: normalizeSemester
     },
     capacity: {
         type: Number,
         min: 0,
         default: 50
+    },
+    seatClaims: { // Bumped by every seat claim so concurrent claims cannot overfill the course (see Services/WaitlistService.js)
+        type: Number,
+        default: 0
+    },
+    // Weekly meeting times and venues (see Services/TimetableService.js for clash checks)
+    schedule: [ScheduleSectionSchema],
+    status: {
+        type: String,
+        enum: COURSE_STATUSES,
+        default: 'active'
+    },
+    statusChangedAt: {
+        type: Date,
+        default: null
+    },
+    version: { // Current CourseVersion number (see the pre-save hook below)
+        type: Number,
+        min: 1,
+        default: 1
     }
 }, {
     timestamps: true
 });
 
-module.exports = mongoose.model('Course', CourseSchema);
\ No newline at end of file
+// Records who is changing the catalogue entry and why. Call save() afterwards.
+// actor: { id, role } as found on req.user (omit for system jobs).
+CourseSchema.methods.recordCatalogueChange = function({ actor, note } = {}) {
+    this.$locals.catalogueChange = {
+        changedBy: actor ? actor.id : null,
+        changedByRole: actor ? actor.role : 'system',
+        changeNote: note
+    };
+    return this;
+};
+
+// Resolve `department` to a Department and store its id (see Services/DepartmentService.js)
+CourseSchema.pre('validate', linkDepartment);
+
+// Pre-save hook to bump the version for new courses and whenever a versioned field changes,
+// so enrollments keep the title and credits they were taken under. The post-save hook writes the
+// CourseVersion once the course itself has been saved.
+CourseSchema.pre('save', function(next) {
+    const changedFields = this.isNew ? [] : VERSIONED_FIELDS.filter(field => this.isModified(field));
+    if (!this.isNew && changedFields.length === 0) {
+        this.$locals.newVersion = null;
+        return next();
+    }
+    if (!this.isNew) {
+        this.version = (this.version || 1) + 1;
+    }
+    this.$locals.newVersion = { changedFields, isFirst: this.isNew };
+    next();
+});
+
+CourseSchema.post('save', async function(doc) {
+    const newVersion = doc.$locals.newVersion;
+    if (!newVersion) {
+        return;
+    }
+    const context = doc.$locals.catalogueChange || {};
+    doc.$locals.newVersion = null;
+    doc.$locals.catalogueChange = null;
+    await CourseVersion.create({
+        course: doc._id,
+        version: doc.version,
+        courseCode: doc.courseCode,
+        title: doc.title,
+        department: doc.department,
+        credits: doc.credits,
+        description: doc.description,
+        prerequisites: doc.prerequisites,
+        changedFields: newVersion.changedFields,
+        changedBy: context.changedBy || null,
+        changedByRole: context.changedByRole || 'system',
+        changeNote: context.changeNote || (newVersion.isFirst ? 'Course created' : undefined)
+    });
+});
+
+module.exports = mongoose.model('Course', CourseSchema);
+module.exports.DAYS = DAYS;
+module.exports.SECTION_TYPES = SECTION_TYPES;
+module.exports.COURSE_STATUSES = COURSE_STATUSES;
+module.exports.VERSIONED_FIELDS = VERSIONED_FIELDS;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// models/CreditLoadPolicy.js
+
+const mongoose = require('mongoose');
+
+// Minimum and maximum number of credits a student may register for in one term.
+// A policy applies to a department and/or a level; leaving either empty makes it apply to all of them.
+// The most specific active policy wins (see Services/CreditLoadService.js).
+const CreditLoadPolicySchema = new mongoose.Schema({
+    department: { // e.g., "Computer Science"; null = every department
+        type: String,
+        trim: true,
+        default: null
+    },
+    level: { // e.g., 100, 200; null = every level
+        type: Number,
+        default: null
+    },
+    minCredits: {
+        type: Number,
+        required: [true, 'Minimum credits are required'],
+        min: 0
+    },
+    maxCredits: {
+        type: Number,
+        required: [true, 'Maximum credits are required'],
+        min: 1
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+// Only one active policy per department/level combination
+CreditLoadPolicySchema.index(
+    { department: 1, level: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+CreditLoadPolicySchema.pre('validate', function(next) {
+    if (this.minCredits !== undefined && this.maxCredits !== undefined && this.minCredits > this.maxCredits) {
+        this.invalidate('maxCredits', 'Maximum credits must not be less than minimum credits');
+    }
+    next();
+});
+
+module.exports = mongoose.model('CreditLoadPolicy', CreditLoadPolicySchema);
@@ -0,0 +1,51 @@
+// models/CreditOverload.js
+
+const mongoose = require('mongoose');
+
+// Lets a student register for more credits than their credit-load policy allows in one term.
+// Granted by the student's advisor, an admin or the registrar.
+const CreditOverloadSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        required: true
+    },
+    maxCredits: { // The student's maximum load for the term while this approval is active
+        type: Number,
+        required: [true, 'The approved maximum credits are required'],
+        min: 1
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason for the overload is required'],
+        trim: true
+    },
+    approvedBy: { // Admin/registrar (Admin) or advisor (Lecturer), see approvedByRole
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    approvedByRole: {
+        type: String,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// A new approval for the same student and term revokes the previous one (see Routes/CreditLoadRoutes.js)
+CreditOverloadSchema.index({ student: 1, term: 1 });
+
+module.exports = mongoose.model('CreditOverload', CreditOverloadSchema);
@@ -0,0 +1,38 @@
+// models/Department.js
+
+const mongoose = require('mongoose');
+
+// Students, lecturers and courses reference their department through `departmentId`; the department
+// name is also kept on them as `department` for display and existing queries (see Services/DepartmentService.js).
+const DepartmentSchema = new mongoose.Schema({
+    name: { // e.g., "Computer Science"
+        type: String,
+        required: [true, 'Department name is required'],
+        unique: true,
+        trim: true
+    },
+    code: { // e.g., "CSC"; used in new registration numbers and employee IDs
+        type: String,
+        required: [true, 'Department code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9]{2,10}$/, 'Department code must be 2-10 letters or digits']
+    },
+    faculty: { // Departments created by the migration start without a faculty
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty',
+        default: null
+    },
+    hod: { // Head of department: approves submitted results for the department's courses
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecturer',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+DepartmentSchema.index({ faculty: 1 });
+
+module.exports = mongoose.model('Department', DepartmentSchema);
@@ -1,6 +1,20 @@
 // models/Enrollment.js
 
 const mongoose = require('mongoose');
+const { resolveSchemeForCourse, applyGradeToEnrollment } = require('../Services/GradingService.js');
+const { normalizeAcademicYear, normalizeSemester } = require('../Services/AcademicTermService.js');
+const ScoreAudit = require('./ScoreAudits.js');
+const { AUDITED_FIELDS } = require('./ScoreAudits.js');
+
+// One entry per status change, so registrars can see when and why an enrollment changed
+const StatusChangeSchema = new mongoose.Schema({
+    from: { type: String, default: null }, // null for the initial status
+    to: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, default: null }, // User id from the JWT (null for system jobs)
+    changedByRole: { type: String, default: 'system' }, // 'student', 'lecturer', 'admin', 'registrar', 'system', ...
+    reason: { type: String, trim: true }
+}, { _id: false });
 
 const EnrollmentSchema = new mongoose.Schema({
     student: {
@@ -13,16 +27,31 @@ const EnrollmentSchema = new mongoose.Schema({
         ref: 'Course', // Refers to your Course model
         required: true
     },
-    academicYear: { // e.g., "2024-2025"
+    credits: { // Course credits when the student registered; later catalogue changes do not affect it (see Services/GpaService.js creditsFor)
+        type: Number,
+        min: 0,
+        default: null
+    },
+    courseVersion: { // CourseVersion number the student registered under
+        type: Number,
+        default: null
+    },
+    term: { // The AcademicTerm this enrollment belongs to (academicYear/semester are kept for queries and the unique index)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm'
+    },
+    academicYear: { // e.g., "2024-2025" ("2024/2025" is normalized on save)
         type: String,
         required: true,
-        trim: true
+        trim: true,
+        set: normalizeAcademicYear
     },
     semester: { // e.g., "Fall", "Spring", "Summer"
         type: String,
         required: true,
         enum: ['Fall', 'Spring', 'Summer', 'Winter'], // Example valid semesters
-        trim: true
+        trim: true,
+        set: normalizeSemester
     },
     // --- Updated Grade Fields ---
     caScore: { // Continuous Assessment score (e.g., assignments, quizzes)
@@ -37,11 +66,27 @@ const EnrollmentSchema = new mongoose.Schema({
         max: 100,
         default: 0 // Changed default from null to 0
     },
+    totalScore: { // Weighted CA + exam total, computed from the course's grading scheme
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+    },
     finalGrade: { // The calculated final letter grade (e.g., "A", "B+", "C")
         type: String,
         trim: true,
         default: null // Can be null until all scores are entered and calculated
     },
+    gradePoint: { // Grade point for finalGrade on the scheme's scale (e.g., A = 5)
+        type: Number,
+        min: 0,
+        default: null
+    },
+    resultStatus: { // Approval stage of the scores; students only see 'published' results (see Services/ResultWorkflowService.js)
+        type: String,
+        enum: ['draft', 'submitted', 'hod_approved', 'senate_approved', 'published'],
+        default: 'draft'
+    },
     // The original 'grade' field is now replaced by the detailed scores and finalGrade.
     // If you still need a generic 'grade' string for other purposes, you can keep it,
     // but it might be redundant with 'finalGrade'.
@@ -49,10 +94,22 @@ const EnrollmentSchema = new mongoose.Schema({
     //     type: String,
     //     trim: true
     // },
-    status: { // e.g., "Enrolled", "Completed", "Dropped"
+    status: { // e.g., "Enrolled", "Completed", "Dropped"; "Pending" means waitlisted because the course was full
         type: String,
         enum: ['Enrolled', 'Completed', 'Dropped', 'Pending'],
         default: 'Enrolled'
+    },
+    waitlistedAt: { // When the student joined the waitlist; orders the queue for promotion
+        type: Date,
+        default: null
+    },
+    promotedAt: { // When the student was moved from the waitlist into a seat
+        type: Date,
+        default: null
+    },
+    statusHistory: { // Append-only log of status changes (see changeStatus below)
+        type: [StatusChangeSchema],
+        default: []
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt fields automatically
@@ -61,5 +118,148 @@ const EnrollmentSchema = new mongoose.Schema({
 // Ensure a student can only enroll in a specific course once per academic year and semester
 // This prevents duplicate enrollments for the same course in the same term.
 EnrollmentSchema.index({ student: 1, course: 1, academicYear: 1, semester: 1 }, { unique: true });
+// Seat counting and waitlist ordering per course and term
+EnrollmentSchema.index({ course: 1, academicYear: 1, semester: 1, status: 1, waitlistedAt: 1 });
+
+// Pre-save hook to recompute totalScore, finalGrade and gradePoint whenever a score changes.
+// Every route that writes scores goes through save(), so grades can never drift from the scores.
+EnrollmentSchema.pre('save', async function(next) {
+    if (this.isNew || this.$locals.resultCleared || !(this.isModified('caScore') || this.isModified('examScore'))) {
+        return next();
+    }
+    try {
+        const course = await mongoose.model('Course').findById(this.course).select('department').lean();
+        const scheme = await resolveSchemeForCourse(course);
+        applyGradeToEnrollment(this, scheme);
+        next();
+    } catch (error) {
+        next(error); // Pass any error to the next middleware
+    }
+});
+
+// Resets the scores, grade and approval stage to those of a new enrollment, e.g. when a course dropped
+// earlier in the term is added again. Call save() afterwards.
+EnrollmentSchema.methods.clearResult = function() {
+    this.caScore = 0;
+    this.examScore = 0;
+    this.totalScore = null;
+    this.finalGrade = null;
+    this.gradePoint = null;
+    this.resultStatus = 'draft';
+    this.$locals.resultCleared = true; // Keeps the grading hook from grading the zeroed scores
+    return this;
+};
+
+// Changes the status and records who did it and why. Call save() afterwards.
+// actor: { id, role } as found on req.user (omit for system jobs).
+EnrollmentSchema.methods.changeStatus = function(status, { actor, reason } = {}) {
+    this.$locals.statusChange = {
+        from: this.status,
+        changedBy: actor ? actor.id : null,
+        changedByRole: actor ? actor.role : 'system',
+        reason
+    };
+    this.status = status;
+    return this;
+};
+
+// Pre-save hook to append to statusHistory whenever the status is set or changed,
+// and to remember whether this save drops an enrollment so the post-save hook can free the seat.
+EnrollmentSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('status')) {
+        const change = this.$locals.statusChange || {};
+        this.statusHistory.push({
+            from: this.isNew ? null : change.from || null,
+            to: this.status,
+            changedAt: new Date(),
+            changedBy: change.changedBy || null,
+            changedByRole: change.changedByRole || 'system',
+            reason: change.reason || (this.isNew ? 'Enrollment created' : undefined)
+        });
+        this.$locals.statusChange = null;
+    }
+    this.$locals.seatReleased = !this.isNew && this.isModified('status') && this.status === 'Dropped';
+    next();
+});
+
+// Remember the scores and grade as loaded, so the audit hook below can record old values
+const auditedValuesOf = (doc) => Object.fromEntries(AUDITED_FIELDS.map(field => [field, doc[field] ?? null]));
+
+EnrollmentSchema.post('init', function(doc) {
+    doc.$locals.auditedValues = auditedValuesOf(doc);
+});
+
+// Records who is changing the scores, from where and why. Call save() afterwards.
+// actor: { id, role } as found on req.user (omit for system jobs).
+// source: 'api', 'csv', 'regrade', 'revert' or 'system'; revertOf: the ScoreAudit being reverted.
+EnrollmentSchema.methods.recordScoreChange = function({ actor, source, reason, revertOf } = {}) {
+    this.$locals.scoreChange = {
+        changedBy: actor ? actor.id : null,
+        changedByRole: actor ? actor.role : 'system',
+        source: source || 'system',
+        reason,
+        revertOf: revertOf || null
+    };
+    return this;
+};
+
+// Pre-save hook to work out the ScoreAudit entry for a change to a score or the computed grade.
+// Registered after the grading hook, so the entry includes the recomputed total and grade.
+EnrollmentSchema.pre('save', function(next) {
+    this.$locals.pendingScoreAudit = null;
+    if (this.isNew || !this.$locals.auditedValues) {
+        return next();
+    }
+    const previous = this.$locals.auditedValues;
+    const changes = AUDITED_FIELDS
+        .filter(field => (this[field] ?? null) !== previous[field])
+        .map(field => ({ field, oldValue: previous[field], newValue: this[field] ?? null }));
+    if (changes.length > 0) {
+        const context = this.$locals.scoreChange || {};
+        this.$locals.pendingScoreAudit = {
+            enrollment: this._id,
+            student: this.student,
+            course: this.course,
+            academicYear: this.academicYear,
+            semester: this.semester,
+            changes,
+            changedBy: context.changedBy || null,
+            changedByRole: context.changedByRole || 'system',
+            source: context.source || 'system',
+            reason: context.reason,
+            revertOf: context.revertOf || null
+        };
+    }
+    next();
+});
+
+// Post-save hook to write that ScoreAudit entry. Written only once the enrollment is saved, so a save
+// that fails leaves no audit record of a change that never happened; inside a transaction it joins the
+// enrollment's session. A failed audit write fails the save() call.
+EnrollmentSchema.post('save', async function(doc) {
+    const audit = doc.$locals.pendingScoreAudit;
+    if (!audit) {
+        return;
+    }
+    doc.$locals.pendingScoreAudit = null;
+    await new ScoreAudit(audit).save({ session: doc.$session() });
+});
+
+// Post-save hook to promote the next waitlisted student when someone drops the course.
+EnrollmentSchema.post('save', async function(doc) {
+    doc.$locals.auditedValues = auditedValuesOf(doc);
+    doc.$locals.scoreChange = null;
+    doc.$locals.resultCleared = false;
+    if (!doc.$locals.seatReleased) {
+        return;
+    }
+    try {
+        // Required here rather than at the top: the waitlist service itself depends on this model
+        const { promoteFromWaitlist } = require('../Services/WaitlistService.js');
+        await promoteFromWaitlist(doc.course, doc.academicYear, doc.semester);
+    } catch (error) {
+        console.error(`Error promoting waitlisted students for course ${doc.course}:`, error);
+    }
+});
 
 module.exports = mongoose.model('Enrollment', EnrollmentSchema);
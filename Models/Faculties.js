@@ -0,0 +1,30 @@
+// models/Faculty.js
+
+const mongoose = require('mongoose');
+
+// A faculty groups departments, e.g. "Faculty of Science" (SCI) with Physics and Chemistry
+const FacultySchema = new mongoose.Schema({
+    name: { // e.g., "Faculty of Science"
+        type: String,
+        required: [true, 'Faculty name is required'],
+        unique: true,
+        trim: true
+    },
+    code: { // e.g., "SCI"
+        type: String,
+        required: [true, 'Faculty code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9]{2,10}$/, 'Faculty code must be 2-10 letters or digits']
+    },
+    dean: { // Lecturer serving as dean (optional)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecturer',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Faculty', FacultySchema);
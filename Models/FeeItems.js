@@ -0,0 +1,70 @@
+// models/FeeItem.js
+
+const mongoose = require('mongoose');
+
+const FEE_TYPES = ['tuition', 'acceptance', 'hostel', 'lab', 'other'];
+
+// Which students of the department/level an item is billed to:
+// new students are those whose entryAcademicYear is the term's session
+const FEE_AUDIENCES = ['all', 'new-students', 'returning-students'];
+
+// One priced line of the fee schedule for a term, e.g. "Tuition, Computer Science, 200 level, Fall 2025-2026".
+// Leaving department or level empty makes the item apply to all of them; for each fee type and name the
+// most specific item wins (see Services/FeeService.js). Optional items (e.g. hostel) are only billed
+// when the student chooses them.
+const FeeItemSchema = new mongoose.Schema({
+    name: { // e.g., "Tuition", "Hostel accommodation"
+        type: String,
+        required: [true, 'Fee name is required'],
+        trim: true
+    },
+    feeType: {
+        type: String,
+        enum: FEE_TYPES,
+        required: [true, 'Fee type is required']
+    },
+    amount: { // In naira
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0, 'Amount cannot be negative']
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        required: [true, 'Term is required']
+    },
+    department: { // null = every department
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
+    level: { // e.g., 100, 200; null = every level
+        type: Number,
+        default: null
+    },
+    appliesTo: {
+        type: String,
+        enum: FEE_AUDIENCES,
+        default: 'all'
+    },
+    isOptional: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: { // User id from the JWT
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+FeeItemSchema.index({ term: 1, isActive: 1 });
+
+module.exports = mongoose.model('FeeItem', FeeItemSchema);
+module.exports.FEE_TYPES = FEE_TYPES;
+module.exports.FEE_AUDIENCES = FEE_AUDIENCES;
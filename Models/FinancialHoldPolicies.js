@@ -0,0 +1,58 @@
+// models/FinancialHoldPolicy.js
+
+const mongoose = require('mongoose');
+
+// What a financial hold can block (see Services/FinancialHoldService.js):
+// - registration  course registration for the term
+// - results       viewing the term's results (scores are withheld, result slips refused)
+// - transcripts   requesting a transcript while any term's fees are outstanding
+const HOLD_ACTIONS = ['registration', 'results', 'transcripts'];
+
+// Puts an action on hold until a share of the term's fees has been paid. A policy applies to a
+// department and/or a level; leaving either empty makes it apply to all of them, and the most specific
+// active policy for the action wins. Without a policy the action is never held.
+const FinancialHoldPolicySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: HOLD_ACTIONS,
+        required: [true, 'Action is required']
+    },
+    department: { // null = every department
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
+    level: { // e.g., 100, 200; null = every level
+        type: Number,
+        default: null
+    },
+    minPaidPercent: { // Share of the term's invoice that must be paid, e.g. 50 to allow registration after the first instalment
+        type: Number,
+        default: 100,
+        min: [1, 'minPaidPercent must be at least 1'],
+        max: [100, 'minPaidPercent cannot be more than 100']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: { // User id from the JWT
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    createdByRole: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Only one active policy per action/department/level combination
+FinancialHoldPolicySchema.index(
+    { action: 1, department: 1, level: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('FinancialHoldPolicy', FinancialHoldPolicySchema);
+module.exports.HOLD_ACTIONS = HOLD_ACTIONS;
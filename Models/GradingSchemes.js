@@ -0,0 +1,88 @@
+// models/GradingScheme.js
+
+const mongoose = require('mongoose');
+
+// A single letter-grade band, e.g. { grade: "A", minScore: 70, maxScore: 100, gradePoint: 5 }
+const GradeBoundarySchema = new mongoose.Schema({
+    grade: {
+        type: String,
+        required: [true, 'Grade letter is required'],
+        trim: true,
+        uppercase: true
+    },
+    minScore: {
+        type: Number,
+        required: [true, 'Minimum score is required'],
+        min: 0,
+        max: 100
+    },
+    maxScore: {
+        type: Number,
+        required: [true, 'Maximum score is required'],
+        min: 0,
+        max: 100
+    },
+    gradePoint: { // Points awarded for this grade on the GPA scale (e.g., A = 5)
+        type: Number,
+        required: [true, 'Grade point is required'],
+        min: 0
+    }
+}, { _id: false });
+
+// Defines how CA and exam scores are weighted and turned into a letter grade.
+// Schemes can be set for the whole institution, a department, or a single course.
+// The most specific active scheme wins: course -> department -> institution.
+const GradingSchemeSchema = new mongoose.Schema({
+    name: { // e.g., "Default 5-point scale", "Computer Science Labs"
+        type: String,
+        required: [true, 'Scheme name is required'],
+        trim: true
+    },
+    scope: {
+        type: String,
+        required: true,
+        enum: ['institution', 'department', 'course'],
+        default: 'institution'
+    },
+    department: { // Only used when scope is 'department'
+        type: String,
+        trim: true
+    },
+    course: { // Only used when scope is 'course'
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    caWeight: { // Percentage of the total that comes from the CA score
+        type: Number,
+        required: [true, 'CA weight is required'],
+        min: 0,
+        max: 100
+    },
+    examWeight: { // Percentage of the total that comes from the exam score
+        type: Number,
+        required: [true, 'Exam weight is required'],
+        min: 0,
+        max: 100
+    },
+    gradeBoundaries: {
+        type: [GradeBoundarySchema],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: { // The user who created the scheme (id from the JWT)
+        type: mongoose.Schema.Types.ObjectId
+    }
+}, {
+    timestamps: true
+});
+
+// Only one active scheme is allowed per scope target
+GradingSchemeSchema.index(
+    { scope: 1, department: 1, course: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('GradingScheme', GradingSchemeSchema);
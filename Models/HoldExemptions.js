@@ -0,0 +1,82 @@
+// models/HoldExemption.js
+
+const mongoose = require('mongoose');
+const { HOLD_ACTIONS } = require('./FinancialHoldPolicies.js');
+
+// Why the bursary lifted a hold
+const EXEMPTION_REASONS = [
+    'payment-plan',          // agreed instalment plan
+    'scholarship-pending',   // award confirmed, funds not yet received
+    'sponsor-guarantee',     // employer/government sponsor letter on file
+    'hardship',              // welfare case
+    'payment-in-transit',    // paid but not yet confirmed by the bank or provider
+    'other'                  // explained in `note`
+];
+
+// Temporarily lifts financial holds for one student, until `expiresAt`.
+// Granted by bursary staff; applies to one term, or to every term when `term` is empty.
+const HoldExemptionSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    term: { // null = every term
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        default: null
+    },
+    actions: { // Which holds are lifted
+        type: [{ type: String, enum: HOLD_ACTIONS }],
+        default: () => [...HOLD_ACTIONS]
+    },
+    reason: {
+        type: String,
+        enum: EXEMPTION_REASONS,
+        required: [true, 'A reason for the exemption is required']
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'An expiry date is required']
+    },
+    grantedBy: { // User id from the JWT
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    grantedByRole: {
+        type: String,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+HoldExemptionSchema.index({ student: 1, expiresAt: -1 });
+
+HoldExemptionSchema.pre('validate', function(next) {
+    if (this.actions.length === 0) {
+        this.invalidate('actions', 'At least one action must be exempted');
+    }
+    if (this.reason === 'other' && !this.note) {
+        this.invalidate('note', "A note is required when the reason is 'other'");
+    }
+    if (this.isNew && this.expiresAt && this.expiresAt <= new Date()) {
+        this.invalidate('expiresAt', 'The expiry date must be in the future');
+    }
+    next();
+});
+
+module.exports = mongoose.model('HoldExemption', HoldExemptionSchema);
+module.exports.EXEMPTION_REASONS = EXEMPTION_REASONS;
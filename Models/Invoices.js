@@ -0,0 +1,99 @@
+// models/Invoice.js
+
+const mongoose = require('mongoose');
+
+// unpaid -> part-paid -> paid as payments are posted; void when withdrawn by the bursary before any payment
+const INVOICE_STATUSES = ['unpaid', 'part-paid', 'paid', 'void'];
+
+// What a student is billed for a term, built from the fee schedule when it is issued (see
+// Services/LedgerService.js). The items are a snapshot, so later changes to the schedule do not
+// change an issued invoice. Payments are posted against it as ledger credits.
+const InvoiceSchema = new mongoose.Schema({
+    invoiceNumber: { // e.g., "INV/2025-2026/001"
+        type: String,
+        required: true,
+        unique: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        required: true
+    },
+    academicYear: { // Copied from the term for display and queries
+        type: String,
+        required: true
+    },
+    semester: {
+        type: String,
+        required: true
+    },
+    items: [{
+        _id: false,
+        feeItem: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeItem' },
+        name: String,
+        feeType: String,
+        amount: Number // In naira
+    }],
+    totalAmount: { // In kobo
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amountPaid: { // In kobo; sum of the payments posted against the invoice
+        type: Number,
+        default: 0
+    },
+    creditedTransactions: [{ // Transactions counted in amountPaid; guards the increment so a payment is counted once
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    }],
+    reservations: [{ // Payments started but not settled yet; each holds its amount of the balance until it expires
+        _id: false,
+        transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+        amount: Number, // In kobo
+        expiresAt: Date
+    }],
+    status: {
+        type: String,
+        enum: INVOICE_STATUSES,
+        default: 'unpaid'
+    },
+    isActive: { // false once voided
+        type: Boolean,
+        default: true
+    },
+    issuedBy: { // User id from the JWT; null when issued automatically (e.g. at payment or by the term job)
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    issuedByRole: {
+        type: String,
+        default: 'system'
+    },
+    voidedAt: {
+        type: Date,
+        default: null
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    voidReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Only one invoice in force per student and term
+InvoiceSchema.index({ student: 1, term: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+InvoiceSchema.index({ term: 1, status: 1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
+module.exports.INVOICE_STATUSES = INVOICE_STATUSES;
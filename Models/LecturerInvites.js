@@ -0,0 +1,54 @@
+// models/LecturerInvite.js
+
+const mongoose = require('mongoose');
+
+// A pending lecturer account. An administrator fills in the lecturer's details and the
+// lecturer completes registration by choosing a password through a one-time link.
+// Only a SHA-256 hash of the link token is stored.
+const LecturerInviteSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    details: { // Everything needed to create the Lecturer except the password
+        name: { type: String, required: [true, 'Name is required'], trim: true },
+        department: { type: String, required: [true, 'Department is required'], trim: true },
+        phoneNumber: { type: String, required: [true, 'Phone number is required'], trim: true },
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+            match: [/.+@.+\..+/, 'Please enter a valid email address']
+        },
+        address: { type: String, required: [true, 'Address is required'], trim: true },
+        position: { type: String, required: [true, 'Position is required'], trim: true },
+        qualifications: { type: [String], default: [] },
+        coursesTaught: { type: [String], default: [] },
+        dateOfEmployment: { type: Date, required: [true, 'Date of employment is required'] },
+        officeLocation: { type: String, trim: true },
+        researchInterests: { type: [String], default: [] }
+    },
+    invitedBy: { // Staff account that sent the invite
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: { // Set once the link has been used; the invite cannot be used again
+        type: Date,
+        default: null
+    },
+    lecturer: { // The Lecturer created when the invite was accepted
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecturer',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('LecturerInvite', LecturerInviteSchema);
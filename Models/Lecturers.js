@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
+const { linkDepartment } = require('../Services/DepartmentService.js');
 
 // Define the schema for the Lecturer model
 const LecturerSchema = new mongoose.Schema({
@@ -10,11 +11,15 @@ const LecturerSchema = new mongoose.Schema({
         required: [true, 'Name is required'],
         trim: true
     },
-    department: {
+    department: { // Department name (an id, code or any-case name is accepted and resolved on save)
         type: String,
         required: [true, 'Department is required'],
         trim: true
     },
+    departmentId: { // Set from `department` by the linkDepartment hook
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    },
     phoneNumber: {
         type: String,
         required: [true, 'Phone number is required'],
@@ -38,6 +43,11 @@ const LecturerSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Password is required']
     },
+    accountStatus: { // Suspended accounts cannot log in
+        type: String,
+        enum: ['active', 'suspended'],
+        default: 'active'
+    },
     // --- New fields for Lecturer details ---
     employeeId: { // Unique identifier for the lecturer (similar to registrationNumber)
         type: String,
@@ -54,7 +64,7 @@ const LecturerSchema = new mongoose.Schema({
         type: [String], // Array of strings
         default: []
     },
-    coursesTaught: { // e.g., ["Introduction to Ethics", "Metaphysics"]
+    coursesTaught: { // Free-text profile list, e.g., ["Introduction to Ethics", "Metaphysics"]; actual assignments are TeachingAssignments
         type: [String], // Array of strings
         default: []
     },
@@ -74,6 +84,9 @@ const LecturerSchema = new mongoose.Schema({
     timestamps: true // Adds createdAt and updatedAt fields automatically
 });
 
+// Resolve `department` to a Department and store its id (see Services/DepartmentService.js)
+LecturerSchema.pre('validate', linkDepartment);
+
 // Pre-save hook to hash the password before saving a new lecturer
 LecturerSchema.pre('save', async function(next) {
     // Only hash the password if it has been modified (or is new)
@@ -0,0 +1,72 @@
+// models/LedgerEntry.js
+
+const mongoose = require('mongoose');
+
+// - charge    an invoice was issued (debit)
+// - payment   a successful transaction was posted against an invoice (credit)
+// - reversal  an invoice was voided, cancelling its charge (credit)
+const LEDGER_ENTRY_TYPES = ['charge', 'payment', 'reversal'];
+
+// One line of a student's account. Entries are only ever added; a mistake is corrected with a new entry
+// (e.g. a reversal). The balance of the account is the sum of debits minus credits (see Services/LedgerService.js).
+const LedgerEntrySchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        required: true
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        required: true
+    },
+    entryType: {
+        type: String,
+        enum: LEDGER_ENTRY_TYPES,
+        required: true
+    },
+    debit: { // In kobo
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    credit: { // In kobo
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    invoiceBalance: { // In kobo; what was left to pay on the invoice after this entry (printed on receipts)
+        type: Number,
+        default: null
+    },
+    transaction: { // Set on payment entries
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    postedBy: { // User id from the JWT; null for automatic postings
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    postedByRole: {
+        type: String,
+        default: 'system'
+    }
+}, {
+    timestamps: true
+});
+
+LedgerEntrySchema.index({ student: 1, createdAt: 1 });
+// A transaction is posted at most once, however many times the webhook or verification runs
+LedgerEntrySchema.index({ transaction: 1 }, { unique: true, partialFilterExpression: { transaction: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
+module.exports.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
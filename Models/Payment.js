@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normalizeAcademicYear, normalizeSemester } = require('../Services/AcademicTermService.js');
 
 const TransactionSchema = new mongoose.Schema({
     studentId: {
@@ -12,9 +13,20 @@ const TransactionSchema = new mongoose.Schema({
         unique: true
     },
     amount: {
-        type: Number, // Amount in kobo (Nigerian Naira's smallest unit)
+        type: Number, // Amount in kobo (Nigerian Naira's smallest unit); the invoice balance, or an instalment of it
         required: true
     },
+    amountPaid: { // Amount in kobo the provider reports as collected
+        type: Number,
+        default: null
+    },
+    feeItems: [{ // What the amount is made of (snapshot of the fee items at initiation)
+        _id: false,
+        feeItem: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeItem' },
+        name: String,
+        feeType: String,
+        amount: Number // In naira
+    }],
     currency: {
         type: String,
         required: true,
@@ -23,15 +35,34 @@ const TransactionSchema = new mongoose.Schema({
     status: {
         type: String,
         required: true,
-        default: 'pending' // e.g., 'pending', 'success', 'failed', 'abandoned'
+        default: 'pending' // e.g., 'pending', 'success', 'failed', 'abandoned', 'amount_mismatch' (paid amount differs from the amount due)
+    },
+    statusReason: { // Why a payment was not accepted, e.g. the amount mismatch
+        type: String,
+        default: null
+    },
+    invoice: { // The Invoice the payment is posted against (see Services/LedgerService.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        default: null
+    },
+    receiptNumber: { // e.g., "RCT/2025-2026/001"; assigned when the payment is posted
+        type: String,
+        default: null
+    },
+    term: { // The AcademicTerm this payment is for
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm'
     },
     semester: {
         type: String, // e.g., "Fall", "Spring", "Summer"
-        required: true
+        required: true,
+        set: normalizeSemester
     },
     academicYear: {
-        type: String, // e.g., "2024/2025"
-        required: true
+        type: String, // e.g., "2024-2025" ("2024/2025" is normalized on save)
+        required: true,
+        set: normalizeAcademicYear
     },
     description: {
         type: String // e.g., "Tuition Fee - Fall 2024"
@@ -49,4 +80,6 @@ const TransactionSchema = new mongoose.Schema({
     }
 });
 
+TransactionSchema.index({ receiptNumber: 1 }, { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } });
+
 module.exports = mongoose.model('Transaction', TransactionSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+// models/PaymentEvent.js
+
+const mongoose = require('mongoose');
+
+// processing -> processed, ignored (nothing to do, e.g. an event type we do not handle) or failed.
+// A failed event is processed again when Paystack retries it; any other repeat is a replay and is skipped.
+const PAYMENT_EVENT_STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+
+// One webhook event received from Paystack, kept so a replayed or retried delivery is only acted on once
+// (see Services/PaymentSettlementService.js).
+const PaymentEventSchema = new mongoose.Schema({
+    eventKey: { // "<event>:<data.id>", e.g. "charge.success:302961"
+        type: String,
+        required: true,
+        unique: true
+    },
+    event: { // e.g., "charge.success"
+        type: String,
+        required: true
+    },
+    reference: { // Paystack transaction reference, when the event has one
+        type: String,
+        default: null
+    },
+    payloadHash: { // SHA-256 of the raw body as first received
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_EVENT_STATUSES,
+        default: 'processing'
+    },
+    outcome: { // What processing did, e.g. "settled", "amount-mismatch", "already-settled"
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    duplicateDeliveries: { // Replays that were skipped
+        type: Number,
+        default: 0
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+PaymentEventSchema.index({ reference: 1 });
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
+module.exports.PAYMENT_EVENT_STATUSES = PAYMENT_EVENT_STATUSES;
@@ -0,0 +1,52 @@
+// models/PrerequisiteWaiver.js
+
+const mongoose = require('mongoose');
+
+// Lets a specific student enroll in a course without having passed (some of) its prerequisites.
+// When `prerequisite` is null the waiver covers every prerequisite of the course.
+const PrerequisiteWaiverSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    course: { // The course the student wants to enroll in
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    prerequisite: { // The prerequisite being waived (null = all prerequisites of `course`)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason for the waiver is required'],
+        trim: true
+    },
+    grantedBy: { // Staff account that granted the waiver
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    expiresAt: { // Optional; the waiver stops applying after this date
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+PrerequisiteWaiverSchema.index({ student: 1, course: 1 });
+
+module.exports = mongoose.model('PrerequisiteWaiver', PrerequisiteWaiverSchema);
@@ -0,0 +1,96 @@
+// models/ProgrammeRequirement.js
+
+const mongoose = require('mongoose');
+
+// A pool of electives the student must pick from, e.g. "Group A electives: any 2 courses, at least 6 credits"
+const ElectiveGroupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Elective group name is required'],
+        trim: true
+    },
+    courses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    minCourses: { // Courses to pass from the pool
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    minCredits: { // Credits to earn from the pool
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, { _id: false });
+
+// What a student of a department (and optionally one of its programmes) must complete to graduate.
+// A requirement for a specific programme wins over the department-wide one (programme null).
+// Changing the requirements creates a new active document and retires the previous one
+// (see Services/DegreeAuditService.js).
+const ProgrammeRequirementSchema = new mongoose.Schema({
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        required: [true, 'Department is required']
+    },
+    programme: { // Same value as Student.programme, e.g. "B.Sc. Computer Science"; null = every programme of the department
+        type: String,
+        trim: true,
+        default: null
+    },
+    minCredits: { // Total credits the student must have earned
+        type: Number,
+        required: [true, 'Minimum credits are required'],
+        min: 0
+    },
+    minCgpa: { // Lowest CGPA that can graduate (1.0 = Pass on the 5-point scale)
+        type: Number,
+        min: 0,
+        default: 1.0
+    },
+    requiredCourses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    electiveGroups: {
+        type: [ElectiveGroupSchema],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: { // User id from the JWT
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    createdByRole: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Only one active requirement per department/programme combination
+ProgrammeRequirementSchema.index(
+    { department: 1, programme: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+ProgrammeRequirementSchema.pre('validate', function(next) {
+    const required = new Set(this.requiredCourses.map(String));
+    for (const group of this.electiveGroups) {
+        if (group.courses.some(course => required.has(String(course)))) {
+            this.invalidate('electiveGroups', `Elective group '${group.name}' contains a required course`);
+        }
+        if (group.minCourses > group.courses.length) {
+            this.invalidate('electiveGroups', `Elective group '${group.name}' asks for more courses than it contains`);
+        }
+    }
+    next();
+});
+
+module.exports = mongoose.model('ProgrammeRequirement', ProgrammeRequirementSchema);
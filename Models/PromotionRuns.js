@@ -0,0 +1,89 @@
+// models/PromotionRun.js
+
+const mongoose = require('mongoose');
+
+// What a promotion run decides for a student (see Services/PromotionService.js):
+// - promote      moves up one level
+// - final-level  met the thresholds at the programme's final level (stays there for the degree audit)
+// - repeat       stays at the same level
+// - probation    stays at the same level on academic probation
+// - withdraw     withdrawn after failing to recover while on probation
+// - review       cannot be decided automatically (e.g. unpublished results); a registrar must choose an outcome
+const PROMOTION_OUTCOMES = ['promote', 'final-level', 'repeat', 'probation', 'withdraw', 'review'];
+
+// draft -> committing (being applied to the students) -> committed, or draft -> discarded.
+// A run left 'committing' by an interrupted commit is finished by committing it again.
+const PROMOTION_RUN_STATUSES = ['draft', 'committing', 'committed', 'discarded'];
+
+// One row of the promotion report
+const PromotionEntrySchema = new mongoose.Schema({
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    name: String,
+    registrationNumber: String,
+    department: String,
+    level: { type: Number, required: true }, // Level during the session
+    finalLevel: { type: Number, required: true }, // Last level of the student's programme
+    standing: { type: String, required: true }, // Academic standing during the session
+    creditsAttempted: { type: Number, default: 0 }, // In the session
+    creditsEarned: { type: Number, default: 0 }, // In the session
+    sessionGpa: { type: Number, default: 0 },
+    cgpa: { type: Number, default: 0 }, // Up to and including the session
+    unpublishedResults: { type: Number, default: 0 }, // Results of the session not yet published
+    outcome: { type: String, enum: PROMOTION_OUTCOMES, required: true },
+    newLevel: { type: Number, required: true },
+    newStanding: { type: String, required: true },
+    reasons: { type: [String], default: [] },
+    overriddenBy: { type: mongoose.Schema.Types.ObjectId, default: null }, // Set when a registrar changed the outcome
+    overrideNote: { type: String, trim: true }
+}, { _id: false });
+
+// An end-of-session promotion run. Created as a draft report; registrars review it (and may change
+// individual outcomes) before committing it, which updates each student's level and academic standing.
+const PromotionRunSchema = new mongoose.Schema({
+    academicYear: { // Session being closed, e.g. "2025-2026"
+        type: String,
+        required: true
+    },
+    departmentId: { // Optional filter: only this department's students
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
+    level: { // Optional filter: only students at this level
+        type: Number,
+        default: null
+    },
+    thresholds: {
+        minCreditsEarned: { type: Number, required: true }, // Credits to earn in the session to move up
+        minCgpa: { type: Number, required: true }, // CGPA needed to move up
+        probationCgpa: { type: Number, required: true } // Below this CGPA a student goes on probation
+    },
+    status: {
+        type: String,
+        enum: PROMOTION_RUN_STATUSES,
+        default: 'draft'
+    },
+    isOpen: { // true while draft or committing; backs the one-open-run-per-scope index below
+        type: Boolean,
+        default: true
+    },
+    entries: {
+        type: [PromotionEntrySchema],
+        default: []
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, required: true }, // User id from the JWT
+    createdByRole: { type: String, required: true },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, default: null }, // Who committed or discarded the run
+    closedByRole: { type: String, default: null },
+    closedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+PromotionRunSchema.index({ academicYear: 1, status: 1 });
+// Only one open run per session and scope (department and level; null for all)
+PromotionRunSchema.index({ academicYear: 1, departmentId: 1, level: 1 }, { unique: true, partialFilterExpression: { isOpen: true } });
+
+module.exports = mongoose.model('PromotionRun', PromotionRunSchema);
+module.exports.PROMOTION_OUTCOMES = PROMOTION_OUTCOMES;
+module.exports.PROMOTION_RUN_STATUSES = PROMOTION_RUN_STATUSES;
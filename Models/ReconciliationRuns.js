@@ -0,0 +1,69 @@
+// models/ReconciliationRun.js
+
+const mongoose = require('mongoose');
+
+// How our record of a payment disagrees with Paystack's (see Services/PaymentReconciliationService.js):
+// - missing-locally      Paystack collected money for a reference we have no record of
+// - missing-at-provider  we have a record Paystack does not know about
+// - amount-mismatch      Paystack collected a different amount from the one due
+// - status-mismatch      e.g. marked failed here but successful at Paystack, or the other way round
+const DISCREPANCY_TYPES = ['missing-locally', 'missing-at-provider', 'amount-mismatch', 'status-mismatch'];
+
+// What a run did to a payment record:
+// - created    recorded (and posted) a payment that was missing locally
+// - settled    a pending or failed record Paystack reports as successful (credited, or held as an amount mismatch)
+// - failed     a pending record Paystack reports as failed or abandoned
+// - abandoned  a stale pending record Paystack never completed (or never received)
+const RECONCILIATION_ACTIONS = ['created', 'settled', 'failed', 'abandoned'];
+
+// One row of the reconciliation report: a payment the run changed, or one it could not square
+const ReconciliationEntrySchema = new mongoose.Schema({
+    reference: { type: String, required: true }, // Paystack reference
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', default: null },
+    localStatus: { type: String, default: null }, // Before the run; null when missing locally
+    providerStatus: { type: String, default: null }, // null when missing at Paystack
+    localAmount: { type: Number, default: null }, // In kobo, the amount due
+    providerAmount: { type: Number, default: null }, // In kobo, the amount Paystack reports
+    action: { type: String, enum: RECONCILIATION_ACTIONS, default: null },
+    discrepancy: { type: String, enum: DISCREPANCY_TYPES, default: null },
+    note: { type: String, default: null }
+}, { _id: false });
+
+// A reconciliation of our payment records against Paystack's transaction list for a date range.
+// A dry run only reports what it would do.
+const ReconciliationRunSchema = new mongoose.Schema({
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    staleAfterMinutes: { // Pending records older than this are closed when Paystack never completed them
+        type: Number,
+        required: true
+    },
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    summary: {
+        providerTransactions: { type: Number, default: 0 }, // Listed by Paystack for the range
+        localTransactions: { type: Number, default: 0 }, // Our records for the range
+        created: { type: Number, default: 0 },
+        settled: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        abandoned: { type: Number, default: 0 },
+        discrepancies: { type: Number, default: 0 }
+    },
+    entries: {
+        type: [ReconciliationEntrySchema],
+        default: []
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, default: null }, // null when run by the scheduled job
+    createdByRole: { type: String, default: 'system' }
+}, {
+    timestamps: true
+});
+
+ReconciliationRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', ReconciliationRunSchema);
+module.exports.DISCREPANCY_TYPES = DISCREPANCY_TYPES;
+module.exports.RECONCILIATION_ACTIONS = RECONCILIATION_ACTIONS;
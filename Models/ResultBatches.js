@@ -0,0 +1,53 @@
+// models/ResultBatch.js
+
+const mongoose = require('mongoose');
+
+// One entry per approval step, so it is always clear who moved the results and when
+const ResultTransitionSchema = new mongoose.Schema({
+    action: { type: String, required: true }, // 'submit', 'hod-approve', 'senate-approve', 'publish', 'return'
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, required: true }, // User id from the JWT
+    changedByRole: { type: String, required: true },
+    comment: { type: String, trim: true }
+}, { _id: false });
+
+// The results of one course in one term, moving through the approval workflow:
+// draft -> submitted -> hod_approved -> senate_approved -> published.
+// The stage is mirrored onto each Enrollment.resultStatus so reads do not need this collection.
+const ResultBatchSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm'
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'submitted', 'hod_approved', 'senate_approved', 'published'],
+        default: 'draft'
+    },
+    history: {
+        type: [ResultTransitionSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+ResultBatchSchema.index({ course: 1, academicYear: 1, semester: 1 }, { unique: true });
+ResultBatchSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ResultBatch', ResultBatchSchema);
@@ -0,0 +1,86 @@
+// models/ScoreAudit.js
+
+const mongoose = require('mongoose');
+
+// Fields whose changes are audited
+const AUDITED_FIELDS = ['caScore', 'examScore', 'totalScore', 'finalGrade', 'gradePoint'];
+
+// Where a change came from
+const AUDIT_SOURCES = ['api', 'csv', 'regrade', 'revert', 'system'];
+
+const FieldChangeSchema = new mongoose.Schema({
+    field: { type: String, enum: AUDITED_FIELDS, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    newValue: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// One entry per saved change to an enrollment's scores or grade. Written by the Enrollment
+// pre-save hook and never modified or deleted afterwards.
+const ScoreAuditSchema = new mongoose.Schema({
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment',
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    academicYear: String,
+    semester: String,
+    changes: {
+        type: [FieldChangeSchema],
+        required: true
+    },
+    changedBy: { // User id from the JWT (null for system jobs)
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    changedByRole: {
+        type: String,
+        default: 'system'
+    },
+    source: {
+        type: String,
+        enum: AUDIT_SOURCES,
+        default: 'system'
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    revertOf: { // Set when this change reverted an earlier audit entry
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScoreAudit',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+ScoreAuditSchema.index({ enrollment: 1, createdAt: -1 });
+ScoreAuditSchema.index({ course: 1, academicYear: 1, semester: 1, createdAt: -1 });
+
+// The log is append-only: refuse every update and delete that goes through Mongoose
+const refuseChange = function(next) {
+    next(new Error('Score audit entries cannot be modified or deleted.'));
+};
+ScoreAuditSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return refuseChange(next);
+    }
+    next();
+});
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    ScoreAuditSchema.pre(operation, refuseChange);
+}
+
+module.exports = mongoose.model('ScoreAudit', ScoreAuditSchema);
+module.exports.AUDITED_FIELDS = AUDITED_FIELDS;
+module.exports.AUDIT_SOURCES = AUDIT_SOURCES;
@@ -1,6 +1,25 @@
 // models/Student.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
+const { normalizeAcademicYear, normalizeSemester, shiftAcademicYear, getCurrentTerm } = require('../Services/AcademicTermService.js');
+const { linkDepartment } = require('../Services/DepartmentService.js');
+
+// good: may progress normally; probation: CGPA below the probation threshold at the last promotion run;
+// withdrawn: failed to recover while on probation (cannot register courses)
+const ACADEMIC_STANDINGS = ['good', 'probation', 'withdrawn'];
+
+// Outcome of a committed promotion run for one student (see Services/PromotionService.js)
+const ProgressionSchema = new mongoose.Schema({
+    academicYear: { type: String, required: true }, // Session the decision was made for, e.g. "2025-2026"
+    fromLevel: { type: Number, required: true },
+    toLevel: { type: Number, required: true },
+    outcome: { type: String, required: true }, // One of PROMOTION_OUTCOMES in Models/PromotionRuns.js
+    standing: { type: String, enum: ACADEMIC_STANDINGS, required: true },
+    creditsEarned: { type: Number, default: 0 }, // In that session
+    cgpa: { type: Number, default: 0 },
+    promotionRun: { type: mongoose.Schema.Types.ObjectId, ref: 'PromotionRun' },
+    decidedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 // Define the schema for the Student model
 const StudentSchema = new mongoose.Schema({
@@ -9,11 +28,15 @@ const StudentSchema = new mongoose.Schema({
         required: [true, 'Name is required'],
         trim: true
     },
-    department: {
+    department: { // Department name (an id, code or any-case name is accepted and resolved on save)
         type: String,
         required: [true, 'Department is required'],
         trim: true
     },
+    departmentId: { // Set from `department` by the linkDepartment hook
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    },
     phoneNumber: {
         type: String,
         required: [true, 'Phone number is required'],
@@ -42,18 +65,74 @@ const StudentSchema = new mongoose.Schema({
         unique: true, // Registration numbers must be unique
         required: [true, 'Registration number is required']
     },
+    level: { // Year of study: 100, 200, ... (used for credit-load limits)
+        type: Number,
+        min: [100, 'Level must be at least 100'],
+        max: [900, 'Level cannot be above 900'],
+        validate: {
+            validator: (value) => Number.isInteger(value) && value % 100 === 0,
+            message: 'Level must be a multiple of 100'
+        },
+        default: 100
+    },
+    entryAcademicYear: { // Session of admission, e.g. "2025-2026" (defaults to the current term's session)
+        type: String,
+        default: null,
+        set: normalizeAcademicYear
+    },
+    programme: { // e.g., "B.Sc. Computer Science"
+        type: String,
+        trim: true
+    },
+    programmeDuration: { // Length of the programme in years; its final level is programmeDuration * 100
+        type: Number,
+        min: [1, 'Programme duration must be at least 1 year'],
+        max: [9, 'Programme duration cannot be above 9 years'],
+        default: 4
+    },
+    expectedGraduationYear: { // Session the student is expected to finish in, e.g. "2028-2029"; moves back when a level is repeated
+        type: String,
+        default: null,
+        set: normalizeAcademicYear
+    },
+    academicStanding: { // Set by promotion runs (see Services/PromotionService.js)
+        type: String,
+        enum: ACADEMIC_STANDINGS,
+        default: 'good'
+    },
+    progressionHistory: { // One entry per committed promotion run
+        type: [ProgressionSchema],
+        default: []
+    },
+    advisor: { // Academic advisor; may approve credit overloads for this student
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecturer',
+        default: null
+    },
+    accountStatus: { // Suspended accounts cannot log in
+        type: String,
+        enum: ['active', 'suspended'],
+        default: 'active'
+    },
     // NEW FIELDS for payment tracking (integrated from previous discussions)
     currentSemesterPaymentStatus: {
         type: String,
-        enum: ['paid', 'unpaid', 'pending'], // Define possible statuses
+        enum: ['paid', 'part-paid', 'unpaid', 'pending'], // Define possible statuses; part-paid: instalments with a balance left
         default: 'unpaid'
     },
     lastPaidSemester: {
-        type: String, // e.g., "Fall 2024"
-        default: null
+        type: String, // e.g., "Fall"
+        default: null,
+        set: normalizeSemester
     },
     lastPaidAcademicYear: {
-        type: String, // e.g., "2024/2025"
+        type: String, // e.g., "2024-2025"
+        default: null,
+        set: normalizeAcademicYear
+    },
+    lastPaidTerm: { // The AcademicTerm of the last successful payment
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
         default: null
     },
     paymentHistory: [{ // Array to store references to payment records
@@ -64,6 +143,30 @@ const StudentSchema = new mongoose.Schema({
     timestamps: true // Adds createdAt and updatedAt fields automatically
 });
 
+// Resolve `department` to a Department and store its id (see Services/DepartmentService.js)
+StudentSchema.pre('validate', linkDepartment);
+
+// New students: default the session of entry to the current one and work out the expected graduation
+// session from the programme duration and the level they start at (direct entry may start above 100)
+StudentSchema.pre('validate', async function(next) {
+    if (!this.isNew) {
+        return next();
+    }
+    try {
+        if (!this.entryAcademicYear) {
+            const currentTerm = await getCurrentTerm();
+            this.entryAcademicYear = currentTerm ? currentTerm.academicYear : null;
+        }
+        if (!this.expectedGraduationYear && this.entryAcademicYear) {
+            const remainingSessions = this.programmeDuration - this.level / 100;
+            this.expectedGraduationYear = shiftAcademicYear(this.entryAcademicYear, Math.max(remainingSessions, 0));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Pre-save hook to hash the password before saving a new student
 StudentSchema.pre('save', async function(next) {
     // Only hash the password if it has been modified (or is new)
@@ -80,3 +183,4 @@ StudentSchema.pre('save', async function(next) {
 });
 
 module.exports = mongoose.model('Student', StudentSchema);
+module.exports.ACADEMIC_STANDINGS = ACADEMIC_STANDINGS;
@@ -0,0 +1,65 @@
+// models/TeachingAssignment.js
+
+const mongoose = require('mongoose');
+const { normalizeAcademicYear, normalizeSemester } = require('../Services/AcademicTermService.js');
+
+const ASSIGNMENT_ROLES = ['coordinator', 'co-lecturer'];
+
+// A lecturer teaching a course in one term. This is the source of truth for who teaches what:
+// Course.lecturers is only a cache of it (see Services/TeachingAssignmentService.js).
+// Each course has at most one coordinator per term.
+const TeachingAssignmentSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    lecturer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecturer',
+        required: true
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        required: true
+    },
+    academicYear: { // Copied from the term for queries alongside Enrollment
+        type: String,
+        required: true,
+        trim: true,
+        set: normalizeAcademicYear
+    },
+    semester: {
+        type: String,
+        required: true,
+        enum: ['Fall', 'Spring', 'Summer', 'Winter'],
+        trim: true,
+        set: normalizeSemester
+    },
+    role: {
+        type: String,
+        enum: ASSIGNMENT_ROLES,
+        default: 'co-lecturer'
+    },
+    assignedBy: { // Admin/registrar user id from the JWT
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    assignedByRole: {
+        type: String,
+        default: 'system'
+    }
+}, {
+    timestamps: true
+});
+
+TeachingAssignmentSchema.index({ course: 1, lecturer: 1, academicYear: 1, semester: 1 }, { unique: true });
+TeachingAssignmentSchema.index({ course: 1, academicYear: 1, semester: 1 }, {
+    unique: true,
+    partialFilterExpression: { role: 'coordinator' }
+});
+TeachingAssignmentSchema.index({ lecturer: 1, academicYear: 1, semester: 1 });
+
+module.exports = mongoose.model('TeachingAssignment', TeachingAssignmentSchema);
+module.exports.ASSIGNMENT_ROLES = ASSIGNMENT_ROLES;
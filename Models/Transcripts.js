@@ -0,0 +1,54 @@
+// models/Transcript.js
+
+const mongoose = require('mongoose');
+
+// An issued transcript. The exact content that was printed is kept in `snapshot`, so the PDF can be
+// re-downloaded and a verification code always refers to the same document. `contentHash` is the
+// HMAC-SHA256 of the snapshot under a server secret and is printed on the PDF; verification recomputes
+// it to detect tampering.
+const TranscriptSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    verificationCode: { // e.g., "TR-7K3M-Q9XD-2FHP", printed on the PDF
+        type: String,
+        required: true,
+        unique: true
+    },
+    snapshot: { // Student details, terms, courses, GPA and CGPA exactly as printed
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    contentHash: {
+        type: String,
+        required: true
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    issuedByRole: {
+        type: String,
+        required: true
+    },
+    revokedAt: { // A revoked transcript no longer verifies (e.g. issued in error, grades corrected)
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    revocationReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+TranscriptSchema.index({ student: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Transcript', TranscriptSchema);
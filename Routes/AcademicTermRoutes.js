@@ -0,0 +1,208 @@
+// routes/academicTermRoutes.js
+// The academic calendar: terms, their registration / add-drop / grading windows and the current term.
+
+const express = require('express');
+const router = express.Router();
+const AcademicTerm = require('../Models/AcademicTerms.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const {
+    normalizeAcademicYear,
+    normalizeSemester,
+    getCurrentTerm
+} = require('../Services/AcademicTermService.js');
+
+// Date fields of a term that can be set through the API
+const TERM_DATE_FIELDS = [
+    'startDate',
+    'endDate',
+    'registrationOpensAt',
+    'registrationClosesAt',
+    'addDropDeadline',
+    'gradingOpensAt',
+    'gradingClosesAt'
+];
+
+// Copies the date fields present in the body onto the term.
+// Returns an error message for the first invalid date, otherwise null. An empty value clears the date.
+const applyTermDates = (term, body) => {
+    for (const field of TERM_DATE_FIELDS) {
+        if (body[field] === undefined) continue;
+        if (!body[field]) {
+            term[field] = null;
+            continue;
+        }
+        const date = new Date(body[field]);
+        if (isNaN(date.getTime())) {
+            return `${field} must be a valid date.`;
+        }
+        term[field] = date;
+    }
+    return null;
+};
+
+const handleTermWriteError = (res, error, action) => {
+    console.error(`Error ${action} academic term:`, error);
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'This academic term already exists.' });
+    }
+    res.status(500).json({ message: `Server error while ${action} academic term.` });
+};
+
+
+// GET /api/academic-terms
+// Lists configured terms. Optional query parameter: academicYear
+// Access: any logged-in user
+router.get('/api/academic-terms', AllProtection, async (req, res) => {
+    const { academicYear } = req.query;
+
+    try {
+        let query = {};
+        if (academicYear) query.academicYear = normalizeAcademicYear(academicYear);
+
+        const terms = await AcademicTerm.find(query).sort({ academicYear: -1, startDate: 1 });
+
+        res.status(200).json({
+            message: 'Academic terms retrieved successfully.',
+            totalTerms: terms.length,
+            terms: terms
+        });
+
+    } catch (error) {
+        console.error('Error fetching academic terms:', error);
+        res.status(500).json({ message: 'Server error while fetching academic terms.' });
+    }
+});
+
+
+// GET /api/academic-terms/current
+// The term used whenever a request does not name one.
+// Access: any logged-in user
+router.get('/api/academic-terms/current', AllProtection, async (req, res) => {
+    try {
+        const term = await getCurrentTerm();
+        if (!term) {
+            return res.status(404).json({ message: 'No current academic term has been set.' });
+        }
+
+        res.status(200).json({
+            message: 'Current academic term retrieved successfully.',
+            term: term
+        });
+
+    } catch (error) {
+        console.error('Error fetching current academic term:', error);
+        res.status(500).json({ message: 'Server error while fetching current academic term.' });
+    }
+});
+
+
+// POST /api/academic-terms
+// Creates a term.
+//
+// Request Body Example:
+// {
+//     "academicYear": "2025-2026",
+//     "semester": "Fall",
+//     "startDate": "2025-09-01",
+//     "endDate": "2025-12-20",
+//     "registrationOpensAt": "2025-08-15",
+//     "registrationClosesAt": "2025-09-15",
+//     "addDropDeadline": "2025-09-30T23:59:59Z",
+//     "gradingOpensAt": "2025-12-01",
+//     "gradingClosesAt": "2026-01-15"
+// }
+// Access: admin, registrar
+router.post('/api/academic-terms', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { academicYear, semester } = req.body;
+
+    if (!academicYear || !semester) {
+        return res.status(400).json({ message: 'Academic year and semester are required.' });
+    }
+
+    try {
+        const term = new AcademicTerm({
+            academicYear: normalizeAcademicYear(academicYear),
+            semester: normalizeSemester(semester)
+        });
+        const dateError = applyTermDates(term, req.body);
+        if (dateError) {
+            return res.status(400).json({ message: dateError });
+        }
+
+        await term.save();
+
+        res.status(201).json({
+            message: `Academic term ${term.name} created successfully.`,
+            term: term
+        });
+
+    } catch (error) {
+        handleTermWriteError(res, error, 'creating');
+    }
+});
+
+
+// PUT /api/academic-terms/:termId
+// Updates the dates of a term. Only the fields sent are changed; send null to clear a date.
+// Access: admin, registrar
+router.put('/api/academic-terms/:termId', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { termId } = req.params;
+
+    try {
+        const term = await AcademicTerm.findById(termId);
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const dateError = applyTermDates(term, req.body || {});
+        if (dateError) {
+            return res.status(400).json({ message: dateError });
+        }
+
+        await term.save();
+
+        res.status(200).json({
+            message: `Academic term ${term.name} updated successfully.`,
+            term: term
+        });
+
+    } catch (error) {
+        handleTermWriteError(res, error, 'updating');
+    }
+});
+
+
+// POST /api/academic-terms/:termId/set-current
+// Makes this the current term (and unsets the previous one).
+// Access: admin, registrar
+router.post('/api/academic-terms/:termId/set-current', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { termId } = req.params;
+
+    try {
+        const term = await AcademicTerm.findById(termId);
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        // Unset first: the unique index allows only one current term at a time
+        await AcademicTerm.updateMany({ isCurrent: true, _id: { $ne: term._id } }, { $set: { isCurrent: false } });
+        term.isCurrent = true;
+        await term.save();
+
+        res.status(200).json({
+            message: `${term.name} is now the current academic term.`,
+            term: term
+        });
+
+    } catch (error) {
+        handleTermWriteError(res, error, 'updating');
+    }
+});
+
+
+module.exports = router;
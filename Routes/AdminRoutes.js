@@ -0,0 +1,576 @@
+// routes/adminRoutes.js
+// Administration API for staff accounts (admin, registrar, bursar).
+// Every route here is behind AllProtection plus a role check.
+//
+// New lecturers are added through POST /api/register/lecturer and new courses through
+// POST /api/courses (both restricted to admin/registrar); everything else lives here.
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Admin = require('../Models/Admins.js');
+const Student = require('../Models/Students.js');
+const Lecturer = require('../Models/Lecturers.js');
+const Course = require('../Models/Courses.js');
+const { COURSE_STATUSES } = require('../Models/Courses.js');
+const CourseVersion = require('../Models/CourseVersions.js');
+const Enrollment = require('../Models/Enrollments.js');
+const TeachingAssignment = require('../Models/TeachingAssignments.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { nextRegistrationNumber, escapeRegex } = require('../Services/IdentifierService.js');
+const { promoteAllTermsForCourse } = require('../Services/WaitlistService.js');
+const { findVenueConflicts } = require('../Services/TimetableService.js');
+const { removeLecturerAssignments } = require('../Services/TeachingAssignmentService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+
+// Fields an administrator may change through the update routes
+const STUDENT_UPDATABLE_FIELDS = ['name', 'department', 'phoneNumber', 'email', 'address', 'password', 'level', 'advisor',
+    'programme', 'programmeDuration', 'entryAcademicYear', 'expectedGraduationYear', 'academicStanding'];
+const LECTURER_UPDATABLE_FIELDS = ['name', 'department', 'phoneNumber', 'email', 'address', 'password', 'position',
+    'qualifications', 'coursesTaught', 'dateOfEmployment', 'officeLocation', 'researchInterests'];
+const COURSE_UPDATABLE_FIELDS = ['title', 'department', 'credits', 'description', 'prerequisites', 'semester', 'capacity', 'schedule'];
+
+// Lecturers are assigned per term through /api/teaching-assignments (Course.lecturers is derived from them)
+const LECTURERS_NOT_UPDATABLE = 'Lecturers are assigned per term. Use POST /api/teaching-assignments instead.';
+
+const staffOnly = [AllProtection, authorizeRoles('admin', 'registrar')];
+const adminOnly = [AllProtection, authorizeRoles('admin')];
+
+// Copies the whitelisted fields from the body onto a document
+const applyUpdates = (doc, body, fields) => {
+    for (const field of fields) {
+        if (body[field] !== undefined) {
+            doc[field] = body[field];
+        }
+    }
+};
+
+// Shared error handling for the create/update routes
+const handleWriteError = (res, error, label) => {
+    if (error.code === 11000) { // MongoDB duplicate key error
+        const field = Object.keys(error.keyValue || {})[0] || 'unique field';
+        return res.status(409).json({ message: `A ${label} with this ${field} already exists.` });
+    }
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (error.name === 'CastError') {
+        return res.status(400).json({ message: `Invalid ${label} ID.` });
+    }
+    return res.status(500).json({ message: `Server error while saving ${label}.` });
+};
+
+// Builds a handler that suspends or reactivates an account (students, lecturers, staff)
+const setAccountStatus = (Model, label, paramName, accountStatus) => async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params[paramName])) {
+        return res.status(400).json({ message: `Invalid ${label.toLowerCase()} ID.` });
+    }
+
+    try {
+        const account = await Model.findByIdAndUpdate(
+            req.params[paramName],
+            { accountStatus },
+            { new: true }
+        ).select('-password -__v');
+
+        if (!account) {
+            return res.status(404).json({ message: `${label} not found.` });
+        }
+
+        res.status(200).json({
+            message: `${label} ${accountStatus === 'suspended' ? 'suspended' : 'reactivated'} successfully.`,
+            [label.toLowerCase()]: account
+        });
+
+    } catch (error) {
+        console.error(`Error updating ${label.toLowerCase()} account status:`, error);
+        res.status(500).json({ message: `Server error while updating ${label.toLowerCase()} account status.` });
+    }
+};
+
+
+// ===================== STUDENTS =====================
+
+// GET /api/admin/students
+// Optional query parameters: department, accountStatus, academicStanding, level, name, page, limit
+router.get('/api/admin/students', ...staffOnly, async (req, res) => {
+    const { department, accountStatus, academicStanding, level, name } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        let query = {};
+        if (department) query.department = { $regex: new RegExp(escapeRegex(department), 'i') };
+        if (accountStatus) query.accountStatus = accountStatus;
+        if (academicStanding) query.academicStanding = academicStanding;
+        if (level) query.level = Number(level);
+        if (name) query.name = { $regex: new RegExp(escapeRegex(name), 'i') };
+
+        const [students, totalStudents] = await Promise.all([
+            Student.find(query)
+                .select('-password -__v')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Student.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            message: 'Students retrieved successfully.',
+            totalStudents: totalStudents,
+            page: page,
+            limit: limit,
+            students: students
+        });
+
+    } catch (error) {
+        console.error('Error listing students:', error);
+        res.status(500).json({ message: 'Server error while listing students.' });
+    }
+});
+
+// POST /api/admin/students
+// Creates a student account with a generated registration number.
+router.post('/api/admin/students', ...staffOnly, async (req, res) => {
+    const { name, department, phoneNumber, email, address, password, level, advisor,
+        programme, programmeDuration, entryAcademicYear, expectedGraduationYear } = req.body;
+
+    if (!name || !department || !phoneNumber || !email || !address || !password) {
+        return res.status(400).json({ message: 'All fields are required.' });
+    }
+
+    try {
+        // The department can be given by name, code or id; it must exist
+        const studentDepartment = await findDepartment(department);
+        if (!studentDepartment) {
+            return res.status(400).json({ message: `Department '${department}' does not exist.` });
+        }
+
+        const registrationNumber = await nextRegistrationNumber(studentDepartment.code);
+
+        const newStudent = new Student({
+            name,
+            department: studentDepartment.name,
+            phoneNumber,
+            email,
+            address,
+            password, // Password will be hashed by the pre-save hook
+            registrationNumber,
+            level, // optional, defaults to 100
+            advisor,
+            programme,
+            programmeDuration, // optional, defaults to 4 years
+            entryAcademicYear, // optional, defaults to the current session
+            expectedGraduationYear // optional, worked out from the entry session and programme duration
+        });
+
+        await newStudent.save();
+
+        const studentResponse = newStudent.toObject();
+        delete studentResponse.password;
+        delete studentResponse.__v;
+
+        res.status(201).json({
+            message: 'Student created successfully!',
+            student: studentResponse
+        });
+
+    } catch (error) {
+        console.error('Error creating student:', error);
+        handleWriteError(res, error, 'student');
+    }
+});
+
+// PUT /api/admin/students/:studentId
+router.put('/api/admin/students/:studentId', ...staffOnly, async (req, res) => {
+    try {
+        const student = await Student.findById(req.params.studentId);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        applyUpdates(student, req.body, STUDENT_UPDATABLE_FIELDS);
+        await student.save(); // save() so a new password is hashed by the pre-save hook
+
+        const studentResponse = student.toObject();
+        delete studentResponse.password;
+        delete studentResponse.__v;
+
+        res.status(200).json({
+            message: 'Student updated successfully.',
+            student: studentResponse
+        });
+
+    } catch (error) {
+        console.error('Error updating student:', error);
+        handleWriteError(res, error, 'student');
+    }
+});
+
+// PATCH /api/admin/students/:studentId/suspend
+// PATCH /api/admin/students/:studentId/reactivate
+router.patch('/api/admin/students/:studentId/suspend', ...staffOnly, setAccountStatus(Student, 'Student', 'studentId', 'suspended'));
+router.patch('/api/admin/students/:studentId/reactivate', ...staffOnly, setAccountStatus(Student, 'Student', 'studentId', 'active'));
+
+// DELETE /api/admin/students/:studentId
+// Students with academic records cannot be deleted; suspend them instead.
+router.delete('/api/admin/students/:studentId', ...adminOnly, async (req, res) => {
+    const { studentId } = req.params;
+
+    try {
+        const student = await Student.findById(studentId);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const enrollmentCount = await Enrollment.countDocuments({ student: studentId });
+        if (enrollmentCount > 0) {
+            return res.status(409).json({ message: `Student has ${enrollmentCount} enrollment record(s) and cannot be deleted. Suspend the account instead.` });
+        }
+
+        await student.deleteOne();
+
+        res.status(200).json({ message: 'Student deleted successfully.' });
+
+    } catch (error) {
+        console.error('Error deleting student:', error);
+        res.status(500).json({ message: 'Server error while deleting student.' });
+    }
+});
+
+
+// ===================== LECTURERS =====================
+
+// GET /api/admin/lecturers
+// Optional query parameters: department, accountStatus, name
+router.get('/api/admin/lecturers', ...staffOnly, async (req, res) => {
+    const { department, accountStatus, name } = req.query;
+
+    try {
+        let query = {};
+        if (department) query.department = { $regex: new RegExp(escapeRegex(department), 'i') };
+        if (accountStatus) query.accountStatus = accountStatus;
+        if (name) query.name = { $regex: new RegExp(escapeRegex(name), 'i') };
+
+        const lecturers = await Lecturer.find(query).select('-password -__v').sort({ name: 1 }).lean();
+
+        res.status(200).json({
+            message: 'Lecturers retrieved successfully.',
+            totalLecturers: lecturers.length,
+            lecturers: lecturers
+        });
+
+    } catch (error) {
+        console.error('Error listing lecturers:', error);
+        res.status(500).json({ message: 'Server error while listing lecturers.' });
+    }
+});
+
+// PUT /api/admin/lecturers/:lecturerId
+router.put('/api/admin/lecturers/:lecturerId', ...staffOnly, async (req, res) => {
+    try {
+        const lecturer = await Lecturer.findById(req.params.lecturerId);
+        if (!lecturer) {
+            return res.status(404).json({ message: 'Lecturer not found.' });
+        }
+
+        applyUpdates(lecturer, req.body, LECTURER_UPDATABLE_FIELDS);
+        await lecturer.save(); // save() so a new password is hashed by the pre-save hook
+
+        const lecturerResponse = lecturer.toObject();
+        delete lecturerResponse.password;
+        delete lecturerResponse.__v;
+
+        res.status(200).json({
+            message: 'Lecturer updated successfully.',
+            lecturer: lecturerResponse
+        });
+
+    } catch (error) {
+        console.error('Error updating lecturer:', error);
+        handleWriteError(res, error, 'lecturer');
+    }
+});
+
+// PATCH /api/admin/lecturers/:lecturerId/suspend
+// PATCH /api/admin/lecturers/:lecturerId/reactivate
+router.patch('/api/admin/lecturers/:lecturerId/suspend', ...staffOnly, setAccountStatus(Lecturer, 'Lecturer', 'lecturerId', 'suspended'));
+router.patch('/api/admin/lecturers/:lecturerId/reactivate', ...staffOnly, setAccountStatus(Lecturer, 'Lecturer', 'lecturerId', 'active'));
+
+// DELETE /api/admin/lecturers/:lecturerId
+// Also removes the lecturer's teaching assignments.
+router.delete('/api/admin/lecturers/:lecturerId', ...adminOnly, async (req, res) => {
+    const { lecturerId } = req.params;
+
+    try {
+        const lecturer = await Lecturer.findById(lecturerId);
+        if (!lecturer) {
+            return res.status(404).json({ message: 'Lecturer not found.' });
+        }
+
+        await removeLecturerAssignments(lecturerId);
+        await lecturer.deleteOne();
+
+        res.status(200).json({ message: 'Lecturer deleted successfully.' });
+
+    } catch (error) {
+        console.error('Error deleting lecturer:', error);
+        res.status(500).json({ message: 'Server error while deleting lecturer.' });
+    }
+});
+
+
+// ===================== COURSES =====================
+
+// GET /api/admin/courses
+// Optional query parameters: department, courseCode, status (active, archived, retired)
+router.get('/api/admin/courses', ...staffOnly, async (req, res) => {
+    const { department, courseCode, status } = req.query;
+
+    if (status && !COURSE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${COURSE_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        let query = {};
+        if (department) query.department = { $regex: new RegExp(escapeRegex(department), 'i') };
+        if (courseCode) query.courseCode = { $regex: new RegExp(escapeRegex(courseCode), 'i') };
+        if (status) query.status = status === 'active' ? { $nin: ['archived', 'retired'] } : status;
+
+        const courses = await Course.find(query)
+            .populate('lecturers', 'name email employeeId')
+            .populate('prerequisites', 'courseCode title')
+            .sort({ courseCode: 1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Courses retrieved successfully.',
+            totalCourses: courses.length,
+            courses: courses
+        });
+
+    } catch (error) {
+        console.error('Error listing courses:', error);
+        res.status(500).json({ message: 'Server error while listing courses.' });
+    }
+});
+
+// PUT /api/admin/courses/:courseId
+// Changes to the title, department, credits, description or prerequisites create a new catalogue version;
+// existing enrollments keep the credits they were registered under. Retired courses cannot be edited.
+// Body: any of COURSE_UPDATABLE_FIELDS, plus an optional "changeNote" recorded with the new version
+router.put('/api/admin/courses/:courseId', ...staffOnly, async (req, res) => {
+    const { lecturers, prerequisites, changeNote } = req.body;
+
+    if (lecturers !== undefined) {
+        return res.status(400).json({ message: LECTURERS_NOT_UPDATABLE });
+    }
+
+    try {
+        const course = await Course.findById(req.params.courseId);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+        if (course.status === 'retired') {
+            return res.status(409).json({ message: `${course.courseCode} is retired and can no longer be edited.` });
+        }
+
+        // Validate prerequisite course IDs if provided (a course cannot be its own prerequisite)
+        if (prerequisites && prerequisites.length > 0) {
+            if (prerequisites.map(String).includes(course._id.toString())) {
+                return res.status(400).json({ message: 'A course cannot be its own prerequisite.' });
+            }
+            const foundPrerequisites = await Course.find({ _id: { $in: prerequisites } });
+            if (foundPrerequisites.length !== prerequisites.length) {
+                return res.status(400).json({ message: 'One or more provided prerequisite course IDs are invalid.' });
+            }
+        }
+
+        const previousCapacity = course.capacity;
+        applyUpdates(course, req.body, COURSE_UPDATABLE_FIELDS);
+
+        // A venue cannot host two courses at the same time
+        if (req.body.schedule !== undefined || req.body.semester !== undefined) {
+            const venueConflicts = await findVenueConflicts(course.schedule, course);
+            if (venueConflicts.length > 0) {
+                return res.status(409).json({ message: 'One or more schedule sections double-book a venue.', venueConflicts });
+            }
+        }
+
+        course.recordCatalogueChange({ actor: req.user, note: changeNote });
+        await course.save();
+
+        // Raising the capacity frees seats for students on the waitlist
+        let promotedCount = 0;
+        if (course.capacity > previousCapacity) {
+            const promoted = await promoteAllTermsForCourse(course._id);
+            promotedCount = promoted.length;
+        }
+
+        res.status(200).json({
+            message: 'Course updated successfully.',
+            course: course,
+            promotedFromWaitlist: promotedCount
+        });
+
+    } catch (error) {
+        console.error('Error updating course:', error);
+        handleWriteError(res, error, 'course');
+    }
+});
+
+// Moves a course between catalogue statuses (see COURSE_STATUSES in Models/Courses.js)
+const setCourseStatus = (status, allowedFrom, verb) => async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.courseId)) {
+        return res.status(400).json({ message: 'Invalid course ID.' });
+    }
+
+    try {
+        const course = await Course.findById(req.params.courseId);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+        if (!allowedFrom.includes(course.status)) {
+            return res.status(409).json({ message: `${course.courseCode} is ${course.status} and cannot be ${verb}.` });
+        }
+
+        course.status = status;
+        course.statusChangedAt = new Date();
+        await course.save();
+
+        res.status(200).json({
+            message: `${course.courseCode} ${verb} successfully.`,
+            course: course
+        });
+
+    } catch (error) {
+        console.error(`Error updating course status to ${status}:`, error);
+        res.status(500).json({ message: 'Server error while updating course status.' });
+    }
+};
+
+// PATCH /api/admin/courses/:courseId/archive  - withdraw a course for now (no new registrations, hidden from search)
+// PATCH /api/admin/courses/:courseId/restore  - reopen an archived course
+// PATCH /api/admin/courses/:courseId/retire   - withdraw a course for good; existing enrollments and results are kept
+router.patch('/api/admin/courses/:courseId/archive', ...staffOnly, setCourseStatus('archived', ['active'], 'archived'));
+router.patch('/api/admin/courses/:courseId/restore', ...staffOnly, setCourseStatus('active', ['archived'], 'restored'));
+router.patch('/api/admin/courses/:courseId/retire', ...staffOnly, setCourseStatus('retired', ['active', 'archived'], 'retired'));
+
+// GET /api/admin/courses/:courseId/versions
+// The course's catalogue history, newest version first.
+router.get('/api/admin/courses/:courseId/versions', ...staffOnly, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.courseId).select('courseCode title version status').lean();
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+
+        const versions = await CourseVersion.find({ course: course._id })
+            .populate('prerequisites', 'courseCode title')
+            .sort({ version: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Course versions retrieved successfully.',
+            course: course,
+            versions: versions
+        });
+
+    } catch (error) {
+        console.error('Error fetching course versions:', error);
+        res.status(500).json({ message: 'Server error while fetching course versions.' });
+    }
+});
+
+// DELETE /api/admin/courses/:courseId
+// Courses with enrollment records cannot be deleted (retire them instead).
+router.delete('/api/admin/courses/:courseId', ...adminOnly, async (req, res) => {
+    const { courseId } = req.params;
+
+    try {
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+
+        const enrollmentCount = await Enrollment.countDocuments({ course: courseId });
+        if (enrollmentCount > 0) {
+            return res.status(409).json({ message: `Course has ${enrollmentCount} enrollment record(s) and cannot be deleted.` });
+        }
+
+        await Course.updateMany({ prerequisites: courseId }, { $pull: { prerequisites: courseId } });
+        await TeachingAssignment.deleteMany({ course: courseId });
+        await CourseVersion.deleteMany({ course: courseId });
+        await course.deleteOne();
+
+        res.status(200).json({ message: 'Course deleted successfully.' });
+
+    } catch (error) {
+        console.error('Error deleting course:', error);
+        res.status(500).json({ message: 'Server error while deleting course.' });
+    }
+});
+
+
+// ===================== STAFF ACCOUNTS =====================
+
+// GET /api/admin/staff
+router.get('/api/admin/staff', ...adminOnly, async (req, res) => {
+    try {
+        const staff = await Admin.find().select('-password -__v').sort({ name: 1 }).lean();
+
+        res.status(200).json({
+            message: 'Staff accounts retrieved successfully.',
+            totalStaff: staff.length,
+            staff: staff
+        });
+
+    } catch (error) {
+        console.error('Error listing staff accounts:', error);
+        res.status(500).json({ message: 'Server error while listing staff accounts.' });
+    }
+});
+
+// POST /api/admin/staff
+// Creates an admin, registrar or bursar account.
+router.post('/api/admin/staff', ...adminOnly, async (req, res) => {
+    const { name, email, phoneNumber, password, role } = req.body;
+
+    if (!name || !email || !password || !role) {
+        return res.status(400).json({ message: 'Name, email, password and role are required.' });
+    }
+
+    try {
+        const newAdmin = new Admin({ name, email, phoneNumber, password, role });
+        await newAdmin.save();
+
+        const adminResponse = newAdmin.toObject();
+        delete adminResponse.password;
+        delete adminResponse.__v;
+
+        res.status(201).json({
+            message: 'Staff account created successfully!',
+            admin: adminResponse
+        });
+
+    } catch (error) {
+        console.error('Error creating staff account:', error);
+        handleWriteError(res, error, 'staff account');
+    }
+});
+
+// PATCH /api/admin/staff/:adminId/suspend
+// PATCH /api/admin/staff/:adminId/reactivate
+router.patch('/api/admin/staff/:adminId/suspend', ...adminOnly, (req, res, next) => {
+    if (req.params.adminId === req.user.id) {
+        return res.status(400).json({ message: 'You cannot suspend your own account.' });
+    }
+    next();
+}, setAccountStatus(Admin, 'Admin', 'adminId', 'suspended'));
+router.patch('/api/admin/staff/:adminId/reactivate', ...adminOnly, setAccountStatus(Admin, 'Admin', 'adminId', 'active'));
+
+
+module.exports = router;
@@ -0,0 +1,305 @@
+// routes/creditLoadRoutes.js
+// Credit-load policies (minimum / maximum credits per term by department and level) and
+// per-student overload approvals. The limits are enforced by POST /api/enrollments in Registration.js.
+
+const express = require('express');
+const router = express.Router();
+const CreditLoadPolicy = require('../Models/CreditLoadPolicies.js');
+const CreditOverload = require('../Models/CreditOverloads.js');
+const Student = require('../Models/Students.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { resolveCreditLoadPolicy, getCreditLoad, describeCreditLoad } = require('../Services/CreditLoadService.js');
+const { escapeRegex } = require('../Services/IdentifierService.js');
+
+// Lecturers may only manage overloads for the students they advise
+const isAdvisorOf = (user, student) =>
+    user.role === 'lecturer' && student.advisor && student.advisor.toString() === user.id;
+
+const canManageOverloads = (user, student) =>
+    ['admin', 'registrar'].includes(user.role) || isAdvisorOf(user, student);
+
+
+// GET /api/credit-load-policies
+// Lists active credit-load policies. Optional query parameters: department, level
+// Access: any logged-in user
+router.get('/api/credit-load-policies', AllProtection, async (req, res) => {
+    const { department, level } = req.query;
+
+    try {
+        let query = { isActive: true };
+        if (department) query.department = { $regex: new RegExp(escapeRegex(department), 'i') };
+        if (level) query.level = Number(level);
+
+        const policies = await CreditLoadPolicy.find(query).sort({ department: 1, level: 1 }).lean();
+
+        res.status(200).json({
+            message: 'Credit-load policies retrieved successfully.',
+            totalPolicies: policies.length,
+            policies: policies
+        });
+
+    } catch (error) {
+        console.error('Error fetching credit-load policies:', error);
+        res.status(500).json({ message: 'Server error while fetching credit-load policies.' });
+    }
+});
+
+
+// POST /api/credit-load-policies
+// Sets the credit limits for a department and/or level. An existing active policy for the same
+// department and level is retired, so this is also how a policy is changed.
+//
+// Request Body Example:
+// {
+//     "department": "Computer Science", // optional; omit for every department
+//     "level": 100,                     // optional; omit for every level
+//     "minCredits": 15,
+//     "maxCredits": 24
+// }
+// Access: admin, registrar
+router.post('/api/credit-load-policies', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { department, level, minCredits, maxCredits } = req.body;
+
+    if (minCredits === undefined || maxCredits === undefined) {
+        return res.status(400).json({ message: 'minCredits and maxCredits are required.' });
+    }
+
+    try {
+        const target = {
+            department: department || null,
+            level: level ? Number(level) : null
+        };
+
+        // Retire the policy currently in force for this department/level (if any)
+        await CreditLoadPolicy.updateMany({ ...target, isActive: true }, { $set: { isActive: false } });
+
+        const policy = new CreditLoadPolicy({
+            ...target,
+            minCredits,
+            maxCredits,
+            createdBy: req.user.id
+        });
+        await policy.save();
+
+        res.status(201).json({
+            message: 'Credit-load policy saved successfully.',
+            policy: policy
+        });
+
+    } catch (error) {
+        console.error('Error saving credit-load policy:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error while saving credit-load policy.' });
+    }
+});
+
+
+// DELETE /api/credit-load-policies/:policyId
+// Retires a policy; students it covered fall back to the next most specific one.
+// Access: admin, registrar
+router.delete('/api/credit-load-policies/:policyId', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    try {
+        const policy = await CreditLoadPolicy.findOneAndUpdate(
+            { _id: req.params.policyId, isActive: true },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+
+        if (!policy) {
+            return res.status(404).json({ message: 'Active credit-load policy not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Credit-load policy retired successfully.',
+            policy: policy
+        });
+
+    } catch (error) {
+        console.error('Error retiring credit-load policy:', error);
+        res.status(500).json({ message: 'Server error while retiring credit-load policy.' });
+    }
+});
+
+
+// GET /api/credit-load/student/:studentId
+// A student's registered credits and limits for a term.
+// Optional query parameters: termId, or academicYear + semester (defaults to the current term)
+// Access: the student themself, lecturers, admin, registrar
+router.get('/api/credit-load/student/:studentId', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { studentId } = req.params;
+    const { termId, academicYear, semester } = req.query;
+
+    try {
+        const student = await Student.findById(studentId).select('name department level').lean();
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const creditLoad = await getCreditLoad(student, term);
+
+        res.status(200).json({
+            message: 'Credit load retrieved successfully.',
+            student: student,
+            term: { _id: term._id, academicYear: term.academicYear, semester: term.semester },
+            ...describeCreditLoad(creditLoad),
+            overload: creditLoad.overload
+        });
+
+    } catch (error) {
+        console.error('Error fetching credit load:', error);
+        res.status(500).json({ message: 'Server error while fetching credit load.' });
+    }
+});
+
+
+// GET /api/credit-overloads
+// Optional query parameters: studentId, termId, includeRevoked=true
+// Lecturers only see overloads of the students they advise.
+// Access: lecturers (advisors), admin, registrar
+router.get('/api/credit-overloads', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { studentId, termId, includeRevoked } = req.query;
+
+    try {
+        let query = {};
+        if (studentId) query.student = studentId;
+        if (termId) query.term = termId;
+        if (includeRevoked !== 'true') query.revokedAt = null;
+
+        if (req.user.role === 'lecturer') {
+            const advisees = await Student.find({ advisor: req.user.id }).distinct('_id');
+            query.student = studentId
+                ? { $in: advisees.filter(id => id.toString() === studentId) }
+                : { $in: advisees };
+        }
+
+        const overloads = await CreditOverload.find(query)
+            .populate('student', 'name registrationNumber department level')
+            .populate('term', 'academicYear semester')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Credit overloads retrieved successfully.',
+            totalOverloads: overloads.length,
+            overloads: overloads
+        });
+
+    } catch (error) {
+        console.error('Error fetching credit overloads:', error);
+        res.status(500).json({ message: 'Server error while fetching credit overloads.' });
+    }
+});
+
+
+// POST /api/credit-overloads
+// Approves a higher maximum load for one student in one term. A previous approval for the same
+// term is revoked and replaced.
+//
+// Request Body Example:
+// {
+//     "studentId": "...",
+//     "termId": "...",          // optional; defaults to the current term
+//     "maxCredits": 30,
+//     "reason": "Final-year student with a CGPA above 4.0"
+// }
+// Access: the student's advisor (lecturer), admin, registrar
+router.post('/api/credit-overloads', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { studentId, termId, maxCredits, reason } = req.body;
+
+    if (!studentId || !maxCredits || !reason) {
+        return res.status(400).json({ message: 'Student ID, maxCredits and reason are required.' });
+    }
+
+    try {
+        const student = await Student.findById(studentId);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+        if (!canManageOverloads(req.user, student)) {
+            return res.status(403).json({ message: 'Forbidden: Only the student\'s advisor, admin or registrar can approve an overload.' });
+        }
+
+        const term = await resolveTerm({ termId });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const policy = await resolveCreditLoadPolicy(student);
+        if (Number(maxCredits) <= policy.maxCredits) {
+            return res.status(400).json({ message: `maxCredits must be above the student's normal maximum of ${policy.maxCredits}.` });
+        }
+
+        // Replace the approval currently in force for this term (if any)
+        await CreditOverload.updateMany(
+            { student: studentId, term: term._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: req.user.id } }
+        );
+
+        const overload = new CreditOverload({
+            student: studentId,
+            term: term._id,
+            maxCredits,
+            reason,
+            approvedBy: req.user.id,
+            approvedByRole: req.user.role
+        });
+        await overload.save();
+
+        res.status(201).json({
+            message: `Credit overload of up to ${overload.maxCredits} credits approved for ${term.semester} ${term.academicYear}.`,
+            overload: overload
+        });
+
+    } catch (error) {
+        console.error('Error approving credit overload:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error while approving credit overload.' });
+    }
+});
+
+
+// DELETE /api/credit-overloads/:overloadId
+// Revokes an overload approval. The record is kept for auditing. Existing enrollments are not affected.
+// Access: the student's advisor (lecturer), admin, registrar
+router.delete('/api/credit-overloads/:overloadId', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    try {
+        const overload = await CreditOverload.findOne({ _id: req.params.overloadId, revokedAt: null });
+        if (!overload) {
+            return res.status(404).json({ message: 'Active credit overload not found.' });
+        }
+
+        const student = await Student.findById(overload.student).select('advisor').lean();
+        if (!student || !canManageOverloads(req.user, student)) {
+            return res.status(403).json({ message: 'Forbidden: Only the student\'s advisor, admin or registrar can revoke an overload.' });
+        }
+
+        overload.revokedAt = new Date();
+        overload.revokedBy = req.user.id;
+        await overload.save();
+
+        res.status(200).json({
+            message: 'Credit overload revoked successfully.',
+            overload: overload
+        });
+
+    } catch (error) {
+        console.error('Error revoking credit overload:', error);
+        res.status(500).json({ message: 'Server error while revoking credit overload.' });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,242 @@
+// routes/degreeAuditRoutes.js
+// Programme requirements per department and the degree audit built on them: what a student has
+// satisfied, what is outstanding and whether they can graduate, for one student or a graduating class.
+
+const express = require('express');
+const router = express.Router();
+const { stringify } = require('csv-stringify');
+const ProgrammeRequirement = require('../Models/ProgrammeRequirements.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { normalizeAcademicYear } = require('../Services/AcademicTermService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const {
+    populateRequirement,
+    auditStudent,
+    auditGraduatingClass,
+    graduatingClassToRecords,
+    setProgrammeRequirement
+} = require('../Services/DegreeAuditService.js');
+
+const staffOnly = [AllProtection, authorizeRoles('admin', 'registrar')];
+
+
+// GET /api/programme-requirements
+// Active requirements. Optional query parameters: department (name, code or id), programme,
+// includeInactive=true (also retired versions)
+// Access: any logged-in user
+router.get('/api/programme-requirements', AllProtection, async (req, res) => {
+    const { department, programme, includeInactive } = req.query;
+
+    try {
+        let query = includeInactive === 'true' ? {} : { isActive: true };
+        if (department) {
+            const requirementDepartment = await findDepartment(department);
+            if (!requirementDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+            query.department = requirementDepartment._id;
+        }
+        if (programme) query.programme = programme;
+
+        const requirements = await populateRequirement(ProgrammeRequirement.find(query))
+            .sort({ isActive: -1, createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Programme requirements retrieved successfully.',
+            totalRequirements: requirements.length,
+            requirements: requirements
+        });
+
+    } catch (error) {
+        console.error('Error fetching programme requirements:', error);
+        res.status(500).json({ message: 'Server error while fetching programme requirements.' });
+    }
+});
+
+// POST /api/programme-requirements
+// Sets the graduation requirements of a department, or of one of its programmes. The requirements in
+// force for the same department/programme are retired, so this is also how they are changed.
+// Body example:
+// {
+//     "department": "Computer Science",          // name, code or id
+//     "programme": "B.Sc. Computer Science",     // optional; omit for every programme of the department
+//     "minCredits": 150,
+//     "minCgpa": 1.0,                            // optional, defaults to 1.0
+//     "requiredCourses": ["<courseId>", "..."],
+//     "electiveGroups": [
+//         { "name": "Group A electives", "courses": ["<courseId>", "..."], "minCourses": 2, "minCredits": 6 }
+//     ]
+// }
+// Access: admin, registrar
+router.post('/api/programme-requirements', ...staffOnly, async (req, res) => {
+    const { department, programme, minCredits, minCgpa, requiredCourses, electiveGroups } = req.body;
+
+    if (!department || minCredits === undefined) {
+        return res.status(400).json({ message: 'Department and minCredits are required.' });
+    }
+    if ((requiredCourses !== undefined && !Array.isArray(requiredCourses)) ||
+        (electiveGroups !== undefined && !Array.isArray(electiveGroups))) {
+        return res.status(400).json({ message: 'requiredCourses and electiveGroups must be arrays.' });
+    }
+    if ((electiveGroups || []).some(group => !group || !Array.isArray(group.courses))) {
+        return res.status(400).json({ message: 'Every elective group needs a courses array.' });
+    }
+
+    try {
+        const requirementDepartment = await findDepartment(department);
+        if (!requirementDepartment) {
+            return res.status(404).json({ message: `Department '${department}' does not exist.` });
+        }
+
+        const result = await setProgrammeRequirement({
+            department: requirementDepartment,
+            programme,
+            minCredits,
+            minCgpa,
+            requiredCourses,
+            electiveGroups,
+            actor: req.user
+        });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(201).json({
+            message: result.replaced
+                ? 'Programme requirements updated. The previous requirements were retired.'
+                : 'Programme requirements created successfully!',
+            requirement: result.requirement
+        });
+
+    } catch (error) {
+        console.error('Error saving programme requirements:', error);
+        if (error.code === 11000) { // Someone else saved requirements for the same department/programme
+            return res.status(409).json({ message: 'Requirements for this department and programme were just changed. Please reload and try again.' });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid course ID.' });
+        }
+        res.status(500).json({ message: 'Server error while saving programme requirements.' });
+    }
+});
+
+// DELETE /api/programme-requirements/:requirementId
+// Retires requirements (they stay in the history); students then fall back to the department-wide ones.
+// Access: admin, registrar
+router.delete('/api/programme-requirements/:requirementId', ...staffOnly, async (req, res) => {
+    try {
+        const requirement = await ProgrammeRequirement.findOneAndUpdate(
+            { _id: req.params.requirementId, isActive: true },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+        if (!requirement) {
+            return res.status(404).json({ message: 'Active programme requirements not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Programme requirements retired.',
+            requirement: requirement
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid requirement ID.' });
+        }
+        console.error('Error retiring programme requirements:', error);
+        res.status(500).json({ message: 'Server error while retiring programme requirements.' });
+    }
+});
+
+// GET /api/students/:studentId/degree-audit
+// Required courses, elective pools, credits, CGPA and level checked against the student's published results.
+// Students do not see results of terms on financial hold; those terms are left out and listed in financialHolds.
+// Access: the student themselves, lecturers, admin, registrar
+router.get('/api/students/:studentId/degree-audit', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'lecturer', 'admin', 'registrar'), async (req, res) => {
+    try {
+        const result = await auditStudent(req.params.studentId, { applyFinancialHolds: req.user.role === 'student' });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({ message: result.error.message });
+        }
+
+        res.status(200).json({
+            message: result.audit.eligible
+                ? 'The student meets every graduation requirement.'
+                : `The student has ${result.audit.outstanding.length} outstanding requirement(s).` +
+                  (result.holds.length > 0 ? ` Results of ${result.holds.length} term(s) are withheld until fees are paid.` : ''),
+            audit: result.audit,
+            financialHolds: result.holds
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student ID.' });
+        }
+        console.error('Error running degree audit:', error);
+        res.status(500).json({ message: 'Server error while running degree audit.' });
+    }
+});
+
+// GET /api/degree-audits
+// Batch audit of a graduating class.
+// Optional query parameters: department (name, code or id), programme, expectedGraduationYear
+// (defaults to every student at the final level of their programme), eligible=true|false, format=json|csv
+// Example: GET /api/degree-audits?department=CSC&expectedGraduationYear=2025-2026&format=csv
+// Access: admin, registrar
+router.get('/api/degree-audits', ...staffOnly, async (req, res) => {
+    const { department, programme, expectedGraduationYear, eligible, format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ message: 'format must be one of: json, csv.' });
+    }
+
+    try {
+        let auditDepartment = null;
+        if (department) {
+            auditDepartment = await findDepartment(department);
+            if (!auditDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+        }
+
+        const graduationYear = normalizeAcademicYear(expectedGraduationYear);
+        const result = await auditGraduatingClass({ department: auditDepartment, programme, expectedGraduationYear: graduationYear });
+        if (eligible === 'true' || eligible === 'false') {
+            result.audits = result.audits.filter(audit => audit.eligible === (eligible === 'true'));
+        }
+
+        if (format === 'csv') {
+            return stringify(graduatingClassToRecords(result), (err, output) => {
+                if (err) {
+                    console.error('Error generating CSV:', err);
+                    return res.status(500).json({ message: 'Failed to generate CSV file.' });
+                }
+                res.header('Content-Type', 'text/csv');
+                res.attachment(`degree_audit_${auditDepartment ? auditDepartment.code : 'all'}_${graduationYear || 'final_level'}.csv`);
+                res.send(output);
+            });
+        }
+
+        res.status(200).json({
+            message: `${result.eligibleCount} of ${result.totalStudents} student(s) are eligible to graduate.`,
+            totalStudents: result.totalStudents,
+            eligibleCount: result.eligibleCount,
+            audits: result.audits
+        });
+
+    } catch (error) {
+        console.error('Error running batch degree audit:', error);
+        res.status(500).json({ message: 'Server error while running batch degree audit.' });
+    }
+});
+
+module.exports = router;
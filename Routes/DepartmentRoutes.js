@@ -0,0 +1,413 @@
+// routes/departmentRoutes.js
+// Faculties and departments. Students, lecturers and courses reference their department through
+// `departmentId` (see Services/DepartmentService.js); a department's code is used in new registration
+// numbers and employee IDs, and its head of department (hod) approves its courses' results.
+
+const express = require('express');
+const router = express.Router();
+const Faculty = require('../Models/Faculties.js');
+const Department = require('../Models/Departments.js');
+const Lecturer = require('../Models/Lecturers.js');
+const Student = require('../Models/Students.js');
+const Course = require('../Models/Courses.js');
+const ProgrammeRequirement = require('../Models/ProgrammeRequirements.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { NAME_COLLATION } = require('../Services/DepartmentService.js');
+
+const staffOnly = [AllProtection, authorizeRoles('admin', 'registrar')];
+const adminOnly = [AllProtection, authorizeRoles('admin')];
+
+// Shared error handling for the create/update routes
+const handleWriteError = (res, error, label) => {
+    if (error.code === 11000) { // MongoDB duplicate key error
+        const field = Object.keys(error.keyValue || {})[0] || 'unique field';
+        return res.status(409).json({ message: `A ${label} with this ${field} already exists.` });
+    }
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (error.name === 'CastError') {
+        return res.status(400).json({ message: `Invalid ${label} ID.` });
+    }
+    return res.status(500).json({ message: `Server error while saving ${label}.` });
+};
+
+// Returns an error message if the name is already used by another document (case-insensitive), otherwise null
+const findNameConflict = async (Model, name, label, ignoreId) => {
+    let query = { name: String(name).trim() };
+    if (ignoreId) query._id = { $ne: ignoreId };
+    const existing = await Model.findOne(query).collation(NAME_COLLATION).lean();
+    return existing ? `A ${label} named '${existing.name}' already exists.` : null;
+};
+
+// Checks that a dean / head of department id (null clears it) belongs to a lecturer
+const lecturerExists = async (lecturerId) => lecturerId === null || Boolean(await Lecturer.exists({ _id: lecturerId }));
+
+
+// ===================== FACULTIES =====================
+
+// GET /api/faculties
+// Access: any logged-in user
+router.get('/api/faculties', AllProtection, async (req, res) => {
+    try {
+        const faculties = await Faculty.find()
+            .populate('dean', 'name email employeeId')
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Faculties retrieved successfully.',
+            totalFaculties: faculties.length,
+            faculties: faculties
+        });
+
+    } catch (error) {
+        console.error('Error fetching faculties:', error);
+        res.status(500).json({ message: 'Server error while fetching faculties.' });
+    }
+});
+
+// GET /api/faculties/:facultyId
+// Returns the faculty with its departments.
+// Access: any logged-in user
+router.get('/api/faculties/:facultyId', AllProtection, async (req, res) => {
+    try {
+        const faculty = await Faculty.findById(req.params.facultyId)
+            .populate('dean', 'name email employeeId')
+            .lean();
+        if (!faculty) {
+            return res.status(404).json({ message: 'Faculty not found.' });
+        }
+
+        const departments = await Department.find({ faculty: faculty._id })
+            .populate('hod', 'name email employeeId')
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Faculty retrieved successfully.',
+            faculty: { ...faculty, departments }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid faculty ID.' });
+        }
+        console.error('Error fetching faculty:', error);
+        res.status(500).json({ message: 'Server error while fetching faculty.' });
+    }
+});
+
+// POST /api/admin/faculties
+// Body example:
+// {
+//     "name": "Faculty of Science",
+//     "code": "SCI",
+//     "dean": "<lecturerId>" // optional
+// }
+// Access: admin, registrar
+router.post('/api/admin/faculties', ...staffOnly, async (req, res) => {
+    const { name, code, dean } = req.body;
+
+    if (!name || !code) {
+        return res.status(400).json({ message: 'Faculty name and code are required.' });
+    }
+
+    try {
+        const conflict = await findNameConflict(Faculty, name, 'faculty');
+        if (conflict) {
+            return res.status(409).json({ message: conflict });
+        }
+        if (dean !== undefined && !(await lecturerExists(dean))) {
+            return res.status(400).json({ message: 'Dean must be an existing lecturer.' });
+        }
+
+        const faculty = new Faculty({ name, code, dean: dean || null });
+        await faculty.save();
+
+        res.status(201).json({
+            message: 'Faculty created successfully!',
+            faculty: faculty
+        });
+
+    } catch (error) {
+        console.error('Error creating faculty:', error);
+        handleWriteError(res, error, 'faculty');
+    }
+});
+
+// PUT /api/admin/faculties/:facultyId
+// Body: any of name, code, dean (null removes the dean)
+// Access: admin, registrar
+router.put('/api/admin/faculties/:facultyId', ...staffOnly, async (req, res) => {
+    const { name, code, dean } = req.body;
+
+    try {
+        const faculty = await Faculty.findById(req.params.facultyId);
+        if (!faculty) {
+            return res.status(404).json({ message: 'Faculty not found.' });
+        }
+
+        if (name !== undefined) {
+            const conflict = await findNameConflict(Faculty, name, 'faculty', faculty._id);
+            if (conflict) {
+                return res.status(409).json({ message: conflict });
+            }
+            faculty.name = name;
+        }
+        if (code !== undefined) faculty.code = code;
+        if (dean !== undefined) {
+            if (!(await lecturerExists(dean))) {
+                return res.status(400).json({ message: 'Dean must be an existing lecturer.' });
+            }
+            faculty.dean = dean;
+        }
+
+        await faculty.save();
+
+        res.status(200).json({
+            message: 'Faculty updated successfully.',
+            faculty: faculty
+        });
+
+    } catch (error) {
+        console.error('Error updating faculty:', error);
+        handleWriteError(res, error, 'faculty');
+    }
+});
+
+// DELETE /api/admin/faculties/:facultyId
+// Only a faculty without departments can be deleted.
+// Access: admin
+router.delete('/api/admin/faculties/:facultyId', ...adminOnly, async (req, res) => {
+    try {
+        const faculty = await Faculty.findById(req.params.facultyId);
+        if (!faculty) {
+            return res.status(404).json({ message: 'Faculty not found.' });
+        }
+
+        const departmentCount = await Department.countDocuments({ faculty: faculty._id });
+        if (departmentCount > 0) {
+            return res.status(409).json({ message: `Faculty still has ${departmentCount} department(s). Move or delete them first.` });
+        }
+
+        await faculty.deleteOne();
+
+        res.status(200).json({ message: 'Faculty deleted successfully.' });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid faculty ID.' });
+        }
+        console.error('Error deleting faculty:', error);
+        res.status(500).json({ message: 'Server error while deleting faculty.' });
+    }
+});
+
+
+// ===================== DEPARTMENTS =====================
+
+// GET /api/departments
+// Optional query parameters: facultyId
+// Access: any logged-in user
+router.get('/api/departments', AllProtection, async (req, res) => {
+    const { facultyId } = req.query;
+
+    try {
+        let query = {};
+        if (facultyId) query.faculty = facultyId;
+
+        const departments = await Department.find(query)
+            .populate('faculty', 'name code')
+            .populate('hod', 'name email employeeId')
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Departments retrieved successfully.',
+            totalDepartments: departments.length,
+            departments: departments
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid faculty ID.' });
+        }
+        console.error('Error fetching departments:', error);
+        res.status(500).json({ message: 'Server error while fetching departments.' });
+    }
+});
+
+// GET /api/departments/:departmentId
+// Returns the department with its number of students, lecturers and courses.
+// Access: any logged-in user
+router.get('/api/departments/:departmentId', AllProtection, async (req, res) => {
+    try {
+        const department = await Department.findById(req.params.departmentId)
+            .populate('faculty', 'name code')
+            .populate('hod', 'name email employeeId')
+            .lean();
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found.' });
+        }
+
+        const [students, lecturers, courses] = await Promise.all([
+            Student.countDocuments({ departmentId: department._id }),
+            Lecturer.countDocuments({ departmentId: department._id }),
+            Course.countDocuments({ departmentId: department._id })
+        ]);
+
+        res.status(200).json({
+            message: 'Department retrieved successfully.',
+            department: { ...department, counts: { students, lecturers, courses } }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid department ID.' });
+        }
+        console.error('Error fetching department:', error);
+        res.status(500).json({ message: 'Server error while fetching department.' });
+    }
+});
+
+// POST /api/admin/departments
+// Body example:
+// {
+//     "name": "Computer Science",
+//     "code": "CSC",                // used in new registration numbers and employee IDs
+//     "faculty": "<facultyId>",     // optional
+//     "hod": "<lecturerId>"         // optional
+// }
+// Access: admin, registrar
+router.post('/api/admin/departments', ...staffOnly, async (req, res) => {
+    const { name, code, faculty, hod } = req.body;
+
+    if (!name || !code) {
+        return res.status(400).json({ message: 'Department name and code are required.' });
+    }
+
+    try {
+        const conflict = await findNameConflict(Department, name, 'department');
+        if (conflict) {
+            return res.status(409).json({ message: conflict });
+        }
+        if (faculty && !(await Faculty.exists({ _id: faculty }))) {
+            return res.status(400).json({ message: 'Faculty not found.' });
+        }
+        if (hod !== undefined && !(await lecturerExists(hod))) {
+            return res.status(400).json({ message: 'Head of department must be an existing lecturer.' });
+        }
+
+        const department = new Department({ name, code, faculty: faculty || null, hod: hod || null });
+        await department.save();
+
+        res.status(201).json({
+            message: 'Department created successfully!',
+            department: department
+        });
+
+    } catch (error) {
+        console.error('Error creating department:', error);
+        handleWriteError(res, error, 'department');
+    }
+});
+
+// PUT /api/admin/departments/:departmentId
+// Body: any of name, code, faculty, hod (null removes the faculty or head of department)
+// A new name is copied to the department's students, lecturers and courses. A new code only applies
+// to registration numbers and employee IDs issued from now on.
+// Access: admin, registrar
+router.put('/api/admin/departments/:departmentId', ...staffOnly, async (req, res) => {
+    const { name, code, faculty, hod } = req.body;
+
+    try {
+        const department = await Department.findById(req.params.departmentId);
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found.' });
+        }
+
+        if (name !== undefined) {
+            const conflict = await findNameConflict(Department, name, 'department', department._id);
+            if (conflict) {
+                return res.status(409).json({ message: conflict });
+            }
+            department.name = name;
+        }
+        if (code !== undefined) department.code = code;
+        if (faculty !== undefined) {
+            if (faculty !== null && !(await Faculty.exists({ _id: faculty }))) {
+                return res.status(400).json({ message: 'Faculty not found.' });
+            }
+            department.faculty = faculty;
+        }
+        if (hod !== undefined) {
+            if (!(await lecturerExists(hod))) {
+                return res.status(400).json({ message: 'Head of department must be an existing lecturer.' });
+            }
+            department.hod = hod;
+        }
+
+        const renamed = department.isModified('name');
+        await department.save();
+
+        if (renamed) {
+            // Direct updates: a rename is not a change to any course's catalogue entry
+            const rename = { $set: { department: department.name } };
+            await Promise.all([
+                Student.updateMany({ departmentId: department._id }, rename),
+                Lecturer.updateMany({ departmentId: department._id }, rename),
+                Course.updateMany({ departmentId: department._id }, rename)
+            ]);
+        }
+
+        res.status(200).json({
+            message: 'Department updated successfully.',
+            department: department
+        });
+
+    } catch (error) {
+        console.error('Error updating department:', error);
+        handleWriteError(res, error, 'department');
+    }
+});
+
+// DELETE /api/admin/departments/:departmentId
+// Only a department without students, lecturers, courses or programme requirements can be deleted.
+// Access: admin
+router.delete('/api/admin/departments/:departmentId', ...adminOnly, async (req, res) => {
+    try {
+        const department = await Department.findById(req.params.departmentId);
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found.' });
+        }
+
+        const [students, lecturers, courses, programmeRequirements] = await Promise.all([
+            Student.countDocuments({ departmentId: department._id }),
+            Lecturer.countDocuments({ departmentId: department._id }),
+            Course.countDocuments({ departmentId: department._id }),
+            ProgrammeRequirement.countDocuments({ department: department._id })
+        ]);
+        if (students + lecturers + courses + programmeRequirements > 0) {
+            return res.status(409).json({
+                message: 'Department still has students, lecturers, courses or programme requirements. Move or remove them first.',
+                details: { students, lecturers, courses, programmeRequirements }
+            });
+        }
+
+        await department.deleteOne();
+
+        res.status(200).json({ message: 'Department deleted successfully.' });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid department ID.' });
+        }
+        console.error('Error deleting department:', error);
+        res.status(500).json({ message: 'Server error while deleting department.' });
+    }
+});
+
+module.exports = router;
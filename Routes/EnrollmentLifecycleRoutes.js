@@ -0,0 +1,137 @@
+// routes/enrollmentLifecycleRoutes.js
+// Dropping courses, enrollment status history and the end-of-term completion run.
+// Adding courses is POST /api/enrollments in Registration.js.
+
+const express = require('express');
+const router = express.Router();
+const Enrollment = require('../Models/Enrollments.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { checkEnrollmentDropWindow, completeTerm } = require('../Services/EnrollmentLifecycleService.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+
+// Statuses a course can be dropped from ('Pending' = leaving the waitlist)
+const DROPPABLE_STATUSES = ['Enrolled', 'Pending'];
+
+
+// POST /api/enrollments/:enrollmentId/drop
+// Drops a course (or leaves its waitlist). Students can only drop their own enrollments, before the
+// term's add/drop deadline; admin and registrar can drop at any time. Dropping a seat promotes the
+// next student on the waitlist automatically.
+// Body (optional): { "reason": "Timetable clash" }
+// Access: the student themself, admin, registrar
+router.post('/api/enrollments/:enrollmentId/drop', AllProtection, authorizeRoles('student', 'admin', 'registrar'), async (req, res) => {
+    const { enrollmentId } = req.params;
+    const { reason } = req.body || {};
+
+    try {
+        const enrollment = await Enrollment.findById(enrollmentId);
+        if (!enrollment) {
+            return res.status(404).json({ message: 'Enrollment not found.' });
+        }
+
+        if (req.user.role === 'student' && enrollment.student.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Forbidden: You can only drop your own courses.' });
+        }
+
+        if (!DROPPABLE_STATUSES.includes(enrollment.status)) {
+            return res.status(409).json({ message: `An enrollment with status '${enrollment.status}' cannot be dropped.` });
+        }
+
+        const windowClosed = await checkEnrollmentDropWindow(enrollment, req.user);
+        if (windowClosed) {
+            return res.status(403).json({ message: windowClosed });
+        }
+
+        const previousStatus = enrollment.status;
+        enrollment.changeStatus('Dropped', {
+            actor: req.user,
+            reason: reason || (previousStatus === 'Pending' ? 'Left the waitlist' : 'Course dropped')
+        });
+        await enrollment.save(); // post-save hook promotes the next waitlisted student
+
+        res.status(200).json({
+            message: previousStatus === 'Pending' ? 'You have left the waitlist.' : 'Course dropped successfully.',
+            enrollmentId: enrollment._id,
+            status: enrollment.status
+        });
+
+    } catch (error) {
+        console.error('Error dropping enrollment:', error);
+        res.status(500).json({ message: 'Server error while dropping course.' });
+    }
+});
+
+
+// GET /api/enrollments/:enrollmentId/history
+// Full status history of an enrollment: when, by whom and why it changed.
+// Access: the student themself, lecturers, admin, registrar
+router.get('/api/enrollments/:enrollmentId/history', AllProtection, async (req, res) => {
+    const { enrollmentId } = req.params;
+
+    try {
+        const enrollment = await Enrollment.findById(enrollmentId)
+            .populate('student', 'name registrationNumber')
+            .populate('course', 'courseCode title')
+            .lean();
+        if (!enrollment) {
+            return res.status(404).json({ message: 'Enrollment not found.' });
+        }
+
+        if (req.user.role === 'student' && enrollment.student._id.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Forbidden: You can only view your own enrollments.' });
+        }
+
+        res.status(200).json({
+            message: 'Enrollment history retrieved successfully.',
+            enrollmentId: enrollment._id,
+            student: enrollment.student,
+            course: enrollment.course,
+            academicYear: enrollment.academicYear,
+            semester: enrollment.semester,
+            currentStatus: enrollment.status,
+            statusHistory: enrollment.statusHistory || []
+        });
+
+    } catch (error) {
+        console.error('Error fetching enrollment history:', error);
+        res.status(500).json({ message: 'Server error while fetching enrollment history.' });
+    }
+});
+
+
+// POST /api/enrollments/complete-term
+// End-of-term job: marks every 'Enrolled' enrollment of the term with a published result as 'Completed'.
+// Ungraded enrollments, and those whose result is not published yet, are left as they are and listed
+// in the response.
+// Body: { "termId": "..." } or { "academicYear": "2025-2026", "semester": "Fall" }
+// Access: admin, registrar (also available as `node Scripts/CompleteTerm.js <academicYear> <semester>`)
+router.post('/api/enrollments/complete-term', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { termId, academicYear, semester } = req.body;
+
+    if (!termId && (!academicYear || !semester)) {
+        return res.status(400).json({ message: 'A term ID, or an academic year and semester, is required.' });
+    }
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const summary = await completeTerm(term.academicYear, term.semester, req.user);
+
+        res.status(200).json({
+            message: `Completed ${summary.completedCount} enrollment(s) for ${term.semester} ${term.academicYear}.`,
+            termId: term._id,
+            ...summary
+        });
+
+    } catch (error) {
+        console.error('Error completing term:', error);
+        res.status(500).json({ message: 'Server error while completing term.' });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,264 @@
+// routes/feeRoutes.js
+// The fee schedule: priced fee items per term, department and level, and what each student owes.
+// Payment amounts are computed from these items (see Routes/PaymentRoute.js), never taken from the client.
+
+const express = require('express');
+const router = express.Router();
+const FeeItem = require('../Models/FeeItems.js');
+const Student = require('../Models/Students.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const { getFeesDue } = require('../Services/FeeService.js');
+
+const financeOnly = [AllProtection, authorizeRoles('admin', 'bursar')];
+
+const UPDATABLE_FIELDS = ['name', 'feeType', 'amount', 'level', 'appliesTo', 'isOptional', 'isActive'];
+
+const populateFeeItem = (query) => query
+    .populate('term', 'academicYear semester')
+    .populate('department', 'name code');
+
+
+// GET /api/fee-items
+// Fee items of a term. Optional query parameters: termId, or academicYear + semester (defaults to the
+// current term); department (name, code or id); level; includeInactive=true (also retired items)
+// Access: any logged-in user
+router.get('/api/fee-items', AllProtection, async (req, res) => {
+    const { termId, academicYear, semester, department, level, includeInactive } = req.query;
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        let query = { term: term._id };
+        if (includeInactive !== 'true') query.isActive = true;
+        if (department) {
+            const feeDepartment = await findDepartment(department);
+            if (!feeDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+            query.department = { $in: [feeDepartment._id, null] };
+        }
+        if (level) query.level = { $in: [Number(level), null] };
+
+        const feeItems = await populateFeeItem(FeeItem.find(query))
+            .sort({ feeType: 1, name: 1, department: 1, level: 1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Fee items retrieved successfully.',
+            term: { _id: term._id, academicYear: term.academicYear, semester: term.semester },
+            totalFeeItems: feeItems.length,
+            feeItems: feeItems
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid term ID.' });
+        }
+        console.error('Error fetching fee items:', error);
+        res.status(500).json({ message: 'Server error while fetching fee items.' });
+    }
+});
+
+// POST /api/fee-items
+// Adds an item to the fee schedule of a term. The term is given as termId or academicYear + semester.
+// Body example:
+// {
+//     "name": "Tuition",
+//     "feeType": "tuition",                  // tuition | acceptance | hostel | lab | other
+//     "amount": 45000,                       // in naira
+//     "academicYear": "2025-2026",
+//     "semester": "Fall",
+//     "department": "Computer Science",      // optional; name, code or id. Omit for every department
+//     "level": 200,                          // optional; omit for every level
+//     "appliesTo": "all",                    // optional; all | new-students | returning-students
+//     "isOptional": false                    // optional; true for items the student chooses (e.g. hostel)
+// }
+// Access: admin, bursar
+router.post('/api/fee-items', ...financeOnly, async (req, res) => {
+    const { name, feeType, amount, termId, academicYear, semester, department, level, appliesTo, isOptional } = req.body;
+
+    if (!name || !feeType || amount === undefined) {
+        return res.status(400).json({ message: 'Name, feeType and amount are required.' });
+    }
+    if (!termId && !(academicYear && semester)) {
+        return res.status(400).json({ message: 'Provide termId or academicYear and semester.' });
+    }
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        let feeDepartment = null;
+        if (department) {
+            feeDepartment = await findDepartment(department);
+            if (!feeDepartment) {
+                return res.status(400).json({ message: `Department '${department}' does not exist.` });
+            }
+        }
+
+        const feeItem = await FeeItem.create({
+            name,
+            feeType,
+            amount,
+            term: term._id,
+            department: feeDepartment ? feeDepartment._id : null,
+            level: level || null,
+            appliesTo,
+            isOptional,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Fee item created successfully!',
+            feeItem: await populateFeeItem(FeeItem.findById(feeItem._id)).lean()
+        });
+
+    } catch (error) {
+        console.error('Error creating fee item:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid term ID.' });
+        }
+        res.status(500).json({ message: 'Server error while creating fee item.' });
+    }
+});
+
+// PUT /api/fee-items/:feeItemId
+// Updates a fee item. Payments already started keep the amount they were initiated with.
+// Body example: { "amount": 50000 }   // any of name, feeType, amount, department, level, appliesTo, isOptional, isActive
+// Access: admin, bursar
+router.put('/api/fee-items/:feeItemId', ...financeOnly, async (req, res) => {
+    try {
+        const feeItem = await FeeItem.findById(req.params.feeItemId);
+        if (!feeItem) {
+            return res.status(404).json({ message: 'Fee item not found.' });
+        }
+
+        for (const field of UPDATABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                feeItem[field] = req.body[field];
+            }
+        }
+        if (req.body.department !== undefined) {
+            if (req.body.department) {
+                const feeDepartment = await findDepartment(req.body.department);
+                if (!feeDepartment) {
+                    return res.status(400).json({ message: `Department '${req.body.department}' does not exist.` });
+                }
+                feeItem.department = feeDepartment._id;
+            } else {
+                feeItem.department = null;
+            }
+        }
+        await feeItem.save();
+
+        res.status(200).json({
+            message: 'Fee item updated successfully.',
+            feeItem: await populateFeeItem(FeeItem.findById(feeItem._id)).lean()
+        });
+
+    } catch (error) {
+        console.error('Error updating fee item:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid fee item ID.' });
+        }
+        res.status(500).json({ message: 'Server error while updating fee item.' });
+    }
+});
+
+// DELETE /api/fee-items/:feeItemId
+// Retires a fee item (isActive = false) so it is no longer billed; payments that included it are kept.
+// Access: admin, bursar
+router.delete('/api/fee-items/:feeItemId', ...financeOnly, async (req, res) => {
+    try {
+        const feeItem = await FeeItem.findOneAndUpdate(
+            { _id: req.params.feeItemId, isActive: true },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+        if (!feeItem) {
+            return res.status(404).json({ message: 'Active fee item not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Fee item retired.',
+            feeItem: feeItem
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid fee item ID.' });
+        }
+        console.error('Error retiring fee item:', error);
+        res.status(500).json({ message: 'Server error while retiring fee item.' });
+    }
+});
+
+// GET /api/students/:studentId/fees
+// What a student owes for a term, item by item, with what has been paid.
+// Optional query parameters: termId, or academicYear + semester (defaults to the current term);
+// optionalItems (comma-separated fee item ids to include, e.g. the hostel the student wants)
+// Access: the student themselves, admin, bursar, registrar
+router.get('/api/students/:studentId/fees', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'admin', 'bursar', 'registrar'), async (req, res) => {
+    const { termId, academicYear, semester, optionalItems } = req.query;
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const student = await Student.findById(req.params.studentId)
+            .select('name registrationNumber department departmentId level entryAcademicYear')
+            .lean();
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const optionalItemIds = optionalItems ? String(optionalItems).split(',').map(id => id.trim()).filter(Boolean) : [];
+        const fees = await getFeesDue(student, term, { optionalItemIds });
+
+        res.status(200).json({
+            message: fees.items.length === 0
+                ? `No fees have been set for ${term.semester} ${term.academicYear}.`
+                : 'Fees retrieved successfully.',
+            student: {
+                _id: student._id,
+                name: student.name,
+                registrationNumber: student.registrationNumber,
+                department: student.department,
+                level: student.level
+            },
+            term: { _id: term._id, academicYear: term.academicYear, semester: term.semester },
+            items: fees.items,
+            optionalItems: fees.optionalItems,
+            total: fees.totalKobo / 100, // In naira
+            paid: fees.paidKobo / 100,
+            outstanding: fees.outstandingKobo / 100
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student or term ID.' });
+        }
+        console.error('Error fetching student fees:', error);
+        res.status(500).json({ message: 'Server error while fetching student fees.' });
+    }
+});
+
+module.exports = router;
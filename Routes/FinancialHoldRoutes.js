@@ -0,0 +1,322 @@
+// routes/financialHoldRoutes.js
+// Financial holds: the policies that hold registration, results and transcripts until fees are paid,
+// the bursary's temporary exemptions, and what is currently held for a student.
+
+const express = require('express');
+const router = express.Router();
+const FinancialHoldPolicy = require('../Models/FinancialHoldPolicies.js');
+const { HOLD_ACTIONS } = require('../Models/FinancialHoldPolicies.js');
+const HoldExemption = require('../Models/HoldExemptions.js');
+const { EXEMPTION_REASONS } = require('../Models/HoldExemptions.js');
+const Student = require('../Models/Students.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const { checkFinancialHold } = require('../Services/FinancialHoldService.js');
+
+const financeOnly = [AllProtection, authorizeRoles('admin', 'bursar')];
+
+
+// GET /api/financial-hold-policies
+// Lists active hold policies. Optional query parameters: action, department (name, code or id)
+// Access: any logged-in user
+router.get('/api/financial-hold-policies', AllProtection, async (req, res) => {
+    const { action, department } = req.query;
+
+    try {
+        let query = { isActive: true };
+        if (action) query.action = action;
+        if (department) {
+            const policyDepartment = await findDepartment(department);
+            if (!policyDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+            query.department = policyDepartment._id;
+        }
+
+        const policies = await FinancialHoldPolicy.find(query)
+            .populate('department', 'name code')
+            .sort({ action: 1, department: 1, level: 1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Financial hold policies retrieved successfully.',
+            totalPolicies: policies.length,
+            policies: policies
+        });
+
+    } catch (error) {
+        console.error('Error fetching financial hold policies:', error);
+        res.status(500).json({ message: 'Server error while fetching financial hold policies.' });
+    }
+});
+
+// POST /api/financial-hold-policies
+// Holds an action until a share of the term's fees is paid. An existing active policy for the same
+// action, department and level is retired, so this is also how a policy is changed.
+// Body example:
+// {
+//     "action": "registration",            // registration | results | transcripts
+//     "department": "Computer Science",     // optional; name, code or id. Omit for every department
+//     "level": 100,                         // optional; omit for every level
+//     "minPaidPercent": 50                  // optional; defaults to 100 (paid in full)
+// }
+// Access: admin, bursar
+router.post('/api/financial-hold-policies', ...financeOnly, async (req, res) => {
+    const { action, department, level, minPaidPercent } = req.body;
+
+    if (!HOLD_ACTIONS.includes(action)) {
+        return res.status(400).json({ message: `action must be one of: ${HOLD_ACTIONS.join(', ')}.` });
+    }
+
+    try {
+        let policyDepartment = null;
+        if (department) {
+            policyDepartment = await findDepartment(department);
+            if (!policyDepartment) {
+                return res.status(400).json({ message: `Department '${department}' does not exist.` });
+            }
+        }
+
+        const target = {
+            action,
+            department: policyDepartment ? policyDepartment._id : null,
+            level: level ? Number(level) : null
+        };
+
+        // Retire the policy currently in force for this action/department/level (if any)
+        await FinancialHoldPolicy.updateMany({ ...target, isActive: true }, { $set: { isActive: false } });
+
+        const policy = new FinancialHoldPolicy({
+            ...target,
+            minPaidPercent,
+            createdBy: req.user.id,
+            createdByRole: req.user.role
+        });
+        await policy.save();
+
+        res.status(201).json({
+            message: 'Financial hold policy saved successfully.',
+            policy: policy
+        });
+
+    } catch (error) {
+        console.error('Error saving financial hold policy:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'This policy was just changed by someone else. Please reload and try again.' });
+        }
+        res.status(500).json({ message: 'Server error while saving financial hold policy.' });
+    }
+});
+
+// DELETE /api/financial-hold-policies/:policyId
+// Retires a policy; students it covered fall back to the next most specific one, or are no longer held.
+// Access: admin, bursar
+router.delete('/api/financial-hold-policies/:policyId', ...financeOnly, async (req, res) => {
+    try {
+        const policy = await FinancialHoldPolicy.findOneAndUpdate(
+            { _id: req.params.policyId, isActive: true },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+        if (!policy) {
+            return res.status(404).json({ message: 'Active financial hold policy not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Financial hold policy retired.',
+            policy: policy
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid policy ID.' });
+        }
+        console.error('Error retiring financial hold policy:', error);
+        res.status(500).json({ message: 'Server error while retiring financial hold policy.' });
+    }
+});
+
+// GET /api/students/:studentId/holds
+// What is on hold for the student: one entry per held action (registration and results for the term,
+// transcripts for any term), plus the exemptions in force.
+// Optional query parameters: termId, or academicYear + semester (defaults to the current term)
+// Access: the student themselves, admin, bursar, registrar
+router.get('/api/students/:studentId/holds', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'admin', 'bursar', 'registrar'), async (req, res) => {
+    const { termId, academicYear, semester } = req.query;
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+        const student = await Student.findById(req.params.studentId).select('departmentId level').lean();
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const holds = [];
+        for (const action of HOLD_ACTIONS) {
+            const hold = await checkFinancialHold(student, action, term);
+            if (hold) holds.push(hold);
+        }
+
+        const exemptions = await HoldExemption.find({
+            student: student._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).populate('term', 'academicYear semester').sort({ expiresAt: 1 }).lean();
+
+        res.status(200).json({
+            message: holds.length === 0
+                ? 'Nothing is on financial hold.'
+                : `${holds.length} action(s) on financial hold.`,
+            term: { _id: term._id, academicYear: term.academicYear, semester: term.semester },
+            holds: holds,
+            exemptions: exemptions
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student or term ID.' });
+        }
+        console.error('Error fetching financial holds:', error);
+        res.status(500).json({ message: 'Server error while fetching financial holds.' });
+    }
+});
+
+// GET /api/hold-exemptions
+// Lists exemptions. Optional query parameters: studentId, includeInactive=true (also expired and revoked)
+// Access: admin, bursar, registrar
+router.get('/api/hold-exemptions', AllProtection, authorizeRoles('admin', 'bursar', 'registrar'), async (req, res) => {
+    const { studentId, includeInactive } = req.query;
+
+    try {
+        let query = includeInactive === 'true' ? {} : { revokedAt: null, expiresAt: { $gt: new Date() } };
+        if (studentId) query.student = studentId;
+
+        const exemptions = await HoldExemption.find(query)
+            .populate('student', 'name registrationNumber')
+            .populate('term', 'academicYear semester')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Hold exemptions retrieved successfully.',
+            totalExemptions: exemptions.length,
+            exemptions: exemptions
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student ID.' });
+        }
+        console.error('Error fetching hold exemptions:', error);
+        res.status(500).json({ message: 'Server error while fetching hold exemptions.' });
+    }
+});
+
+// POST /api/hold-exemptions
+// Temporarily lifts financial holds for a student.
+// Body example:
+// {
+//     "studentId": "...",
+//     "academicYear": "2025-2026",           // optional, or termId; omit both for every term
+//     "semester": "Fall",
+//     "actions": ["registration"],           // optional; defaults to every action
+//     "reason": "payment-plan",              // payment-plan | scholarship-pending | sponsor-guarantee | hardship | payment-in-transit | other
+//     "note": "Second instalment due 30 Nov", // required when reason is 'other'
+//     "expiresAt": "2025-11-30"
+// }
+// Access: admin, bursar
+router.post('/api/hold-exemptions', ...financeOnly, async (req, res) => {
+    const { studentId, termId, academicYear, semester, actions, reason, note, expiresAt } = req.body;
+
+    if (!studentId || !reason || !expiresAt) {
+        return res.status(400).json({ message: 'Student ID, reason and expiresAt are required.' });
+    }
+    if (!EXEMPTION_REASONS.includes(reason)) {
+        return res.status(400).json({ message: `reason must be one of: ${EXEMPTION_REASONS.join(', ')}.` });
+    }
+    if (actions !== undefined && (!Array.isArray(actions) || actions.some(action => !HOLD_ACTIONS.includes(action)))) {
+        return res.status(400).json({ message: `actions must be an array of: ${HOLD_ACTIONS.join(', ')}.` });
+    }
+
+    try {
+        const student = await Student.findById(studentId).select('_id').lean();
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        let term = null;
+        if (termId || academicYear || semester) {
+            term = await resolveTerm({ termId, academicYear, semester });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found.' });
+            }
+        }
+
+        const exemption = new HoldExemption({
+            student: student._id,
+            term: term ? term._id : null,
+            ...(actions ? { actions } : {}),
+            reason,
+            note,
+            expiresAt,
+            grantedBy: req.user.id,
+            grantedByRole: req.user.role
+        });
+        await exemption.save();
+
+        res.status(201).json({
+            message: `Exemption granted until ${exemption.expiresAt.toISOString().slice(0, 10)}${term ? ` for ${term.semester} ${term.academicYear}` : ''}.`,
+            exemption: exemption
+        });
+
+    } catch (error) {
+        console.error('Error granting hold exemption:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student or term ID, or expiry date.' });
+        }
+        res.status(500).json({ message: 'Server error while granting hold exemption.' });
+    }
+});
+
+// DELETE /api/hold-exemptions/:exemptionId
+// Revokes an exemption before it expires. The record is kept for auditing.
+// Access: admin, bursar
+router.delete('/api/hold-exemptions/:exemptionId', ...financeOnly, async (req, res) => {
+    try {
+        const exemption = await HoldExemption.findOneAndUpdate(
+            { _id: req.params.exemptionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: req.user.id } },
+            { new: true }
+        );
+        if (!exemption) {
+            return res.status(404).json({ message: 'Active hold exemption not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Hold exemption revoked successfully.',
+            exemption: exemption
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid exemption ID.' });
+        }
+        console.error('Error revoking hold exemption:', error);
+        res.status(500).json({ message: 'Server error while revoking hold exemption.' });
+    }
+});
+
+module.exports = router;
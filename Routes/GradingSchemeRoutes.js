@@ -0,0 +1,306 @@
+// routes/gradingSchemeRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const GradingScheme = require('../Models/GradingSchemes.js');
+const Enrollment = require('../Models/Enrollments.js');
+const Course = require('../Models/Courses.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const {
+    validateScheme,
+    computeGrade,
+    resolveSchemeForCourse,
+    applyGradeToEnrollment
+} = require('../Services/GradingService.js');
+const { canEditScores } = require('../Services/ResultWorkflowService.js');
+const { canManageCourse, COURSE_ACCESS_DENIED } = require('../Services/CourseAccessService.js');
+const { normalizeAcademicYear, normalizeSemester } = require('../Services/AcademicTermService.js');
+const { escapeRegex } = require('../Services/IdentifierService.js');
+
+
+// GET /api/grading-schemes
+// Lists active grading schemes.
+// Optional query parameters: scope, department, courseId
+router.get('/api/grading-schemes', AllProtection, async (req, res) => {
+    const { scope, department, courseId } = req.query;
+
+    try {
+        let query = { isActive: true };
+        if (scope) query.scope = scope;
+        if (department) query.department = { $regex: new RegExp(escapeRegex(department), 'i') };
+        if (courseId) query.course = courseId;
+
+        const schemes = await GradingScheme.find(query).populate('course', 'courseCode title').lean();
+
+        res.status(200).json({
+            message: 'Grading schemes retrieved successfully.',
+            totalSchemes: schemes.length,
+            schemes: schemes
+        });
+
+    } catch (error) {
+        console.error('Error fetching grading schemes:', error);
+        res.status(500).json({ message: 'Server error while fetching grading schemes.' });
+    }
+});
+
+
+// GET /api/grading-schemes/course/:courseId/effective
+// Returns the scheme that is actually used to grade a course (course -> department -> institution -> default).
+router.get('/api/grading-schemes/course/:courseId/effective', AllProtection, async (req, res) => {
+    const { courseId } = req.params;
+
+    try {
+        const course = await Course.findById(courseId).lean();
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+
+        const scheme = await resolveSchemeForCourse(course);
+
+        res.status(200).json({
+            message: `Effective grading scheme for ${course.courseCode}.`,
+            scheme: scheme
+        });
+
+    } catch (error) {
+        console.error('Error resolving grading scheme:', error);
+        res.status(500).json({ message: 'Server error while resolving grading scheme.' });
+    }
+});
+
+
+// POST /api/grading-schemes
+// Creates a grading scheme. An existing active scheme for the same scope target is deactivated,
+// so this is also how a scheme is replaced.
+//
+// Request Body Example:
+// {
+//     "name": "CSC 5-point scale",
+//     "scope": "department",            // 'institution' | 'department' | 'course'
+//     "department": "Computer Science", // required when scope is 'department'
+//     "courseId": "...",                // required when scope is 'course'
+//     "caWeight": 40,
+//     "examWeight": 60,
+//     "gradeBoundaries": [ { "grade": "A", "minScore": 70, "maxScore": 100, "gradePoint": 5 }, ... ]
+// }
+//
+// Existing grades are not changed; use the regrade route below once the scheme is in place.
+// Access: lecturers assigned to the course (course scope only), admin
+router.post('/api/grading-schemes', AllProtection, authorizeRoles('lecturer', 'admin'), async (req, res) => {
+    const { name, scope, department, courseId, caWeight, examWeight, gradeBoundaries } = req.body;
+
+    if (!name || !scope) {
+        return res.status(400).json({ message: 'Scheme name and scope are required.' });
+    }
+    if (scope === 'department' && !department) {
+        return res.status(400).json({ message: 'Department is required for a department-level scheme.' });
+    }
+    if (scope === 'course' && !courseId) {
+        return res.status(400).json({ message: 'Course ID is required for a course-level scheme.' });
+    }
+    // Lecturers can only set schemes for individual courses
+    if (scope !== 'course' && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Forbidden: Only administrators can set department or institution grading schemes.' });
+    }
+
+    const schemeErrors = validateScheme({ caWeight, examWeight, gradeBoundaries });
+    if (schemeErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid grading scheme.', errors: schemeErrors });
+    }
+
+    try {
+        if (scope === 'course') {
+            const course = await Course.findById(courseId).lean();
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            // The course scheme decides every grade saved for the course, so only its lecturers may set it
+            if (!(await canManageCourse(req.user, course))) {
+                return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+            }
+        }
+
+        const target = {
+            scope,
+            department: scope === 'department' ? department : undefined,
+            course: scope === 'course' ? courseId : undefined
+        };
+
+        // Retire the scheme currently in force for this target (if any)
+        await GradingScheme.updateMany({ ...target, isActive: true }, { $set: { isActive: false } });
+
+        const newScheme = new GradingScheme({
+            name,
+            ...target,
+            caWeight,
+            examWeight,
+            gradeBoundaries,
+            createdBy: req.user.id
+        });
+
+        await newScheme.save();
+
+        res.status(201).json({
+            message: 'Grading scheme saved successfully. Existing grades are unchanged until the class is regraded.',
+            scheme: newScheme
+        });
+
+    } catch (error) {
+        console.error('Error saving grading scheme:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'An active grading scheme already exists for this target.' });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error while saving grading scheme.' });
+    }
+});
+
+
+// POST /api/grading-schemes/preview
+// Shows how a proposed scheme would re-grade an existing class, without saving anything.
+//
+// Request Body Example:
+// {
+//     "courseId": "...",
+//     "academicYear": "2025-2026", // optional
+//     "semester": "Fall",          // optional
+//     "scheme": { "caWeight": 40, "examWeight": 60, "gradeBoundaries": [ ... ] }
+// }
+router.post('/api/grading-schemes/preview', AllProtection, authorizeRoles('lecturer', 'admin'), async (req, res) => {
+    const { courseId, scheme } = req.body;
+    const academicYear = normalizeAcademicYear(req.body.academicYear);
+    const semester = normalizeSemester(req.body.semester);
+
+    if (!courseId || !scheme) {
+        return res.status(400).json({ message: 'Course ID and a proposed scheme are required.' });
+    }
+
+    const schemeErrors = validateScheme(scheme);
+    if (schemeErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid grading scheme.', errors: schemeErrors });
+    }
+
+    try {
+        const course = await Course.findById(courseId).lean();
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+        if (!(await canManageCourse(req.user, course, { academicYear, semester }))) {
+            return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+        }
+
+        let query = { course: courseId };
+        if (academicYear) query.academicYear = academicYear;
+        if (semester) query.semester = semester;
+
+        const enrollments = await Enrollment.find(query)
+            .populate('student', 'name registrationNumber')
+            .lean();
+
+        const currentScheme = await resolveSchemeForCourse(course);
+
+        const currentDistribution = {};
+        const proposedDistribution = {};
+        let changedCount = 0;
+
+        const preview = enrollments.map(enrollment => {
+            const current = computeGrade(enrollment.caScore, enrollment.examScore, currentScheme);
+            const proposed = computeGrade(enrollment.caScore, enrollment.examScore, scheme);
+            const changed = current.finalGrade !== proposed.finalGrade;
+            if (changed) changedCount++;
+
+            currentDistribution[current.finalGrade] = (currentDistribution[current.finalGrade] || 0) + 1;
+            proposedDistribution[proposed.finalGrade] = (proposedDistribution[proposed.finalGrade] || 0) + 1;
+
+            return {
+                enrollmentId: enrollment._id,
+                studentName: enrollment.student ? enrollment.student.name : 'N/A',
+                registrationNumber: enrollment.student ? enrollment.student.registrationNumber : 'N/A',
+                caScore: enrollment.caScore,
+                examScore: enrollment.examScore,
+                current: current,
+                proposed: proposed,
+                changed: changed
+            };
+        });
+
+        res.status(200).json({
+            message: `Preview of proposed grading scheme for ${course.courseCode}.`,
+            totalStudents: preview.length,
+            changedCount: changedCount,
+            currentDistribution: currentDistribution,
+            proposedDistribution: proposedDistribution,
+            preview: preview
+        });
+
+    } catch (error) {
+        console.error('Error previewing grading scheme:', error);
+        res.status(500).json({ message: 'Server error while previewing grading scheme.' });
+    }
+});
+
+
+// POST /api/grading-schemes/course/:courseId/regrade
+// Recomputes totalScore, finalGrade and gradePoint for a class using the course's effective scheme.
+// Lecturers can only regrade results that are still in 'draft'; submitted results are skipped.
+// Body (optional): { "academicYear": "2025-2026", "semester": "Fall" }
+// Access: lecturers assigned to the course, admin
+router.post('/api/grading-schemes/course/:courseId/regrade', AllProtection, authorizeRoles('lecturer', 'admin'), async (req, res) => {
+    const { courseId } = req.params;
+    const body = req.body || {};
+    const academicYear = normalizeAcademicYear(body.academicYear);
+    const semester = normalizeSemester(body.semester);
+
+    try {
+        const course = await Course.findById(courseId).lean();
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+        if (!(await canManageCourse(req.user, course, { academicYear, semester }))) {
+            return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+        }
+
+        let query = { course: courseId };
+        if (academicYear) query.academicYear = academicYear;
+        if (semester) query.semester = semester;
+
+        const scheme = await resolveSchemeForCourse(course);
+        const enrollments = await Enrollment.find(query);
+
+        let changedCount = 0;
+        let lockedCount = 0;
+        for (const enrollment of enrollments) {
+            if (!canEditScores(enrollment, req.user)) {
+                lockedCount++;
+                continue;
+            }
+            const previousGrade = enrollment.finalGrade;
+            applyGradeToEnrollment(enrollment, scheme);
+            if (enrollment.isModified()) {
+                enrollment.recordScoreChange({ actor: req.user, source: 'regrade', reason: `Regraded with scheme '${scheme.name}'` });
+                await enrollment.save();
+            }
+            if (previousGrade !== enrollment.finalGrade) changedCount++;
+        }
+
+        res.status(200).json({
+            message: `Regraded ${enrollments.length - lockedCount} enrollments in ${course.courseCode}.`,
+            scheme: scheme.name,
+            totalEnrollments: enrollments.length,
+            changedCount: changedCount,
+            skippedSubmittedCount: lockedCount
+        });
+
+    } catch (error) {
+        console.error('Error regrading course:', error);
+        res.status(500).json({ message: 'Server error while regrading course.' });
+    }
+});
+
+
+module.exports = router;
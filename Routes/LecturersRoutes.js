@@ -5,10 +5,18 @@ const Student = require('../Models/Students.js'); // To validate student IDs if
 const Course = require('../Models/Courses.js'); // To validate course IDs
 const Lecturer = require('../Models/Lecturers.js'); // <--- NEW: Import Lecturer model
 const AllProtection = require('./ProtectionMiddlewares.js'); // Ensure this path is correct for your middleware
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
 const { stringify } = require('csv-stringify'); // <--- Add this line!
 const multer = require('multer'); // <--- NEW: Import multer
 const csv = require('csv-parser'); // <--- NEW: Import csv-parser
 const stream = require('stream'); // <--- NEW: Node.js built-in stream module
+const { computeResultSummary, creditsFor } = require('../Services/GpaService.js');
+const { canEditScores, withheldUnlessPublished } = require('../Services/ResultWorkflowService.js');
+const { withholdResultsOnHold } = require('../Services/FinancialHoldService.js');
+const { canManageCourse, findCourseByCode, COURSE_ACCESS_DENIED } = require('../Services/CourseAccessService.js');
+const { getLecturerCourses } = require('../Services/TeachingAssignmentService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const { resolveTerm, getCurrentTerm, checkGradingWindow, normalizeAcademicYear, normalizeSemester } = require('../Services/AcademicTermService.js');
 
 
 const jwt = require('jsonwebtoken'); // Keep this if you use jwt directly elsewhere, otherwise it's implicitly used by StudentsTokenCheck
@@ -33,7 +41,7 @@ const upload = multer({
 
 // --- NEW ROUTE: Lecturer Dashboard ---
 // GET /api/lecturer/dashboard/:lecturerId
-// This route retrieves a lecturer's profile.
+// This route retrieves a lecturer's profile and the courses they teach in the current term.
 router.get('/api/lecturer/dashboard/:lecturerId', AllProtection, async (req, res) => { // <--- Using ProtectRoute
     const { lecturerId } = req.params;
 
@@ -69,26 +77,21 @@ router.get('/api/lecturer/dashboard/:lecturerId', AllProtection, async (req, res
         };
 
 
-        // --- Fetch courses taught by this lecturer ---
-        // Assuming 'coursesTaught' on the Lecturer model stores course IDs
-        // Filter out any non-ObjectId values from coursesTaught before querying
-        const validCourseIds = lecturer.coursesTaught.filter(id => {
-            // A basic check for a valid ObjectId string (24 hex characters)
-            return typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
-        });
-
-        const myCourses = await Course.find({
-            _id: { $in: validCourseIds } // Use the filtered array
-        }).lean();
+        // --- Fetch courses taught by this lecturer in the current term (every term if none is set) ---
+        const currentTerm = await getCurrentTerm();
+        const myCourses = await getLecturerCourses(lecturerId, currentTerm || {});
 
         // For the frontend display, we need 'id', 'code', 'title', 'credits', 'level', 'students'
-        const formattedCourses = myCourses.map(course => ({
-            id: course._id.toString(),
-            code: course.courseId, // Assuming courseId is the code (e.g., "CS101")
-            title: course.courseName, // Assuming courseName is the title (e.g., "Introduction to Programming")
-            credits: course.credits,
-            level: course.department, // Using department as level for display as per frontend interface
-            students: 0 // Placeholder: You would need to query Enrollments to get actual student count per course
+        const formattedCourses = myCourses.map(assignment => ({
+            id: assignment.course._id.toString(),
+            code: assignment.course.courseCode,
+            title: assignment.course.title,
+            credits: assignment.course.credits,
+            level: assignment.course.department, // Using department as level for display as per frontend interface
+            role: assignment.role,
+            academicYear: assignment.academicYear,
+            semester: assignment.semester,
+            students: assignment.students
         }));
 
         // --- Fetch recent notifications related to this lecturer's courses or department ---
@@ -121,13 +124,12 @@ router.get('/api/lecturer/dashboard/:lecturerId', AllProtection, async (req, res
 
 // --- NEW ROUTE: Get all courses taught by a specific lecturer ---
 // GET /api/lecturer/:lecturerId/courses-taught
-router.get('/api/lecturer/:lecturerId/courses-taught', AllProtection, async (req, res) => {
+// One entry per course and term the lecturer is assigned to, with the number of enrolled students.
+// Optional query parameters: termId, or academicYear and/or semester (defaults to every term)
+// Access: the lecturer themself, admin, registrar
+router.get('/api/lecturer/:lecturerId/courses-taught', AllProtection, authorizeSelfOrRoles('lecturerId', 'lecturer', 'admin', 'registrar'), async (req, res) => {
     const { lecturerId } = req.params;
-
-    // Authorization check: Only the specific lecturer or an admin can view these courses
-    if (req.user.id !== lecturerId || req.user.role !== 'lecturer') {
-        return res.status(403).json({ message: 'Forbidden: You do not have permission to view these courses.' });
-    }
+    const { termId } = req.query;
 
     try {
         const lecturer = await Lecturer.findById(lecturerId).lean();
@@ -135,26 +137,32 @@ router.get('/api/lecturer/:lecturerId/courses-taught', AllProtection, async (req
             return res.status(404).json({ message: 'Lecturer not found.' });
         }
 
-        // Filter out any non-ObjectId values from coursesTaught before querying
-        const validCourseIds = lecturer.coursesTaught.filter(id => {
-            return typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
-        });
+        let filter = {
+            academicYear: normalizeAcademicYear(req.query.academicYear),
+            semester: normalizeSemester(req.query.semester)
+        };
+        if (termId) {
+            const term = await resolveTerm({ termId });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found.' });
+            }
+            filter = { academicYear: term.academicYear, semester: term.semester };
+        }
 
-        const courses = await Course.find({
-            _id: { $in: validCourseIds }
-        }).lean();
+        const assignments = await getLecturerCourses(lecturerId, filter);
 
         // Format courses similar to how they are formatted for the dashboard
-        const formattedCourses = courses.map(course => ({
-            id: course._id.toString(),
-            code: course.courseId,
-            title: course.courseName,
-            credits: course.credits,
-            department: course.department, // Keep department as is
-            description: course.description,
-            // You might want to fetch actual student counts here if needed,
-            // but for a simple list, it might not be necessary.
-            students: 0 // Placeholder for student count
+        const formattedCourses = assignments.map(assignment => ({
+            id: assignment.course._id.toString(),
+            code: assignment.course.courseCode,
+            title: assignment.course.title,
+            credits: assignment.course.credits,
+            department: assignment.course.department, // Keep department as is
+            description: assignment.course.description,
+            role: assignment.role,
+            academicYear: assignment.academicYear,
+            semester: assignment.semester,
+            students: assignment.students
         }));
 
         res.status(200).json({
@@ -175,40 +183,60 @@ router.get('/api/lecturer/:lecturerId/courses-taught', AllProtection, async (req
 // GET /api/student/:studentId/results
 // This route allows a student (or an authorized user) to retrieve all their course results
 // for a particular academic year and semester.
+// The response also carries a gpaSummary (per-semester GPA, cumulative CGPA, credits and degree class).
+// CGPA is always computed over the student's whole record, even when the results are filtered.
+// For students, terms whose results are on financial hold have their scores withheld and are listed in financialHolds.
 //
 // Path parameter: studentId (MongoDB _id of the student)
-// Query parameters (optional): academicYear, semester
+// Query parameters (optional): termId, or academicYear and/or semester (any spelling, e.g. "2025/2026", "first")
+//
+// Access: the student themself, lecturers, admin, registrar
 //
 // Example: GET /api/student/654321098765432109876543/results?academicYear=2025-2026&semester=Fall
-router.get('/api/student/:studentId/results', async (req, res) => {
+router.get('/api/student/:studentId/results', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'lecturer', 'admin', 'registrar'), async (req, res) => {
     const { studentId } = req.params;
-    const { academicYear, semester } = req.query; // Get academicYear and semester from query parameters
+    const { termId } = req.query;
+    let academicYear = normalizeAcademicYear(req.query.academicYear); // Get academicYear and semester from query parameters
+    let semester = normalizeSemester(req.query.semester);
 
     try {
+        if (termId) {
+            const term = await resolveTerm({ termId });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found.' });
+            }
+            academicYear = term.academicYear;
+            semester = term.semester;
+        }
+
         // 1. Validate if the Student exists
         const student = await Student.findById(studentId).lean();
         if (!student) {
             return res.status(404).json({ message: 'Student not found.' });
         }
 
-        // Build the query object for enrollments
-        let query = {
-            student: studentId
-        };
-
-        if (academicYear) {
-            query.academicYear = academicYear;
-        }
-        if (semester) {
-            query.semester = semester;
-        }
-
-        // 2. Find all enrollments matching the criteria for this student
+        // 2. Find all enrollments for this student (needed for the cumulative GPA),
+        // then narrow them down to the requested academic year / semester
         // Populate course details to get courseName, courseId, etc.
-        const enrollments = await Enrollment.find(query)
+        const fetchedEnrollments = await Enrollment.find({ student: studentId })
             .populate('course', 'courseName courseId department credits description') // Select specific course fields
             .lean(); // Use .lean() for faster query execution
 
+        // Students only see published results; scores still going through approval are withheld,
+        // as are those of terms whose results are on financial hold
+        let allEnrollments = fetchedEnrollments;
+        let financialHolds = [];
+        if (req.user.role === 'student') {
+            const withheld = await withholdResultsOnHold(student, fetchedEnrollments.map(withheldUnlessPublished));
+            allEnrollments = withheld.enrollments;
+            financialHolds = withheld.holds;
+        }
+
+        const enrollments = allEnrollments.filter(enrollment =>
+            (!academicYear || enrollment.academicYear === academicYear) &&
+            (!semester || enrollment.semester === semester)
+        );
+
         if (!enrollments || enrollments.length === 0) {
             let message = `No results found for student ${student.name}.`;
             if (academicYear && semester) {
@@ -229,23 +257,30 @@ router.get('/api/student/:studentId/results', async (req, res) => {
                 courseId: enrollment.course.courseId, // Course code
                 courseName: enrollment.course.courseName, // Course title
                 department: enrollment.course.department,
-                credits: enrollment.course.credits,
+                credits: creditsFor(enrollment),
                 description: enrollment.course.description
             },
             academicYear: enrollment.academicYear,
             semester: enrollment.semester,
             caScore: enrollment.caScore,
             examScore: enrollment.examScore,
+            totalScore: enrollment.totalScore,
             finalGrade: enrollment.finalGrade,
+            gradePoint: enrollment.gradePoint,
+            resultStatus: enrollment.resultStatus, // e.g., 'draft', 'published'
             status: enrollment.status // e.g., 'Enrolled', 'Completed'
         }));
 
+        const gpaSummary = computeResultSummary(allEnrollments);
+
         res.status(200).json({
             message: `Results for student ${student.name} retrieved successfully.`,
             studentId: student._id,
             studentName: student.name,
             totalCourses: studentResults.length,
-            results: studentResults
+            results: studentResults,
+            gpaSummary: gpaSummary,
+            financialHolds: financialHolds // Terms whose scores are withheld until fees are paid
         });
 
     } catch (error) {
@@ -258,30 +293,27 @@ router.get('/api/student/:studentId/results', async (req, res) => {
 // --- NEW ROUTE: Get all students in a particular department ---
 // GET /api/students/department/:departmentName
 // This route retrieves a list of all students belonging to a specified department.
-// Access: Protected (e.g., by admin or authorized lecturer)
-router.get('/api/students/department/:departmentName', async (req, res) => {
+// The department can be given by name (any case), code or id.
+// Access: lecturers, admin, registrar
+router.get('/api/students/department/:departmentName', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
     const { departmentName } = req.params;
 
-    // Optional: Add role-based access control here if you have roles (e.g., only 'admin' or 'lecturer' can access)
-    // if (req.user.role !== 'admin' && req.user.role !== 'lecturer') {
-    //     return res.status(403).json({ message: 'Forbidden: Insufficient permissions.' });
-    // }
-
     try {
-        // Find students by department name (case-insensitive search is often good here)
-        // Using a regex for case-insensitive search
-        const students = await Student.find({
-            department: { $regex: new RegExp(departmentName, 'i') }
-        })
+        const department = await findDepartment(departmentName);
+        if (!department) {
+            return res.status(404).json({ message: `Department '${departmentName}' does not exist.` });
+        }
+
+        const students = await Student.find({ departmentId: department._id })
             .select('name email phoneNumber registrationNumber department') // Select relevant fields
             .lean(); // Use .lean() for faster retrieval
 
         if (!students || students.length === 0) {
-            return res.status(404).json({ message: `No students found in the ${departmentName} department.` });
+            return res.status(404).json({ message: `No students found in the ${department.name} department.` });
         }
 
         res.status(200).json({
-            message: `Students in ${departmentName} department retrieved successfully.`,
+            message: `Students in ${department.name} department retrieved successfully.`,
             totalStudents: students.length,
             students: students
         });
@@ -298,18 +330,10 @@ router.get('/api/students/department/:departmentName', async (req, res) => {
 // by name or registration number.
 // Query parameters: name (partial match), registrationNumber (exact or partial match)
 // Example: GET /api/students/search?name=john&registrationNumber=REG123
-router.get('/api/students/search', AllProtection, async (req, res) => {
+// Access: lecturers, admin, registrar
+router.get('/api/students/search', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
     const { name, registrationNumber } = req.query;
 
-    // Optional: Implement role-based access control here.
-    // Assuming 'req.user.role' is available from StudentsTokenCheck middleware.
-    // If you have different roles (e.g., 'student', 'lecturer', 'admin'),
-    // you might only allow 'lecturer' or 'admin' to perform searches.
-    // Example:
-    // if (req.user.role !== 'lecturer' && req.user.role !== 'admin') {
-    //     return res.status(403).json({ message: 'Forbidden: You do not have permission to search students.' });
-    // }
-
     // Build the search query object
     let searchQuery = {};
 
@@ -357,26 +381,23 @@ router.get('/api/students/search', AllProtection, async (req, res) => {
 // It now expects the 'courseId' in the URL path to be the human-readable course code (e.g., "BIO 203").
 // Optional query parameters: academicYear, semester
 // Example: GET /api/grades/course/BIO 203/students?academicYear=2025-2026&semester=Fall
-router.get('/api/grades/course/:courseId/students', AllProtection, async (req, res) => {
+// Access: lecturers assigned to the course, admin, registrar
+router.get('/api/grades/course/:courseId/students', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
     const { courseId } = req.params; // This is now the human-readable course code
-    const { academicYear, semester } = req.query;
+    // Normalized so "2025/2026" or "fall" match the stored term, for the assignment check and the query
+    const academicYear = normalizeAcademicYear(req.query.academicYear);
+    const semester = normalizeSemester(req.query.semester);
 
     try {
-        // 1. Find the Course document using the human-readable courseId
-        // Normalize the input courseId for regex construction:
-        // Escape special regex characters and replace spaces with \s*
-        const escapedCourseId = courseId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // Escape regex special characters
-        // Replace one or more spaces with \s* to match any whitespace variations in the DB
-        const regexPattern = escapedCourseId.replace(/\s+/g, '\\s*');
-
-        // Use a regex to find the course, making it case-insensitive and matching the full string
-        const courseExists = await Course.findOne({
-            courseId: { $regex: new RegExp(`^${regexPattern}$`, 'i') } // Case-insensitive regex match, exact start and end
-        });
+        // 1. Find the Course document using the human-readable course code (case and spacing are ignored)
+        const courseExists = await findCourseByCode(courseId);
 
         if (!courseExists) {
             return res.status(404).json({ message: `Course with code '${courseId}' not found.` });
         }
+        if (!(await canManageCourse(req.user, courseExists, { academicYear, semester }))) {
+            return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+        }
 
         // Use the MongoDB _id of the found course for the enrollment query
         const mongoCourseId = courseExists._id;
@@ -441,16 +462,22 @@ router.get('/api/grades/course/:courseId/students', AllProtection, async (req, r
 // of student names and their scores for a particular course.
 // Optional query parameters: academicYear, semester
 // Example: GET /api/grades/course/BIO 203/students/export?academicYear=2025-2026&semester=Fall
-router.get('/api/grades/course/:courseId/students/export', AllProtection, async (req, res) => {
+// Access: lecturers assigned to the course, admin, registrar
+router.get('/api/grades/course/:courseId/students/export', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
     const { courseId } = req.params; // This is now the human-readable course code
-    const { academicYear, semester } = req.query;
+    // Normalized so "2025/2026" or "fall" match the stored term, for the assignment check and the query
+    const academicYear = normalizeAcademicYear(req.query.academicYear);
+    const semester = normalizeSemester(req.query.semester);
 
     try {
-        // 1. Find the Course document using the human-readable courseId
-        const courseExists = await Course.findOne({ courseId: courseId });
+        // 1. Find the Course document using the human-readable course code
+        const courseExists = await findCourseByCode(courseId);
         if (!courseExists) {
             return res.status(404).json({ message: `Course with code '${courseId}' not found.` });
         }
+        if (!(await canManageCourse(req.user, courseExists, { academicYear, semester }))) {
+            return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+        }
 
         // Use the MongoDB _id of the found course for the enrollment query
         const mongoCourseId = courseExists._id;
@@ -538,15 +565,11 @@ router.get('/api/grades/course/:courseId/students/export', AllProtection, async
 // This route allows authorized users (lecturers, admins) to upload a CSV file
 // to update student scores for a particular course.
 // It expects a file upload with the field name 'gradesFile'.
-router.post('/api/grades/course/:courseId/upload-grades', upload.single('gradesFile'), AllProtection, async (req, res) => {
+// An optional 'Reason' column (or a 'reason' form field for the whole file) is recorded in the score audit log.
+// Access: lecturers assigned to the course, admin, registrar
+router.post('/api/grades/course/:courseId/upload-grades', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), upload.single('gradesFile'), async (req, res) => {
     const { courseId } = req.params; // This is now the human-readable course code
 
-    // Optional: Implement role-based access control here.
-    // Ensure only authorized roles (e.g., 'lecturer', 'admin') can upload grades.
-    // if (req.user.role !== 'lecturer' && req.user.role !== 'admin') {
-    //     return res.status(403).json({ message: 'Forbidden: You do not have permission to upload grades.' });
-    // }
-
     // Check if a file was uploaded
     if (!req.file) {
         return res.status(400).json({ message: 'No file uploaded. Please upload a CSV file.' });
@@ -563,13 +586,18 @@ router.post('/api/grades/course/:courseId/upload-grades', upload.single('gradesF
     const updatedRecords = [];
     const errors = [];
     let processedCount = 0;
+    const gradingWindowByTerm = new Map(); // "academicYear|semester" -> null (open) or closed-window message
+    const assignedByTerm = new Map(); // "academicYear|semester" -> whether the uploader may change scores in that term
 
     try {
-        // Find the Course document using the human-readable courseId
-        const courseExists = await Course.findOne({ courseId: courseId });
+        // Find the Course document using the human-readable course code
+        const courseExists = await findCourseByCode(courseId);
         if (!courseExists) {
             return res.status(404).json({ message: `Course with code '${courseId}' not found.` });
         }
+        if (!(await canManageCourse(req.user, courseExists))) {
+            return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+        }
 
         // Use the MongoDB _id of the found course for the enrollment query
         const mongoCourseId = courseExists._id;
@@ -588,7 +616,8 @@ router.post('/api/grades/course/:courseId/upload-grades', upload.single('gradesF
                 const enrollmentId = row['Enrollment ID'];
                 const caScore = row['CA Score'] ? parseFloat(row['CA Score']) : undefined;
                 const examScore = row['Exam Score'] ? parseFloat(row['Exam Score']) : undefined;
-                const finalGrade = row['Final Grade'] ? row['Final Grade'].trim() : undefined;
+                const reason = row['Reason'] || (req.body && req.body.reason);
+                // 'Final Grade' in the CSV is ignored: it is recomputed from the scores by the grading scheme
 
                 if (!enrollmentId) {
                     errors.push(`Row ${processedCount}: Missing 'Enrollment ID'. Skipping.`);
@@ -607,34 +636,49 @@ router.post('/api/grades/course/:courseId/upload-grades', upload.single('gradesF
                     bufferStream.resume();
                     return;
                 }
-                // Add more validation for finalGrade if needed (e.g., must be A, B, C, D, F)
 
                 try {
-                    const updateFields = {};
-                    if (caScore !== undefined) updateFields.caScore = caScore;
-                    if (examScore !== undefined) updateFields.examScore = examScore;
-                    if (finalGrade !== undefined) updateFields.finalGrade = finalGrade;
-
-                    if (Object.keys(updateFields).length > 0) {
-                        const updatedEnrollment = await Enrollment.findOneAndUpdate(
-                            { _id: enrollmentId, course: mongoCourseId }, // Use mongoCourseId here
-                            { $set: updateFields },
-                            { new: true } // Return the updated document
+                    if (caScore !== undefined || examScore !== undefined) {
+                        // Load and save (rather than findOneAndUpdate) so the Enrollment pre-save hook
+                        // recomputes totalScore and finalGrade from the new scores.
+                        const updatedEnrollment = await Enrollment.findOne(
+                            { _id: enrollmentId, course: mongoCourseId } // Use mongoCourseId here
                         );
 
-                        if (updatedEnrollment) {
+                        // Scores can only change inside the enrollment's term grading window
+                        const termKey = updatedEnrollment && `${updatedEnrollment.academicYear}|${updatedEnrollment.semester}`;
+                        if (updatedEnrollment && !gradingWindowByTerm.has(termKey)) {
+                            const term = await resolveTerm({ academicYear: updatedEnrollment.academicYear, semester: updatedEnrollment.semester });
+                            gradingWindowByTerm.set(termKey, term ? checkGradingWindow(term, req.user) : null);
+                            assignedByTerm.set(termKey, await canManageCourse(req.user, courseExists, updatedEnrollment));
+                        }
+
+                        if (updatedEnrollment && gradingWindowByTerm.get(termKey)) {
+                            errors.push(`Row ${processedCount} (Enrollment ID: ${enrollmentId}): ${gradingWindowByTerm.get(termKey)}`);
+                        } else if (updatedEnrollment && !assignedByTerm.get(termKey)) {
+                            errors.push(`Row ${processedCount} (Enrollment ID: ${enrollmentId}): You are not assigned to teach this course in ${updatedEnrollment.semester} ${updatedEnrollment.academicYear}.`);
+                        } else if (updatedEnrollment && !canEditScores(updatedEnrollment, req.user)) {
+                            // Submitted results are locked for lecturers
+                            errors.push(`Row ${processedCount} (Enrollment ID: ${enrollmentId}): Results are '${updatedEnrollment.resultStatus}' and can no longer be changed by lecturers.`);
+                        } else if (updatedEnrollment) {
+                            if (caScore !== undefined) updatedEnrollment.caScore = caScore;
+                            if (examScore !== undefined) updatedEnrollment.examScore = examScore;
+                            updatedEnrollment.recordScoreChange({ actor: req.user, source: 'csv', reason });
+                            await updatedEnrollment.save();
+
                             updatedRecords.push({
                                 enrollmentId: updatedEnrollment._id,
                                 studentName: updatedEnrollment.student ? updatedEnrollment.student.name : 'N/A', // If student was populated
                                 caScore: updatedEnrollment.caScore,
                                 examScore: updatedEnrollment.examScore,
+                                totalScore: updatedEnrollment.totalScore,
                                 finalGrade: updatedEnrollment.finalGrade
                             });
                         } else {
                             errors.push(`Row ${processedCount} (Enrollment ID: ${enrollmentId}): Enrollment not found or does not belong to this course.`);
                         }
                     } else {
-                        errors.push(`Row ${processedCount} (Enrollment ID: ${enrollmentId}): No valid score or grade fields provided for update.`);
+                        errors.push(`Row ${processedCount} (Enrollment ID: ${enrollmentId}): No valid score fields provided for update.`);
                     }
                 } catch (dbError) {
                     errors.push(`Row ${processedCount} (Enrollment ID: ${enrollmentId}): Database error - ${dbError.message}`);
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Lecturer = require('../Models/Lecturers.js'); // Ensure this path is correct for Lecturer
 const Student = require('../Models/Students.js'); // Ensure this path is correct for Student
+const Admin = require('../Models/Admins.js'); // Staff accounts (admin, registrar, bursar)
 const bcrypt = require('bcryptjs'); // For password comparison
 const jwt = require('jsonwebtoken'); // Import jsonwebtoken
 
@@ -33,6 +34,10 @@ router.post('/api/lecturer/login', async (req, res) => {
             return res.status(401).json({ message: 'Invalid credentials.' }); // Use generic message for security
         }
 
+        if (lecturer.accountStatus === 'suspended') {
+            return res.status(403).json({ message: 'This account has been suspended. Please contact the administrator.' });
+        }
+
         // 3. If credentials are valid, generate a JWT
         // The payload typically includes user ID and role, but avoid sensitive data.
         const token = jwt.sign(
@@ -84,6 +89,10 @@ router.post('/api/student/login', async (req, res) => {
             return res.status(401).json({ message: 'Invalid credentials.' });
         } 
 
+        if (student.accountStatus === 'suspended') {
+            return res.status(403).json({ message: 'This account has been suspended. Please contact the administrator.' });
+        }
+
         // 3. If credentials are valid, generate a JWT
         const token = jwt.sign(
             { id: student._id, role: 'student' },
@@ -116,4 +125,55 @@ router.post('/api/student/login', async (req, res) => {
     }
 });
 
+// POST /api/admin/login
+// This route handles staff login (admin, registrar, bursar). The token carries the staff member's role.
+router.post('/api/admin/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    // Basic validation
+    if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required.' });
+    }
+
+    try {
+        // 1. Find the staff account by email
+        const admin = await Admin.findOne({ email: email.toLowerCase() });
+        if (!admin) {
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+
+        // 2. Compare the provided password with the hashed password in the database
+        const isMatch = await bcrypt.compare(password, admin.password);
+        if (!isMatch) {
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+
+        if (admin.accountStatus === 'suspended') {
+            return res.status(403).json({ message: 'This account has been suspended. Please contact the administrator.' });
+        }
+
+        // 3. If credentials are valid, generate a JWT with the account's role
+        const token = jwt.sign(
+            { id: admin._id, role: admin.role },
+            JWT_SECRET,
+            { expiresIn: '1h' } // Token expires in 1 hour
+        );
+
+        // 4. Return the profile (excluding sensitive info) and the token
+        const adminResponse = admin.toObject();
+        delete adminResponse.password;
+        delete adminResponse.__v;
+
+        res.status(200).json({
+            message: 'Login successful!',
+            token: token,
+            admin: adminResponse
+        });
+
+    } catch (error) {
+        console.error('Error during admin login:', error);
+        res.status(500).json({ message: 'Server error during login.' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,146 @@
+// routes/paymentReconciliationRoutes.js
+// Payment reconciliation runs: our payment records checked against Paystack's transaction list, with
+// stale pending records settled or closed and a report of what does not match.
+
+const express = require('express');
+const router = express.Router();
+const { stringify } = require('csv-stringify');
+const ReconciliationRun = require('../Models/ReconciliationRuns.js');
+const { DISCREPANCY_TYPES } = require('../Models/ReconciliationRuns.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const {
+    DEFAULT_STALE_AFTER_MINUTES,
+    reconcilePayments,
+    reconciliationRunToRecords
+} = require('../Services/PaymentReconciliationService.js');
+
+const financeOnly = [AllProtection, authorizeRoles('admin', 'bursar')];
+
+// Range used when none is given
+const DEFAULT_RANGE_DAYS = 7;
+
+
+// POST /api/payments/reconciliations
+// Reconciles the payments created in a date range against Paystack and saves the report.
+// Body example (everything optional):
+// {
+//     "from": "2025-10-01",        // defaults to 7 days before `to`
+//     "to": "2025-10-08",          // defaults to now; at most 31 days after `from`
+//     "staleAfterMinutes": 60,     // pending records younger than this are left alone
+//     "dryRun": true               // report what would be done without changing any record
+// }
+// Access: admin, bursar
+router.post('/api/payments/reconciliations', ...financeOnly, async (req, res) => {
+    const body = req.body || {}; // Every field is optional, so the request may have no body at all
+    const { staleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES, dryRun = false } = body;
+
+    const to = body.to ? new Date(body.to) : new Date();
+    const from = body.from ? new Date(body.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ message: 'from and to must be valid dates.' });
+    }
+    if (!Number.isFinite(Number(staleAfterMinutes)) || Number(staleAfterMinutes) < 0) {
+        return res.status(400).json({ message: 'staleAfterMinutes must be a non-negative number.' });
+    }
+
+    try {
+        const result = await reconcilePayments({
+            from,
+            to,
+            staleAfterMinutes: Number(staleAfterMinutes),
+            dryRun: dryRun === true || dryRun === 'true',
+            actor: req.user
+        });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        const { summary } = result.run;
+        res.status(201).json({
+            message: `${result.run.dryRun ? 'Dry run: ' : ''}${summary.settled + summary.created} payment(s) settled, ` +
+                `${summary.failed + summary.abandoned} closed, discrepancies found: ${summary.discrepancies}.`,
+            run: result.run
+        });
+
+    } catch (error) {
+        console.error('Error reconciling payments:', error);
+        res.status(500).json({ message: 'Server error while reconciling payments.' });
+    }
+});
+
+// GET /api/payments/reconciliations
+// Lists runs without their entries, newest first.
+// Access: admin, bursar
+router.get('/api/payments/reconciliations', ...financeOnly, async (req, res) => {
+    try {
+        const runs = await ReconciliationRun.find()
+            .select('-entries')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Reconciliation runs retrieved successfully.',
+            totalRuns: runs.length,
+            runs: runs
+        });
+
+    } catch (error) {
+        console.error('Error fetching reconciliation runs:', error);
+        res.status(500).json({ message: 'Server error while fetching reconciliation runs.' });
+    }
+});
+
+// GET /api/payments/reconciliations/:runId
+// The reconciliation report. Optional query parameters: discrepancy (only those entries), format=json|csv
+// Access: admin, bursar
+router.get('/api/payments/reconciliations/:runId', ...financeOnly, async (req, res) => {
+    const { discrepancy, format = 'json' } = req.query;
+
+    if (discrepancy && !DISCREPANCY_TYPES.includes(discrepancy)) {
+        return res.status(400).json({ message: `discrepancy must be one of: ${DISCREPANCY_TYPES.join(', ')}.` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ message: 'format must be one of: json, csv.' });
+    }
+
+    try {
+        const run = await ReconciliationRun.findById(req.params.runId).lean();
+        if (!run) {
+            return res.status(404).json({ message: 'Reconciliation run not found.' });
+        }
+
+        if (discrepancy) {
+            run.entries = run.entries.filter(entry => entry.discrepancy === discrepancy);
+        }
+
+        if (format === 'csv') {
+            return stringify(reconciliationRunToRecords(run), (err, output) => {
+                if (err) {
+                    console.error('Error generating CSV:', err);
+                    return res.status(500).json({ message: 'Failed to generate CSV file.' });
+                }
+                res.header('Content-Type', 'text/csv');
+                res.attachment(`reconciliation_${run.from.toISOString().slice(0, 10)}_${run.to.toISOString().slice(0, 10)}_${run._id}.csv`);
+                res.send(output);
+            });
+        }
+
+        res.status(200).json({
+            message: 'Reconciliation run retrieved successfully.',
+            run: run
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid reconciliation run ID.' });
+        }
+        console.error('Error fetching reconciliation run:', error);
+        res.status(500).json({ message: 'Server error while fetching reconciliation run.' });
+    }
+});
+
+module.exports = router;
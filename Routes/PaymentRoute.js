@@ -2,12 +2,21 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios'); // For making HTTP requests to Paystack
-const crypto = require('crypto'); // For webhook verification
+const mongoose = require('mongoose');
 const Transaction = require('../Models/Payment'); // <--- CHANGED HERE: now imports as Transaction
 const Student = require("../Models/Students.js"); // Assuming this path is correct
 const StudentsTokenCheck = require ('./ProtectionMiddlewares.js')
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { toKobo, formatKobo } = require('../Services/FeeService.js');
+const { invoiceBalance, unreservedBalance, reserveBalance, releaseReservation, getOrIssueInvoice } = require('../Services/LedgerService.js');
+const { PAYSTACK_API_BASE_URL, isValidSignature, verifyTransaction } = require('../Services/PaystackService.js');
+const { settlePayment, handleWebhookEvent } = require('../Services/PaymentSettlementService.js');
 
 
+// Roles that may start a payment on a student's behalf
+const PAYMENT_ON_BEHALF_ROLES = ['bursar', 'admin'];
+
 // Middleware to protect routes (example - replace with your actual auth logic)
 const protect = (req, res, next) => {
     // In a real app, you'd verify JWT token here (e.g., using jsonwebtoken)
@@ -23,31 +32,75 @@ const protect = (req, res, next) => {
     }
 };
 
-// Paystack API Base URL
-const PAYSTACK_API_BASE_URL = 'https://api.paystack.co';
-
 // @route   POST /api/initiate-payment
-// @desc    Initiate a Paystack transaction
-// @access  Private (Student)
-router.post('/initiate-payment', StudentsTokenCheck, async (req, res) => {
-    const { amount, studentId, semester, academicYear, description, email, callback_url } = req.body; // Added callback_url from frontend
+// @desc    Initiate a Paystack transaction against the student's invoice for a term
+//          The term is given as termId or academicYear + semester; the current term is used when neither is sent.
+//          The invoice is issued from the fee schedule on the first payment (see Services/LedgerService.js);
+//          optionalItems: ids of optional fee items (e.g. hostel) to include when it is issued.
+//          amount (naira) is optional and pays an instalment; it defaults to, and cannot exceed, the balance.
+//          A started payment holds its amount of the balance until it is settled, fails or expires, so while
+//          one is in progress another can only be started for what is left (409 otherwise).
+//          Students pay for their own account; the bursary and admins may pass studentId to pay for a student.
+// @access  Private (Student, bursar, admin)
+router.post('/initiate-payment', StudentsTokenCheck, authorizeRoles('student', ...PAYMENT_ON_BEHALF_ROLES), async (req, res) => {
+    const { termId, optionalItems, amount, description, email, callback_url } = req.body; // Added callback_url from frontend
+    const studentId = req.user.role === 'student' ? req.user.id : req.body.studentId;
 
     // Basic validation
-    if (!amount || !studentId || !semester || !academicYear || !email) {
-        return res.status(400).json({ message: 'Missing required payment details (amount, studentId, semester, academicYear, email).' });
+    if (!studentId || !email) {
+        return res.status(400).json({ message: 'Missing required payment details (studentId, email).' });
+    }
+    if (optionalItems !== undefined && !Array.isArray(optionalItems)) {
+        return res.status(400).json({ message: 'optionalItems must be an array of fee item IDs.' });
     }
-    if (amount <= 0) {
+    if (amount !== undefined && !(Number(amount) > 0)) {
         return res.status(400).json({ message: 'Amount must be positive.' });
     }
 
+    let reservedPayment = null; // Released again if the payment is not started
     try {
+        const term = await resolveTerm({ termId, academicYear: req.body.academicYear, semester: req.body.semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+        const { semester, academicYear } = term;
+
         const student = await Student.findById(studentId);
         if (!student) {
             return res.status(404).json({ message: 'Student not found.' });
         }
 
-        // Paystack requires amount in kobo (amount * 100)
-        const amountInKobo = Math.round(amount * 100);
+        const invoiceResult = await getOrIssueInvoice({ student, term, optionalItemIds: optionalItems || [] });
+        if (invoiceResult.error) {
+            return res.status(invoiceResult.error.httpStatus).json({ message: invoiceResult.error.message });
+        }
+        const { invoice } = invoiceResult;
+
+        const balanceInKobo = invoiceBalance(invoice);
+        if (balanceInKobo <= 0) {
+            return res.status(409).json({ message: `Invoice ${invoice.invoiceNumber} for ${semester} ${academicYear} has been paid in full.` });
+        }
+
+        const availableInKobo = unreservedBalance(invoice);
+        if (availableInKobo <= 0) {
+            return res.status(409).json({ message: `A payment for the balance of invoice ${invoice.invoiceNumber} is already in progress. Complete it, or try again once it has expired.` });
+        }
+
+        // Paystack requires amount in kobo
+        const amountInKobo = amount !== undefined ? toKobo(Number(amount)) : availableInKobo;
+        if (amountInKobo > balanceInKobo) {
+            return res.status(400).json({ message: `The amount cannot be more than the balance of ${formatKobo(balanceInKobo)}.` });
+        }
+
+        const paymentId = new mongoose.Types.ObjectId();
+        const reservation = await reserveBalance(invoice, paymentId, amountInKobo);
+        if (reservation.error) {
+            return res.status(reservation.error.httpStatus).json({
+                message: reservation.error.message,
+                ...(reservation.error.details ? { details: reservation.error.details } : {})
+            });
+        }
+        reservedPayment = { _id: paymentId, invoice: invoice._id };
 
         // Initiate transaction with Paystack
         const paystackResponse = await axios.post(
@@ -60,6 +113,7 @@ router.post('/initiate-payment', StudentsTokenCheck, async (req, res) => {
                     student_id: student._id.toString(),
                     semester: semester,
                     academic_year: academicYear,
+                    term_id: term._id.toString(),
                     description: description || `Fee payment for ${semester} ${academicYear}`
                 },
                 callback_url: callback_url // Use the callback_url sent from frontend
@@ -78,17 +132,22 @@ router.post('/initiate-payment', StudentsTokenCheck, async (req, res) => {
             // CRITICAL CHECK: Ensure Paystack reference is present
             if (!paystackData.reference) {
                 console.error('Paystack initialization successful but reference is missing:', paystackData);
+                await releaseReservation(reservedPayment);
                 return res.status(500).json({ message: 'Failed to initiate payment: Paystack reference missing.' });
             }
 
             // Save a pending payment record in your database
             // This record now *always* has a valid Paystack reference
             const newTransaction = new Transaction({ // <--- CHANGED HERE
+                _id: paymentId, // The id the balance was reserved for
                 studentId: student._id,
                 paystackReference: paystackData.reference, // Paystack's transaction reference (guaranteed non-null here)
                 amount: amountInKobo,
+                invoice: invoice._id,
+                feeItems: invoice.items,
                 currency: 'NGN',
                 status: 'pending', // Initial status
+                term: term._id,
                 semester: semester,
                 academicYear: academicYear,
                 description: description || `Fee payment for ${semester} ${academicYear}`
@@ -99,15 +158,23 @@ router.post('/initiate-payment', StudentsTokenCheck, async (req, res) => {
                 authorization_url: paystackData.authorization_url, // URL to redirect user to
                 access_code: paystackData.access_code, // Access code for inline payment
                 reference: paystackData.reference, // Paystack's transaction reference
-                paymentId: newTransaction._id // <--- CHANGED HERE
+                paymentId: newTransaction._id, // <--- CHANGED HERE
+                amount: amountInKobo / 100, // In naira
+                invoiceNumber: invoice.invoiceNumber,
+                balance: balanceInKobo / 100, // Before this payment, in naira
+                feeItems: invoice.items
             });
         } else {
             console.error('Paystack initiation failed:', paystackResponse.data);
+            await releaseReservation(reservedPayment);
             res.status(500).json({ message: 'Failed to initiate payment with Paystack.', details: paystackResponse.data.message });
         }
 
     } catch (error) {
         console.error('Error initiating payment:', error.response ? error.response.data : error.message);
+        if (reservedPayment) {
+            await releaseReservation(reservedPayment).catch((releaseError) => console.error('Error releasing the reserved balance:', releaseError.message));
+        }
         // Check for specific duplicate key error from MongoDB if it's not null-related
         if (error.code === 11000) { // MongoDB duplicate key error code
             return res.status(409).json({ message: 'A payment for this reference already exists or a unique constraint was violated.', error: error.message });
@@ -118,58 +185,40 @@ router.post('/initiate-payment', StudentsTokenCheck, async (req, res) => {
 
 // @route   GET /api/verify-payment/:reference
 // @desc    Verify a Paystack transaction after completion (called from frontend)
+//          Settles it the same way as the webhook (see Services/PaymentSettlementService.js), so it does not
+//          matter which of the two arrives first.
 // @access  Private (Student)
 router.get('/verify-payment/:reference', protect, async (req, res) => {
     const { reference } = req.params;
 
     try {
-        const paystackResponse = await axios.get(
-            `${PAYSTACK_API_BASE_URL}/transaction/verify/${reference}`,
-            {
-                headers: {
-                    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-                }
-            }
-        );
-
-        const paystackData = paystackResponse.data.data;
-
-        if (paystackData && paystackData.status === 'success') {
-            const { student_id, semester, academic_year } = paystackData.metadata;
-
-            // Find and update your internal payment record
-            // Use findOneAndUpdate to handle cases where the record might not exist yet (less common with your flow)
-            const updatedTransaction = await Transaction.findOneAndUpdate( // <--- CHANGED HERE
-                { paystackReference: reference },
-                {
-                    status: 'success',
-                    paidAt: paystackData.paid_at,
-                    updatedAt: Date.now()
-                },
-                { new: true }
-            );
-
-            if (!updatedTransaction) { // <--- CHANGED HERE
-                // This case means the initiate-payment record wasn't found.
-                // This could happen if the initial save failed, or if webhook was faster.
-                // For robustness, you might create it here, but your webhook handles it better.
-                console.warn(`Verify: Payment record with reference ${reference} not found for update.`);
-                // Proceed to update student even if payment record wasn't found/updated by this call
-            }
+        const paystackData = await verifyTransaction(reference);
+        if (!paystackData) {
+            return res.status(404).json({ message: 'Payment not found at Paystack.' });
+        }
 
-            // Update student's payment status
-            await Student.findByIdAndUpdate(student_id, {
-                currentSemesterPaymentStatus: 'paid',
-                lastPaidSemester: semester,
-                lastPaidAcademicYear: academic_year,
-                $addToSet: { paymentHistory: updatedTransaction ? updatedTransaction._id : null } // <--- CHANGED HERE
-            });
+        const result = await settlePayment(paystackData);
+        if (result.error) {
+            console.error(`Verify: Could not settle payment ${reference}: ${result.error.message}`);
+            return res.status(result.error.httpStatus).json({ message: result.error.message });
+        }
 
-            res.status(200).json({ message: 'Payment verified successfully.', payment: updatedTransaction }); // <--- CHANGED HERE
-        } else {
-            res.status(400).json({ message: 'Payment verification failed.', details: paystackData.gateway_response || 'Unknown status' });
+        const { transaction, invoice, outcome } = result;
+        if (outcome === 'amount-mismatch') {
+            return res.status(400).json({ message: 'Payment amount does not match the fees due.', details: transaction.statusReason });
+        }
+        if (outcome !== 'settled' && outcome !== 'already-settled') {
+            return res.status(400).json({ message: 'Payment verification failed.', details: paystackData.gateway_response || 'Unknown status' });
         }
 
+        res.status(200).json({
+            message: invoice.status === 'paid'
+                ? 'Payment verified successfully. The invoice has been paid in full.'
+                : `Payment verified successfully. ${formatKobo(invoiceBalance(invoice))} is still outstanding.`,
+            payment: transaction,
+            invoice: invoice
+        });
+
     } catch (error) {
         console.error('Error verifying payment:', error.response ? error.response.data : error.message);
         res.status(500).json({ message: 'Failed to verify payment.', error: error.response ? error.response.data.message : error.message });
@@ -179,107 +228,34 @@ router.get('/verify-payment/:reference', protect, async (req, res) => {
 
 // @route   POST /webhook
 // @desc    Paystack Webhook for handling payment events (called by Paystack)
+//          The signature is checked over the raw request body (kept by the JSON parser in index.js).
+//          Each event is recorded, so a replayed or retried delivery is acted on once; a delivery that
+//          failed is answered with 500 so that Paystack retries it.
 // @access  Public
-router.post('/webhook', express.json(), async (req, res) => { // Use express.json() for Paystack webhooks
-    const secret = process.env.PAYSTACK_SECRET_KEY;
-    const hash = crypto.createHmac('sha512', secret).update(JSON.stringify(req.body)).digest('hex');
-
-    if (hash == req.headers['x-paystack-signature']) {
-        const event = req.body;
-
-        if (event.event === 'charge.success') {
-            const paystackData = event.data;
-            const reference = paystackData.reference;
-            // Ensure metadata fields are safely accessed
-            const student_id = paystackData.metadata?.student_id;
-            const semester = paystackData.metadata?.semester;
-            const academic_year = paystackData.metadata?.academic_year;
-            const description = paystackData.metadata?.description;
-
-
-            if (!student_id || !semester || !academic_year) {
-                console.error('Webhook: Missing essential metadata in charge.success event for reference:', reference);
-                return res.status(400).json({ received: true, message: 'Missing metadata' });
-            }
-
-            try {
-                // Find and update the payment record
-                const updatedTransaction = await Transaction.findOneAndUpdate( // <--- CHANGED HERE
-                    { paystackReference: reference },
-                    {
-                        status: 'success',
-                        paidAt: paystackData.paid_at,
-                        updatedAt: Date.now()
-                    },
-                    { new: true }
-                );
-
-                if (updatedTransaction) { // <--- CHANGED HERE
-                    // Update student's payment status
-                    await Student.findByIdAndUpdate(student_id, {
-                        currentSemesterPaymentStatus: 'paid',
-                        lastPaidSemester: semester,
-                        lastPaidAcademicYear: academic_year,
-                        $addToSet: { paymentHistory: updatedTransaction._id } // <--- CHANGED HERE
-                    });
-                    console.log(`Webhook: Student ${student_id} payment status updated to paid for ${semester} ${academic_year}.`);
-                } else {
-                    // This is the crucial 'else' block for the webhook.
-                    // If the payment record wasn't found (e.g., initial save failed or race condition), create it.
-                    console.warn(`Webhook: Payment record with reference ${reference} not found. Creating new one.`);
-                    const newTransaction = new Transaction({ // <--- CHANGED HERE
-                        studentId: student_id,
-                        paystackReference: reference,
-                        amount: paystackData.amount, // amount from webhook is in kobo
-                        currency: paystackData.currency,
-                        status: 'success',
-                        semester: semester,
-                        academicYear: academic_year,
-                        description: description || `Fee payment for ${semester} ${academic_year}`,
-                        paidAt: paystackData.paid_at,
-                        createdAt: Date.now(),
-                        updatedAt: Date.now()
-                    });
-                    await newTransaction.save();
-                    await Student.findByIdAndUpdate(student_id, {
-                        currentSemesterPaymentStatus: 'paid',
-                        lastPaidSemester: semester,
-                        lastPaidAcademicYear: academic_year,
-                        $addToSet: { paymentHistory: newTransaction._id } // <--- CHANGED HERE
-                    });
-                    console.log(`Webhook: New payment record created and student updated for ${reference}.`);
-                }
+router.post('/webhook', async (req, res) => {
+    if (!isValidSignature(req.rawBody, req.headers['x-paystack-signature'])) {
+        console.error('Webhook: Invalid Paystack signature!');
+        return res.status(400).send('Invalid signature');
+    }
 
-            } catch (dbError) {
-                console.error('Webhook: Error updating DB from webhook:', dbError);
-                return res.status(500).json({ received: true, message: 'Database update failed' });
-            }
-        } else if (event.event === 'charge.failed') {
-            const paystackData = event.data;
-            const reference = paystackData.reference;
+    const event = req.body;
+    if (!event || !event.event) {
+        return res.status(400).json({ received: false, message: 'Malformed event' });
+    }
 
-            try {
-                await Transaction.findOneAndUpdate( // <--- CHANGED HERE
-                    { paystackReference: reference },
-                    {
-                        status: 'failed',
-                        updatedAt: Date.now()
-                    },
-                    { new: true }
-                );
-                console.log(`Webhook: Payment with reference ${reference} failed.`);
-            } catch (dbError) {
-                console.error('Webhook: Error updating DB for failed payment:', dbError);
-                return res.status(500).json({ received: true, message: 'Database update failed for failed payment' });
-            }
+    try {
+        const result = await handleWebhookEvent(event, req.rawBody);
+        if (result.duplicate) {
+            console.log(`Webhook: Skipped replayed ${event.event} event for ${event.data?.reference}.`);
+        } else {
+            console.log(`Webhook: ${event.event} for ${event.data?.reference}: ${result.outcome || 'ignored'}.`);
         }
         // Always return 200 to Paystack to acknowledge receipt
-        res.status(200).json({ received: true });
-    } else {
-        // Invalid signature
-        console.error('Webhook: Invalid Paystack signature!');
-        res.status(400).send('Invalid signature');
+        res.status(200).json({ received: true, duplicate: result.duplicate });
+    } catch (dbError) {
+        console.error('Webhook: Error updating DB from webhook:', dbError);
+        res.status(500).json({ received: true, message: 'Database update failed' });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,171 @@
+// routes/prerequisiteRoutes.js
+// Prerequisite checks and per-student prerequisite waivers.
+
+const express = require('express');
+const router = express.Router();
+const PrerequisiteWaiver = require('../Models/PrerequisiteWaivers.js');
+const Student = require('../Models/Students.js');
+const Course = require('../Models/Courses.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { checkPrerequisites } = require('../Services/PrerequisiteService.js');
+
+
+// GET /api/prerequisites/check?studentId=...&courseId=...
+// Reports which prerequisites of a course the student is still missing, before they try to enroll.
+// Access: the student themself, lecturers, admin, registrar
+router.get('/api/prerequisites/check', AllProtection, async (req, res) => {
+    const { studentId, courseId } = req.query;
+
+    if (!studentId || !courseId) {
+        return res.status(400).json({ message: 'studentId and courseId are required.' });
+    }
+    if (req.user.role === 'student' && req.user.id !== studentId) {
+        return res.status(403).json({ message: 'Forbidden: You can only check your own prerequisites.' });
+    }
+
+    try {
+        const course = await Course.findById(courseId).select('courseCode title prerequisites').lean();
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+
+        const result = await checkPrerequisites(studentId, course);
+
+        res.status(200).json({
+            message: result.satisfied
+                ? `All prerequisites for ${course.courseCode} are met.`
+                : `Missing prerequisites for ${course.courseCode}.`,
+            courseCode: course.courseCode,
+            satisfied: result.satisfied,
+            missingPrerequisites: result.missing,
+            waivedPrerequisites: result.waived
+        });
+
+    } catch (error) {
+        console.error('Error checking prerequisites:', error);
+        res.status(500).json({ message: 'Server error while checking prerequisites.' });
+    }
+});
+
+
+// GET /api/prerequisite-waivers
+// Optional query parameters: studentId, courseId, includeRevoked=true
+// Access: admin, registrar
+router.get('/api/prerequisite-waivers', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { studentId, courseId, includeRevoked } = req.query;
+
+    try {
+        let query = {};
+        if (studentId) query.student = studentId;
+        if (courseId) query.course = courseId;
+        if (includeRevoked !== 'true') query.revokedAt = null;
+
+        const waivers = await PrerequisiteWaiver.find(query)
+            .populate('student', 'name registrationNumber')
+            .populate('course', 'courseCode title')
+            .populate('prerequisite', 'courseCode title')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Prerequisite waivers retrieved successfully.',
+            totalWaivers: waivers.length,
+            waivers: waivers
+        });
+
+    } catch (error) {
+        console.error('Error fetching prerequisite waivers:', error);
+        res.status(500).json({ message: 'Server error while fetching prerequisite waivers.' });
+    }
+});
+
+
+// POST /api/prerequisite-waivers
+// Grants a student a waiver for one prerequisite of a course, or for all of them.
+//
+// Request Body Example:
+// {
+//     "studentId": "...",
+//     "courseId": "...",          // the course being enrolled in
+//     "prerequisiteId": "...",    // optional; omit to waive every prerequisite of the course
+//     "reason": "Passed equivalent course at previous institution",
+//     "expiresAt": "2026-01-31"   // optional
+// }
+// Access: admin, registrar
+router.post('/api/prerequisite-waivers', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { studentId, courseId, prerequisiteId, reason, expiresAt } = req.body;
+
+    if (!studentId || !courseId || !reason) {
+        return res.status(400).json({ message: 'Student ID, course ID and reason are required.' });
+    }
+
+    try {
+        const student = await Student.findById(studentId);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+
+        if (prerequisiteId && !course.prerequisites.map(String).includes(String(prerequisiteId))) {
+            return res.status(400).json({ message: `The given prerequisite is not a prerequisite of ${course.courseCode}.` });
+        }
+
+        const waiver = new PrerequisiteWaiver({
+            student: studentId,
+            course: courseId,
+            prerequisite: prerequisiteId || null,
+            reason,
+            grantedBy: req.user.id,
+            expiresAt: expiresAt ? new Date(expiresAt) : null
+        });
+        await waiver.save();
+
+        res.status(201).json({
+            message: 'Prerequisite waiver granted successfully.',
+            waiver: waiver
+        });
+
+    } catch (error) {
+        console.error('Error granting prerequisite waiver:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error while granting prerequisite waiver.' });
+    }
+});
+
+
+// DELETE /api/prerequisite-waivers/:waiverId
+// Revokes a waiver. The record is kept for auditing. Existing enrollments are not affected.
+// Access: admin, registrar
+router.delete('/api/prerequisite-waivers/:waiverId', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    try {
+        const waiver = await PrerequisiteWaiver.findOneAndUpdate(
+            { _id: req.params.waiverId, revokedAt: null },
+            { revokedAt: new Date(), revokedBy: req.user.id },
+            { new: true }
+        );
+
+        if (!waiver) {
+            return res.status(404).json({ message: 'Active waiver not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Prerequisite waiver revoked successfully.',
+            waiver: waiver
+        });
+
+    } catch (error) {
+        console.error('Error revoking prerequisite waiver:', error);
+        res.status(500).json({ message: 'Server error while revoking prerequisite waiver.' });
+    }
+});
+
+
+module.exports = router;
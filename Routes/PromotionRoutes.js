@@ -0,0 +1,311 @@
+// routes/promotionRoutes.js
+// End-of-session promotion runs and students' academic standing. A run is created as a draft report,
+// reviewed (and adjusted per student) by registrars, then committed to the students' records.
+
+const express = require('express');
+const router = express.Router();
+const { stringify } = require('csv-stringify');
+const PromotionRun = require('../Models/PromotionRuns.js');
+const { PROMOTION_OUTCOMES, PROMOTION_RUN_STATUSES } = require('../Models/PromotionRuns.js');
+const Student = require('../Models/Students.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm, normalizeAcademicYear } = require('../Services/AcademicTermService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const {
+    DEFAULT_PROMOTION_THRESHOLDS,
+    createPromotionRun,
+    overridePromotionEntry,
+    commitPromotionRun,
+    discardPromotionRun,
+    summarizeOutcomes,
+    promotionRunToRecords
+} = require('../Services/PromotionService.js');
+
+const staffOnly = [AllProtection, authorizeRoles('admin', 'registrar')];
+
+
+// POST /api/promotions/runs
+// Assesses every student (optionally of one department and/or level) for a session and saves the
+// result as a draft report. Nothing changes on the students until the run is committed.
+// Body example (everything optional; the session defaults to the current term's):
+// {
+//     "academicYear": "2025-2026",
+//     "department": "Computer Science", // name, code or id
+//     "level": 200,
+//     "minCreditsEarned": 24,           // credits to earn in the session to move up
+//     "minCgpa": 1.0,                   // CGPA needed to move up
+//     "probationCgpa": 1.0              // below this CGPA: probation, or withdrawal if already on probation
+// }
+// Access: admin, registrar
+router.post('/api/promotions/runs', ...staffOnly, async (req, res) => {
+    const { termId, department, level } = req.body;
+
+    if (level !== undefined && !(Number.isInteger(Number(level)) && Number(level) >= 100 && Number(level) % 100 === 0)) {
+        return res.status(400).json({ message: 'level must be a multiple of 100, e.g. 200.' });
+    }
+
+    const thresholds = {};
+    for (const field of Object.keys(DEFAULT_PROMOTION_THRESHOLDS)) {
+        if (req.body[field] === undefined) continue;
+        const value = Number(req.body[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            return res.status(400).json({ message: `${field} must be a non-negative number.` });
+        }
+        thresholds[field] = value;
+    }
+
+    try {
+        let academicYear = normalizeAcademicYear(req.body.academicYear);
+        if (!academicYear) {
+            const term = await resolveTerm({ termId });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found. Provide an academicYear or set a current term.' });
+            }
+            academicYear = term.academicYear;
+        }
+        if (!/^\d{4}-\d{4}$/.test(academicYear)) {
+            return res.status(400).json({ message: 'academicYear must look like 2025-2026.' });
+        }
+
+        let runDepartment = null;
+        if (department) {
+            runDepartment = await findDepartment(department);
+            if (!runDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+        }
+
+        const result = await createPromotionRun({ academicYear, department: runDepartment, level, thresholds, actor: req.user });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(201).json({
+            message: `Promotion run for ${academicYear} created. Review it, then commit or discard it.`,
+            outcomes: summarizeOutcomes(result.run),
+            run: result.run
+        });
+
+    } catch (error) {
+        console.error('Error creating promotion run:', error);
+        res.status(500).json({ message: 'Server error while creating promotion run.' });
+    }
+});
+
+// GET /api/promotions/runs
+// Lists runs without their entries. Optional query parameters: academicYear, status
+// Access: admin, registrar
+router.get('/api/promotions/runs', ...staffOnly, async (req, res) => {
+    const { academicYear, status } = req.query;
+
+    if (status && !PROMOTION_RUN_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${PROMOTION_RUN_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        let query = {};
+        if (academicYear) query.academicYear = normalizeAcademicYear(academicYear);
+        if (status) query.status = status;
+
+        const runs = await PromotionRun.find(query)
+            .select('-entries')
+            .populate('departmentId', 'name code')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Promotion runs retrieved successfully.',
+            totalRuns: runs.length,
+            runs: runs
+        });
+
+    } catch (error) {
+        console.error('Error fetching promotion runs:', error);
+        res.status(500).json({ message: 'Server error while fetching promotion runs.' });
+    }
+});
+
+// GET /api/promotions/runs/:runId
+// The promotion report. Optional query parameters: outcome (only those entries), format=json|csv
+// Access: admin, registrar
+router.get('/api/promotions/runs/:runId', ...staffOnly, async (req, res) => {
+    const { outcome, format = 'json' } = req.query;
+
+    if (outcome && !PROMOTION_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ message: `outcome must be one of: ${PROMOTION_OUTCOMES.join(', ')}.` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ message: 'format must be one of: json, csv.' });
+    }
+
+    try {
+        const run = await PromotionRun.findById(req.params.runId).populate('departmentId', 'name code').lean();
+        if (!run) {
+            return res.status(404).json({ message: 'Promotion run not found.' });
+        }
+
+        const outcomes = summarizeOutcomes(run);
+        if (outcome) {
+            run.entries = run.entries.filter(entry => entry.outcome === outcome);
+        }
+
+        if (format === 'csv') {
+            return stringify(promotionRunToRecords(run), (err, output) => {
+                if (err) {
+                    console.error('Error generating CSV:', err);
+                    return res.status(500).json({ message: 'Failed to generate CSV file.' });
+                }
+                res.header('Content-Type', 'text/csv');
+                res.attachment(`promotion_${run.academicYear}_${run._id}.csv`);
+                res.send(output);
+            });
+        }
+
+        res.status(200).json({
+            message: 'Promotion run retrieved successfully.',
+            outcomes,
+            run: run
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid promotion run ID.' });
+        }
+        console.error('Error fetching promotion run:', error);
+        res.status(500).json({ message: 'Server error while fetching promotion run.' });
+    }
+});
+
+// PATCH /api/promotions/runs/:runId/entries/:studentId
+// Changes one student's outcome in a draft run.
+// Body example:
+// {
+//     "outcome": "promote", // promote, final-level, repeat, probation or withdraw
+//     "note": "Missing result confirmed by the exam officer"
+// }
+// Access: admin, registrar
+router.patch('/api/promotions/runs/:runId/entries/:studentId', ...staffOnly, async (req, res) => {
+    const { outcome, note } = req.body;
+
+    if (!PROMOTION_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ message: `outcome must be one of: ${PROMOTION_OUTCOMES.join(', ')}.` });
+    }
+
+    try {
+        const result = await overridePromotionEntry({
+            runId: req.params.runId,
+            studentId: req.params.studentId,
+            outcome,
+            note,
+            actor: req.user
+        });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(200).json({
+            message: 'Promotion outcome updated.',
+            outcomes: summarizeOutcomes(result.run),
+            entry: result.entry
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid promotion run ID.' });
+        }
+        console.error('Error updating promotion outcome:', error);
+        res.status(500).json({ message: 'Server error while updating promotion outcome.' });
+    }
+});
+
+// POST /api/promotions/runs/:runId/commit
+// Applies a draft run to the students' level and academic standing. Also finishes a commit that was
+// interrupted (a run left 'committing').
+// Access: admin, registrar
+router.post('/api/promotions/runs/:runId/commit', ...staffOnly, async (req, res) => {
+    try {
+        const result = await commitPromotionRun({ runId: req.params.runId, actor: req.user });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(200).json({
+            message: `Promotion run committed: ${result.applied} student(s) updated, ${result.skipped} skipped.`,
+            applied: result.applied,
+            skipped: result.skipped,
+            outcomes: summarizeOutcomes(result.run)
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid promotion run ID.' });
+        }
+        console.error('Error committing promotion run:', error);
+        res.status(500).json({ message: 'Server error while committing promotion run.' });
+    }
+});
+
+// POST /api/promotions/runs/:runId/discard
+// Access: admin, registrar
+router.post('/api/promotions/runs/:runId/discard', ...staffOnly, async (req, res) => {
+    try {
+        const result = await discardPromotionRun({ runId: req.params.runId, actor: req.user });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(200).json({ message: 'Promotion run discarded.' });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid promotion run ID.' });
+        }
+        console.error('Error discarding promotion run:', error);
+        res.status(500).json({ message: 'Server error while discarding promotion run.' });
+    }
+});
+
+// GET /api/students/:studentId/academic-standing
+// Level, programme, standing and the outcome of every committed promotion run.
+// Access: the student themselves, lecturers, admin, registrar
+router.get('/api/students/:studentId/academic-standing', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'lecturer', 'admin', 'registrar'), async (req, res) => {
+    try {
+        const student = await Student.findById(req.params.studentId)
+            .select('name registrationNumber department level programme programmeDuration entryAcademicYear expectedGraduationYear academicStanding progressionHistory')
+            .lean();
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Academic standing retrieved successfully.',
+            standing: {
+                ...student,
+                academicStanding: student.academicStanding || 'good',
+                finalLevel: (student.programmeDuration || 4) * 100
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student ID.' });
+        }
+        console.error('Error fetching academic standing:', error);
+        res.status(500).json({ message: 'Server error while fetching academic standing.' });
+    }
+});
+
+module.exports = router;
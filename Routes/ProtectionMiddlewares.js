@@ -1,6 +1,18 @@
 const jwt = require('jsonwebtoken');
+const Student = require('../Models/Students.js');
+const Lecturer = require('../Models/Lecturers.js');
+const Admin = require('../Models/Admins.js');
 
-const AllProtection = (req, res, next) => {
+// The collection holding the account behind each role
+const ACCOUNT_MODELS = {
+    student: Student,
+    lecturer: Lecturer,
+    admin: Admin,
+    registrar: Admin,
+    bursar: Admin
+};
+
+const AllProtection = async (req, res, next) => {
     // 1. Check for Authorization header
     const authHeader = req.headers.authorization;
 
@@ -11,19 +23,14 @@ const AllProtection = (req, res, next) => {
     // 2. Extract token
     const token = authHeader.split(' ')[1];
 
+    let decoded;
     try {
         // 3. Verify token
         // jwt.verify automatically checks for expiration and throws TokenExpiredError
         // The JWT payload for lecturers is { id: lecturer._id, role: 'lecturer' }
         // The JWT payload for students (if any) would be { id: student._id, role: 'student' }
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Attach decoded payload (user ID and role) to the request
-        // Now req.user will be an object like { id: 'someUserId', role: 'student' } or { id: 'someLecturerId', role: 'lecturer' }
-        req.user = { id: decoded.id, role: decoded.role };
-
-        // Proceed to the next middleware or route handler
-        next();
+        // The JWT payload for staff accounts is { id: admin._id, role: 'admin' | 'registrar' | 'bursar' }
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         console.error('JWT Verification Error:', error);
 
@@ -38,7 +45,54 @@ const AllProtection = (req, res, next) => {
             return res.status(500).json({ message: 'Internal server error during authentication.' });
         }
     }
+
+    // 5. The account must still exist and be active: a token issued before a suspension stays valid until it expires
+    try {
+        const AccountModel = ACCOUNT_MODELS[decoded.role];
+        const account = AccountModel ? await AccountModel.findById(decoded.id).select('accountStatus').lean() : null;
+        if (!account) {
+            return res.status(401).json({ message: 'Not authorized, account not found.' });
+        }
+        if (account.accountStatus === 'suspended') {
+            return res.status(403).json({ message: 'This account has been suspended. Please contact the administrator.' });
+        }
+    } catch (error) {
+        console.error('Account Status Check Error:', error);
+        return res.status(500).json({ message: 'Internal server error during authentication.' });
+    }
+
+    // Attach decoded payload (user ID and role) to the request
+    // Now req.user will be an object like { id: 'someUserId', role: 'student' } or { id: 'someLecturerId', role: 'lecturer' }
+    req.user = { id: decoded.id, role: decoded.role };
+
+    // Proceed to the next middleware or route handler
+    next();
+};
+
+// Role-based authorization. Use after AllProtection, e.g.
+//   router.post('/api/courses', AllProtection, authorizeRoles('admin', 'registrar'), ...)
+const authorizeRoles = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    next();
+};
+
+// Lets a user act on their own record (the id in req.params[paramName] matches the token, with the
+// given selfRole), or any user holding one of the listed roles. Use after AllProtection, e.g.
+//   router.get('/api/student/:studentId/results', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'admin'), ...)
+const authorizeSelfOrRoles = (paramName, selfRole, ...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    const isSelf = req.user.role === selfRole && req.user.id === req.params[paramName];
+    if (!isSelf && !roles.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    next();
 };
 
 
-module.exports = AllProtection;
\ No newline at end of file
+module.exports = AllProtection;
+module.exports.authorizeRoles = authorizeRoles;
+module.exports.authorizeSelfOrRoles = authorizeSelfOrRoles;
\ No newline at end of file
@@ -1,16 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const bcryptjs = require('bcryptjs'); // For password hashing
-const nodemailer = require('nodemailer'); // For sending emails (though not used in this snippet)
 const Student = require("../Models/Students.js") // Assuming this path is correct
-const Lecturer = require("../Models/Lecturers.js"); // Make sure this path is correct
 const Course = require('../Models/Courses.js'); // Make sure this path is correct
 const Enrollment = require('../Models/Enrollments.js'); // Make sure this path is correct
+const crypto = require('crypto'); // For lecturer invitation tokens
+const LecturerInvite = require('../Models/LecturerInvites.js');
+const { SCHOOL_NAME, nextRegistrationNumber, escapeRegex } = require('../Services/IdentifierService.js');
+const {
+    validateLecturerDetails,
+    findLecturerConflict,
+    createLecturer,
+    describeLecturerError
+} = require('../Services/LecturerOnboardingService.js');
+const { sendMail } = require('../Services/MailService.js');
+const { getPassedCourseIds, getActiveWaivers, checkPrerequisites } = require('../Services/PrerequisiteService.js');
+const { claimSeat, promoteFromWaitlist, getWaitlistPosition, WAITLIST_STATUS } = require('../Services/WaitlistService.js');
+const { resolveTerm, checkAddWindow } = require('../Services/AcademicTermService.js');
+const { getCreditLoad, describeCreditLoad } = require('../Services/CreditLoadService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const { findScheduleClashes, findVenueConflicts, getStudentTimetableCourses } = require('../Services/TimetableService.js');
+const { checkFinancialHold } = require('../Services/FinancialHoldService.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+
+// Lecturer invitation links stay valid for this many hours
+const LECTURER_INVITE_TTL_HOURS = 72;
 
 
-
-const SCHOOL_NAME = "ABC"; // Example school name
-
 router.post('/api/register/student', async (req, res) => {
     const { name, department, phoneNumber, email, address, password } = req.body;
 
@@ -33,41 +50,20 @@ router.post('/api/register/student', async (req, res) => {
             return res.status(409).json({ message: 'A student with this email or phone number already exists.' });
         }
 
-        // --- Serial Numbering Logic ---
-        const departmentPrefix = `${SCHOOL_NAME}/${department}/`;
-
-        // Find all students in the specified department whose registrationNumber starts with the prefix
-        const studentsInDepartment = await Student.find({
-            registrationNumber: { $regex: `^${departmentPrefix}` }
-        }).select('registrationNumber'); // Only fetch the registrationNumber field to optimize
-
-        let maxSerialNumber = 0;
-
-        if (studentsInDepartment && studentsInDepartment.length > 0) {
-            // Iterate through found students to find the highest serial number
-            for (const student of studentsInDepartment) {
-                const lastRegNum = student.registrationNumber;
-                const parts = lastRegNum.split('/');
-                const currentSerial = parseInt(parts[parts.length - 1], 10);
-
-                if (!isNaN(currentSerial) && currentSerial > maxSerialNumber) {
-                    maxSerialNumber = currentSerial;
-                }
-            }
+        // The department can be given by name, code or id; it must exist
+        const studentDepartment = await findDepartment(department);
+        if (!studentDepartment) {
+            return res.status(400).json({ message: `Department '${department}' does not exist.` });
         }
 
-        const nextSerialNumber = maxSerialNumber + 1;
-
-        // Format the serial number (e.g., 1 -> "001", 10 -> "010", 100 -> "100")
-        const formattedSerialNumber = String(nextSerialNumber).padStart(3, '0');
-
-        // Construct the full registration number
-        const registrationNumber = `${SCHOOL_NAME}/${department}/${formattedSerialNumber}`;
+        // --- Serial Numbering Logic ---
+        // Registration numbers look like SCHOOL_NAME/DEPARTMENT_CODE/001 (see Services/IdentifierService.js)
+        const registrationNumber = await nextRegistrationNumber(studentDepartment.code);
 
         // Create a new student instance
         const newStudent = new Student({
             name,
-            department,
+            department: studentDepartment.name,
             phoneNumber,
             email,
             address,
@@ -105,132 +101,212 @@ router.get('/today', (req, res) => {
 
 //ADDING LECTURER TO THE DATABASE
 
+// Lecturer details accepted by the registration and invite routes
+const pickLecturerDetails = (body) => ({
+    name: body.name,
+    department: body.department,
+    phoneNumber: body.phoneNumber,
+    email: body.email,
+    address: body.address,
+    position: body.position,
+    qualifications: body.qualifications,
+    coursesTaught: body.coursesTaught,
+    dateOfEmployment: body.dateOfEmployment,
+    officeLocation: body.officeLocation,
+    researchInterests: body.researchInterests
+});
 
-router.post('/api/register/lecturer', async (req, res) => {
-    // Destructure all required fields from the request body, including new lecturer-specific fields
-    const {
-        name,
-        department,
-        phoneNumber,
-        email,
-        address,
-        password,
-        position,
-        qualifications,
-        coursesTaught,
-        dateOfEmployment,
-        officeLocation,
-        researchInterests
-    } = req.body;
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-    // Basic validation for required fields
-    if (!name || !department || !phoneNumber || !email || !address || !password ||
-        !position || !dateOfEmployment) { // qualifications, coursesTaught, officeLocation, researchInterests can be optional
-        return res.status(400).json({ message: 'Missing required fields for lecturer registration.' });
+// POST /api/register/lecturer
+// Registers a lecturer directly (the administrator sets the initial password).
+// The employeeId is generated automatically: INSTRUCTOR/DEPARTMENT_CODE/SERIAL (e.g. INSTRUCTOR/PHY/004).
+// Access: admin, registrar
+router.post('/api/register/lecturer', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const details = pickLecturerDetails(req.body);
+    const { password } = req.body;
+
+    // Basic validation for required fields (qualifications, coursesTaught, officeLocation, researchInterests are optional)
+    const validationErrors = validateLecturerDetails(details);
+    if (!password) {
+        validationErrors.push('Password is required.');
+    }
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ message: 'Missing or invalid fields for lecturer registration.', errors: validationErrors });
     }
 
     try {
         // Check if a lecturer with the given email or phone number already exists
-        const existingLecturer = await Lecturer.findOne({ $or: [{ email }, { phoneNumber }] });
-        if (existingLecturer) {
-            if (existingLecturer.email === email) {
-                return res.status(409).json({ message: 'A lecturer with this email already exists.' });
-            }
-            if (existingLecturer.phoneNumber === phoneNumber) {
-                return res.status(409).json({ message: 'A lecturer with this phone number already exists.' });
-            }
-            return res.status(409).json({ message: 'A lecturer with this email or phone number already exists.' });
+        const conflict = await findLecturerConflict(details);
+        if (conflict) {
+            return res.status(409).json({ message: conflict });
         }
 
-        // --- Employee ID (Serial Numbering) Logic ---
-        // The employeeId will follow a similar pattern: SCHOOL_NAME/DEPARTMENT/SERIAL_NUMBER
-        const departmentPrefix = `${SCHOOL_NAME}/${department}/`;
+        const newLecturer = await createLecturer(details, password);
 
-        // Find all lecturers in the specified department whose employeeId starts with the prefix
-        const lecturersInDepartment = await Lecturer.find({
-            employeeId: { $regex: `^${departmentPrefix}` }
-        }).select('employeeId'); // Only fetch the employeeId field to optimize
+        // Respond with success (excluding the password for security)
+        const lecturerResponse = newLecturer.toObject();
+        delete lecturerResponse.password;
+        delete lecturerResponse.__v;
 
-        let maxSerialNumber = 0;
+        res.status(201).json({
+            message: 'Lecturer registered successfully!',
+            lecturer: lecturerResponse
+        });
 
-        if (lecturersInDepartment && lecturersInDepartment.length > 0) {
-            // Iterate through found lecturers to find the highest serial number
-            for (const lecturer of lecturersInDepartment) {
-                const lastEmployeeId = lecturer.employeeId;
-                const parts = lastEmployeeId.split('/');
-                const currentSerial = parseInt(parts[parts.length - 1], 10);
+    } catch (error) {
+        console.error('Error during lecturer registration:', error);
+        const { status, message } = describeLecturerError(error);
+        res.status(status).json({ message });
+    }
+});
 
-                if (!isNaN(currentSerial) && currentSerial > maxSerialNumber) {
-                    maxSerialNumber = currentSerial;
-                }
-            }
+
+// POST /api/register/lecturer/invite
+// Creates a lecturer invitation and emails a one-time link so the lecturer can choose their own password.
+// Body: the same lecturer details as /api/register/lecturer, without password.
+// If email is not configured the link is returned in the response so it can be shared manually.
+// Access: admin, registrar
+router.post('/api/register/lecturer/invite', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const details = pickLecturerDetails(req.body);
+
+    const validationErrors = validateLecturerDetails(details);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ message: 'Missing or invalid fields for lecturer invitation.', errors: validationErrors });
+    }
+
+    try {
+        const conflict = await findLecturerConflict(details);
+        if (conflict) {
+            return res.status(409).json({ message: conflict });
         }
 
-        const nextSerialNumber = maxSerialNumber + 1;
+        // Catch an unknown department now rather than when the invite is accepted
+        if (!(await findDepartment(details.department))) {
+            return res.status(400).json({ message: `Department '${details.department}' does not exist.` });
+        }
 
-        // Format the serial number (e.g., 1 -> "001", 10 -> "010", 100 -> "100")
-        const formattedSerialNumber = String(nextSerialNumber).padStart(3, '0');
+        const token = crypto.randomBytes(32).toString('hex');
+        const invite = new LecturerInvite({
+            tokenHash: hashInviteToken(token),
+            details,
+            invitedBy: req.user.id,
+            expiresAt: new Date(Date.now() + LECTURER_INVITE_TTL_HOURS * 60 * 60 * 1000)
+        });
+        await invite.save();
+
+        const inviteUrl = `${process.env.FRONTEND_URL || ''}/lecturer/accept-invite?token=${token}`;
+        const emailSent = await sendMail({
+            to: invite.details.email,
+            subject: `${SCHOOL_NAME} e-portal: complete your lecturer account`,
+            text: `Hello ${invite.details.name},\n\nAn account has been created for you on the ${SCHOOL_NAME} e-portal. ` +
+                `Use the link below to set your password. The link can be used once and expires in ${LECTURER_INVITE_TTL_HOURS} hours.\n\n${inviteUrl}\n`
+        });
 
-        // Construct the full employee ID
-        const employeeId = `INSTRUCTOR/${department}/${formattedSerialNumber}`;
+        res.status(201).json({
+            message: emailSent ? 'Invitation sent successfully!' : 'Invitation created, but the email could not be sent. Share the link manually.',
+            inviteId: invite._id,
+            email: invite.details.email,
+            expiresAt: invite.expiresAt,
+            emailSent: emailSent,
+            inviteUrl: emailSent ? undefined : inviteUrl
+        });
 
-        // Create a new lecturer instance
-        const newLecturer = new Lecturer({
-            name,
-            department,
-            phoneNumber,
-            email,
-            address,
-            password, // Password will be hashed by the pre-save hook in the model
-            employeeId, // Assign the generated employee ID
-            position,
-            qualifications: qualifications || [], // Ensure it's an array, even if empty
-            coursesTaught: coursesTaught || [], // Ensure it's an array, even if empty
-            dateOfEmployment: new Date(dateOfEmployment), // Convert string to Date object
-            officeLocation,
-            researchInterests: researchInterests || [] // Ensure it's an array, even if empty
+    } catch (error) {
+        console.error('Error creating lecturer invitation:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error while creating lecturer invitation.' });
+    }
+});
+
+
+// GET /api/register/lecturer/invite/:token
+// Lets the accept-invite page check a link and show who it is for.
+// Access: Public (the token itself is the credential)
+router.get('/api/register/lecturer/invite/:token', async (req, res) => {
+    try {
+        const invite = await LecturerInvite.findOne({ tokenHash: hashInviteToken(req.params.token) }).lean();
+        if (!invite || invite.acceptedAt || invite.expiresAt <= new Date()) {
+            return res.status(404).json({ message: 'This invitation link is invalid, has expired, or has already been used.' });
+        }
+
+        res.status(200).json({
+            message: 'Invitation is valid.',
+            name: invite.details.name,
+            email: invite.details.email,
+            department: invite.details.department,
+            expiresAt: invite.expiresAt
         });
 
-        // Save the new lecturer to the database
-        await newLecturer.save();
+    } catch (error) {
+        console.error('Error checking lecturer invitation:', error);
+        res.status(500).json({ message: 'Server error while checking invitation.' });
+    }
+});
+
+
+// POST /api/register/lecturer/accept-invite
+// Completes an invitation: creates the Lecturer with the chosen password and burns the link.
+// Body: { "token": "...", "password": "..." }
+// Access: Public (the token itself is the credential)
+router.post('/api/register/lecturer/accept-invite', async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ message: 'Token and password are required.' });
+    }
+    if (password.length < 8) {
+        return res.status(400).json({ message: 'Password must be at least 8 characters long.' });
+    }
+
+    try {
+        // Claim the invite atomically so the same link cannot create two accounts
+        const invite = await LecturerInvite.findOneAndUpdate(
+            { tokenHash: hashInviteToken(token), acceptedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { acceptedAt: new Date() } },
+            { new: true }
+        );
+        if (!invite) {
+            return res.status(404).json({ message: 'This invitation link is invalid, has expired, or has already been used.' });
+        }
+
+        let newLecturer;
+        try {
+            const conflict = await findLecturerConflict(invite.details, { ignoreInviteId: invite._id });
+            if (conflict) {
+                await LecturerInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+                return res.status(409).json({ message: conflict });
+            }
+            newLecturer = await createLecturer(invite.details, password);
+        } catch (createError) {
+            // Release the invite so the lecturer can try again
+            await LecturerInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+            throw createError;
+        }
+
+        invite.lecturer = newLecturer._id;
+        await invite.save();
 
-        // Respond with success (excluding the password for security)
         const lecturerResponse = newLecturer.toObject();
         delete lecturerResponse.password;
         delete lecturerResponse.__v;
 
         res.status(201).json({
-            message: 'Lecturer registered successfully!',
+            message: 'Lecturer account created successfully! You can now log in.',
             lecturer: lecturerResponse
         });
 
     } catch (error) {
-        console.error('Error during lecturer registration:', error);
-        // Handle specific Mongoose validation or duplicate errors
-        if (error.code === 11000) { // MongoDB duplicate key error
-            // Check if the duplicate is for email, phone, or employeeId
-            if (error.message.includes('email')) {
-                return res.status(409).json({ message: 'A lecturer with this email already exists.' });
-            }
-            if (error.message.includes('phoneNumber')) {
-                return res.status(409).json({ message: 'A lecturer with this phone number already exists.' });
-            }
-            if (error.message.includes('employeeId')) {
-                return res.status(409).json({ message: 'A lecturer with this employee ID already exists. Please try again.' });
-            }
-            return res.status(409).json({ message: 'A lecturer with duplicate unique fields already exists.' });
-        }
-        // Handle Mongoose validation errors (e.g., required fields not provided)
-        if (error.name === 'ValidationError') {
-            const messages = Object.values(error.errors).map(val => val.message);
-            return res.status(400).json({ message: messages.join(', ') });
-        }
-        res.status(500).json({ message: 'Server error during registration.' });
+        console.error('Error accepting lecturer invitation:', error);
+        const { status, message } = describeLecturerError(error);
+        res.status(status).json({ message });
     }
 });
 
-// You would typically export this router and use it in your main app.js or server.js
-// module.exports = router;
+
 
 
 
@@ -238,23 +314,28 @@ router.post('/api/register/lecturer', async (req, res) => {
 //ADDING COURSES TO THE DATABASE
 
 
-router.post('/api/courses', async (req, res) => {
+// Access: admin, registrar
+router.post('/api/courses', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
     const {
         courseCode,
         title,
         department,
         credits,
         description,
-        lecturers, // Array of Lecturer ObjectIds
+        lecturers, // Not accepted: lecturers are assigned per term through POST /api/teaching-assignments
         prerequisites, // Array of Course ObjectIds
         semester,
-        capacity
+        capacity,
+        schedule // Array of { day, startTime, endTime, venue, type }
     } = req.body;
 
     // Basic validation for required fields
     if (!courseCode || !title || !department || !credits || !semester) {
         return res.status(400).json({ message: 'Course code, title, department, credits, and semester are required.' });
     }
+    if (lecturers !== undefined) {
+        return res.status(400).json({ message: 'Lecturers are assigned per term. Create the course, then use POST /api/teaching-assignments.' });
+    }
 
     try {
         // Check if a course with the given courseCode already exists
@@ -263,14 +344,6 @@ router.post('/api/courses', async (req, res) => {
             return res.status(409).json({ message: `Course with code ${courseCode} already exists.` });
         }
 
-        // Validate lecturer IDs if provided
-        if (lecturers && lecturers.length > 0) {
-            const foundLecturers = await Lecturer.find({ _id: { $in: lecturers } });
-            if (foundLecturers.length !== lecturers.length) {
-                return res.status(400).json({ message: 'One or more provided lecturer IDs are invalid.' });
-            }
-        }
-
         // Validate prerequisite course IDs if provided
         if (prerequisites && prerequisites.length > 0) {
             const foundPrerequisites = await Course.find({ _id: { $in: prerequisites } });
@@ -286,13 +359,20 @@ router.post('/api/courses', async (req, res) => {
             department,
             credits,
             description,
-            lecturers: lecturers || [],
             prerequisites: prerequisites || [],
             semester,
-            capacity
+            capacity,
+            schedule: schedule || []
         });
 
-        // Save the new course to the database
+        // A venue cannot host two courses at the same time
+        const venueConflicts = await findVenueConflicts(newCourse.schedule, newCourse);
+        if (venueConflicts.length > 0) {
+            return res.status(409).json({ message: 'One or more schedule sections double-book a venue.', venueConflicts });
+        }
+
+        // Save the new course to the database (this also records catalogue version 1)
+        newCourse.recordCatalogueChange({ actor: req.user });
         await newCourse.save();
 
         res.status(201).json({
@@ -321,31 +401,73 @@ router.post('/api/courses', async (req, res) => {
 // COURSE REGISTRATION
 
 
-router.post('/api/enrollments', async (req, res) => {
+// Access: the student themself, admin, registrar
+router.post('/api/enrollments', AllProtection, authorizeRoles('student', 'admin', 'registrar'), async (req, res) => {
     // The request body can now contain an array of enrollment objects,
     // or a single studentId and an array of courseIds for a specific academicYear/semester.
     // Let's assume the latter for simplicity: { studentId: "...", academicYear: "...", semester: "...", courseIds: ["...", "..."] }
+    // The term can be given as termId, as academicYear + semester, or left out to use the current term.
     const {
         studentId,
-        academicYear,
-        semester,
+        termId,
         courseIds // This will be an array of course IDs
     } = req.body;
 
     // Basic validation for required fields
-    if (!studentId || !academicYear || !semester || !courseIds || !Array.isArray(courseIds) || courseIds.length === 0) {
-        return res.status(400).json({ message: 'Student ID, Academic Year, Semester, and a non-empty array of Course IDs are required for enrollment.' });
+    if (!studentId || !courseIds || !Array.isArray(courseIds) || courseIds.length === 0) {
+        return res.status(400).json({ message: 'Student ID and a non-empty array of Course IDs are required for enrollment.' });
+    }
+
+    // Students may only register themselves
+    if (req.user.role === 'student' && req.user.id !== studentId) {
+        return res.status(403).json({ message: 'Forbidden: You can only register courses for yourself.' });
     }
 
     try {
+        const term = await resolveTerm({ termId, academicYear: req.body.academicYear, semester: req.body.semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found. Provide a valid termId, or an academic year and semester that exist in the calendar.' });
+        }
+        const { academicYear, semester } = term;
+
+        // Courses can only be added inside the term's registration / add-drop window (admin and registrar may override)
+        const windowClosed = checkAddWindow(term, req.user);
+        if (windowClosed) {
+            return res.status(403).json({ message: windowClosed });
+        }
+
         // 1. Validate if Student exists
         const studentExists = await Student.findById(studentId);
         if (!studentExists) {
             return res.status(404).json({ message: 'Student not found.' });
         }
+        // Withdrawn students (see Services/PromotionService.js) cannot register courses
+        if (studentExists.academicStanding === 'withdrawn') {
+            return res.status(403).json({ message: 'This student has been withdrawn and cannot register courses.' });
+        }
+        // Unpaid fees can put registration on hold (see Services/FinancialHoldService.js); staff registering
+        // on a student's behalf are not held, as with the registration window
+        if (req.user.role === 'student') {
+            const hold = await checkFinancialHold(studentExists, 'registration', term);
+            if (hold) {
+                return res.status(403).json({ message: hold.message, hold });
+            }
+        }
 
         const results = []; // To store the results of each individual enrollment attempt
 
+        // Load the student's passed courses and prerequisite waivers once for all requested courses
+        const prerequisiteContext = {
+            passedCourseIds: await getPassedCourseIds(studentId),
+            waiversByCourse: await getActiveWaivers(studentId)
+        };
+
+        // Credits already registered this term and the student's limits; updated as courses are added below
+        const creditLoad = await getCreditLoad(studentExists, term);
+
+        // Courses already on the student's timetable this term; requested courses are added as they succeed
+        const timetableCourses = await getStudentTimetableCourses(studentId, academicYear, semester);
+
         for (const courseId of courseIds) {
             try {
                 // 2. Validate if Course exists
@@ -354,40 +476,134 @@ router.post('/api/enrollments', async (req, res) => {
                     results.push({ courseId, status: 'failed', message: 'Course not found.' });
                     continue; // Move to the next course
                 }
+                // Archived and retired courses are closed for registration
+                if (courseExists.status !== 'active') {
+                    results.push({ courseId, status: 'failed', message: `${courseExists.courseCode} is ${courseExists.status} and not open for registration.` });
+                    continue;
+                }
 
                 // 3. Check for existing enrollment to prevent duplicates
+                // A dropped enrollment for the same term is re-used below (the unique index allows only one per term)
                 const existingEnrollment = await Enrollment.findOne({ student: studentId, course: courseId, academicYear, semester });
-                if (existingEnrollment) {
-                    results.push({ courseId, status: 'failed', message: 'Already enrolled in this course for the specified semester and academic year.' });
+                if (existingEnrollment && existingEnrollment.status !== 'Dropped') {
+                    if (existingEnrollment.status === WAITLIST_STATUS) {
+                        const position = await getWaitlistPosition(existingEnrollment);
+                        results.push({ courseId, status: 'failed', message: `Already on the waitlist for this course (position ${position}).` });
+                    } else {
+                        results.push({ courseId, status: 'failed', message: 'Already enrolled in this course for the specified semester and academic year.' });
+                    }
                     continue; // Move to the next course
                 }
 
-                // 4. (Optional) Implement capacity check for the course
-                // For simplicity, this example doesn't include capacity management.
-                // if (courseExists.capacity <= 0) {
-                //     results.push({ courseId, status: 'failed', message: 'Course is full.' });
-                //     continue;
-                // }
-
-                // 5. (Optional) Implement prerequisite check
-                // For simplicity, this example doesn't include prerequisite checking.
-                // if (courseExists.prerequisites && courseExists.prerequisites.length > 0) {
-                //     // Logic to check if student has completed prerequisites
-                //     results.push({ courseId, status: 'failed', message: 'Prerequisites not met.' });
-                //     continue;
-                // }
-
-                // Create a new enrollment instance
-                const newEnrollment = new Enrollment({
+                // 4. Prerequisite check: every prerequisite must have been passed or waived
+                const prerequisiteCheck = await checkPrerequisites(studentId, courseExists, prerequisiteContext);
+                if (!prerequisiteCheck.satisfied) {
+                    results.push({
+                        courseId,
+                        status: 'failed',
+                        message: `Prerequisites not met: ${prerequisiteCheck.missing.map(p => p.courseCode).join(', ')}.`,
+                        missingPrerequisites: prerequisiteCheck.missing
+                    });
+                    continue;
+                }
+
+                // 5. Credit load: the course must not take the student above their maximum
+                // (the policy maximum, or the one raised by an approved overload)
+                const courseCredits = courseExists.credits || 0;
+                if (creditLoad.registeredCredits + courseCredits > creditLoad.maxCredits) {
+                    results.push({
+                        courseId,
+                        status: 'failed',
+                        message: `Adding ${courseExists.courseCode} (${courseCredits} credits) would bring your load to ${creditLoad.registeredCredits + courseCredits} credits, above the maximum of ${creditLoad.maxCredits}. A credit overload must be approved by your advisor or the registrar.`
+                    });
+                    continue;
+                }
+
+                // 6. Timetable: the course must not meet at the same time as one the student already takes
+                const clashes = findScheduleClashes(courseExists, timetableCourses);
+                if (clashes.length > 0) {
+                    const clashingCodes = [...new Set(clashes.map(clash => clash.clashesWith.courseCode))];
+                    results.push({
+                        courseId,
+                        status: 'failed',
+                        message: `Timetable clash with ${clashingCodes.join(', ')}.`,
+                        clashes
+                    });
+                    continue;
+                }
+
+                // Create a new enrollment instance, or re-add a course dropped earlier in the term
+                const newEnrollment = existingEnrollment || new Enrollment({
                     student: studentId,
                     course: courseId,
+                    term: term._id,
                     academicYear,
                     semester
                 });
+                // Credits and catalogue version are fixed at registration so later course edits do not change past results
+                newEnrollment.credits = courseCredits;
+                newEnrollment.courseVersion = courseExists.version;
+                if (existingEnrollment) {
+                    // Scores from before the drop do not carry over to the new registration
+                    newEnrollment.clearResult().recordScoreChange({ actor: req.user, source: 'system', reason: 'Course re-added after being dropped' });
+                }
+                const reason = existingEnrollment ? 'Course re-added' : 'Course registration';
+                const joinWaitlist = () => {
+                    newEnrollment.waitlistedAt = new Date();
+                    newEnrollment.changeStatus(WAITLIST_STATUS, { actor: req.user, reason });
+                    return newEnrollment.save();
+                };
+
+                // 7. Capacity for this academic year and semester: the seat is claimed atomically (see
+                // Services/WaitlistService.js), and a full course puts the student on the waitlist
+                let gaveSeatBack = false;
+                const seatOutcome = await claimSeat({
+                    courseId: courseExists._id,
+                    academicYear,
+                    semester,
+                    enrollmentId: newEnrollment._id,
+                    takeSeat: async () => {
+                        newEnrollment.waitlistedAt = null;
+                        newEnrollment.changeStatus('Enrolled', { actor: req.user, reason });
+                        await newEnrollment.save();
+                        return true;
+                    },
+                    giveSeatBack: async () => {
+                        gaveSeatBack = true;
+                        await joinWaitlist();
+                    }
+                });
+                let isWaitlisted = seatOutcome !== 'seated';
+                if (isWaitlisted && !gaveSeatBack) {
+                    await joinWaitlist();
+                }
+                if (gaveSeatBack) {
+                    // Students who registered while this seat was held may have been waitlisted for it
+                    await promoteFromWaitlist(courseExists._id, academicYear, semester);
+                    const current = await Enrollment.findById(newEnrollment._id).select('status').lean();
+                    isWaitlisted = current.status === WAITLIST_STATUS;
+                }
+                creditLoad.registeredCredits += courseCredits; // waitlisted courses count towards the load too
+                timetableCourses.push(courseExists);
+
+                if (isWaitlisted) {
+                    const position = await getWaitlistPosition(newEnrollment);
+                    results.push({
+                        courseId,
+                        status: 'waitlisted',
+                        message: `Course is full. You have been added to the waitlist at position ${position}.`,
+                        enrollmentId: newEnrollment._id,
+                        waitlistPosition: position
+                    });
+                    continue;
+                }
 
-                // Save the new enrollment to the database
-                await newEnrollment.save();
-                results.push({ courseId, status: 'success', enrollmentId: newEnrollment._id });
+                results.push({
+                    courseId,
+                    status: 'success',
+                    enrollmentId: newEnrollment._id,
+                    waivedPrerequisites: prerequisiteCheck.waived.length > 0 ? prerequisiteCheck.waived : undefined
+                });
 
             } catch (innerError) {
                 console.error(`Error enrolling student ${studentId} in course ${courseId}:`, innerError);
@@ -406,6 +622,8 @@ router.post('/api/enrollments', async (req, res) => {
         // Respond with a summary of all enrollment attempts
         res.status(200).json({
             message: 'Course registration process completed. See results for individual enrollments.',
+            term: { _id: term._id, academicYear, semester },
+            creditLoad: describeCreditLoad(creditLoad),
             results: results
         });
 
@@ -421,26 +639,33 @@ router.post('/api/enrollments', async (req, res) => {
 // GET /api/courses/search
 // This route allows searching for courses.
 // Optional query parameters:
-// - courseName: Search by course title (partial match, case-insensitive)
+// - title (or courseName): Search by course title (partial match, case-insensitive)
 // - courseCode: Search by course code (partial match, case-insensitive)
-// - department: Filter by department (exact match, case-insensitive)
+// - department: Filter by department (name in any case, code or id)
 // - semester: Filter by semester (exact match, case-insensitive)
-// Example: GET /api/courses/search?department=Computer%20Science&courseName=Introduction
+// - includeInactive=true: also return archived and retired courses (active courses only by default)
+// Example: GET /api/courses/search?department=Computer%20Science&title=Introduction
 router.get('/api/courses/search', async (req, res) => {
-    const { courseName, courseCode, department, semester } = req.query;
+    const { courseCode, department, semester, includeInactive } = req.query;
+    const title = req.query.title || req.query.courseName;
 
     try {
-        let query = {};
+        // Courses created before catalogue statuses have no status and count as active
+        let query = includeInactive === 'true' ? {} : { status: { $nin: ['archived', 'retired'] } };
 
         // Build query object based on provided parameters
-        if (courseName) {
-            query.courseName = { $regex: new RegExp(courseName, 'i') }; // Case-insensitive partial match
+        if (title) {
+            query.title = { $regex: new RegExp(escapeRegex(title), 'i') }; // Case-insensitive partial match
         }
         if (courseCode) {
-            query.courseCode = { $regex: new RegExp(courseCode, 'i') }; // Case-insensitive partial match
+            query.courseCode = { $regex: new RegExp(escapeRegex(courseCode), 'i') }; // Case-insensitive partial match
         }
         if (department) {
-            query.department = { $regex: new RegExp(department, 'i') }; // Case-insensitive exact match
+            const courseDepartment = await findDepartment(department);
+            if (!courseDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+            query.departmentId = courseDepartment._id;
         }
         if (semester) {
             query.semester = { $regex: new RegExp(semester, 'i') }; // Case-insensitive exact match
@@ -0,0 +1,155 @@
+// routes/resultReportRoutes.js
+// Term result reports for exam officers and students: department broadsheets and result slips,
+// as JSON, CSV or PDF (?format=json|csv|pdf, default json).
+
+const express = require('express');
+const router = express.Router();
+const { stringify } = require('csv-stringify');
+const Student = require('../Models/Students.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const { checkFinancialHold } = require('../Services/FinancialHoldService.js');
+const {
+    buildBroadsheet,
+    buildResultSlip,
+    broadsheetToRecords,
+    resultSlipToRecords,
+    renderBroadsheetPdf,
+    renderResultSlipPdf
+} = require('../Services/ResultReportService.js');
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '_');
+
+// Sends CSV records (arrays) as a file download
+const sendCsv = (res, records, fileName) => {
+    stringify(records, (err, output) => {
+        if (err) {
+            console.error('Error generating CSV:', err);
+            return res.status(500).json({ message: 'Failed to generate CSV file.' });
+        }
+        res.header('Content-Type', 'text/csv');
+        res.attachment(safeFileName(fileName));
+        res.send(output);
+    });
+};
+
+const sendPdf = (res, doc, fileName) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeFileName(fileName)}"`);
+    doc.pipe(res);
+};
+
+
+// GET /api/reports/broadsheet
+// One row per student of a department (and level) with an enrollment in the term, one column per
+// course, plus GPA, CGPA and remark (Pass, Carry-over, Probation, Incomplete).
+// Query parameters: department (required), level, termId or academicYear + semester (defaults to the
+// current term), format
+// Example: GET /api/reports/broadsheet?department=Computer%20Science&level=200&academicYear=2025-2026&semester=Fall&format=pdf
+// Access: lecturers, admin, registrar
+router.get('/api/reports/broadsheet', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { department, level, termId, academicYear, semester, format = 'json' } = req.query;
+
+    if (!department) {
+        return res.status(400).json({ message: 'Department is required.' });
+    }
+    if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of: ${REPORT_FORMATS.join(', ')}.` });
+    }
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const reportDepartment = await findDepartment(department);
+        if (!reportDepartment) {
+            return res.status(404).json({ message: `Department '${department}' does not exist.` });
+        }
+
+        const broadsheet = await buildBroadsheet({ department: reportDepartment, level, academicYear: term.academicYear, semester: term.semester });
+        const fileName = `broadsheet_${reportDepartment.code}_${level || 'all'}_${term.academicYear}_${term.semester}`;
+
+        if (format === 'csv') {
+            return sendCsv(res, broadsheetToRecords(broadsheet), `${fileName}.csv`);
+        }
+        if (format === 'pdf') {
+            return sendPdf(res, renderBroadsheetPdf(broadsheet), `${fileName}.pdf`);
+        }
+
+        res.status(200).json({
+            message: 'Broadsheet generated successfully.',
+            totalStudents: broadsheet.rows.length,
+            broadsheet: broadsheet
+        });
+
+    } catch (error) {
+        console.error('Error generating broadsheet:', error);
+        res.status(500).json({ message: 'Server error while generating broadsheet.' });
+    }
+});
+
+
+// GET /api/reports/result-slip/:studentId
+// A student's results for one term: scores, grades, GPA, CGPA and remark.
+// Query parameters: termId or academicYear + semester (defaults to the current term), format
+// Students are refused the slip while the term's results are on financial hold.
+// Access: the student themself, lecturers, admin, registrar
+router.get('/api/reports/result-slip/:studentId', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { studentId } = req.params;
+    const { termId, academicYear, semester, format = 'json' } = req.query;
+
+    if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of: ${REPORT_FORMATS.join(', ')}.` });
+    }
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        if (req.user.role === 'student') {
+            const student = await Student.findById(studentId).select('departmentId level').lean();
+            const hold = student ? await checkFinancialHold(student, 'results', term) : null;
+            if (hold) {
+                return res.status(403).json({ message: hold.message, hold });
+            }
+        }
+
+        // Students only see published results
+        const slip = await buildResultSlip(studentId, term.academicYear, term.semester, { publishedOnly: req.user.role === 'student' });
+        if (!slip) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+        if (slip.courses.length === 0) {
+            return res.status(404).json({ message: `No results found for ${slip.student.name} in ${term.semester} ${term.academicYear}.` });
+        }
+
+        const fileName = `result_slip_${slip.student.registrationNumber}_${term.academicYear}_${term.semester}`;
+
+        if (format === 'csv') {
+            return sendCsv(res, resultSlipToRecords(slip), `${fileName}.csv`);
+        }
+        if (format === 'pdf') {
+            return sendPdf(res, renderResultSlipPdf(slip), `${fileName}.pdf`);
+        }
+
+        res.status(200).json({
+            message: 'Result slip generated successfully.',
+            resultSlip: slip
+        });
+
+    } catch (error) {
+        console.error('Error generating result slip:', error);
+        res.status(500).json({ message: 'Server error while generating result slip.' });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,149 @@
+// routes/resultWorkflowRoutes.js
+// Result approval workflow: lecturers submit a course's results for a term, the head of department
+// and senate approve them, and the registrar publishes them to students.
+//   draft -> submitted -> hod_approved -> senate_approved -> published
+
+const express = require('express');
+const router = express.Router();
+const ResultBatch = require('../Models/ResultBatches.js');
+const Course = require('../Models/Courses.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { RESULT_STATUSES, ACTIONS, transitionResults } = require('../Services/ResultWorkflowService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+
+
+// GET /api/results/batches
+// Lists course results at a given stage, e.g. everything waiting for senate approval.
+// Optional query parameters: status, department, termId or academicYear + semester
+// Access: lecturers, admin, registrar
+router.get('/api/results/batches', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { status, department, termId, academicYear, semester } = req.query;
+
+    if (status && !RESULT_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${RESULT_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        let query = {};
+        if (status) query.status = status;
+        if (termId || (academicYear && semester)) {
+            const term = await resolveTerm({ termId, academicYear, semester });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found.' });
+            }
+            query.academicYear = term.academicYear;
+            query.semester = term.semester;
+        }
+        if (department) {
+            const batchDepartment = await findDepartment(department);
+            if (!batchDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+            const courseIds = await Course.find({ departmentId: batchDepartment._id }).distinct('_id');
+            query.course = { $in: courseIds };
+        }
+
+        const batches = await ResultBatch.find(query)
+            .populate('course', 'courseCode title department')
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Result batches retrieved successfully.',
+            totalBatches: batches.length,
+            batches: batches
+        });
+
+    } catch (error) {
+        console.error('Error fetching result batches:', error);
+        res.status(500).json({ message: 'Server error while fetching result batches.' });
+    }
+});
+
+
+// GET /api/results/course/:courseId/status
+// Stage and full approval history of a course's results for a term.
+// Optional query parameters: termId or academicYear + semester (defaults to the current term)
+// Access: lecturers, admin, registrar
+router.get('/api/results/course/:courseId/status', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { courseId } = req.params;
+    const { termId, academicYear, semester } = req.query;
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const batch = await ResultBatch.findOne({ course: courseId, academicYear: term.academicYear, semester: term.semester }).lean();
+
+        res.status(200).json({
+            message: 'Result status retrieved successfully.',
+            courseId: courseId,
+            term: { _id: term._id, academicYear: term.academicYear, semester: term.semester },
+            status: batch ? batch.status : 'draft',
+            history: batch ? batch.history : []
+        });
+
+    } catch (error) {
+        console.error('Error fetching result status:', error);
+        res.status(500).json({ message: 'Server error while fetching result status.' });
+    }
+});
+
+
+// POST /api/results/course/:courseId/:action
+// Moves a course's results for a term to the next stage. Actions:
+// - submit          draft -> submitted              lecturer teaching the course, admin
+// - hod-approve     submitted -> hod_approved        head of the course's department, admin
+// - senate-approve  hod_approved -> senate_approved  admin, registrar
+// - publish         senate_approved -> published     admin, registrar
+// - return          back to draft for corrections    whoever approves the current stage (comment required)
+//
+// Body: { "termId": "..." } or { "academicYear": "2025-2026", "semester": "Fall" } (defaults to the current term),
+//       plus an optional "comment"
+// Access: lecturers, admin, registrar (see the table above)
+router.post('/api/results/course/:courseId/:action', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { courseId, action } = req.params;
+    const { termId, academicYear, semester, comment } = req.body || {};
+
+    if (!ACTIONS[action]) {
+        return res.status(400).json({ message: `Unknown action '${action}'. Use one of: ${Object.keys(ACTIONS).join(', ')}.` });
+    }
+
+    try {
+        const course = await Course.findById(courseId).select('courseCode title department departmentId').lean();
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const result = await transitionResults({ course, term, action, user: req.user, comment });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(200).json({
+            message: `Results for ${course.courseCode} (${term.semester} ${term.academicYear}) are now '${result.batch.status}'.`,
+            status: result.batch.status,
+            updatedEnrollments: result.updatedEnrollments,
+            history: result.batch.history
+        });
+
+    } catch (error) {
+        console.error('Error updating result status:', error);
+        res.status(500).json({ message: 'Server error while updating result status.' });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// routes/scoreAuditRoutes.js
+// Score and grade change history: who changed an enrollment's scores, when, from where and why,
+// and reverting a change.
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ScoreAudit = require('../Models/ScoreAudits.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { AUDIT_SOURCES } = require('../Models/ScoreAudits.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { getScoreHistory, revertScoreChange } = require('../Services/ScoreAuditService.js');
+const { canManageCourse, COURSE_ACCESS_DENIED } = require('../Services/CourseAccessService.js');
+
+
+// GET /api/enrollments/:enrollmentId/score-history
+// Every score and grade change on one enrollment, newest first.
+// Access: lecturers assigned to the course, admin, registrar
+router.get('/api/enrollments/:enrollmentId/score-history', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { enrollmentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(enrollmentId)) {
+        return res.status(400).json({ message: 'Invalid enrollment ID.' });
+    }
+
+    try {
+        const enrollment = await Enrollment.findById(enrollmentId)
+            .populate('student', 'name registrationNumber')
+            .populate('course', 'courseCode title')
+            .lean();
+        if (!enrollment) {
+            return res.status(404).json({ message: 'Enrollment not found.' });
+        }
+        if (!enrollment.course || !(await canManageCourse(req.user, enrollment.course, enrollment))) {
+            return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+        }
+
+        const history = await getScoreHistory(enrollmentId);
+
+        res.status(200).json({
+            message: 'Score history retrieved successfully.',
+            enrollment: {
+                _id: enrollment._id,
+                student: enrollment.student,
+                course: enrollment.course,
+                academicYear: enrollment.academicYear,
+                semester: enrollment.semester,
+                caScore: enrollment.caScore,
+                examScore: enrollment.examScore,
+                totalScore: enrollment.totalScore,
+                finalGrade: enrollment.finalGrade,
+                resultStatus: enrollment.resultStatus
+            },
+            totalChanges: history.length,
+            history: history
+        });
+
+    } catch (error) {
+        console.error('Error fetching score history:', error);
+        res.status(500).json({ message: 'Server error while fetching score history.' });
+    }
+});
+
+
+// GET /api/score-audits
+// Searches the score audit log, newest first.
+// Optional query parameters: courseId, studentId, changedBy, source, termId or academicYear + semester,
+// from / to (dates), limit (default 100, max 500)
+// Access: admin, registrar
+router.get('/api/score-audits', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { courseId, studentId, changedBy, source, termId, academicYear, semester, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    if (source && !AUDIT_SOURCES.includes(source)) {
+        return res.status(400).json({ message: `source must be one of: ${AUDIT_SOURCES.join(', ')}.` });
+    }
+    for (const id of [courseId, studentId, changedBy]) {
+        if (id && !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: `Invalid ID '${id}'.` });
+        }
+    }
+
+    try {
+        let query = {};
+        if (courseId) query.course = courseId;
+        if (studentId) query.student = studentId;
+        if (changedBy) query.changedBy = changedBy;
+        if (source) query.source = source;
+        if (termId || (academicYear && semester)) {
+            const term = await resolveTerm({ termId, academicYear, semester });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found.' });
+            }
+            query.academicYear = term.academicYear;
+            query.semester = term.semester;
+        }
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+        }
+
+        const audits = await ScoreAudit.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit)
+            .populate('student', 'name registrationNumber')
+            .populate('course', 'courseCode title')
+            .lean();
+
+        res.status(200).json({
+            message: 'Score audit entries retrieved successfully.',
+            count: audits.length,
+            audits: audits
+        });
+
+    } catch (error) {
+        console.error('Error fetching score audit entries:', error);
+        res.status(500).json({ message: 'Server error while fetching score audit entries.' });
+    }
+});
+
+
+// POST /api/score-audits/:auditId/revert
+// Restores the values an audited change overwrote. The revert is recorded as a new audit entry.
+// Only the latest change to a field can be reverted, and the usual score rules apply: the grading
+// window must be open, and lecturers can only revert changes in courses they are assigned to, while the
+// results are in 'draft'.
+// Body: { "reason": "Entered against the wrong student" }
+// Access: lecturers assigned to the course, admin, registrar
+router.post('/api/score-audits/:auditId/revert', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { auditId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(auditId)) {
+        return res.status(400).json({ message: 'Invalid audit entry ID.' });
+    }
+
+    try {
+        const result = await revertScoreChange({ auditId, user: req.user, reason });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(200).json({
+            message: 'Score change reverted successfully.',
+            enrollment: {
+                _id: result.enrollment._id,
+                caScore: result.enrollment.caScore,
+                examScore: result.enrollment.examScore,
+                totalScore: result.enrollment.totalScore,
+                finalGrade: result.enrollment.finalGrade,
+                gradePoint: result.enrollment.gradePoint
+            },
+            audit: result.audit
+        });
+
+    } catch (error) {
+        console.error('Error reverting score change:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Server error while reverting score change.' });
+    }
+});
+
+
+module.exports = router;
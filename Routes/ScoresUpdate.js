@@ -6,50 +6,77 @@ const Enrollment = require('../Models/Enrollments.js'); // Make sure this path i
 const Lecturer = require('../Models/Lecturers.js'); // For potential future authorization checks
 const Student = require('../Models/Students.js'); // To validate student IDs if needed
 const Course = require('../Models/Courses.js'); // To validate course IDs
-
-// This route allows a lecturer to update detailed scores (CA, Exam) and/or final grade
-// for multiple students in a specific course for a given academic year and semester.
+const { resolveTerm, checkGradingWindow } = require('../Services/AcademicTermService.js');
+const { canEditScores } = require('../Services/ResultWorkflowService.js');
+const { canManageCourse, COURSE_ACCESS_DENIED } = require('../Services/CourseAccessService.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+
+// This route allows a lecturer to update detailed scores (CA, Exam) for multiple students
+// in a specific course for a given academic year and semester.
+// The final grade is no longer typed in: it is computed from the scores using the
+// course's grading scheme (see Services/GradingService.js) every time a score changes.
+//
+// The term can be given as "termId", as "academicYear" + "semester", or left out to use the current term.
+// Scores can only be written inside the term's grading window, and only while the course's results
+// are still in 'draft' (admin and registrar can still correct them after submission).
+// Every change is written to the score audit log; "reason" (top level, or per update) is recorded with it.
 //
 // Request Body Example:
 // {
 //     "academicYear": "2025-2026",
 //     "semester": "Fall",
+//     "reason": "Initial entry", // optional
 //     "updates": [
-//         { "studentId": "student_id_1", "caScore": 85, "examScore": 90, "finalGrade": "A" },
-//         { "studentId": "student_id_2", "caScore": 60, "examScore": 75, "finalGrade": "B" },
+//         { "studentId": "student_id_1", "caScore": 85, "examScore": 90, "reason": "Re-marked script" },
+//         { "studentId": "student_id_2", "caScore": 60, "examScore": 75 },
 //         { "studentId": "student_id_3", "caScore": 92, "examScore": 88 } // Can update partial scores
 //     ]
 // }
 //
-// Note: In a real application, you would add authentication and authorization middleware
-// to ensure only the lecturer assigned to this course can update grades.
-router.put('/api/grades/course/:courseId', async (req, res) => {
+// Access: lecturers assigned to the course for the term, admin, registrar
+router.put('/api/grades/course/:courseId', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
     const { courseId } = req.params;
-    const { academicYear, semester, updates } = req.body;
+    const { termId, updates, reason } = req.body;
 
     // Basic validation for required fields
-    if (!academicYear || !semester || !updates || !Array.isArray(updates) || updates.length === 0) {
-        return res.status(400).json({ message: 'Academic year, semester, and a non-empty array of grade updates are required.' });
+    if (!updates || !Array.isArray(updates) || updates.length === 0) {
+        return res.status(400).json({ message: 'A non-empty array of grade updates is required.' });
     }
 
     try {
+        const term = await resolveTerm({ termId, academicYear: req.body.academicYear, semester: req.body.semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+        const { academicYear, semester } = term;
+
+        const windowClosed = checkGradingWindow(term, req.user);
+        if (windowClosed) {
+            return res.status(403).json({ message: windowClosed });
+        }
+
         // 1. Validate if the Course exists
         const courseExists = await Course.findById(courseId);
         if (!courseExists) {
             return res.status(404).json({ message: 'Course not found.' });
         }
+        if (!(await canManageCourse(req.user, courseExists, term))) {
+            return res.status(403).json({ message: COURSE_ACCESS_DENIED });
+        }
 
         const results = []; // To store the results of each individual grade update attempt
 
         // Iterate through each grade update provided in the request body
         for (const update of updates) {
             // Removed testScore from destructuring
-            const { studentId, caScore, examScore, finalGrade } = update;
+            const { studentId, caScore, examScore } = update;
+            const updateReason = update.reason || reason;
 
             // Basic validation for each update object: studentId is always required, at least one score field must be present
             // Removed testScore from validation check
-            if (!studentId || (caScore === undefined && examScore === undefined && finalGrade === undefined)) {
-                results.push({ studentId, status: 'failed', message: 'Missing studentId or any score/finalGrade for an update entry.' });
+            if (!studentId || (caScore === undefined && examScore === undefined)) {
+                results.push({ studentId, status: 'failed', message: 'Missing studentId or any score for an update entry.' });
                 continue; // Skip to the next update
             }
 
@@ -75,6 +102,12 @@ router.put('/api/grades/course/:courseId', async (req, res) => {
                     continue; // Skip to the next update
                 }
 
+                // Submitted results are locked for lecturers
+                if (!canEditScores(enrollment, req.user)) {
+                    results.push({ studentId, status: 'failed', message: `Results for this course are '${enrollment.resultStatus}' and can no longer be changed by lecturers.` });
+                    continue;
+                }
+
                 // 4. Update the score fields if provided
                 if (caScore !== undefined) {
                     enrollment.caScore = caScore;
@@ -83,14 +116,21 @@ router.put('/api/grades/course/:courseId', async (req, res) => {
                 if (examScore !== undefined) {
                     enrollment.examScore = examScore;
                 }
-                if (finalGrade !== undefined) {
-                    enrollment.finalGrade = finalGrade;
-                }
-
-                await enrollment.save(); // Save the updated enrollment record
+                enrollment.recordScoreChange({ actor: req.user, source: 'api', reason: updateReason });
+                await enrollment.save(); // Save the updated enrollment record (pre-save hook recomputes the grade)
 
                 // Removed testScore from updatedScores object
-                results.push({ studentId, status: 'success', updatedScores: { caScore, examScore, finalGrade }, enrollmentId: enrollment._id });
+                results.push({
+                    studentId,
+                    status: 'success',
+                    updatedScores: {
+                        caScore: enrollment.caScore,
+                        examScore: enrollment.examScore,
+                        totalScore: enrollment.totalScore,
+                        finalGrade: enrollment.finalGrade
+                    },
+                    enrollmentId: enrollment._id
+                });
 
             } catch (innerError) {
                 console.error(`Error updating grade for student ${studentId} in course ${courseId}:`, innerError);
@@ -0,0 +1,272 @@
+// routes/studentAccountRoutes.js
+// Student accounts: term invoices, the ledger with its running balance, payment history and receipts.
+
+const express = require('express');
+const router = express.Router();
+const { stringify } = require('csv-stringify');
+const Student = require('../Models/Students.js');
+const Transaction = require('../Models/Payment');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { findDepartment } = require('../Services/DepartmentService.js');
+const {
+    issueInvoice,
+    voidInvoice,
+    describeInvoice,
+    getAccountStatement,
+    statementToRecords,
+    buildReceipt,
+    renderReceiptPdf,
+    issueTermInvoices
+} = require('../Services/LedgerService.js');
+
+const financeOnly = [AllProtection, authorizeRoles('admin', 'bursar')];
+
+// Staff who may see any student's account
+const ACCOUNT_STAFF_ROLES = ['admin', 'bursar', 'registrar'];
+
+
+// GET /api/students/:studentId/account
+// The student's invoices and ledger: every charge, payment and reversal with the running balance.
+// Optional query parameters: termId (one term only), format=json|csv
+// Access: the student themselves, admin, bursar, registrar
+router.get('/api/students/:studentId/account', AllProtection, authorizeSelfOrRoles('studentId', 'student', ...ACCOUNT_STAFF_ROLES), async (req, res) => {
+    const { termId, format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ message: 'format must be one of: json, csv.' });
+    }
+
+    try {
+        const result = await getAccountStatement(req.params.studentId, { termId });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({ message: result.error.message });
+        }
+        const { statement } = result;
+
+        if (format === 'csv') {
+            return stringify(statementToRecords(statement), (err, output) => {
+                if (err) {
+                    console.error('Error generating CSV:', err);
+                    return res.status(500).json({ message: 'Failed to generate CSV file.' });
+                }
+                res.header('Content-Type', 'text/csv');
+                res.attachment(`account_${statement.student.registrationNumber}.csv`.replace(/[^\w.-]+/g, '_'));
+                res.send(output);
+            });
+        }
+
+        res.status(200).json({
+            message: 'Account statement retrieved successfully.',
+            statement: statement
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student or term ID.' });
+        }
+        console.error('Error fetching account statement:', error);
+        res.status(500).json({ message: 'Server error while fetching account statement.' });
+    }
+});
+
+// GET /api/students/:studentId/payments
+// Every payment the student has started, newest first, with a receipt link once it has been posted.
+// Access: the student themselves, admin, bursar, registrar
+router.get('/api/students/:studentId/payments', AllProtection, authorizeSelfOrRoles('studentId', 'student', ...ACCOUNT_STAFF_ROLES), async (req, res) => {
+    try {
+        const payments = await Transaction.find({ studentId: req.params.studentId })
+            .populate('invoice', 'invoiceNumber')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Payment history retrieved successfully.',
+            totalPayments: payments.length,
+            payments: payments.map(payment => ({
+                _id: payment._id,
+                reference: payment.paystackReference,
+                academicYear: payment.academicYear,
+                semester: payment.semester,
+                invoiceNumber: payment.invoice ? payment.invoice.invoiceNumber : null,
+                amount: payment.amount / 100, // In naira
+                amountPaid: payment.amountPaid === null || payment.amountPaid === undefined ? null : payment.amountPaid / 100,
+                status: payment.status,
+                statusReason: payment.statusReason,
+                receiptNumber: payment.receiptNumber,
+                receiptUrl: payment.receiptNumber ? `/api/payments/${payment._id}/receipt` : null,
+                paidAt: payment.paidAt,
+                createdAt: payment.createdAt
+            }))
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student ID.' });
+        }
+        console.error('Error fetching payment history:', error);
+        res.status(500).json({ message: 'Server error while fetching payment history.' });
+    }
+});
+
+// GET /api/payments/:paymentId/receipt
+// Downloads the receipt of a confirmed payment as a PDF.
+// Access: the student it belongs to, admin, bursar, registrar
+router.get('/api/payments/:paymentId/receipt', AllProtection, async (req, res) => {
+    try {
+        const result = await buildReceipt(req.params.paymentId);
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({ message: result.error.message });
+        }
+        const { receipt } = result;
+
+        const isOwner = req.user.role === 'student' && receipt.studentId.toString() === req.user.id;
+        if (!isOwner && !ACCOUNT_STAFF_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden: You can only download your own receipts.' });
+        }
+
+        const fileName = `receipt_${receipt.receiptNumber}.pdf`.replace(/[^\w.-]+/g, '_');
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        renderReceiptPdf(receipt).pipe(res);
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid payment ID.' });
+        }
+        console.error('Error generating receipt:', error);
+        res.status(500).json({ message: 'Server error while generating receipt.' });
+    }
+});
+
+// POST /api/students/:studentId/invoices
+// Issues the student's invoice for a term from the fee schedule. Invoices are otherwise issued by the
+// term job (Scripts/IssueInvoices.js) or on the first payment.
+// Body example:
+// {
+//     "academicYear": "2025-2026",          // or termId; defaults to the current term
+//     "semester": "Fall",
+//     "optionalItems": ["<feeItemId>"]       // optional fee items to include, e.g. hostel
+// }
+// Access: the student themselves, admin, bursar
+router.post('/api/students/:studentId/invoices', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'admin', 'bursar'), async (req, res) => {
+    const { termId, academicYear, semester, optionalItems } = req.body || {};
+
+    if (optionalItems !== undefined && !Array.isArray(optionalItems)) {
+        return res.status(400).json({ message: 'optionalItems must be an array of fee item IDs.' });
+    }
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+        const student = await Student.findById(req.params.studentId);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const result = await issueInvoice({ student, term, optionalItemIds: optionalItems || [], actor: req.user });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({
+                message: result.error.message,
+                ...(result.error.details ? { details: result.error.details } : {})
+            });
+        }
+
+        res.status(201).json({
+            message: `Invoice ${result.invoice.invoiceNumber} issued successfully.`,
+            invoice: describeInvoice(result.invoice)
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid student, term or fee item ID.' });
+        }
+        console.error('Error issuing invoice:', error);
+        res.status(500).json({ message: 'Server error while issuing invoice.' });
+    }
+});
+
+// POST /api/invoices/term
+// Issues invoices for a term to every active student who does not have one yet.
+// Body example:
+// {
+//     "academicYear": "2025-2026",          // or termId; defaults to the current term
+//     "semester": "Fall",
+//     "department": "Computer Science",     // optional; name, code or id
+//     "level": 200                          // optional
+// }
+// Access: admin, bursar
+router.post('/api/invoices/term', ...financeOnly, async (req, res) => {
+    const { termId, academicYear, semester, department, level } = req.body || {};
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        let invoiceDepartment = null;
+        if (department) {
+            invoiceDepartment = await findDepartment(department);
+            if (!invoiceDepartment) {
+                return res.status(404).json({ message: `Department '${department}' does not exist.` });
+            }
+        }
+
+        const summary = await issueTermInvoices(term, {
+            departmentId: invoiceDepartment ? invoiceDepartment._id : null,
+            level,
+            actor: req.user
+        });
+
+        res.status(200).json({
+            message: `Issued ${summary.issued} invoice(s) for ${term.semester} ${term.academicYear}.`,
+            summary: summary
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid term ID.' });
+        }
+        console.error('Error issuing term invoices:', error);
+        res.status(500).json({ message: 'Server error while issuing term invoices.' });
+    }
+});
+
+// POST /api/invoices/:invoiceId/void
+// Body: { "reason": "Issued with the wrong hostel fee" }
+// Withdraws an invoice nothing has been paid against; its charge is reversed on the ledger and a new
+// invoice can then be issued for the term.
+// Access: admin, bursar
+router.post('/api/invoices/:invoiceId/void', ...financeOnly, async (req, res) => {
+    const { reason } = req.body || {};
+
+    if (!reason) {
+        return res.status(400).json({ message: 'A reason for voiding the invoice is required.' });
+    }
+
+    try {
+        const result = await voidInvoice(req.params.invoiceId, { reason, actor: req.user });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({ message: result.error.message });
+        }
+
+        res.status(200).json({
+            message: `Invoice ${result.invoice.invoiceNumber} voided.`,
+            invoice: describeInvoice(result.invoice)
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid invoice ID.' });
+        }
+        console.error('Error voiding invoice:', error);
+        res.status(500).json({ message: 'Server error while voiding invoice.' });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const Enrollment = require('../Models/Enrollments.js'); // Make sure this path i
 const Student = require('../Models/Students.js'); // To validate student IDs if needed
 const Course = require('../Models/Courses.js'); // To validate course IDs
 const AllProtection = require('./ProtectionMiddlewares.js'); // Ensure this path is correct for your middleware
+const { computeResultSummary, creditsFor } = require('../Services/GpaService.js');
+const { isPublished, withheldUnlessPublished } = require('../Services/ResultWorkflowService.js');
+const { withholdResultsOnHold } = require('../Services/FinancialHoldService.js');
 
 const jwt = require('jsonwebtoken'); // Keep this if you use jwt directly elsewhere, otherwise it's implicitly used by StudentsTokenCheck
 
@@ -11,7 +14,8 @@ const jwt = require('jsonwebtoken'); // Keep this if you use jwt directly elsewh
 // --- STUDENT DASHBOARD ROUTE ---
 // GET /api/student/dashboard/:studentId
 // This route retrieves a student's profile and a list of their enrolled courses
-// with associated scores and status.
+// with associated scores and status, plus their GPA / CGPA summary.
+// Only published results are shown, and none for terms whose results are on financial hold (listed in financialHolds).
 router.get('/api/student/dashboard/:studentId', AllProtection, async (req, res) => { // <--- ADDED AllProtection middleware here
     const { studentId } = req.params;
 
@@ -30,9 +34,13 @@ router.get('/api/student/dashboard/:studentId', AllProtection, async (req, res)
         }
 
         // 2. Find all enrollments for this student
-        const enrollments = await Enrollment.find({ student: studentId })
+        // Scores are withheld until the course's results have been published
+        const fetchedEnrollments = (await Enrollment.find({ student: studentId })
             .populate('course', 'courseName courseId department credits description semester capacity') // Populate course details
-            .lean(); // Use .lean() for faster retrieval
+            .lean()) // Use .lean() for faster retrieval
+            .map(withheldUnlessPublished);
+        // Terms whose results are on financial hold are withheld too
+        const { enrollments, holds } = await withholdResultsOnHold(student, fetchedEnrollments);
 
         // Prepare the list of enrolled courses with their details and scores
         const enrolledCourses = enrollments.map(enrollment => ({
@@ -43,15 +51,21 @@ router.get('/api/student/dashboard/:studentId', AllProtection, async (req, res)
                 courseId: enrollment.course.courseId, // Assuming courseId is the code
                 courseName: enrollment.course.courseName, // Assuming courseName is the title
                 department: enrollment.course.department,
-                credits: enrollment.course.credits,
+                credits: creditsFor(enrollment),
                 description: enrollment.course.description
             },
             caScore: enrollment.caScore,
             examScore: enrollment.examScore,
+            totalScore: enrollment.totalScore,
             finalGrade: enrollment.finalGrade,
+            gradePoint: enrollment.gradePoint,
+            resultsPublished: isPublished(enrollment),
             status: enrollment.status
         }));
 
+        // 3. Per-semester GPA and cumulative CGPA, weighted by course credits
+        const gpaSummary = computeResultSummary(enrollments);
+
         res.status(200).json({
             message: `Dashboard data for student: ${student.name}`,
             studentProfile: {
@@ -64,7 +78,9 @@ router.get('/api/student/dashboard/:studentId', AllProtection, async (req, res)
                 registrationNumber: student.registrationNumber
                 // Exclude password and __v for security
             },
-            enrolledCourses: enrolledCourses
+            enrolledCourses: enrolledCourses,
+            gpaSummary: gpaSummary,
+            financialHolds: holds
         });
 
     } catch (error) {
@@ -0,0 +1,133 @@
+// routes/teachingAssignmentRoutes.js
+// Who teaches which course in which term. Each course has at most one coordinator per term and any
+// number of co-lecturers. Assigned lecturers can manage the course's class list and scores.
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const TeachingAssignment = require('../Models/TeachingAssignments.js');
+const { ASSIGNMENT_ROLES } = require('../Models/TeachingAssignments.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { assignLecturer, unassignLecturer } = require('../Services/TeachingAssignmentService.js');
+
+
+// GET /api/teaching-assignments
+// Optional query parameters: courseId, lecturerId, role, termId or academicYear + semester
+// Example: GET /api/teaching-assignments?courseId=...&academicYear=2025-2026&semester=Fall
+// Access: lecturers, admin, registrar
+router.get('/api/teaching-assignments', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { courseId, lecturerId, role, termId, academicYear, semester } = req.query;
+
+    if (role && !ASSIGNMENT_ROLES.includes(role)) {
+        return res.status(400).json({ message: `role must be one of: ${ASSIGNMENT_ROLES.join(', ')}.` });
+    }
+
+    try {
+        let query = {};
+        if (courseId) query.course = courseId;
+        if (lecturerId) query.lecturer = lecturerId;
+        if (role) query.role = role;
+        if (termId || (academicYear && semester)) {
+            const term = await resolveTerm({ termId, academicYear, semester });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found.' });
+            }
+            query.academicYear = term.academicYear;
+            query.semester = term.semester;
+        }
+
+        const assignments = await TeachingAssignment.find(query)
+            .populate('course', 'courseCode title department')
+            .populate('lecturer', 'name email employeeId department')
+            .sort({ academicYear: -1, semester: 1, role: 1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Teaching assignments retrieved successfully.',
+            totalAssignments: assignments.length,
+            assignments: assignments
+        });
+
+    } catch (error) {
+        console.error('Error fetching teaching assignments:', error);
+        res.status(500).json({ message: 'Server error while fetching teaching assignments.' });
+    }
+});
+
+
+// POST /api/teaching-assignments
+// Assigns a lecturer to a course for a term (the current term if none is given). Assigning a lecturer
+// who is already on the course changes their role.
+// Body: { "courseId": "...", "lecturerId": "...", "role": "coordinator", "academicYear": "2025-2026", "semester": "Fall" }
+// Access: admin, registrar
+router.post('/api/teaching-assignments', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { courseId, lecturerId, role = 'co-lecturer', termId, academicYear, semester } = req.body || {};
+
+    if (!courseId || !lecturerId) {
+        return res.status(400).json({ message: 'Course ID and lecturer ID are required.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(lecturerId)) {
+        return res.status(400).json({ message: 'Invalid course or lecturer ID.' });
+    }
+    if (!ASSIGNMENT_ROLES.includes(role)) {
+        return res.status(400).json({ message: `role must be one of: ${ASSIGNMENT_ROLES.join(', ')}.` });
+    }
+
+    try {
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const result = await assignLecturer({ courseId, lecturerId, term, role, actor: req.user });
+        if (result.error) {
+            return res.status(result.error.httpStatus).json({ message: result.error.message });
+        }
+
+        res.status(result.created ? 201 : 200).json({
+            message: result.created
+                ? `Lecturer assigned as ${role} for ${term.semester} ${term.academicYear}.`
+                : `Lecturer is now ${role} for ${term.semester} ${term.academicYear}.`,
+            assignment: result.assignment
+        });
+
+    } catch (error) {
+        console.error('Error assigning lecturer:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'This assignment conflicts with another one (a course has one coordinator per term).' });
+        }
+        res.status(500).json({ message: 'Server error while assigning lecturer.' });
+    }
+});
+
+
+// DELETE /api/teaching-assignments/:assignmentId
+// Access: admin, registrar
+router.delete('/api/teaching-assignments/:assignmentId', AllProtection, authorizeRoles('admin', 'registrar'), async (req, res) => {
+    const { assignmentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+        return res.status(400).json({ message: 'Invalid assignment ID.' });
+    }
+
+    try {
+        const assignment = await unassignLecturer(assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ message: 'Teaching assignment not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Lecturer unassigned successfully.',
+            assignment: assignment
+        });
+
+    } catch (error) {
+        console.error('Error unassigning lecturer:', error);
+        res.status(500).json({ message: 'Server error while unassigning lecturer.' });
+    }
+});
+
+
+module.exports = router;
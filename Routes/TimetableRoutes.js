@@ -0,0 +1,138 @@
+// routes/timetableRoutes.js
+// Personal weekly timetables for students and lecturers, and venue timetables.
+// Schedules are set on courses (POST /api/courses, PUT /api/admin/courses/:courseId).
+
+const express = require('express');
+const router = express.Router();
+const Course = require('../Models/Courses.js');
+const Student = require('../Models/Students.js');
+const Lecturer = require('../Models/Lecturers.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { resolveTerm, normalizeSemester } = require('../Services/AcademicTermService.js');
+const { escapeRegex } = require('../Services/IdentifierService.js');
+const {
+    getStudentTimetableCourses,
+    buildTimetable,
+    findClashesWithin
+} = require('../Services/TimetableService.js');
+const { getLecturerCourses } = require('../Services/TeachingAssignmentService.js');
+
+
+// GET /api/timetable/student/:studentId
+// The student's weekly timetable for a term, built from their enrollments (waitlisted courses are flagged).
+// Optional query parameters: termId, or academicYear + semester (defaults to the current term)
+// Access: the student themself, lecturers, admin, registrar
+router.get('/api/timetable/student/:studentId', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { studentId } = req.params;
+    const { termId, academicYear, semester } = req.query;
+
+    try {
+        const student = await Student.findById(studentId).select('name registrationNumber').lean();
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const term = await resolveTerm({ termId, academicYear, semester });
+        if (!term) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        const courses = await getStudentTimetableCourses(studentId, term.academicYear, term.semester);
+
+        res.status(200).json({
+            message: 'Timetable retrieved successfully.',
+            student: student,
+            term: { _id: term._id, academicYear: term.academicYear, semester: term.semester },
+            timetable: buildTimetable(courses),
+            unscheduledCourses: courses.filter(course => !course.schedule || course.schedule.length === 0)
+                .map(course => ({ courseId: course._id, courseCode: course.courseCode, title: course.title })),
+            clashes: findClashesWithin(courses)
+        });
+
+    } catch (error) {
+        console.error('Error fetching student timetable:', error);
+        res.status(500).json({ message: 'Server error while fetching timetable.' });
+    }
+});
+
+
+// GET /api/timetable/lecturer/:lecturerId
+// The lecturer's weekly teaching timetable, built from their teaching assignments.
+// Optional query parameters: termId, or semester (defaults to every semester)
+// Access: the lecturer themself, admin, registrar
+router.get('/api/timetable/lecturer/:lecturerId', AllProtection, authorizeSelfOrRoles('lecturerId', 'lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { lecturerId } = req.params;
+    const { termId } = req.query;
+
+    try {
+        const lecturer = await Lecturer.findById(lecturerId).select('name employeeId').lean();
+        if (!lecturer) {
+            return res.status(404).json({ message: 'Lecturer not found.' });
+        }
+
+        let filter = { semester: normalizeSemester(req.query.semester) };
+        if (termId) {
+            const term = await resolveTerm({ termId });
+            if (!term) {
+                return res.status(404).json({ message: 'Academic term not found.' });
+            }
+            filter = { academicYear: term.academicYear, semester: term.semester };
+        }
+        const semester = filter.semester;
+
+        // A course taught in several years only appears once
+        const assignments = await getLecturerCourses(lecturerId, filter);
+        const courses = [...new Map(assignments.map(assignment => [assignment.course._id.toString(), assignment.course])).values()];
+
+        res.status(200).json({
+            message: 'Timetable retrieved successfully.',
+            lecturer: lecturer,
+            semester: semester || null,
+            timetable: buildTimetable(courses),
+            clashes: findClashesWithin(courses)
+        });
+
+    } catch (error) {
+        console.error('Error fetching lecturer timetable:', error);
+        res.status(500).json({ message: 'Server error while fetching timetable.' });
+    }
+});
+
+
+// GET /api/timetable/venue/:venue
+// Everything booked in a venue during the week.
+// Optional query parameter: semester
+// Access: any logged-in user
+router.get('/api/timetable/venue/:venue', AllProtection, async (req, res) => {
+    const { venue } = req.params;
+    const semester = normalizeSemester(req.query.semester);
+
+    try {
+        const venuePattern = new RegExp(`^${escapeRegex(venue.trim())}$`, 'i');
+        let query = { 'schedule.venue': venuePattern };
+        if (semester) query.semester = semester;
+
+        const courses = await Course.find(query).select('courseCode title semester schedule').lean();
+
+        // Keep only the sections held in this venue
+        const venueCourses = courses.map(course => ({
+            ...course,
+            schedule: course.schedule.filter(section => venuePattern.test(section.venue))
+        }));
+
+        res.status(200).json({
+            message: `Timetable for ${venue} retrieved successfully.`,
+            venue: venue,
+            semester: semester || null,
+            timetable: buildTimetable(venueCourses)
+        });
+
+    } catch (error) {
+        console.error('Error fetching venue timetable:', error);
+        res.status(500).json({ message: 'Server error while fetching venue timetable.' });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,185 @@
+// routes/transcriptRoutes.js
+// Official transcripts: issuing, PDF download, revocation and public verification.
+
+const express = require('express');
+const router = express.Router();
+const Transcript = require('../Models/Transcripts.js');
+const Student = require('../Models/Students.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const { issueTranscript, renderTranscriptPdf, verifyTranscript } = require('../Services/TranscriptService.js');
+const { checkFinancialHold } = require('../Services/FinancialHoldService.js');
+
+// Staff who may issue, download and revoke any student's transcripts
+const TRANSCRIPT_STAFF_ROLES = ['admin', 'registrar'];
+
+
+// POST /api/transcripts/student/:studentId
+// Issues a transcript of the student's record as it stands now, with a new verification code.
+// Students cannot request one while a term's fees are outstanding under a transcript hold.
+// Access: the student themself, admin, registrar
+router.post('/api/transcripts/student/:studentId', AllProtection, authorizeSelfOrRoles('studentId', 'student', ...TRANSCRIPT_STAFF_ROLES), async (req, res) => {
+    try {
+        if (req.user.role === 'student') {
+            const student = await Student.findById(req.params.studentId).select('departmentId level').lean();
+            const hold = student ? await checkFinancialHold(student, 'transcripts') : null;
+            if (hold) {
+                return res.status(403).json({ message: hold.message, hold });
+            }
+        }
+
+        const transcript = await issueTranscript(req.params.studentId, req.user);
+        if (!transcript) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        res.status(201).json({
+            message: 'Transcript issued successfully.',
+            transcriptId: transcript._id,
+            verificationCode: transcript.verificationCode,
+            downloadUrl: `/api/transcripts/${transcript._id}/pdf`,
+            summary: transcript.snapshot.summary
+        });
+
+    } catch (error) {
+        console.error('Error issuing transcript:', error);
+        res.status(500).json({ message: 'Server error while issuing transcript.' });
+    }
+});
+
+
+// GET /api/transcripts/student/:studentId
+// Transcripts issued for a student (without the snapshots).
+// Access: the student themself, admin, registrar
+router.get('/api/transcripts/student/:studentId', AllProtection, authorizeSelfOrRoles('studentId', 'student', ...TRANSCRIPT_STAFF_ROLES), async (req, res) => {
+    try {
+        const transcripts = await Transcript.find({ student: req.params.studentId })
+            .select('verificationCode contentHash issuedByRole revokedAt revocationReason createdAt')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            message: 'Transcripts retrieved successfully.',
+            totalTranscripts: transcripts.length,
+            transcripts: transcripts
+        });
+
+    } catch (error) {
+        console.error('Error fetching transcripts:', error);
+        res.status(500).json({ message: 'Server error while fetching transcripts.' });
+    }
+});
+
+
+// GET /api/transcripts/:transcriptId/pdf
+// Downloads an issued transcript as a PDF. The content is the snapshot taken when it was issued.
+// Access: the student it belongs to, admin, registrar
+router.get('/api/transcripts/:transcriptId/pdf', AllProtection, async (req, res) => {
+    try {
+        const transcript = await Transcript.findById(req.params.transcriptId).lean();
+        if (!transcript) {
+            return res.status(404).json({ message: 'Transcript not found.' });
+        }
+
+        const isOwner = req.user.role === 'student' && transcript.student.toString() === req.user.id;
+        if (!isOwner && !TRANSCRIPT_STAFF_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden: You can only download your own transcripts.' });
+        }
+        if (transcript.revokedAt) {
+            return res.status(410).json({ message: 'This transcript has been revoked. Please request a new one.' });
+        }
+
+        // Rendered before any header is set, so a rendering error still gets a JSON response
+        const doc = renderTranscriptPdf(transcript);
+
+        const fileName = `transcript_${transcript.snapshot.student.registrationNumber}_${transcript.verificationCode}.pdf`.replace(/[^\w.-]+/g, '_');
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        doc.pipe(res);
+
+    } catch (error) {
+        console.error('Error generating transcript PDF:', error);
+        res.status(500).json({ message: 'Server error while generating transcript.' });
+    }
+});
+
+
+// POST /api/transcripts/:transcriptId/revoke
+// Body: { "reason": "Grades corrected after issue" }
+// A revoked transcript no longer verifies. The record is kept.
+// Access: admin, registrar
+router.post('/api/transcripts/:transcriptId/revoke', AllProtection, authorizeRoles(...TRANSCRIPT_STAFF_ROLES), async (req, res) => {
+    const { reason } = req.body || {};
+
+    if (!reason) {
+        return res.status(400).json({ message: 'A reason for the revocation is required.' });
+    }
+
+    try {
+        const transcript = await Transcript.findOneAndUpdate(
+            { _id: req.params.transcriptId, revokedAt: null },
+            { revokedAt: new Date(), revokedBy: req.user.id, revocationReason: reason },
+            { new: true }
+        ).select('-snapshot');
+
+        if (!transcript) {
+            return res.status(404).json({ message: 'Active transcript not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Transcript revoked successfully.',
+            transcript: transcript
+        });
+
+    } catch (error) {
+        console.error('Error revoking transcript:', error);
+        res.status(500).json({ message: 'Server error while revoking transcript.' });
+    }
+});
+
+
+// GET /api/transcripts/verify/:verificationCode
+// Public: lets an employer or another institution confirm that a transcript is genuine.
+// Returns the key details so they can be compared with the document, and the fingerprint printed on it.
+// Access: public
+router.get('/api/transcripts/verify/:verificationCode', async (req, res) => {
+    try {
+        const result = await verifyTranscript(req.params.verificationCode);
+        if (!result) {
+            return res.status(404).json({ valid: false, message: 'No transcript was issued with this verification code.' });
+        }
+
+        const { transcript, authentic, revoked, matchesCurrentRecord } = result;
+        const valid = authentic && !revoked;
+
+        let message = 'This transcript is authentic.';
+        if (!authentic) {
+            message = 'This transcript could not be verified: the issued record has been altered.';
+        } else if (revoked) {
+            message = `This transcript was revoked on ${transcript.revokedAt.toISOString().slice(0, 10)}.`;
+        }
+
+        res.status(200).json({
+            valid,
+            message,
+            verificationCode: transcript.verificationCode,
+            issuedAt: transcript.createdAt,
+            fingerprint: transcript.contentHash,
+            student: {
+                name: transcript.snapshot.student.name,
+                registrationNumber: transcript.snapshot.student.registrationNumber,
+                department: transcript.snapshot.student.department
+            },
+            summary: transcript.snapshot.summary,
+            // false when grades changed after this transcript was issued; a newer transcript may exist
+            matchesCurrentRecord
+        });
+
+    } catch (error) {
+        console.error('Error verifying transcript:', error);
+        res.status(500).json({ valid: false, message: 'Server error while verifying transcript.' });
+    }
+});
+
+
+module.exports = router;
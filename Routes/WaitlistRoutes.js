@@ -0,0 +1,96 @@
+// routes/waitlistRoutes.js
+// Read-only views of course waitlists. Students join a waitlist through POST /api/enrollments
+// when a course is full, and are promoted automatically when a seat frees up.
+
+const express = require('express');
+const router = express.Router();
+const Enrollment = require('../Models/Enrollments.js');
+const Course = require('../Models/Courses.js');
+const AllProtection = require('./ProtectionMiddlewares.js');
+const { authorizeRoles, authorizeSelfOrRoles } = require('./ProtectionMiddlewares.js');
+const {
+    WAITLIST_STATUS,
+    countSeatsTaken,
+    getWaitlistPosition,
+    getWaitlist
+} = require('../Services/WaitlistService.js');
+
+
+// GET /api/waitlist/student/:studentId
+// Lists every course the student is waitlisted for, with their current position in each queue.
+// Access: the student themself, admin, registrar
+router.get('/api/waitlist/student/:studentId', AllProtection, authorizeSelfOrRoles('studentId', 'student', 'admin', 'registrar'), async (req, res) => {
+    const { studentId } = req.params;
+
+    try {
+        const enrollments = await Enrollment.find({ student: studentId, status: WAITLIST_STATUS })
+            .populate('course', 'courseCode title capacity')
+            .sort({ waitlistedAt: 1 })
+            .lean();
+
+        const waitlist = [];
+        for (const enrollment of enrollments) {
+            waitlist.push({
+                enrollmentId: enrollment._id,
+                course: enrollment.course,
+                academicYear: enrollment.academicYear,
+                semester: enrollment.semester,
+                waitlistedAt: enrollment.waitlistedAt,
+                position: await getWaitlistPosition(enrollment)
+            });
+        }
+
+        res.status(200).json({
+            message: 'Waitlist positions retrieved successfully.',
+            totalWaitlisted: waitlist.length,
+            waitlist: waitlist
+        });
+
+    } catch (error) {
+        console.error('Error fetching student waitlist:', error);
+        res.status(500).json({ message: 'Server error while fetching waitlist positions.' });
+    }
+});
+
+
+// GET /api/waitlist/course/:courseId?academicYear=2025-2026&semester=Fall
+// Shows seats taken and the ordered waitlist for a course in a term.
+// Access: lecturers, admin, registrar
+router.get('/api/waitlist/course/:courseId', AllProtection, authorizeRoles('lecturer', 'admin', 'registrar'), async (req, res) => {
+    const { courseId } = req.params;
+    const { academicYear, semester } = req.query;
+
+    if (!academicYear || !semester) {
+        return res.status(400).json({ message: 'Academic year and semester are required.' });
+    }
+
+    try {
+        const course = await Course.findById(courseId).select('courseCode title capacity').lean();
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+
+        const seatsTaken = await countSeatsTaken(courseId, academicYear, semester);
+        const waitlist = await getWaitlist(courseId, academicYear, semester);
+
+        res.status(200).json({
+            message: `Waitlist for ${course.courseCode} (${semester} ${academicYear}).`,
+            capacity: course.capacity,
+            seatsTaken: seatsTaken,
+            totalWaitlisted: waitlist.length,
+            waitlist: waitlist.map((enrollment, index) => ({
+                position: index + 1,
+                enrollmentId: enrollment._id,
+                student: enrollment.student,
+                waitlistedAt: enrollment.waitlistedAt
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching course waitlist:', error);
+        res.status(500).json({ message: 'Server error while fetching course waitlist.' });
+    }
+});
+
+
+module.exports = router;
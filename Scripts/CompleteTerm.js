@@ -0,0 +1,50 @@
+// scripts/completeTerm.js
+// End-of-term job: marks every 'Enrolled' enrollment of a term with a published result as 'Completed'.
+// Meant to be run from a scheduler once grading for the term has closed.
+//
+// Usage:
+//   node Scripts/CompleteTerm.js <academicYear> <semester>
+//   e.g. node Scripts/CompleteTerm.js 2025-2026 Fall
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const { completeTerm } = require('../Services/EnrollmentLifecycleService.js');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+
+const run = async () => {
+    const [academicYear, semester] = process.argv.slice(2);
+
+    if (!academicYear || !semester) {
+        console.error('Usage: node Scripts/CompleteTerm.js <academicYear> <semester>');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    try {
+        // Accepts the term however it is written (e.g. "2025/2026 fall"), but only one in the calendar
+        const term = await resolveTerm({ academicYear, semester });
+        if (!term) {
+            console.error(`Academic term not found: ${semester} ${academicYear}.`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const summary = await completeTerm(term.academicYear, term.semester);
+        console.log(`Completed ${summary.completedCount} enrollment(s) for ${term.semester} ${term.academicYear}.`);
+        if (summary.ungradedCount > 0) {
+            console.warn(`${summary.ungradedCount} enrollment(s) have no final grade and were left as 'Enrolled'.`);
+        }
+        if (summary.unpublishedCount > 0) {
+            console.warn(`${summary.unpublishedCount} enrollment(s) have a result that is not published yet and were left as 'Enrolled'.`);
+        }
+    } catch (error) {
+        console.error('Error completing term:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
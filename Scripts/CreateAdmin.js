@@ -0,0 +1,42 @@
+// scripts/createAdmin.js
+// Creates the first administrator account (there is no public signup for staff).
+//
+// Usage:
+//   node Scripts/CreateAdmin.js "<name>" <email> <password> [role]
+// role defaults to 'admin'; 'registrar' and 'bursar' are also accepted.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const Admin = require('../Models/Admins.js');
+
+const run = async () => {
+    const [name, email, password, role = 'admin'] = process.argv.slice(2);
+
+    if (!name || !email || !password) {
+        console.error('Usage: node Scripts/CreateAdmin.js "<name>" <email> <password> [role]');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    try {
+        const existing = await Admin.findOne({ email: email.toLowerCase() });
+        if (existing) {
+            console.error(`A staff account with email ${email} already exists.`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const admin = new Admin({ name, email, password, role });
+        await admin.save();
+        console.log(`Created ${admin.role} account for ${admin.email} (${admin._id}).`);
+    } catch (error) {
+        console.error('Error creating admin account:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
@@ -0,0 +1,49 @@
+// scripts/issueInvoices.js
+// Start-of-term job: issues the term's invoice to every active student who does not have one yet.
+// Meant to be run from a scheduler once the bursary has published the fee schedule for the term.
+//
+// Usage:
+//   node Scripts/IssueInvoices.js [<academicYear> <semester>]
+//   e.g. node Scripts/IssueInvoices.js 2025-2026 Fall   (the current term when omitted)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const { resolveTerm } = require('../Services/AcademicTermService.js');
+const { issueTermInvoices } = require('../Services/LedgerService.js');
+
+const run = async () => {
+    const [academicYear, semester] = process.argv.slice(2);
+
+    if (Boolean(academicYear) !== Boolean(semester)) {
+        console.error('Usage: node Scripts/IssueInvoices.js [<academicYear> <semester>]');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    try {
+        const term = await resolveTerm({ academicYear, semester });
+        if (!term) {
+            console.error(academicYear ? `Academic term ${semester} ${academicYear} not found.` : 'No current academic term is set.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const summary = await issueTermInvoices(term);
+        console.log(`Issued ${summary.issued} invoice(s) for ${term.semester} ${term.academicYear}.`);
+        if (summary.alreadyInvoiced > 0) {
+            console.log(`${summary.alreadyInvoiced} student(s) already had an invoice.`);
+        }
+        if (summary.noFees > 0) {
+            console.warn(`${summary.noFees} student(s) have no fees set for the term and were not invoiced.`);
+        }
+    } catch (error) {
+        console.error('Error issuing invoices:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
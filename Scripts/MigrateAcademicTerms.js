@@ -0,0 +1,106 @@
+// scripts/migrateAcademicTerms.js
+// One-off migration to the academic calendar:
+// - rewrites free-text academic years / semesters into their canonical form ("2024/2025" -> "2024-2025", "first" -> "Fall"),
+// - creates an AcademicTerm for every year + semester found in the data,
+// - links enrollments, payments and students (last paid term) to those terms.
+// Values that cannot be recognised are left untouched and reported. Safe to run more than once.
+//
+// Usage:
+//   node Scripts/MigrateAcademicTerms.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const Enrollment = require('../Models/Enrollments.js');
+const Transaction = require('../Models/Payment.js');
+const Student = require('../Models/Students.js');
+const Course = require('../Models/Courses.js');
+const { SEMESTERS } = require('../Models/AcademicTerms.js');
+const { normalizeAcademicYear, normalizeSemester, findOrCreateTerm } = require('../Services/AcademicTermService.js');
+
+const ACADEMIC_YEAR_PATTERN = /^\d{4}-\d{4}$/;
+
+// Terms already looked up during this run, keyed by "academicYear|semester"
+const termCache = new Map();
+
+// Returns the AcademicTerm for a year + semester, or null when either cannot be normalized
+const termFor = async (academicYear, semester) => {
+    const year = normalizeAcademicYear(academicYear);
+    const sem = normalizeSemester(semester);
+    if (!ACADEMIC_YEAR_PATTERN.test(year || '') || !SEMESTERS.includes(sem)) {
+        return null;
+    }
+    const key = `${year}|${sem}`;
+    if (!termCache.has(key)) {
+        termCache.set(key, await findOrCreateTerm(year, sem));
+    }
+    return termCache.get(key);
+};
+
+// Normalizes the year/semester fields of every document in a collection and sets its term reference.
+// Writes go straight to the collection so legacy documents that fail newer validators are still migrated.
+const migrateCollection = async (Model, label, { yearField, semesterField, termField }) => {
+    let updated = 0;
+    const unrecognised = [];
+
+    const cursor = Model.find({}, { [yearField]: 1, [semesterField]: 1, [termField]: 1 }).lean().cursor();
+    for await (const doc of cursor) {
+        if (!doc[yearField] && !doc[semesterField]) continue;
+
+        const term = await termFor(doc[yearField], doc[semesterField]);
+        if (!term) {
+            unrecognised.push(`${doc._id} (${doc[semesterField]} ${doc[yearField]})`);
+            continue;
+        }
+
+        const changes = {};
+        if (doc[yearField] !== term.academicYear) changes[yearField] = term.academicYear;
+        if (doc[semesterField] !== term.semester) changes[semesterField] = term.semester;
+        if (!doc[termField] || doc[termField].toString() !== term._id.toString()) changes[termField] = term._id;
+
+        if (Object.keys(changes).length > 0) {
+            await Model.collection.updateOne({ _id: doc._id }, { $set: changes });
+            updated++;
+        }
+    }
+
+    console.log(`${label}: ${updated} updated.`);
+    if (unrecognised.length > 0) {
+        console.warn(`${label}: ${unrecognised.length} with an unrecognised term were left unchanged: ${unrecognised.join(', ')}`);
+    }
+};
+
+// Courses only carry the semester they are normally offered in, not a term
+const migrateCourseSemesters = async () => {
+    let updated = 0;
+
+    const cursor = Course.find({ semester: { $exists: true, $ne: null } }, { semester: 1 }).lean().cursor();
+    for await (const course of cursor) {
+        const semester = normalizeSemester(course.semester);
+        if (semester !== course.semester && SEMESTERS.includes(semester)) {
+            await Course.collection.updateOne({ _id: course._id }, { $set: { semester } });
+            updated++;
+        }
+    }
+
+    console.log(`Courses: ${updated} updated.`);
+};
+
+const run = async () => {
+    await connectDB();
+
+    try {
+        await migrateCollection(Enrollment, 'Enrollments', { yearField: 'academicYear', semesterField: 'semester', termField: 'term' });
+        await migrateCollection(Transaction, 'Payments', { yearField: 'academicYear', semesterField: 'semester', termField: 'term' });
+        await migrateCollection(Student, 'Students', { yearField: 'lastPaidAcademicYear', semesterField: 'lastPaidSemester', termField: 'lastPaidTerm' });
+        await migrateCourseSemesters();
+        console.log(`Academic terms in use: ${termCache.size}.`);
+    } catch (error) {
+        console.error('Error migrating academic terms:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
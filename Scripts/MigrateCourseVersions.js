@@ -0,0 +1,67 @@
+// scripts/migrateCourseVersions.js
+// One-off migration to the versioned course catalogue:
+// - marks existing courses active at version 1 and records that version,
+// - stores on every enrollment the credits and version of its course as they are now
+//   (the best record available for enrollments made before credits were kept per enrollment).
+// Safe to run more than once: courses and enrollments that are already set are left alone.
+//
+// Usage:
+//   node Scripts/MigrateCourseVersions.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const Course = require('../Models/Courses.js');
+const CourseVersion = require('../Models/CourseVersions.js');
+const Enrollment = require('../Models/Enrollments.js');
+
+const run = async () => {
+    await connectDB();
+
+    try {
+        const legacy = await Course.collection.updateMany(
+            { version: { $exists: false } },
+            { $set: { version: 1, status: 'active', statusChangedAt: null } }
+        );
+
+        let versionCount = 0;
+        let enrollmentCount = 0;
+        const courses = await Course.find().lean();
+        for (const course of courses) {
+            const result = await CourseVersion.updateOne(
+                { course: course._id, version: course.version },
+                {
+                    $setOnInsert: {
+                        courseCode: course.courseCode,
+                        title: course.title,
+                        department: course.department,
+                        credits: course.credits,
+                        description: course.description,
+                        prerequisites: course.prerequisites || [],
+                        changedFields: [],
+                        changedByRole: 'system',
+                        changeNote: 'Recorded by the catalogue migration'
+                    }
+                },
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0) versionCount++;
+
+            const enrollments = await Enrollment.collection.updateMany(
+                { course: course._id, credits: null }, // null or missing
+                { $set: { credits: course.credits, courseVersion: course.version } }
+            );
+            enrollmentCount += enrollments.modifiedCount;
+        }
+
+        console.log(`Marked ${legacy.modifiedCount} course(s) active at version 1; recorded ${versionCount} catalogue version(s).`);
+        console.log(`Stored credits and course version on ${enrollmentCount} enrollment(s).`);
+    } catch (error) {
+        console.error('Error migrating course versions:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
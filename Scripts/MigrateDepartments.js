@@ -0,0 +1,110 @@
+// scripts/migrateDepartments.js
+// One-off migration from free-text department strings to Department documents:
+// - creates a Department for every distinct department string on students, lecturers and courses
+//   (spellings that differ only in case or surrounding spaces are one department), with a code made
+//   from the name's initials and no faculty,
+// - sets `departmentId` on every student, lecturer and course and writes back the department's name,
+// - makes lecturers flagged `isHeadOfDepartment` the head of their department and removes the flag.
+// Existing registration numbers and employee IDs are not changed.
+// Safe to run more than once: departments that already exist (by name) are reused.
+// Codes and faculties can be adjusted afterwards through PUT /api/admin/departments/:departmentId.
+//
+// Usage:
+//   node Scripts/MigrateDepartments.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const Department = require('../Models/Departments.js');
+const Student = require('../Models/Students.js');
+const Lecturer = require('../Models/Lecturers.js');
+const Course = require('../Models/Courses.js');
+const { NAME_COLLATION } = require('../Services/DepartmentService.js');
+
+const MODELS = [Student, Lecturer, Course];
+
+// "Computer Science" -> "CS", "Philosophy" -> "PHI"
+const codeFromName = (name) => {
+    const words = name.toUpperCase().split(/[^A-Z0-9]+/).filter(word => word && word !== 'AND' && word !== 'OF');
+    let code = words.length > 1 ? words.map(word => word[0]).join('') : (words[0] || '').slice(0, 3);
+    code = code.slice(0, 8);
+    return code.length >= 2 ? code : `${code}DEP`.slice(0, 3);
+};
+
+// Appends 2, 3, ... until the code is unused
+const uniqueCode = async (name) => {
+    const base = codeFromName(name);
+    let code = base;
+    for (let suffix = 2; await Department.exists({ code }); suffix++) {
+        code = `${base}${suffix}`;
+    }
+    return code;
+};
+
+const run = async () => {
+    await connectDB();
+
+    try {
+        // Distinct spellings, grouped case-insensitively; the most used spelling becomes the name
+        const spellings = new Map();
+        for (const Model of MODELS) {
+            const counts = await Model.collection.aggregate([
+                { $match: { department: { $type: 'string', $ne: '' } } },
+                { $group: { _id: '$department', count: { $sum: 1 } } }
+            ]).toArray();
+            for (const { _id: spelling, count } of counts) {
+                const key = spelling.trim().toLowerCase();
+                if (!key) continue;
+                if (!spellings.has(key)) spellings.set(key, new Map());
+                const variants = spellings.get(key);
+                variants.set(spelling, (variants.get(spelling) || 0) + count);
+            }
+        }
+
+        let createdCount = 0;
+        let linkedCount = 0;
+        for (const variants of spellings.values()) {
+            const [name] = [...variants.entries()].sort((a, b) => b[1] - a[1])[0];
+            const canonicalName = name.trim();
+
+            let department = await Department.findOne({ name: canonicalName }).collation(NAME_COLLATION);
+            if (!department) {
+                department = await Department.create({ name: canonicalName, code: await uniqueCode(canonicalName) });
+                createdCount++;
+                console.log(`Created department '${department.name}' (${department.code}).`);
+            }
+
+            // Raw collection updates: nothing else about these documents changes
+            for (const Model of MODELS) {
+                const result = await Model.collection.updateMany(
+                    { department: { $in: [...variants.keys()] } },
+                    { $set: { department: department.name, departmentId: department._id } }
+                );
+                linkedCount += result.modifiedCount;
+            }
+        }
+
+        // Heads of department used to be a flag on the lecturer
+        let hodCount = 0;
+        const heads = await Lecturer.collection.find({ isHeadOfDepartment: true, departmentId: { $ne: null } }).toArray();
+        for (const head of heads) {
+            const result = await Department.updateOne({ _id: head.departmentId, hod: null }, { $set: { hod: head._id } });
+            if (result.modifiedCount > 0) {
+                hodCount++;
+            } else {
+                console.warn(`Lecturer ${head.employeeId} was flagged head of ${head.department}, which already has a head; not changed.`);
+            }
+        }
+        await Lecturer.collection.updateMany({ isHeadOfDepartment: { $exists: true } }, { $unset: { isHeadOfDepartment: '' } });
+
+        console.log(`Created ${createdCount} department(s); linked ${linkedCount} student(s), lecturer(s) and course(s).`);
+        console.log(`Set the head of ${hodCount} department(s).`);
+    } catch (error) {
+        console.error('Error migrating departments:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
@@ -0,0 +1,51 @@
+// scripts/migrateResultStatus.js
+// One-off migration to the result approval workflow. Grades entered before the workflow existed
+// were already visible to students, so they are marked 'published' (with a published ResultBatch for
+// their course and term); enrollments without a grade start in 'draft'. Safe to run more than once.
+//
+// Usage:
+//   node Scripts/MigrateResultStatus.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const Enrollment = require('../Models/Enrollments.js');
+const ResultBatch = require('../Models/ResultBatches.js');
+
+const run = async () => {
+    await connectDB();
+
+    try {
+        const legacyFilter = { resultStatus: { $exists: false } };
+
+        // Course/term pairs that already had visible grades
+        const publishedTerms = await Enrollment.aggregate([
+            { $match: { ...legacyFilter, finalGrade: { $ne: null } } },
+            { $group: { _id: { course: '$course', academicYear: '$academicYear', semester: '$semester' }, term: { $first: '$term' } } }
+        ]);
+
+        const published = await Enrollment.collection.updateMany(
+            { ...legacyFilter, finalGrade: { $ne: null } },
+            { $set: { resultStatus: 'published' } }
+        );
+        const drafts = await Enrollment.collection.updateMany(legacyFilter, { $set: { resultStatus: 'draft' } });
+
+        for (const { _id, term } of publishedTerms) {
+            await ResultBatch.updateOne(
+                { course: _id.course, academicYear: _id.academicYear, semester: _id.semester },
+                { $setOnInsert: term ? { term, status: 'published' } : { status: 'published' } },
+                { upsert: true }
+            );
+        }
+
+        console.log(`Marked ${published.modifiedCount} graded enrollment(s) as published and ${drafts.modifiedCount} as draft.`);
+        console.log(`Result batches checked for ${publishedTerms.length} course/term pair(s).`);
+    } catch (error) {
+        console.error('Error migrating result status:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
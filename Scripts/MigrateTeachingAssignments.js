@@ -0,0 +1,94 @@
+// scripts/migrateTeachingAssignments.js
+// One-off migration to per-term teaching assignments. Every lecturer listed on Course.lecturers, and every
+// Lecturer.coursesTaught entry that names a course (by id, course code or exact title), becomes a
+// co-lecturer assignment in the current academic term. Entries that match no course are reported and
+// left as free text. Safe to run more than once: existing assignments are never changed.
+//
+// Usage:
+//   node Scripts/MigrateTeachingAssignments.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const Course = require('../Models/Courses.js');
+const Lecturer = require('../Models/Lecturers.js');
+const TeachingAssignment = require('../Models/TeachingAssignments.js');
+const { getCurrentTerm } = require('../Services/AcademicTermService.js');
+const { syncCourseLecturers } = require('../Services/TeachingAssignmentService.js');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const run = async () => {
+    await connectDB();
+
+    try {
+        const term = await getCurrentTerm();
+        if (!term) {
+            console.error('No current academic term is set. Set one (POST /api/academic-terms/:termId/set-current) and run again.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const courses = await Course.find().select('courseCode title lecturers').lean();
+        const courseByKey = new Map();
+        for (const course of courses) {
+            courseByKey.set(course._id.toString(), course);
+            courseByKey.set(course.courseCode.toUpperCase(), course);
+            courseByKey.set(course.title.trim().toLowerCase(), course);
+        }
+
+        // "courseId|lecturerId" pairs to assign
+        const pairs = new Set();
+        for (const course of courses) {
+            for (const lecturerId of course.lecturers || []) {
+                pairs.add(`${course._id}|${lecturerId}`);
+            }
+        }
+
+        const unmatched = [];
+        const lecturers = await Lecturer.find({ 'coursesTaught.0': { $exists: true } }).select('name coursesTaught').lean();
+        for (const lecturer of lecturers) {
+            for (const entry of lecturer.coursesTaught) {
+                const text = String(entry).trim();
+                const course = OBJECT_ID_PATTERN.test(text)
+                    ? courseByKey.get(text.toLowerCase())
+                    : courseByKey.get(text.toUpperCase()) || courseByKey.get(text.toLowerCase());
+                if (course) {
+                    pairs.add(`${course._id}|${lecturer._id}`);
+                } else {
+                    unmatched.push(`${lecturer.name}: "${text}"`);
+                }
+            }
+        }
+
+        let createdCount = 0;
+        const touchedCourses = new Set();
+        for (const pair of pairs) {
+            const [courseId, lecturerId] = pair.split('|');
+            const result = await TeachingAssignment.updateOne(
+                { course: courseId, lecturer: lecturerId, academicYear: term.academicYear, semester: term.semester },
+                { $setOnInsert: { term: term._id, role: 'co-lecturer', assignedByRole: 'system' } },
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0) createdCount++;
+            touchedCourses.add(courseId);
+        }
+
+        for (const courseId of touchedCourses) {
+            await syncCourseLecturers(courseId);
+        }
+
+        console.log(`Created ${createdCount} teaching assignment(s) for ${term.semester} ${term.academicYear} (${pairs.size} lecturer/course pair(s) found).`);
+        if (unmatched.length > 0) {
+            console.log(`${unmatched.length} coursesTaught entr${unmatched.length === 1 ? 'y' : 'ies'} did not match any course and were left as profile text:`);
+            unmatched.forEach(line => console.log(`  ${line}`));
+        }
+    } catch (error) {
+        console.error('Error migrating teaching assignments:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
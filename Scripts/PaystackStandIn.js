@@ -0,0 +1,178 @@
+// scripts/paystackStandIn.js
+// A local stand-in for the parts of the Paystack API this app uses, for trying the payment flow end to
+// end without real money. Transactions are kept in memory. Charges are completed through the control
+// endpoints below, which send signed webhooks to the app exactly as Paystack would (and can replay them).
+//
+// Usage:
+//   node Scripts/PaystackStandIn.js
+//   then start the app with PAYSTACK_API_BASE_URL=http://localhost:4010 and the same PAYSTACK_SECRET_KEY
+//
+// Environment: PAYSTACK_SECRET_KEY (required), PAYSTACK_STAND_IN_PORT (default 4010),
+// STAND_IN_WEBHOOK_URL (default http://localhost:3000/webhook)
+// The tests start it in-process through createStandIn; the webhook URL is then app.locals.webhookUrl.
+//
+// Paystack API:
+//   POST /transaction/initialize          { email, amount, currency, metadata, callback_url }
+//   GET  /transaction/verify/:reference
+//   GET  /transaction                     ?perPage&page&status&from&to
+// Control:
+//   POST /stand-in/charge/:reference      { "status": "success" | "failed" | "abandoned", "amount": 4500000, "deliveries": 2 }
+//                                         Completes the charge and sends the webhook `deliveries` times (default 1;
+//                                         0 for none). `amount` (kobo) simulates a customer paying a different amount.
+//   POST /stand-in/replay/:reference      Sends the last webhook of the transaction again, byte for byte
+//   GET  /stand-in/transactions           Everything the stand-in holds
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { signPayload } = require('../Services/PaystackService.js');
+
+// A stand-in app with its own, empty set of transactions
+const createStandIn = ({ secretKey, webhookUrl }) => {
+    const transactions = new Map(); // reference -> transaction, as Paystack returns it
+    const lastWebhookBody = new Map(); // reference -> raw body of the last webhook sent
+    let nextId = 1;
+
+    const app = express();
+    app.locals.webhookUrl = webhookUrl;
+    app.use(express.json());
+
+    // Paystack rejects requests without the secret key
+    app.use('/transaction', (req, res, next) => {
+        if (req.headers.authorization !== `Bearer ${secretKey}`) {
+            return res.status(401).json({ status: false, message: 'Invalid key' });
+        }
+        next();
+    });
+
+    app.post('/transaction/initialize', (req, res) => {
+        const { email, amount, currency = 'NGN', metadata = {}, callback_url } = req.body;
+        if (!email || !Number.isInteger(Number(amount)) || Number(amount) <= 0) {
+            return res.status(400).json({ status: false, message: 'email and a positive integer amount (kobo) are required' });
+        }
+
+        const reference = crypto.randomBytes(8).toString('hex');
+        const transaction = {
+            id: nextId++,
+            reference,
+            domain: 'test',
+            status: 'ongoing',
+            amount: Number(amount),
+            currency,
+            gateway_response: null,
+            paid_at: null,
+            created_at: new Date().toISOString(),
+            metadata,
+            customer: { email },
+            callback_url
+        };
+        transactions.set(reference, transaction);
+
+        res.status(200).json({
+            status: true,
+            message: 'Authorization URL created',
+            data: {
+                authorization_url: `${req.protocol}://${req.get('host')}/stand-in/transactions?reference=${reference}`,
+                access_code: crypto.randomBytes(6).toString('hex'),
+                reference
+            }
+        });
+    });
+
+    app.get('/transaction/verify/:reference', (req, res) => {
+        const transaction = transactions.get(req.params.reference);
+        if (!transaction) {
+            return res.status(400).json({ status: false, message: 'Transaction reference not found' });
+        }
+        res.status(200).json({ status: true, message: 'Verification successful', data: transaction });
+    });
+
+    app.get('/transaction', (req, res) => {
+        const perPage = Math.min(Number(req.query.perPage) || 50, 200);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        const matching = [...transactions.values()]
+            .filter(transaction => !req.query.status || transaction.status === req.query.status)
+            .filter(transaction => !from || new Date(transaction.created_at) >= from)
+            .filter(transaction => !to || new Date(transaction.created_at) <= to)
+            .sort((a, b) => b.id - a.id);
+
+        res.status(200).json({
+            status: true,
+            message: 'Transactions retrieved',
+            data: matching.slice((page - 1) * perPage, page * perPage),
+            meta: { total: matching.length, perPage, page, pageCount: Math.ceil(matching.length / perPage) }
+        });
+    });
+
+    // Sends a webhook body to the app with Paystack's signature header
+    const deliver = async (rawBody) => {
+        try {
+            const response = await axios.post(app.locals.webhookUrl, rawBody, {
+                headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signPayload(rawBody, secretKey) },
+                validateStatus: () => true
+            });
+            return { status: response.status, body: response.data };
+        } catch (error) {
+            return { status: null, error: error.message };
+        }
+    };
+
+    app.post('/stand-in/charge/:reference', async (req, res) => {
+        const transaction = transactions.get(req.params.reference);
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction reference not found' });
+        }
+        const { status = 'success', amount, deliveries = 1 } = req.body || {};
+        if (!['success', 'failed', 'abandoned'].includes(status)) {
+            return res.status(400).json({ message: 'status must be success, failed or abandoned' });
+        }
+
+        transaction.status = status;
+        transaction.gateway_response = status === 'success' ? 'Approved' : 'Declined';
+        if (amount !== undefined) transaction.amount = Number(amount);
+        if (status === 'success') transaction.paid_at = new Date().toISOString();
+
+        const rawBody = JSON.stringify({ event: status === 'success' ? 'charge.success' : 'charge.failed', data: transaction });
+        lastWebhookBody.set(transaction.reference, rawBody);
+
+        const results = [];
+        for (let i = 0; i < Number(deliveries); i++) {
+            results.push(await deliver(rawBody));
+        }
+        res.status(200).json({ transaction, deliveries: results });
+    });
+
+    app.post('/stand-in/replay/:reference', async (req, res) => {
+        const rawBody = lastWebhookBody.get(req.params.reference);
+        if (!rawBody) {
+            return res.status(404).json({ message: 'No webhook has been sent for this reference' });
+        }
+        res.status(200).json({ delivery: await deliver(rawBody) });
+    });
+
+    app.get('/stand-in/transactions', (req, res) => {
+        const all = [...transactions.values()].filter(transaction => !req.query.reference || transaction.reference === req.query.reference);
+        res.status(200).json({ total: all.length, transactions: all });
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const PORT = process.env.PAYSTACK_STAND_IN_PORT || 4010;
+    const WEBHOOK_URL = process.env.STAND_IN_WEBHOOK_URL || 'http://localhost:3000/webhook';
+    if (!process.env.PAYSTACK_SECRET_KEY) {
+        console.error('Set PAYSTACK_SECRET_KEY (the app must use the same value).');
+        process.exit(1);
+    }
+
+    createStandIn({ secretKey: process.env.PAYSTACK_SECRET_KEY, webhookUrl: WEBHOOK_URL }).listen(PORT, () => {
+        console.log(`Paystack stand-in listening on http://localhost:${PORT}; webhooks go to ${WEBHOOK_URL}`);
+    });
+}
+
+module.exports = { createStandIn };
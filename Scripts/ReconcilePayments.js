@@ -0,0 +1,54 @@
+// scripts/reconcilePayments.js
+// Scheduled job: reconciles recent payments against Paystack's transaction list, settling or closing
+// stale pending records, and saves the discrepancy report (see Services/PaymentReconciliationService.js).
+// Meant to be run from a scheduler, e.g. hourly; overlapping ranges are harmless.
+//
+// Usage:
+//   node Scripts/ReconcilePayments.js [<days>] [--dry-run]
+//   e.g. node Scripts/ReconcilePayments.js 2   (the last 2 days, the default)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../Dbconnection');
+const { reconcilePayments } = require('../Services/PaymentReconciliationService.js');
+
+const DEFAULT_DAYS = 2;
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const daysArg = args.find(arg => arg !== '--dry-run');
+    const days = daysArg === undefined ? DEFAULT_DAYS : Number(daysArg);
+
+    if (!Number.isFinite(days) || days <= 0) {
+        console.error('Usage: node Scripts/ReconcilePayments.js [<days>] [--dry-run]');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    try {
+        const to = new Date();
+        const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+        const result = await reconcilePayments({ from, to, dryRun });
+        if (result.error) {
+            console.error(result.error.message, result.error.details ? result.error.details.error : '');
+            process.exitCode = 1;
+            return;
+        }
+
+        const { summary } = result.run;
+        console.log(`${dryRun ? 'Dry run: ' : ''}Reconciled ${summary.localTransactions} payment(s) against ${summary.providerTransactions} Paystack transaction(s).`);
+        console.log(`Settled ${summary.settled + summary.created}, failed ${summary.failed}, abandoned ${summary.abandoned}.`);
+        if (summary.discrepancies > 0) {
+            console.warn(`${summary.discrepancies} discrepancy(ies) need attention; see reconciliation run ${result.run._id}.`);
+        }
+    } catch (error) {
+        console.error('Error reconciling payments:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
@@ -0,0 +1,125 @@
+// services/academicTermService.js
+// Normalizes the academic year / semester strings used around the codebase and resolves them
+// to AcademicTerm documents. Canonical forms: academicYear "2025-2026", semester "Fall".
+
+const AcademicTerm = require('../Models/AcademicTerms.js');
+const { SEMESTERS } = require('../Models/AcademicTerms.js');
+
+// Roles that may act outside the registration, add/drop and grading windows
+const WINDOW_OVERRIDE_ROLES = ['admin', 'registrar'];
+
+// Other names used for the semesters in older records and clients
+const SEMESTER_ALIASES = {
+    first: 'Fall',
+    second: 'Spring',
+    autumn: 'Fall',
+    harmattan: 'Fall',
+    rain: 'Spring'
+};
+
+// "2024/2025", "2024-25", "2024 - 2025" -> "2024-2025". Anything unrecognised is returned trimmed.
+const normalizeAcademicYear = (value) => {
+    if (value === undefined || value === null) return value;
+    const text = String(value).trim();
+    const match = text.match(/^(\d{4})\s*[-/]\s*(\d{2}|\d{4})$/);
+    if (!match) return text;
+    const startYear = match[1];
+    const endYear = match[2].length === 2 ? `${startYear.slice(0, 2)}${match[2]}` : match[2];
+    return `${startYear}-${endYear}`;
+};
+
+// "fall", "Fall 2025", "First Semester" -> "Fall". Anything unrecognised is returned trimmed.
+const normalizeSemester = (value) => {
+    if (value === undefined || value === null) return value;
+    const text = String(value).trim();
+    const lower = text.toLowerCase();
+    const direct = SEMESTERS.find(semester => lower.startsWith(semester.toLowerCase()));
+    if (direct) return direct;
+    const alias = Object.keys(SEMESTER_ALIASES).find(key => lower.startsWith(key));
+    return alias ? SEMESTER_ALIASES[alias] : text;
+};
+
+// "2025-2026" moved by a number of sessions: ("2025-2026", 3) -> "2028-2029". Returns null for other formats.
+const shiftAcademicYear = (academicYear, years) => {
+    const match = String(normalizeAcademicYear(academicYear) || '').match(/^(\d{4})-(\d{4})$/);
+    if (!match) return null;
+    return `${Number(match[1]) + years}-${Number(match[2]) + years}`;
+};
+
+const getCurrentTerm = () => AcademicTerm.findOne({ isCurrent: true }).lean();
+
+// Finds the term a request refers to:
+// - by termId, or
+// - by academicYear + semester (any spelling accepted by the normalizers), or
+// - the current term when neither is given.
+// Returns the term or null.
+const resolveTerm = async ({ termId, academicYear, semester } = {}) => {
+    if (termId) {
+        return AcademicTerm.findById(termId).lean();
+    }
+    if (academicYear && semester) {
+        return AcademicTerm.findOne({
+            academicYear: normalizeAcademicYear(academicYear),
+            semester: normalizeSemester(semester)
+        }).lean();
+    }
+    if (!academicYear && !semester) {
+        return getCurrentTerm();
+    }
+    return null;
+};
+
+// Like resolveTerm, but creates the term when academicYear + semester name one that does not exist yet.
+// Used by the migration and by routes that predate the calendar and may still receive unknown terms.
+const findOrCreateTerm = async (academicYear, semester) => {
+    const normalizedYear = normalizeAcademicYear(academicYear);
+    const normalizedSemester = normalizeSemester(semester);
+    return AcademicTerm.findOneAndUpdate(
+        { academicYear: normalizedYear, semester: normalizedSemester },
+        { $setOnInsert: { academicYear: normalizedYear, semester: normalizedSemester } },
+        { new: true, upsert: true, runValidators: true }
+    ).lean();
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Generic window check. Returns null when `now` is inside [opensAt, closesAt] (open ends allowed)
+// or the user holds an override role, otherwise a message explaining why not.
+const checkWindow = (term, opensAt, closesAt, label, user) => {
+    if (user && WINDOW_OVERRIDE_ROLES.includes(user.role)) {
+        return null;
+    }
+    const now = new Date();
+    if (opensAt && now < opensAt) {
+        return `${label} for ${term.semester} ${term.academicYear} opens on ${formatDate(opensAt)}.`;
+    }
+    if (closesAt && now > closesAt) {
+        return `${label} for ${term.semester} ${term.academicYear} closed on ${formatDate(closesAt)}.`;
+    }
+    return null;
+};
+
+// Adding courses: from registration opening until the add/drop deadline (or registration closing if there is none)
+const checkAddWindow = (term, user) =>
+    checkWindow(term, term.registrationOpensAt, term.addDropDeadline || term.registrationClosesAt, 'Course registration', user);
+
+// Dropping courses: until the add/drop deadline
+const checkDropWindow = (term, user) =>
+    checkWindow(term, null, term.addDropDeadline, 'Add/drop', user);
+
+// Entering or changing scores: inside the grading window
+const checkGradingWindow = (term, user) =>
+    checkWindow(term, term.gradingOpensAt, term.gradingClosesAt, 'Grading', user);
+
+module.exports = {
+    WINDOW_OVERRIDE_ROLES,
+    normalizeAcademicYear,
+    normalizeSemester,
+    shiftAcademicYear,
+    getCurrentTerm,
+    resolveTerm,
+    findOrCreateTerm,
+    checkAddWindow,
+    checkDropWindow,
+    checkGradingWindow
+};
@@ -0,0 +1,34 @@
+// services/courseAccessService.js
+// Who may work with a course's class list and scores: the lecturers assigned to the course
+// (see Models/TeachingAssignments.js) and administrative staff. Students never can.
+
+const Course = require('../Models/Courses.js');
+const { escapeRegex } = require('./IdentifierService.js');
+const { isLecturerAssigned } = require('./TeachingAssignmentService.js');
+
+// Roles that can work with any course's class list and scores
+const COURSE_STAFF_OVERRIDE_ROLES = ['admin', 'registrar'];
+
+const COURSE_ACCESS_DENIED = 'Forbidden: Only lecturers assigned to this course can access its class list and scores.';
+
+// term: { academicYear, semester } to require an assignment in that term; without it any term counts
+const isAssignedLecturer = async (user, course, term) =>
+    user.role === 'lecturer' && isLecturerAssigned(user.id, course._id, term || {});
+
+const canManageCourse = async (user, course, term) =>
+    COURSE_STAFF_OVERRIDE_ROLES.includes(user.role) || isAssignedLecturer(user, course, term);
+
+// The grade routes take the human-readable course code in the URL (e.g. "BIO 203" or "bio203");
+// spacing and case are ignored.
+const findCourseByCode = (courseCode) => {
+    const pattern = escapeRegex(String(courseCode).trim()).replace(/\s+/g, '\\s*');
+    return Course.findOne({ courseCode: { $regex: new RegExp(`^${pattern}$`, 'i') } });
+};
+
+module.exports = {
+    COURSE_STAFF_OVERRIDE_ROLES,
+    COURSE_ACCESS_DENIED,
+    isAssignedLecturer,
+    canManageCourse,
+    findCourseByCode
+};
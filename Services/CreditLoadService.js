@@ -0,0 +1,95 @@
+// services/creditLoadService.js
+// Minimum / maximum credit loads per term, and the overload approvals that raise the maximum for one student.
+
+const CreditLoadPolicy = require('../Models/CreditLoadPolicies.js');
+const CreditOverload = require('../Models/CreditOverloads.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { escapeRegex } = require('./IdentifierService.js');
+const { creditsFor } = require('./GpaService.js');
+
+// Used when no policy matches the student's department and level.
+const DEFAULT_CREDIT_LOAD = {
+    minCredits: 12,
+    maxCredits: 24
+};
+
+// Enrollment statuses that count towards a student's load for the term ('Pending' = waitlisted,
+// because a waitlisted course becomes a registered one without the student doing anything)
+const LOAD_STATUSES = ['Enrolled', 'Pending', 'Completed'];
+
+// Most specific active policy for a student: department + level, then department, then level, then
+// the catch-all policy, then DEFAULT_CREDIT_LOAD.
+const resolveCreditLoadPolicy = async (student) => {
+    const department = student.department ? new RegExp(`^${escapeRegex(student.department)}$`, 'i') : null;
+    const level = student.level || null;
+
+    const policies = await CreditLoadPolicy.find({
+        isActive: true,
+        department: department ? { $in: [department, null] } : null,
+        level: level ? { $in: [level, null] } : null
+    }).lean();
+
+    // Department matches outrank level matches
+    const specificity = (policy) => (policy.department ? 2 : 0) + (policy.level ? 1 : 0);
+    const [best] = policies.sort((a, b) => specificity(b) - specificity(a));
+
+    return best || { ...DEFAULT_CREDIT_LOAD, isDefault: true };
+};
+
+// Active overload approval for a student in a term, or null
+const getActiveOverload = (studentId, termId) =>
+    CreditOverload.findOne({ student: studentId, term: termId, revokedAt: null }).sort({ createdAt: -1 }).lean();
+
+// Credits the student already carries in a term
+const getRegisteredCredits = async (studentId, academicYear, semester) => {
+    const enrollments = await Enrollment.find({
+        student: studentId,
+        academicYear,
+        semester,
+        status: { $in: LOAD_STATUSES }
+    }).populate('course', 'credits').lean();
+
+    return enrollments.reduce((sum, enrollment) => sum + creditsFor(enrollment), 0);
+};
+
+// Everything needed to check a registration against the student's credit limits:
+// { registeredCredits, minCredits, maxCredits, policyMaxCredits, overload }
+// An active overload approval replaces the policy maximum.
+const getCreditLoad = async (student, term) => {
+    const policy = await resolveCreditLoadPolicy(student);
+    const overload = await getActiveOverload(student._id, term._id);
+    const registeredCredits = await getRegisteredCredits(student._id, term.academicYear, term.semester);
+
+    return {
+        registeredCredits,
+        minCredits: policy.minCredits,
+        maxCredits: overload ? overload.maxCredits : policy.maxCredits,
+        policyMaxCredits: policy.maxCredits,
+        overload: overload ? { _id: overload._id, maxCredits: overload.maxCredits, reason: overload.reason } : null
+    };
+};
+
+// Summary returned to clients after a registration: current load, limits and any warning.
+const describeCreditLoad = (creditLoad) => {
+    const warnings = [];
+    if (creditLoad.registeredCredits < creditLoad.minCredits) {
+        warnings.push(`You are registered for ${creditLoad.registeredCredits} credit(s), below the minimum load of ${creditLoad.minCredits}.`);
+    }
+    return {
+        registeredCredits: creditLoad.registeredCredits,
+        minCredits: creditLoad.minCredits,
+        maxCredits: creditLoad.maxCredits,
+        overloadApproved: Boolean(creditLoad.overload),
+        warnings
+    };
+};
+
+module.exports = {
+    DEFAULT_CREDIT_LOAD,
+    LOAD_STATUSES,
+    resolveCreditLoadPolicy,
+    getActiveOverload,
+    getRegisteredCredits,
+    getCreditLoad,
+    describeCreditLoad
+};
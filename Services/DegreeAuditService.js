@@ -0,0 +1,359 @@
+// services/degreeAuditService.js
+// Graduation eligibility: compares a student's published results with the programme requirements of
+// their department (required courses, elective pools, minimum credits and CGPA), for one student or
+// for a whole graduating class.
+
+const ProgrammeRequirement = require('../Models/ProgrammeRequirements.js');
+const Student = require('../Models/Students.js');
+const Enrollment = require('../Models/Enrollments.js');
+const Course = require('../Models/Courses.js');
+const { computeResultSummary, gradePointFor, creditsFor } = require('./GpaService.js');
+const { isPublished } = require('./ResultWorkflowService.js');
+const { withholdResultsOnHold } = require('./FinancialHoldService.js');
+
+// Enrollments in these statuses never count towards a degree
+const EXCLUDED_STATUSES = ['Dropped', 'Pending'];
+
+// Enrollments that will produce a result
+const RESULT_BEARING_STATUSES = ['Enrolled', 'Completed'];
+
+const STUDENT_AUDIT_FIELDS = 'name registrationNumber department departmentId programme programmeDuration level academicStanding expectedGraduationYear';
+
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+const sameProgramme = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const populateRequirement = (query) => query
+    .populate('department', 'name code')
+    .populate('requiredCourses', 'courseCode title credits')
+    .populate('electiveGroups.courses', 'courseCode title credits');
+
+// The active requirement for a student: the one for their programme, else their department's general one.
+// Returns the requirement (courses populated) or null.
+const findRequirementFor = async (student) => {
+    if (!student.departmentId) {
+        return null;
+    }
+    const requirements = await populateRequirement(
+        ProgrammeRequirement.find({ department: student.departmentId, isActive: true })
+    ).lean();
+    return requirements.find(requirement => sameProgramme(requirement.programme, student.programme)) ||
+        requirements.find(requirement => !requirement.programme) ||
+        null;
+};
+
+const findAuditEnrollments = (studentIds) =>
+    Enrollment.find({ student: { $in: studentIds }, status: { $nin: EXCLUDED_STATUSES } })
+        .populate('course', 'courseCode title credits')
+        .lean();
+
+// Audit of one student. `enrollments` are the student's enrollments with `course` populated.
+//
+// Returns {
+//     student, requirement, eligible, creditsEarned, cgpa, degreeClass,
+//     requiredCourses: [{ courseId, courseCode, title, status, grade, credits }],
+//     electiveGroups: [{ name, minCourses, minCredits, coursesPassed, creditsPassed, satisfied, courses }],
+//     satisfied: [{ requirement, detail }], outstanding: [{ requirement, detail }]
+// }
+// where status is 'passed', 'in-progress', 'failed' or 'not-taken'.
+const buildAudit = (student, requirement, enrollments) => {
+    const graded = enrollments.filter(enrollment =>
+        enrollment.course && isPublished(enrollment) && gradePointFor(enrollment) !== null);
+    const summary = computeResultSummary(graded);
+
+    // Best published attempt of each course
+    const bestByCourse = new Map();
+    for (const enrollment of graded) {
+        const key = enrollment.course._id.toString();
+        const best = bestByCourse.get(key);
+        if (!best || gradePointFor(enrollment) > gradePointFor(best)) {
+            bestByCourse.set(key, enrollment);
+        }
+    }
+    const pending = enrollments.filter(enrollment =>
+        enrollment.course && RESULT_BEARING_STATUSES.includes(enrollment.status) && !isPublished(enrollment));
+    const pendingCourseIds = new Set(pending.map(enrollment => enrollment.course._id.toString()));
+
+    const describeCourse = (course) => {
+        const key = course._id.toString();
+        const best = bestByCourse.get(key);
+        const entry = { courseId: course._id, courseCode: course.courseCode, title: course.title };
+        if (best && gradePointFor(best) > 0) {
+            return { ...entry, status: 'passed', grade: best.finalGrade, credits: creditsFor(best) };
+        }
+        if (pendingCourseIds.has(key)) {
+            return { ...entry, status: 'in-progress', grade: null, credits: 0 };
+        }
+        if (best) {
+            return { ...entry, status: 'failed', grade: best.finalGrade, credits: 0 };
+        }
+        return { ...entry, status: 'not-taken', grade: null, credits: 0 };
+    };
+
+    const checks = [];
+
+    // Courses deleted from the catalogue populate as null and are skipped
+    const requiredCourses = requirement.requiredCourses.filter(Boolean).map(describeCourse);
+    for (const course of requiredCourses) {
+        checks.push({
+            requirement: `Pass ${course.courseCode} (${course.title})`,
+            satisfied: course.status === 'passed',
+            detail: course.status === 'passed' ? `Passed with ${course.grade}` : course.status === 'failed'
+                ? `Failed with ${course.grade}` : course.status === 'in-progress' ? 'Result not published yet' : 'Not taken'
+        });
+    }
+
+    const electiveGroups = requirement.electiveGroups.map(group => {
+        const courses = group.courses.filter(Boolean).map(describeCourse);
+        const passed = courses.filter(course => course.status === 'passed');
+        const creditsPassed = passed.reduce((sum, course) => sum + course.credits, 0);
+        const satisfied = passed.length >= group.minCourses && creditsPassed >= group.minCredits;
+        const target = [
+            group.minCourses > 0 ? `${group.minCourses} course(s)` : null,
+            group.minCredits > 0 ? `${group.minCredits} credit(s)` : null
+        ].filter(Boolean).join(' and ') || 'no minimum';
+        checks.push({
+            requirement: `${group.name}: ${target}`,
+            satisfied,
+            detail: `${passed.length} course(s), ${creditsPassed} credit(s) passed`
+        });
+        return {
+            name: group.name,
+            minCourses: group.minCourses,
+            minCredits: group.minCredits,
+            coursesPassed: passed.length,
+            creditsPassed,
+            satisfied,
+            courses
+        };
+    });
+
+    checks.push({
+        requirement: `Earn at least ${requirement.minCredits} credits`,
+        satisfied: summary.totalCreditsEarned >= requirement.minCredits,
+        detail: `${summary.totalCreditsEarned} credit(s) earned`
+    });
+    checks.push({
+        requirement: `CGPA of at least ${requirement.minCgpa.toFixed(2)}`,
+        satisfied: summary.cgpa >= requirement.minCgpa,
+        detail: `CGPA ${summary.cgpa.toFixed(2)}`
+    });
+
+    const finalLevel = (student.programmeDuration || 4) * 100;
+    checks.push({
+        requirement: `Reach ${finalLevel} level`,
+        satisfied: student.level >= finalLevel,
+        detail: `${student.level} level`
+    });
+    checks.push({
+        requirement: 'Not withdrawn',
+        satisfied: student.academicStanding !== 'withdrawn',
+        detail: `Academic standing: ${student.academicStanding || 'good'}`
+    });
+    checks.push({
+        requirement: 'All results published',
+        satisfied: pending.length === 0,
+        detail: pending.length === 0 ? 'No results outstanding' : `${pending.length} result(s) not published yet`
+    });
+
+    const toItem = ({ requirement: text, detail }) => ({ requirement: text, detail });
+
+    return {
+        student: {
+            studentId: student._id,
+            name: student.name,
+            registrationNumber: student.registrationNumber,
+            department: student.department,
+            programme: student.programme || null,
+            level: student.level,
+            expectedGraduationYear: student.expectedGraduationYear || null
+        },
+        requirement: {
+            requirementId: requirement._id,
+            programme: requirement.programme,
+            minCredits: requirement.minCredits,
+            minCgpa: requirement.minCgpa
+        },
+        eligible: checks.every(check => check.satisfied),
+        creditsEarned: summary.totalCreditsEarned,
+        cgpa: summary.cgpa,
+        degreeClass: summary.degreeClass,
+        requiredCourses,
+        electiveGroups,
+        satisfied: checks.filter(check => check.satisfied).map(toItem),
+        outstanding: checks.filter(check => !check.satisfied).map(toItem)
+    };
+};
+
+// Degree audit for one student. With `applyFinancialHolds`, results of terms on financial hold are left
+// out, as on the student's own views of their results.
+// Returns { audit, holds } or { error: { httpStatus, message } }.
+const auditStudent = async (studentId, { applyFinancialHolds = false } = {}) => {
+    const student = await Student.findById(studentId).select(STUDENT_AUDIT_FIELDS).lean();
+    if (!student) {
+        return rejected(404, 'Student not found.');
+    }
+    const requirement = await findRequirementFor(student);
+    if (!requirement) {
+        return rejected(404, `No programme requirements are defined for ${student.programme || student.department}.`);
+    }
+    const enrollments = await findAuditEnrollments([student._id]);
+    if (!applyFinancialHolds) {
+        return { audit: buildAudit(student, requirement, enrollments), holds: [] };
+    }
+    const withheld = await withholdResultsOnHold(student, enrollments);
+    return { audit: buildAudit(student, requirement, withheld.enrollments), holds: withheld.holds };
+};
+
+// Batch audit of a graduating class: students expected to graduate in `expectedGraduationYear`, or, when it
+// is not given, every student at the final level of their programme. Withdrawn students are left out.
+// `department` is a Department or null (every department).
+//
+// Returns { totalStudents, eligibleCount, audits: [{ studentId, name, registrationNumber, department, programme,
+//           level, eligible, creditsEarned, cgpa, degreeClass, outstanding }] }
+const auditGraduatingClass = async ({ department, programme, expectedGraduationYear }) => {
+    let studentQuery = { academicStanding: { $ne: 'withdrawn' } };
+    if (department) studentQuery.departmentId = department._id;
+    if (programme) studentQuery.programme = programme;
+    if (expectedGraduationYear) {
+        studentQuery.expectedGraduationYear = expectedGraduationYear;
+    } else {
+        studentQuery.$expr = { $gte: ['$level', { $multiply: [{ $ifNull: ['$programmeDuration', 4] }, 100] }] };
+    }
+
+    const students = await Student.find(studentQuery)
+        .select(STUDENT_AUDIT_FIELDS)
+        .sort({ department: 1, registrationNumber: 1 })
+        .lean();
+
+    const enrollments = await findAuditEnrollments(students.map(student => student._id));
+    const enrollmentsByStudent = new Map();
+    for (const enrollment of enrollments) {
+        const key = enrollment.student.toString();
+        if (!enrollmentsByStudent.has(key)) enrollmentsByStudent.set(key, []);
+        enrollmentsByStudent.get(key).push(enrollment);
+    }
+
+    // Students of one department and programme share a requirement
+    const requirementCache = new Map();
+    const audits = [];
+    for (const student of students) {
+        const cacheKey = `${student.departmentId}|${(student.programme || '').toLowerCase()}`;
+        if (!requirementCache.has(cacheKey)) {
+            requirementCache.set(cacheKey, await findRequirementFor(student));
+        }
+        const requirement = requirementCache.get(cacheKey);
+
+        const row = {
+            studentId: student._id,
+            name: student.name,
+            registrationNumber: student.registrationNumber,
+            department: student.department,
+            programme: student.programme || null,
+            level: student.level
+        };
+        if (!requirement) {
+            audits.push({
+                ...row,
+                eligible: false,
+                creditsEarned: null,
+                cgpa: null,
+                degreeClass: null,
+                outstanding: [{ requirement: 'Programme requirements', detail: 'None defined for this department or programme' }]
+            });
+            continue;
+        }
+
+        const audit = buildAudit(student, requirement, enrollmentsByStudent.get(student._id.toString()) || []);
+        audits.push({
+            ...row,
+            eligible: audit.eligible,
+            creditsEarned: audit.creditsEarned,
+            cgpa: audit.cgpa,
+            degreeClass: audit.degreeClass,
+            outstanding: audit.outstanding
+        });
+    }
+
+    return {
+        totalStudents: audits.length,
+        eligibleCount: audits.filter(audit => audit.eligible).length,
+        audits
+    };
+};
+
+const graduatingClassToRecords = (result) => {
+    const records = [[
+        'Registration Number', 'Name', 'Department', 'Programme', 'Level', 'Credits Earned', 'CGPA',
+        'Degree Class', 'Eligible', 'Outstanding'
+    ]];
+    for (const audit of result.audits) {
+        records.push([
+            audit.registrationNumber,
+            audit.name,
+            audit.department,
+            audit.programme || '',
+            audit.level,
+            audit.creditsEarned ?? '',
+            audit.cgpa === null ? '' : audit.cgpa.toFixed(2),
+            audit.degreeClass || '',
+            audit.eligible ? 'Yes' : 'No',
+            audit.outstanding.map(item => `${item.requirement} (${item.detail})`).join('; ')
+        ]);
+    }
+    return records;
+};
+
+// Saves new programme requirements for a department (and programme), retiring the ones in force.
+// `department` is a Department. Course lists hold Course ids.
+// Returns { requirement, replaced } or { error: { httpStatus, message, details } }.
+const setProgrammeRequirement = async ({ department, programme, minCredits, minCgpa, requiredCourses = [], electiveGroups = [], actor }) => {
+    const courseIds = [...new Set([
+        ...requiredCourses.map(String),
+        ...electiveGroups.flatMap(group => (group.courses || []).map(String))
+    ])];
+    const foundCourses = await Course.find({ _id: { $in: courseIds } }).select('_id').lean();
+    if (foundCourses.length !== courseIds.length) {
+        const found = new Set(foundCourses.map(course => course._id.toString()));
+        return rejected(400, 'One or more course IDs are invalid.', courseIds.filter(id => !found.has(id)));
+    }
+
+    const requirement = new ProgrammeRequirement({
+        department: department._id,
+        programme: programme || null,
+        minCredits,
+        minCgpa,
+        requiredCourses,
+        electiveGroups,
+        createdBy: actor.id,
+        createdByRole: actor.role
+    });
+    await requirement.validate();
+
+    const current = await ProgrammeRequirement.findOne({ department: department._id, programme: requirement.programme, isActive: true });
+    if (current) {
+        current.isActive = false;
+        await current.save();
+    }
+    try {
+        await requirement.save();
+    } catch (error) {
+        if (current) {
+            current.isActive = true;
+            await current.save();
+        }
+        throw error;
+    }
+
+    return { requirement, replaced: current ? current._id : null };
+};
+
+module.exports = {
+    findRequirementFor,
+    populateRequirement,
+    buildAudit,
+    auditStudent,
+    auditGraduatingClass,
+    graduatingClassToRecords,
+    setProgrammeRequirement
+};
@@ -0,0 +1,55 @@
+// services/departmentService.js
+// Looks up departments by id, code or name, and links students, lecturers and courses to them.
+// Only requires the Department model: the Student, Lecturer and Course models load this file.
+
+const mongoose = require('mongoose');
+const Department = require('../Models/Departments.js');
+
+// Case-insensitive comparison for department names
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Finds a department from an ObjectId, a code ("CSC") or a name ("computer science").
+// Returns the department or null.
+const findDepartment = async (value) => {
+    if (!value) {
+        return null;
+    }
+    if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+        const byId = await Department.findById(value).lean();
+        if (byId) return byId;
+    }
+    const text = String(value).trim();
+    const byCode = await Department.findOne({ code: text.toUpperCase() }).lean();
+    if (byCode) {
+        return byCode;
+    }
+    return Department.findOne({ name: text }).collation(NAME_COLLATION).lean();
+};
+
+// Pre-validate hook for models with `department` (name) and `departmentId` fields.
+// Whatever identifies the department (id, code or any-case name) is resolved when the document is
+// created or its department changes: `department` becomes the canonical name and `departmentId`
+// the reference. Unknown departments fail validation.
+const linkDepartment = async function(next) {
+    if (!this.department || !(this.isNew || this.isModified('department'))) {
+        return next();
+    }
+    try {
+        const department = await findDepartment(this.department);
+        if (!department) {
+            this.invalidate('department', `Department '${this.department}' does not exist.`);
+        } else {
+            this.department = department.name;
+            this.departmentId = department._id;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    NAME_COLLATION,
+    findDepartment,
+    linkDepartment
+};
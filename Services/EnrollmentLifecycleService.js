@@ -0,0 +1,53 @@
+// services/enrollmentLifecycleService.js
+// Drop window checks and the end-of-term transition of enrollments with a published result to 'Completed'.
+
+const Enrollment = require('../Models/Enrollments.js');
+const { resolveTerm, checkDropWindow } = require('./AcademicTermService.js');
+const { isPublished } = require('./ResultWorkflowService.js');
+
+// Returns null when the user may drop this enrollment right now, otherwise a message explaining why not.
+// Enrollments whose term is not in the calendar have no add/drop restrictions.
+const checkEnrollmentDropWindow = async (enrollment, user) => {
+    const term = await resolveTerm(enrollment.term
+        ? { termId: enrollment.term }
+        : { academicYear: enrollment.academicYear, semester: enrollment.semester });
+    return term ? checkDropWindow(term, user) : null;
+};
+
+// Moves every 'Enrolled' enrollment of a term whose result is graded and published to 'Completed'.
+// Enrollments without a final grade, or whose result is still in the approval workflow, are left alone
+// and reported, so nothing is closed on a grade that can still change.
+const completeTerm = async (academicYear, semester, actor) => {
+    const enrollments = await Enrollment.find({ academicYear, semester, status: 'Enrolled' });
+
+    let completedCount = 0;
+    const ungraded = [];
+    const unpublished = [];
+
+    for (const enrollment of enrollments) {
+        if (!enrollment.finalGrade) {
+            ungraded.push(enrollment._id);
+            continue;
+        }
+        if (!isPublished(enrollment)) {
+            unpublished.push(enrollment._id);
+            continue;
+        }
+        enrollment.changeStatus('Completed', { actor, reason: 'End of term' });
+        await enrollment.save();
+        completedCount++;
+    }
+
+    return {
+        completedCount,
+        ungradedCount: ungraded.length,
+        ungradedEnrollmentIds: ungraded,
+        unpublishedCount: unpublished.length,
+        unpublishedEnrollmentIds: unpublished
+    };
+};
+
+module.exports = {
+    checkEnrollmentDropWindow,
+    completeTerm
+};
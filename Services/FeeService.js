@@ -0,0 +1,104 @@
+// services/feeService.js
+// Works out what a student owes for a term from the fee schedule (Models/FeeItems.js), so payment
+// amounts are computed on the server, and checks that what the payment provider collected matches.
+// Amounts on fee items are in naira; transactions are in kobo, as Paystack expects.
+
+const FeeItem = require('../Models/FeeItems.js');
+const { FEE_TYPES } = require('../Models/FeeItems.js');
+const Transaction = require('../Models/Payment');
+
+const toKobo = (naira) => Math.round(naira * 100);
+
+// "₦45,000.00" from an amount in kobo
+const formatKobo = (kobo) => `₦${(kobo / 100).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const appliesToStudent = (item, student, term) => {
+    const isNewStudent = Boolean(student.entryAcademicYear) && student.entryAcademicYear === term.academicYear;
+    if (item.appliesTo === 'new-students') return isNewStudent;
+    if (item.appliesTo === 'returning-students') return !isNewStudent;
+    return true;
+};
+
+// Active fee items billed to a student in a term. When several items share a fee type and name
+// (e.g. a general "Tuition" and one for the student's department), the most specific one wins:
+// department + level, then department, then level, then the general item.
+const getApplicableFeeItems = async (student, term) => {
+    const items = await FeeItem.find({
+        term: term._id,
+        isActive: true,
+        department: { $in: [student.departmentId || null, null] },
+        level: { $in: [student.level || null, null] }
+    }).lean();
+
+    const specificity = (item) => (item.department ? 2 : 0) + (item.level ? 1 : 0);
+    const bestByKey = new Map();
+    for (const item of items.filter(candidate => appliesToStudent(candidate, student, term))) {
+        const key = `${item.feeType}|${item.name.toLowerCase()}`;
+        const best = bestByKey.get(key);
+        if (!best || specificity(item) > specificity(best)) {
+            bestByKey.set(key, item);
+        }
+    }
+
+    return [...bestByKey.values()].sort((a, b) =>
+        FEE_TYPES.indexOf(a.feeType) - FEE_TYPES.indexOf(b.feeType) || a.name.localeCompare(b.name));
+};
+
+// Kobo a student has successfully paid for a term
+const getAmountPaid = async (studentId, term) => {
+    const payments = await Transaction.find({
+        studentId,
+        academicYear: term.academicYear,
+        semester: term.semester,
+        status: 'success'
+    }).select('amount amountPaid').lean();
+    return payments.reduce((sum, payment) => sum + (payment.amountPaid ?? payment.amount), 0);
+};
+
+// Fees for a term. Optional items (e.g. hostel) are billed only when their id is in `optionalItemIds`.
+//
+// Returns {
+//     items: [{ feeItem, name, feeType, amount }],  // billed items, amount in naira
+//     optionalItems: [{ feeItem, name, feeType, amount, selected }],
+//     totalKobo, paidKobo, outstandingKobo
+// }
+const getFeesDue = async (student, term, { optionalItemIds = [] } = {}) => {
+    const applicable = await getApplicableFeeItems(student, term);
+    const selected = new Set(optionalItemIds.map(String));
+
+    const describe = (item) => ({ feeItem: item._id, name: item.name, feeType: item.feeType, amount: item.amount });
+    const billed = applicable.filter(item => !item.isOptional || selected.has(item._id.toString()));
+
+    const totalKobo = billed.reduce((sum, item) => sum + toKobo(item.amount), 0);
+    const paidKobo = await getAmountPaid(student._id, term);
+
+    return {
+        items: billed.map(describe),
+        optionalItems: applicable.filter(item => item.isOptional)
+            .map(item => ({ ...describe(item), selected: selected.has(item._id.toString()) })),
+        totalKobo,
+        paidKobo,
+        outstandingKobo: Math.max(totalKobo - paidKobo, 0)
+    };
+};
+
+// Compares what the provider collected with the amount the transaction was created for.
+// Returns null when they match, otherwise a description of the difference.
+const describeAmountMismatch = (expectedKobo, currency, paystackData) => {
+    if (paystackData.currency && currency && paystackData.currency !== currency) {
+        return `Paid in ${paystackData.currency} but the fees are due in ${currency}.`;
+    }
+    if (Number(paystackData.amount) !== expectedKobo) {
+        return `Paid ${formatKobo(Number(paystackData.amount))} but ${formatKobo(expectedKobo)} was due.`;
+    }
+    return null;
+};
+
+module.exports = {
+    toKobo,
+    formatKobo,
+    getApplicableFeeItems,
+    getAmountPaid,
+    getFeesDue,
+    describeAmountMismatch
+};
@@ -0,0 +1,163 @@
+// services/financialHoldService.js
+// Financial holds: course registration, result viewing and transcript requests can be held until a share
+// of the term's fees has been paid (Models/FinancialHoldPolicies.js). Bursary staff lift holds for a student
+// with temporary exemptions (Models/HoldExemptions.js). A hold is returned as a structured reason the
+// client can show and act on:
+//
+// {
+//     code: 'FINANCIAL_HOLD', action: 'registration',
+//     term: { _id, academicYear, semester }, invoiceNumber,
+//     total, paid, outstanding, amountToPay,      // naira; amountToPay clears the hold
+//     requiredPercent, paidPercent,
+//     message: 'Course registration is on hold for Fall 2025-2026: ...'
+// }
+
+const FinancialHoldPolicy = require('../Models/FinancialHoldPolicies.js');
+const HoldExemption = require('../Models/HoldExemptions.js');
+const Invoice = require('../Models/Invoices.js');
+const { resolveTerm } = require('./AcademicTermService.js');
+const { getFeesDue, formatKobo } = require('./FeeService.js');
+const { findActiveInvoice } = require('./LedgerService.js');
+const { withholdResult } = require('./ResultWorkflowService.js');
+
+const HOLD_CODE = 'FINANCIAL_HOLD';
+
+const ACTION_LABELS = {
+    registration: 'Course registration',
+    results: 'Viewing results',
+    transcripts: 'Requesting a transcript'
+};
+
+// Most specific active policy for an action: department + level, then department, then level, then the
+// catch-all policy. null when the action is not held for the student.
+const resolveHoldPolicy = async (student, action) => {
+    const policies = await FinancialHoldPolicy.find({
+        action,
+        isActive: true,
+        department: { $in: [student.departmentId || null, null] },
+        level: { $in: [student.level || null, null] }
+    }).lean();
+
+    const specificity = (policy) => (policy.department ? 2 : 0) + (policy.level ? 1 : 0);
+    const [best] = policies.sort((a, b) => specificity(b) - specificity(a));
+    return best || null;
+};
+
+// Unexpired, unrevoked exemption lifting `action` for the student in a term, or null
+const findActiveExemption = (studentId, action, termId) => HoldExemption.findOne({
+    student: studentId,
+    actions: action,
+    term: { $in: [termId, null] },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+}).sort({ expiresAt: -1 }).lean();
+
+// What the student has been billed and has paid for a term, in kobo: from the invoice once it has been
+// issued, otherwise from the fee schedule. null when no fees are set for the term.
+const getTermFeeStatus = async (student, term) => {
+    const invoice = await findActiveInvoice(student._id, term._id);
+    if (invoice) {
+        return { invoiceNumber: invoice.invoiceNumber, totalKobo: invoice.totalAmount, paidKobo: invoice.amountPaid };
+    }
+    const fees = await getFeesDue(student, term);
+    if (fees.items.length === 0) {
+        return null;
+    }
+    return { invoiceNumber: null, totalKobo: fees.totalKobo, paidKobo: fees.paidKobo };
+};
+
+// The hold `policy` puts on `action` for one term, or null
+const checkTermHold = async (student, action, term, policy) => {
+    const status = await getTermFeeStatus(student, term);
+    if (!status || status.totalKobo === 0) {
+        return null;
+    }
+
+    const requiredKobo = Math.ceil(status.totalKobo * policy.minPaidPercent / 100);
+    if (status.paidKobo >= requiredKobo) {
+        return null;
+    }
+    if (await findActiveExemption(student._id, action, term._id)) {
+        return null;
+    }
+
+    const amountToPay = requiredKobo - status.paidKobo;
+    const requirement = policy.minPaidPercent === 100
+        ? 'the fees must be paid in full'
+        : `${policy.minPaidPercent}% of the fees must be paid`;
+
+    return {
+        code: HOLD_CODE,
+        action,
+        term: { _id: term._id, academicYear: term.academicYear, semester: term.semester },
+        invoiceNumber: status.invoiceNumber,
+        total: status.totalKobo / 100, // In naira
+        paid: status.paidKobo / 100,
+        outstanding: Math.max(status.totalKobo - status.paidKobo, 0) / 100,
+        amountToPay: amountToPay / 100,
+        requiredPercent: policy.minPaidPercent,
+        paidPercent: Math.floor(status.paidKobo * 100 / status.totalKobo),
+        message: `${ACTION_LABELS[action]} is on hold for ${term.semester} ${term.academicYear}: ` +
+            `${formatKobo(status.paidKobo)} of ${formatKobo(status.totalKobo)} has been paid and ${requirement}. ` +
+            `Pay at least ${formatKobo(amountToPay)} or contact the bursary.`
+    };
+};
+
+// The financial hold blocking `action` for a student, or null when the action is allowed.
+// registration and results are checked for `term`; transcripts for every term the student has an unpaid invoice for.
+const checkFinancialHold = async (student, action, term = null) => {
+    const policy = await resolveHoldPolicy(student, action);
+    if (!policy) {
+        return null;
+    }
+    if (action !== 'transcripts') {
+        return checkTermHold(student, action, term, policy);
+    }
+
+    const invoices = await Invoice.find({ student: student._id, isActive: true, status: { $ne: 'paid' } })
+        .populate('term', 'academicYear semester')
+        .sort({ createdAt: 1 })
+        .lean();
+    for (const invoice of invoices) {
+        const hold = invoice.term ? await checkTermHold(student, action, invoice.term, policy) : null;
+        if (hold) {
+            return hold;
+        }
+    }
+    return null;
+};
+
+// For views of a student's whole record: blanks the scores of every term whose results are on hold.
+// Returns { enrollments, holds } with one hold per held term.
+const withholdResultsOnHold = async (student, enrollments) => {
+    const policy = await resolveHoldPolicy(student, 'results');
+    if (!policy) {
+        return { enrollments, holds: [] };
+    }
+
+    const termKey = (enrollment) => `${enrollment.academicYear}|${enrollment.semester}`;
+    const heldTerms = new Set();
+    const holds = [];
+    for (const key of new Set(enrollments.map(termKey))) {
+        const [academicYear, semester] = key.split('|');
+        const term = await resolveTerm({ academicYear, semester });
+        const hold = term ? await checkTermHold(student, 'results', term, policy) : null;
+        if (hold) {
+            heldTerms.add(key);
+            holds.push(hold);
+        }
+    }
+
+    return {
+        enrollments: enrollments.map(enrollment => heldTerms.has(termKey(enrollment)) ? withholdResult(enrollment) : enrollment),
+        holds
+    };
+};
+
+module.exports = {
+    HOLD_CODE,
+    resolveHoldPolicy,
+    findActiveExemption,
+    checkFinancialHold,
+    withholdResultsOnHold
+};
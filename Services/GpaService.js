@@ -0,0 +1,133 @@
+// services/gpaService.js
+// Server-side GPA / CGPA arithmetic so every client reports the same numbers.
+// Grade points are weighted by the credits the course carried when the student registered (see creditsFor).
+
+const { DEFAULT_GRADING_SCHEME } = require('./GradingService.js');
+
+// Order of semesters inside one academic year, used to sort terms chronologically
+const SEMESTER_ORDER = ['Fall', 'Winter', 'Spring', 'Summer'];
+
+// Degree classes on the 5-point scale (lower bound inclusive)
+const DEGREE_CLASSES = [
+    { name: 'First Class', minCgpa: 4.5 },
+    { name: 'Second Class Upper', minCgpa: 3.5 },
+    { name: 'Second Class Lower', minCgpa: 2.4 },
+    { name: 'Third Class', minCgpa: 1.5 },
+    { name: 'Pass', minCgpa: 1.0 },
+    { name: 'Fail', minCgpa: 0 }
+];
+
+// Enrollments in these statuses never count towards a GPA
+const EXCLUDED_STATUSES = ['Dropped', 'Pending'];
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Returns the grade point of an enrollment, or null if it has not been graded.
+// Older enrollments may carry a hand-typed finalGrade without a gradePoint, so fall back
+// to the default scale for those.
+const gradePointFor = (enrollment) => {
+    if (typeof enrollment.gradePoint === 'number') {
+        return enrollment.gradePoint;
+    }
+    if (!enrollment.finalGrade) {
+        return null;
+    }
+    const boundary = DEFAULT_GRADING_SCHEME.gradeBoundaries.find(
+        b => b.grade === String(enrollment.finalGrade).trim().toUpperCase()
+    );
+    return boundary ? boundary.gradePoint : null;
+};
+
+// Credits an enrollment counts for: the value recorded when the student registered, so later catalogue
+// changes do not rewrite past results. Enrollments from before credits were recorded use the course's.
+const creditsFor = (enrollment) => {
+    if (typeof enrollment.credits === 'number') {
+        return enrollment.credits;
+    }
+    return (enrollment.course && enrollment.course.credits) || 0;
+};
+
+const degreeClassFor = (cgpa) => {
+    const degreeClass = DEGREE_CLASSES.find(c => cgpa >= c.minCgpa);
+    return degreeClass ? degreeClass.name : null;
+};
+
+const compareTerms = (a, b) => {
+    if (a.academicYear !== b.academicYear) {
+        return a.academicYear < b.academicYear ? -1 : 1;
+    }
+    return SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester);
+};
+
+// Builds per-semester GPA and cumulative CGPA from a student's enrollments.
+// `enrollments` must have `course` populated with at least `credits` (used for enrollments without their own).
+//
+// Returns:
+// {
+//     terms: [{ academicYear, semester, creditsAttempted, creditsEarned, qualityPoints, gpa, cgpa }],
+//     totalCreditsAttempted, totalCreditsEarned, totalQualityPoints, cgpa, degreeClass
+// }
+const computeResultSummary = (enrollments) => {
+    const termsByKey = new Map();
+
+    for (const enrollment of enrollments) {
+        if (EXCLUDED_STATUSES.includes(enrollment.status)) continue;
+
+        const gradePoint = gradePointFor(enrollment);
+        const credits = creditsFor(enrollment);
+        if (gradePoint === null || !credits) continue; // Ungraded or missing course details
+
+        const key = `${enrollment.academicYear}|${enrollment.semester}`;
+        if (!termsByKey.has(key)) {
+            termsByKey.set(key, {
+                academicYear: enrollment.academicYear,
+                semester: enrollment.semester,
+                creditsAttempted: 0,
+                creditsEarned: 0,
+                qualityPoints: 0
+            });
+        }
+
+        const term = termsByKey.get(key);
+        term.creditsAttempted += credits;
+        if (gradePoint > 0) term.creditsEarned += credits;
+        term.qualityPoints += gradePoint * credits;
+    }
+
+    const terms = [...termsByKey.values()].sort(compareTerms);
+
+    let totalCreditsAttempted = 0;
+    let totalCreditsEarned = 0;
+    let totalQualityPoints = 0;
+
+    for (const term of terms) {
+        totalCreditsAttempted += term.creditsAttempted;
+        totalCreditsEarned += term.creditsEarned;
+        totalQualityPoints += term.qualityPoints;
+
+        term.gpa = term.creditsAttempted > 0 ? roundTo2(term.qualityPoints / term.creditsAttempted) : 0;
+        term.cgpa = totalCreditsAttempted > 0 ? roundTo2(totalQualityPoints / totalCreditsAttempted) : 0;
+        term.qualityPoints = roundTo2(term.qualityPoints);
+    }
+
+    const cgpa = totalCreditsAttempted > 0 ? roundTo2(totalQualityPoints / totalCreditsAttempted) : 0;
+
+    return {
+        terms,
+        totalCreditsAttempted,
+        totalCreditsEarned,
+        totalQualityPoints: roundTo2(totalQualityPoints),
+        cgpa,
+        degreeClass: totalCreditsAttempted > 0 ? degreeClassFor(cgpa) : null
+    };
+};
+
+module.exports = {
+    SEMESTER_ORDER,
+    DEGREE_CLASSES,
+    gradePointFor,
+    creditsFor,
+    degreeClassFor,
+    compareTerms,
+    computeResultSummary
+};
@@ -0,0 +1,129 @@
+// services/gradingService.js
+// Turns CA and exam scores into a total score, letter grade and grade point
+// using the grading scheme that applies to a course.
+
+const GradingScheme = require('../Models/GradingSchemes.js');
+
+// Used when no scheme has been configured anywhere in the database.
+const DEFAULT_GRADING_SCHEME = {
+    name: 'Default 5-point scale',
+    scope: 'institution',
+    caWeight: 30,
+    examWeight: 70,
+    gradeBoundaries: [
+        { grade: 'A', minScore: 70, maxScore: 100, gradePoint: 5 },
+        { grade: 'B', minScore: 60, maxScore: 69, gradePoint: 4 },
+        { grade: 'C', minScore: 50, maxScore: 59, gradePoint: 3 },
+        { grade: 'D', minScore: 45, maxScore: 49, gradePoint: 2 },
+        { grade: 'E', minScore: 40, maxScore: 44, gradePoint: 1 },
+        { grade: 'F', minScore: 0, maxScore: 39, gradePoint: 0 }
+    ]
+};
+
+// Checks that weights add up to 100 and that the grade boundaries cover 0-100
+// without gaps or overlaps. Returns a list of error messages (empty when valid).
+const validateScheme = (scheme) => {
+    const errors = [];
+    const { caWeight, examWeight, gradeBoundaries } = scheme || {};
+
+    if (typeof caWeight !== 'number' || typeof examWeight !== 'number') {
+        errors.push('caWeight and examWeight must be numbers.');
+    } else if (caWeight < 0 || examWeight < 0 || caWeight + examWeight !== 100) {
+        errors.push('caWeight and examWeight must be non-negative and add up to 100.');
+    }
+
+    if (!Array.isArray(gradeBoundaries) || gradeBoundaries.length === 0) {
+        errors.push('gradeBoundaries must be a non-empty array.');
+        return errors;
+    }
+
+    for (const boundary of gradeBoundaries) {
+        if (!boundary.grade || !Number.isInteger(boundary.minScore) || !Number.isInteger(boundary.maxScore) ||
+            typeof boundary.gradePoint !== 'number') {
+            errors.push('Each grade boundary needs a grade, whole-number minScore and maxScore, and a gradePoint.');
+            return errors;
+        }
+        if (boundary.minScore > boundary.maxScore) {
+            errors.push(`Grade ${boundary.grade}: minScore cannot be greater than maxScore.`);
+        }
+    }
+
+    // Walk the bands from the bottom up; each must start right after the previous one ends
+    const sorted = [...gradeBoundaries].sort((a, b) => a.minScore - b.minScore);
+    if (sorted[0].minScore !== 0) {
+        errors.push('The lowest grade boundary must start at 0.');
+    }
+    if (sorted[sorted.length - 1].maxScore !== 100) {
+        errors.push('The highest grade boundary must end at 100.');
+    }
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].minScore !== sorted[i - 1].maxScore + 1) {
+            errors.push(`Grade boundaries ${sorted[i - 1].grade} and ${sorted[i].grade} overlap or leave a gap.`);
+        }
+    }
+
+    return errors;
+};
+
+// Weighted total out of 100, rounded to the nearest whole mark.
+const computeTotalScore = (caScore, examScore, scheme) => {
+    const ca = caScore || 0;
+    const exam = examScore || 0;
+    return Math.round((ca * scheme.caWeight + exam * scheme.examWeight) / 100);
+};
+
+// Finds the grade band a total score falls into.
+const gradeForTotal = (totalScore, scheme) => {
+    const boundary = scheme.gradeBoundaries.find(b => totalScore >= b.minScore && totalScore <= b.maxScore);
+    return boundary || null;
+};
+
+// Computes { totalScore, finalGrade, gradePoint } for a pair of scores.
+const computeGrade = (caScore, examScore, scheme) => {
+    const totalScore = computeTotalScore(caScore, examScore, scheme);
+    const boundary = gradeForTotal(totalScore, scheme);
+    return {
+        totalScore,
+        finalGrade: boundary ? boundary.grade : null,
+        gradePoint: boundary ? boundary.gradePoint : null
+    };
+};
+
+// Resolves the active scheme for a course: course -> department -> institution -> built-in default.
+// `course` can be a Course document / lean object (needs _id and department).
+const resolveSchemeForCourse = async (course) => {
+    if (course) {
+        const courseScheme = await GradingScheme.findOne({ scope: 'course', course: course._id, isActive: true }).lean();
+        if (courseScheme) return courseScheme;
+
+        if (course.department) {
+            const departmentScheme = await GradingScheme.findOne({
+                scope: 'department',
+                department: { $regex: new RegExp(`^${course.department.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') },
+                isActive: true
+            }).lean();
+            if (departmentScheme) return departmentScheme;
+        }
+    }
+
+    const institutionScheme = await GradingScheme.findOne({ scope: 'institution', isActive: true }).lean();
+    return institutionScheme || DEFAULT_GRADING_SCHEME;
+};
+
+// Recomputes the derived grade fields on an Enrollment document (does not save it).
+const applyGradeToEnrollment = (enrollment, scheme) => {
+    const { totalScore, finalGrade, gradePoint } = computeGrade(enrollment.caScore, enrollment.examScore, scheme);
+    enrollment.totalScore = totalScore;
+    enrollment.finalGrade = finalGrade;
+    enrollment.gradePoint = gradePoint;
+    return enrollment;
+};
+
+module.exports = {
+    DEFAULT_GRADING_SCHEME,
+    validateScheme,
+    computeTotalScore,
+    computeGrade,
+    resolveSchemeForCourse,
+    applyGradeToEnrollment
+};
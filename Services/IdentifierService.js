@@ -0,0 +1,52 @@
+// services/identifierService.js
+// Serial identifiers such as student registration numbers ("ABC/CSC/007")
+// and lecturer employee IDs ("INSTRUCTOR/CSC/007"), built from the department code.
+// Identifiers issued before departments had codes keep the department name ("ABC/Computer Science/007").
+
+const Student = require('../Models/Students.js');
+const Lecturer = require('../Models/Lecturers.js');
+
+const SCHOOL_NAME = "ABC"; // Example school name
+
+// Escapes a string so it can be used literally inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Finds the highest serial number already used under `prefix` in `Model[field]`
+// and returns the next identifier, e.g. prefix "ABC/PHY/" -> "ABC/PHY/004".
+const nextSerialIdentifier = async (Model, field, prefix) => {
+    const existing = await Model.find({
+        [field]: { $regex: `^${escapeRegex(prefix)}` }
+    }).select(field); // Only fetch the identifier field to optimize
+
+    let maxSerialNumber = 0;
+
+    for (const doc of existing) {
+        const parts = doc[field].split('/');
+        const currentSerial = parseInt(parts[parts.length - 1], 10);
+
+        if (!isNaN(currentSerial) && currentSerial > maxSerialNumber) {
+            maxSerialNumber = currentSerial;
+        }
+    }
+
+    // Format the serial number (e.g., 1 -> "001", 10 -> "010", 100 -> "100")
+    const formattedSerialNumber = String(maxSerialNumber + 1).padStart(3, '0');
+
+    return `${prefix}${formattedSerialNumber}`;
+};
+
+// Next student registration number for a department code: SCHOOL_NAME/CODE/SERIAL
+const nextRegistrationNumber = (departmentCode) =>
+    nextSerialIdentifier(Student, 'registrationNumber', `${SCHOOL_NAME}/${departmentCode}/`);
+
+// Next lecturer employee ID for a department code: INSTRUCTOR/CODE/SERIAL
+const nextEmployeeId = (departmentCode) =>
+    nextSerialIdentifier(Lecturer, 'employeeId', `INSTRUCTOR/${departmentCode}/`);
+
+module.exports = {
+    SCHOOL_NAME,
+    escapeRegex,
+    nextSerialIdentifier,
+    nextRegistrationNumber,
+    nextEmployeeId
+};
@@ -0,0 +1,133 @@
+// services/lecturerOnboardingService.js
+// Validation, duplicate detection and creation shared by direct lecturer registration
+// and the invite flow.
+
+const Lecturer = require('../Models/Lecturers.js');
+const LecturerInvite = require('../Models/LecturerInvites.js');
+const { nextEmployeeId } = require('./IdentifierService.js');
+const { findDepartment } = require('./DepartmentService.js');
+
+const REQUIRED_LECTURER_FIELDS = ['name', 'department', 'phoneNumber', 'email', 'address', 'position', 'dateOfEmployment'];
+const ARRAY_LECTURER_FIELDS = ['qualifications', 'coursesTaught', 'researchInterests'];
+
+// How many times to retry when two registrations race for the same employee ID
+const EMPLOYEE_ID_ATTEMPTS = 3;
+
+// Checks the lecturer details (without password). Returns a list of error messages.
+const validateLecturerDetails = (details) => {
+    const errors = [];
+
+    const missing = REQUIRED_LECTURER_FIELDS.filter(field => !details[field]);
+    if (missing.length > 0) {
+        errors.push(`Missing required fields: ${missing.join(', ')}.`);
+    }
+    if (details.email && !/.+@.+\..+/.test(details.email)) {
+        errors.push('Please enter a valid email address.');
+    }
+    if (details.dateOfEmployment && isNaN(new Date(details.dateOfEmployment).getTime())) {
+        errors.push('dateOfEmployment must be a valid date.');
+    }
+    for (const field of ARRAY_LECTURER_FIELDS) {
+        if (details[field] !== undefined && !Array.isArray(details[field])) {
+            errors.push(`${field} must be an array.`);
+        }
+    }
+
+    return errors;
+};
+
+// Returns a 409 message if the email or phone number is already used by a lecturer
+// or by an invite that is still open, otherwise null.
+const findLecturerConflict = async ({ email, phoneNumber }, { ignoreInviteId } = {}) => {
+    const normalizedEmail = String(email).toLowerCase().trim();
+    const normalizedPhone = String(phoneNumber).trim();
+
+    const existingLecturer = await Lecturer.findOne({ $or: [{ email: normalizedEmail }, { phoneNumber: normalizedPhone }] });
+    if (existingLecturer) {
+        if (existingLecturer.email === normalizedEmail) {
+            return 'A lecturer with this email already exists.';
+        }
+        return 'A lecturer with this phone number already exists.';
+    }
+
+    let inviteQuery = {
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() },
+        $or: [{ 'details.email': normalizedEmail }, { 'details.phoneNumber': normalizedPhone }]
+    };
+    if (ignoreInviteId) {
+        inviteQuery._id = { $ne: ignoreInviteId };
+    }
+
+    const openInvite = await LecturerInvite.findOne(inviteQuery);
+    if (openInvite) {
+        return 'An invitation has already been sent for this email or phone number.';
+    }
+
+    return null;
+};
+
+// Creates and saves a Lecturer with a generated employee ID (from the department code).
+// Retries with a fresh ID if another registration took the same one in the meantime.
+// An unknown department fails the model's validation.
+const createLecturer = async (details, password) => {
+    const department = await findDepartment(details.department);
+    for (let attempt = 1; ; attempt++) {
+        const employeeId = await nextEmployeeId(department ? department.code : details.department);
+
+        const newLecturer = new Lecturer({
+            name: details.name,
+            department: details.department,
+            phoneNumber: details.phoneNumber,
+            email: details.email,
+            address: details.address,
+            password, // Password will be hashed by the pre-save hook in the model
+            employeeId, // Assign the generated employee ID
+            position: details.position,
+            qualifications: details.qualifications || [], // Ensure it's an array, even if empty
+            coursesTaught: details.coursesTaught || [], // Ensure it's an array, even if empty
+            dateOfEmployment: new Date(details.dateOfEmployment), // Convert string to Date object
+            officeLocation: details.officeLocation,
+            researchInterests: details.researchInterests || [] // Ensure it's an array, even if empty
+        });
+
+        try {
+            await newLecturer.save();
+            return newLecturer;
+        } catch (error) {
+            const employeeIdTaken = error.code === 11000 && error.keyPattern && error.keyPattern.employeeId;
+            if (!employeeIdTaken || attempt >= EMPLOYEE_ID_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+// Maps a save error to { status, message } for the lecturer routes.
+const describeLecturerError = (error) => {
+    if (error.code === 11000) { // MongoDB duplicate key error
+        const field = Object.keys(error.keyPattern || {})[0];
+        if (field === 'email') {
+            return { status: 409, message: 'A lecturer with this email already exists.' };
+        }
+        if (field === 'phoneNumber') {
+            return { status: 409, message: 'A lecturer with this phone number already exists.' };
+        }
+        if (field === 'employeeId') {
+            return { status: 409, message: 'A lecturer with this employee ID already exists. Please try again.' };
+        }
+        return { status: 409, message: 'A lecturer with duplicate unique fields already exists.' };
+    }
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return { status: 400, message: messages.join(', ') };
+    }
+    return { status: 500, message: 'Server error during registration.' };
+};
+
+module.exports = {
+    validateLecturerDetails,
+    findLecturerConflict,
+    createLecturer,
+    describeLecturerError
+};
@@ -0,0 +1,507 @@
+// services/ledgerService.js
+// Student accounts: a term's fees are billed as an invoice (a debit on the ledger) and every successful
+// transaction is posted against it as a credit, so instalments add up to the invoice and the balance
+// of the account is always the sum of its entries. Amounts are stored in kobo.
+
+const Invoice = require('../Models/Invoices.js');
+const LedgerEntry = require('../Models/LedgerEntries.js');
+const Transaction = require('../Models/Payment');
+const Student = require('../Models/Students.js');
+const { resolveTerm, getCurrentTerm } = require('./AcademicTermService.js');
+const { getFeesDue, formatKobo } = require('./FeeService.js');
+const { nextSerialIdentifier } = require('./IdentifierService.js');
+const { createBrandedDocument, finalizeDocument, drawKeyValues, drawTable } = require('./PdfService.js');
+
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+const toNaira = (kobo) => kobo / 100;
+
+const invoiceBalance = (invoice) => invoice.totalAmount - invoice.amountPaid;
+
+// How long a started payment holds its part of the balance. Matches the default stale time of the payment
+// reconciliation, which closes a checkout left open that long as abandoned. A payment Paystack completes
+// after its hold has run out is still credited in full; anything over the invoice shows as a credit balance.
+const RESERVATION_MINUTES = 60;
+
+// Kobo of the balance held by payments in progress
+const reservedAmount = (invoice, now = new Date()) => (invoice.reservations || [])
+    .filter((reservation) => reservation.expiresAt > now)
+    .reduce((sum, reservation) => sum + reservation.amount, 0);
+
+// What a new payment may still be started for
+const unreservedBalance = (invoice) => invoiceBalance(invoice) - reservedAmount(invoice);
+
+// Holds `amount` of the invoice balance for the payment about to be started as `transactionId`, so two
+// checkouts started at once cannot both charge the full balance. Fails when what is paid and held
+// elsewhere leaves too little. Returns { invoice } or { error }.
+const reserveBalance = async (invoice, transactionId, amount) => {
+    const now = new Date();
+    await Invoice.updateOne({ _id: invoice._id }, { $pull: { reservations: { expiresAt: { $lte: now } } } });
+
+    const held = {
+        $sum: {
+            $map: {
+                input: { $filter: { input: { $ifNull: ['$reservations', []] }, cond: { $gt: ['$$this.expiresAt', now] } } },
+                in: '$$this.amount'
+            }
+        }
+    };
+    const reserved = await Invoice.findOneAndUpdate(
+        { _id: invoice._id, isActive: true, $expr: { $lte: [{ $add: ['$amountPaid', held, amount] }, '$totalAmount'] } },
+        { $push: { reservations: { transaction: transactionId, amount, expiresAt: new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000) } } },
+        { new: true }
+    );
+    if (!reserved) {
+        const current = await Invoice.findById(invoice._id);
+        const available = current && current.isActive ? Math.max(unreservedBalance(current), 0) : 0;
+        return rejected(409, `Only ${formatKobo(available)} of invoice ${invoice.invoiceNumber} can be paid now; the rest is paid or held by a payment in progress. Complete that payment, or try again once it has expired.`, { available: toNaira(available) });
+    }
+    return { invoice: reserved };
+};
+
+// Frees the balance held for a transaction once it is closed without being credited (or never started)
+const releaseReservation = async (transaction) => {
+    if (!transaction.invoice) return;
+    await Invoice.updateOne({ _id: transaction.invoice }, { $pull: { reservations: { transaction: transaction._id } } });
+};
+
+const invoiceStatusFor = (totalAmount, amountPaid) => {
+    if (amountPaid >= totalAmount) return 'paid';
+    return amountPaid > 0 ? 'part-paid' : 'unpaid';
+};
+
+// Retries on the (unlikely) chance that two requests take the same serial number at once
+const withSerialRetry = async (create) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await create();
+        } catch (error) {
+            const serialClash = error.code === 11000 && (error.keyPattern?.invoiceNumber || error.keyPattern?.receiptNumber);
+            if (!serialClash || attempt >= 3) throw error;
+        }
+    }
+};
+
+const findActiveInvoice = (studentId, termId) => Invoice.findOne({ student: studentId, term: termId, isActive: true });
+
+// Successful transactions of the term that are not on the ledger yet, e.g. made before invoices existed
+const postUnpostedPayments = async (invoice) => {
+    const payments = await Transaction.find({
+        studentId: invoice.student,
+        academicYear: invoice.academicYear,
+        semester: invoice.semester,
+        status: 'success'
+    }).sort({ paidAt: 1, createdAt: 1 });
+
+    for (const payment of payments) {
+        const entry = await LedgerEntry.findOne({ transaction: payment._id });
+        if (!entry) {
+            await postPaymentToInvoice(payment, invoice);
+        } else if (isIncompletePosting(entry)) {
+            await completePosting(payment, entry);
+        }
+    }
+};
+
+// Bills a student for a term from the fee schedule. Optional items (e.g. hostel) are included when
+// their id is in `optionalItemIds`. Payments already made for the term are posted against the new invoice.
+// Returns { invoice } or { error }.
+const issueInvoice = async ({ student, term, optionalItemIds = [], actor = null }) => {
+    const existing = await findActiveInvoice(student._id, term._id);
+    if (existing) {
+        return rejected(409, `Invoice ${existing.invoiceNumber} has already been issued for ${term.semester} ${term.academicYear}.`, { invoiceId: existing._id });
+    }
+
+    const fees = await getFeesDue(student, term, { optionalItemIds });
+    if (fees.items.length === 0) {
+        return rejected(404, `No fees have been set for ${term.semester} ${term.academicYear}.`);
+    }
+
+    let invoice;
+    try {
+        invoice = await withSerialRetry(async () => Invoice.create({
+            invoiceNumber: await nextSerialIdentifier(Invoice, 'invoiceNumber', `INV/${term.academicYear}/`),
+            student: student._id,
+            term: term._id,
+            academicYear: term.academicYear,
+            semester: term.semester,
+            items: fees.items,
+            totalAmount: fees.totalKobo,
+            status: invoiceStatusFor(fees.totalKobo, 0),
+            issuedBy: actor ? actor.id : null,
+            issuedByRole: actor ? actor.role : 'system'
+        }));
+    } catch (error) {
+        const concurrent = error.code === 11000 ? await findActiveInvoice(student._id, term._id) : null;
+        if (concurrent) { // Issued by another request in the meantime
+            return rejected(409, `Invoice ${concurrent.invoiceNumber} has already been issued for ${term.semester} ${term.academicYear}.`, { invoiceId: concurrent._id });
+        }
+        throw error;
+    }
+
+    await LedgerEntry.create({
+        student: student._id,
+        invoice: invoice._id,
+        term: term._id,
+        entryType: 'charge',
+        debit: invoice.totalAmount,
+        invoiceBalance: invoice.totalAmount,
+        description: `Fees for ${term.semester} ${term.academicYear} (${invoice.invoiceNumber})`,
+        postedBy: actor ? actor.id : null,
+        postedByRole: actor ? actor.role : 'system'
+    });
+
+    if (term.isCurrent && invoice.status !== 'paid') {
+        await Student.findByIdAndUpdate(student._id, { currentSemesterPaymentStatus: 'unpaid' });
+    }
+
+    await postUnpostedPayments(invoice);
+
+    return { invoice: await Invoice.findById(invoice._id) };
+};
+
+// The invoice in force for a student and term, issuing it first if needed. Returns { invoice, issued } or { error }.
+const getOrIssueInvoice = async ({ student, term, optionalItemIds = [], actor = null }) => {
+    const existing = await findActiveInvoice(student._id, term._id);
+    if (existing) {
+        return { invoice: existing, issued: false };
+    }
+    const result = await issueInvoice({ student, term, optionalItemIds, actor });
+    if (result.error && result.error.details?.invoiceId) { // Lost a race with another request
+        return { invoice: await Invoice.findById(result.error.details.invoiceId), issued: false };
+    }
+    return result.error ? result : { invoice: result.invoice, issued: true };
+};
+
+// A payment entry gets its invoice balance once the rest of the posting is done; without it the posting
+// was interrupted part-way (e.g. the process stopped before the invoice was credited)
+const isIncompletePosting = (entry) => entry.entryType === 'payment' && entry.invoiceBalance === null;
+
+// Credits a successful transaction to an invoice and updates the student's payment status
+const postPaymentToInvoice = async (transaction, invoice) => {
+    const amount = transaction.amountPaid ?? transaction.amount;
+
+    let entry;
+    try {
+        entry = await LedgerEntry.create({
+            student: invoice.student,
+            invoice: invoice._id,
+            term: invoice.term,
+            entryType: 'payment',
+            credit: amount,
+            transaction: transaction._id,
+            description: `Payment ${transaction.paystackReference} for ${invoice.invoiceNumber}`
+        });
+    } catch (error) {
+        if (error.code === 11000) { // Posted by a concurrent webhook or verification
+            return { invoice: await Invoice.findById(invoice._id), alreadyPosted: true };
+        }
+        throw error;
+    }
+
+    return completePosting(transaction, entry);
+};
+
+// Everything a payment entry implies: the invoice is credited, the receipt number assigned and the student
+// updated. Each step can be repeated safely, so an interrupted posting is finished by running this again.
+const completePosting = async (transaction, entry) => {
+    let updated = await Invoice.findOneAndUpdate(
+        { _id: entry.invoice, creditedTransactions: { $ne: transaction._id } },
+        {
+            $inc: { amountPaid: entry.credit },
+            $push: { creditedTransactions: transaction._id },
+            $pull: { reservations: { transaction: transaction._id } } // Now counted in amountPaid
+        },
+        { new: true }
+    );
+    if (!updated) { // Credited before the posting was interrupted
+        updated = await Invoice.findById(entry.invoice);
+    }
+    updated.status = invoiceStatusFor(updated.totalAmount, updated.amountPaid);
+    // Only if no other payment was posted in between; that one sets the status for the larger total
+    await Invoice.updateOne({ _id: updated._id, amountPaid: updated.amountPaid }, { status: updated.status });
+
+    await withSerialRetry(async () => Transaction.updateOne(
+        { _id: transaction._id, receiptNumber: null },
+        {
+            invoice: updated._id,
+            receiptNumber: await nextSerialIdentifier(Transaction, 'receiptNumber', `RCT/${updated.academicYear}/`)
+        }
+    ));
+
+    // The payment status fields describe the current term; paying off an earlier term leaves them alone
+    const currentTerm = await getCurrentTerm();
+    const isCurrentTerm = Boolean(currentTerm) && String(currentTerm._id) === String(updated.term);
+    const fullyPaid = updated.status === 'paid';
+    await Student.findByIdAndUpdate(updated.student, {
+        ...(isCurrentTerm ? { currentSemesterPaymentStatus: fullyPaid ? 'paid' : 'part-paid' } : {}),
+        ...(isCurrentTerm && fullyPaid ? {
+            lastPaidSemester: updated.semester,
+            lastPaidAcademicYear: updated.academicYear,
+            lastPaidTerm: updated.term
+        } : {}),
+        $addToSet: { paymentHistory: transaction._id }
+    });
+
+    // Last, so the posting only counts as complete once everything above has been written
+    entry.invoiceBalance = invoiceBalance(updated);
+    await entry.save();
+
+    return { invoice: updated, entry, alreadyPosted: false };
+};
+
+// Posts a successful transaction to the student's ledger. Safe to call more than once for the same
+// transaction. Uses the invoice the payment was started against, or the one in force for its term
+// (issuing it if needed). Returns { invoice, alreadyPosted } or { error }.
+const postPayment = async (transaction) => {
+    if (transaction.status !== 'success') {
+        return rejected(409, `Only successful payments can be posted; this one is '${transaction.status}'.`);
+    }
+    const existingEntry = await LedgerEntry.findOne({ transaction: transaction._id });
+    if (existingEntry) {
+        if (isIncompletePosting(existingEntry)) {
+            return completePosting(transaction, existingEntry);
+        }
+        return { invoice: await Invoice.findById(existingEntry.invoice), alreadyPosted: true };
+    }
+
+    let invoice = transaction.invoice ? await Invoice.findOne({ _id: transaction.invoice, isActive: true }) : null;
+    if (!invoice) {
+        const term = await resolveTerm({ termId: transaction.term, academicYear: transaction.academicYear, semester: transaction.semester });
+        const student = await Student.findById(transaction.studentId);
+        if (!term || !student) {
+            return rejected(404, 'The student or term of this payment no longer exists.');
+        }
+        const result = await getOrIssueInvoice({ student, term });
+        if (result.error) {
+            return result;
+        }
+        invoice = result.invoice;
+        // A newly issued invoice picks up the term's earlier payments, this one included
+        if (await LedgerEntry.exists({ transaction: transaction._id })) {
+            return { invoice: await Invoice.findById(invoice._id), alreadyPosted: false };
+        }
+    }
+
+    return postPaymentToInvoice(transaction, invoice);
+};
+
+// Withdraws an invoice that was issued in error (nothing may have been paid against it yet).
+// Its charge is cancelled with a reversal entry. Returns { invoice } or { error }.
+const voidInvoice = async (invoiceId, { reason, actor }) => {
+    const invoice = await Invoice.findOne({ _id: invoiceId, isActive: true });
+    if (!invoice) {
+        return rejected(404, 'Active invoice not found.');
+    }
+    if (invoice.amountPaid > 0) {
+        return rejected(409, `${formatKobo(invoice.amountPaid)} has been paid against this invoice, so it cannot be voided.`);
+    }
+
+    invoice.isActive = false;
+    invoice.status = 'void';
+    invoice.voidedAt = new Date();
+    invoice.voidedBy = actor.id;
+    invoice.voidReason = reason;
+    await invoice.save();
+
+    await LedgerEntry.create({
+        student: invoice.student,
+        invoice: invoice._id,
+        term: invoice.term,
+        entryType: 'reversal',
+        credit: invoice.totalAmount,
+        invoiceBalance: 0,
+        description: `Invoice ${invoice.invoiceNumber} voided: ${reason}`,
+        postedBy: actor.id,
+        postedByRole: actor.role
+    });
+
+    return { invoice };
+};
+
+const describeInvoice = (invoice) => ({
+    _id: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    term: invoice.term,
+    academicYear: invoice.academicYear,
+    semester: invoice.semester,
+    status: invoice.status,
+    items: invoice.items,
+    total: toNaira(invoice.totalAmount),
+    paid: toNaira(invoice.amountPaid),
+    balance: invoice.isActive ? toNaira(invoiceBalance(invoice)) : 0,
+    issuedAt: invoice.createdAt,
+    ...(invoice.isActive ? {} : { voidedAt: invoice.voidedAt, voidReason: invoice.voidReason })
+});
+
+// A student's account: invoices and every ledger entry with the running balance. Amounts in naira.
+// Pass `termId` to limit the statement to one term.
+// Returns { statement } or { error }.
+const getAccountStatement = async (studentId, { termId } = {}) => {
+    const student = await Student.findById(studentId).select('name registrationNumber department level').lean();
+    if (!student) {
+        return rejected(404, 'Student not found.');
+    }
+
+    const filter = { student: student._id, ...(termId ? { term: termId } : {}) };
+    const [invoices, entries] = await Promise.all([
+        Invoice.find(filter).sort({ createdAt: 1 }).lean(),
+        LedgerEntry.find(filter)
+            .populate('invoice', 'invoiceNumber')
+            .populate('transaction', 'paystackReference receiptNumber')
+            .sort({ createdAt: 1, _id: 1 })
+            .lean()
+    ]);
+
+    let balance = 0;
+    let totalDebits = 0;
+    let totalCredits = 0;
+    const lines = entries.map(entry => {
+        balance += entry.debit - entry.credit;
+        totalDebits += entry.debit;
+        totalCredits += entry.credit;
+        return {
+            date: entry.createdAt,
+            entryType: entry.entryType,
+            description: entry.description,
+            invoiceNumber: entry.invoice ? entry.invoice.invoiceNumber : null,
+            reference: entry.transaction ? entry.transaction.paystackReference : null,
+            receiptNumber: entry.transaction ? entry.transaction.receiptNumber : null,
+            debit: toNaira(entry.debit),
+            credit: toNaira(entry.credit),
+            balance: toNaira(balance)
+        };
+    });
+
+    return {
+        statement: {
+            student,
+            totalDebits: toNaira(totalDebits),
+            totalCredits: toNaira(totalCredits),
+            balance: toNaira(balance), // Negative when the student is in credit
+            invoices: invoices.map(describeInvoice),
+            entries: lines
+        }
+    };
+};
+
+// Payment statement as CSV records (first row is the header)
+const statementToRecords = (statement) => [
+    ['Date', 'Type', 'Description', 'Invoice', 'Receipt', 'Debit (NGN)', 'Credit (NGN)', 'Balance (NGN)'],
+    ...statement.entries.map(line => [
+        new Date(line.date).toISOString().slice(0, 10),
+        line.entryType,
+        line.description,
+        line.invoiceNumber || '',
+        line.receiptNumber || '',
+        line.debit.toFixed(2),
+        line.credit.toFixed(2),
+        line.balance.toFixed(2)
+    ])
+];
+
+// What a receipt shows. Returns { receipt } or { error } (only posted payments have receipts).
+const buildReceipt = async (transactionId) => {
+    const transaction = await Transaction.findById(transactionId).lean();
+    if (!transaction) {
+        return rejected(404, 'Payment not found.');
+    }
+    const entry = await LedgerEntry.findOne({ transaction: transaction._id }).lean();
+    if (!entry || !transaction.receiptNumber) {
+        return rejected(409, 'A receipt is only available once the payment has been confirmed and posted.');
+    }
+
+    const [student, invoice] = await Promise.all([
+        Student.findById(transaction.studentId).select('name registrationNumber department level').lean(),
+        Invoice.findById(entry.invoice).lean()
+    ]);
+
+    return {
+        receipt: {
+            receiptNumber: transaction.receiptNumber,
+            studentId: transaction.studentId,
+            student,
+            invoice,
+            reference: transaction.paystackReference,
+            amountPaid: entry.credit,
+            invoiceBalance: entry.invoiceBalance,
+            paidAt: transaction.paidAt || entry.createdAt,
+            description: transaction.description
+        }
+    };
+};
+
+// Renders a receipt. Returns the PDFKit document; the caller pipes it and it ends itself.
+const renderReceiptPdf = (receipt) => {
+    const doc = createBrandedDocument({
+        title: 'Payment Receipt',
+        subtitle: `Receipt ${receipt.receiptNumber}`,
+        office: 'Bursary',
+        footerText: `Receipt ${receipt.receiptNumber}  |  Paystack reference ${receipt.reference}`
+    });
+
+    drawKeyValues(doc, [
+        ['Name', receipt.student?.name],
+        ['Registration Number', receipt.student?.registrationNumber],
+        ['Department', receipt.student?.department],
+        ['Level', receipt.student?.level],
+        ['Session / Semester', receipt.invoice ? `${receipt.invoice.academicYear} ${receipt.invoice.semester}` : '-'],
+        ['Invoice', receipt.invoice?.invoiceNumber],
+        ['Date Paid', new Date(receipt.paidAt).toISOString().slice(0, 10)]
+    ]);
+
+    if (receipt.invoice) {
+        drawTable(doc, [
+            { header: 'Fee', key: 'name', width: 260 },
+            { header: 'Type', key: 'feeType', width: 100 },
+            { header: 'Amount', key: 'amount', width: 135, align: 'right' }
+        ], receipt.invoice.items.map(item => ({ ...item, amount: formatKobo(Math.round(item.amount * 100)) })));
+    }
+
+    doc.moveDown(0.5);
+    drawKeyValues(doc, [
+        ['Invoice Total', receipt.invoice ? formatKobo(receipt.invoice.totalAmount) : '-'],
+        ['Amount Paid', formatKobo(receipt.amountPaid)],
+        ['Balance Outstanding', receipt.invoiceBalance === null ? '-' : formatKobo(Math.max(receipt.invoiceBalance, 0))]
+    ]);
+
+    finalizeDocument(doc);
+    return doc;
+};
+
+// Issues invoices for every active student (optionally of one department/level) who has none for the term.
+// Returns { issued, alreadyInvoiced, noFees } counts.
+const issueTermInvoices = async (term, { departmentId, level, actor = null } = {}) => {
+    const query = { accountStatus: 'active', academicStanding: { $ne: 'withdrawn' } };
+    if (departmentId) query.departmentId = departmentId;
+    if (level) query.level = Number(level);
+
+    const students = await Student.find(query).select('departmentId level entryAcademicYear').lean();
+    const summary = { issued: 0, alreadyInvoiced: 0, noFees: 0 };
+
+    for (const student of students) {
+        const result = await issueInvoice({ student, term, actor });
+        if (!result.error) summary.issued++;
+        else if (result.error.httpStatus === 409) summary.alreadyInvoiced++;
+        else summary.noFees++;
+    }
+    return summary;
+};
+
+module.exports = {
+    invoiceBalance,
+    unreservedBalance,
+    reserveBalance,
+    releaseReservation,
+    findActiveInvoice,
+    issueInvoice,
+    getOrIssueInvoice,
+    postPayment,
+    voidInvoice,
+    describeInvoice,
+    getAccountStatement,
+    statementToRecords,
+    buildReceipt,
+    renderReceiptPdf,
+    issueTermInvoices
+};
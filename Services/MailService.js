@@ -0,0 +1,51 @@
+// services/mailService.js
+// Thin wrapper around nodemailer. SMTP settings come from the environment:
+// SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and MAIL_FROM.
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: Number(process.env.SMTP_PORT) === 465,
+            auth: {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            }
+        });
+    }
+    return transporter;
+};
+
+// Sends an email. Resolves to true when sent, false when mail is not configured or sending failed
+// (callers decide how to fall back; a failed email should not fail the request that triggered it).
+const sendMail = async ({ to, subject, text, html }) => {
+    if (!isMailConfigured()) {
+        console.warn(`Mail not configured; skipping email "${subject}" to ${to}.`);
+        return false;
+    }
+    try {
+        await getTransporter().sendMail({
+            from: process.env.MAIL_FROM || process.env.SMTP_USER,
+            to,
+            subject,
+            text,
+            html
+        });
+        return true;
+    } catch (error) {
+        console.error(`Error sending email "${subject}" to ${to}:`, error.message);
+        return false;
+    }
+};
+
+module.exports = {
+    isMailConfigured,
+    sendMail
+};
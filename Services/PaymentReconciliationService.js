@@ -0,0 +1,288 @@
+// services/paymentReconciliationService.js
+// Reconciles our payment records against Paystack's transaction list for a date range. A missed webhook
+// or an abandoned checkout otherwise leaves a record 'pending' forever. A run:
+//   - settles (or fails) records Paystack has completed, through the same settlePayment as the webhook,
+//   - closes stale pending records Paystack never completed as 'abandoned',
+//   - records successful payments we have no record of,
+//   - and reports whatever it cannot square (Models/ReconciliationRuns.js).
+
+const mongoose = require('mongoose');
+const Transaction = require('../Models/Payment');
+const ReconciliationRun = require('../Models/ReconciliationRuns.js');
+const { formatKobo, describeAmountMismatch } = require('./FeeService.js');
+const { listTransactions, verifyTransaction } = require('./PaystackService.js');
+const { UNSUCCESSFUL_STATUSES, settlePayment } = require('./PaymentSettlementService.js');
+const { releaseReservation } = require('./LedgerService.js');
+
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+// Pending records younger than this are left alone: the student may still be at the checkout
+const DEFAULT_STALE_AFTER_MINUTES = 60;
+
+// Keeps a run (and the number of Paystack requests it makes) bounded
+const MAX_RANGE_DAYS = 31;
+
+const PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every transaction Paystack lists for the range, across all pages
+const fetchProviderTransactions = async (from, to) => {
+    const transactions = [];
+    for (let page = 1; ; page++) {
+        const { data, meta } = await listTransactions({ from, to, page, perPage: PAGE_SIZE });
+        transactions.push(...(data || []));
+        if (!data || data.length === 0 || !meta || page >= meta.pageCount) break;
+    }
+    return transactions;
+};
+
+// Looks up one reference; null when Paystack does not know it
+const findAtProvider = async (reference) => {
+    try {
+        return await verifyTransaction(reference);
+    } catch (error) {
+        if (error.response && [400, 404].includes(error.response.status)) return null;
+        throw error;
+    }
+};
+
+// Settles a record from what Paystack reports, or in a dry run works out what that would do
+const settle = async (entry, local, provider, action, dryRun) => {
+    if (dryRun) {
+        entry.action = action;
+        const mismatch = local && provider.status === 'success'
+            ? describeAmountMismatch(local.amount, local.currency, provider)
+            : null;
+        if (mismatch) {
+            entry.discrepancy = 'amount-mismatch';
+            entry.note = mismatch;
+        }
+        return entry;
+    }
+
+    const result = await settlePayment(provider);
+    if (result.error) {
+        entry.note = result.error.message;
+        return entry;
+    }
+    if (['unchanged', 'already-settled'].includes(result.outcome)) { // Closed by a webhook or verification in the meantime
+        return entry.discrepancy ? entry : null;
+    }
+    entry.action = action;
+    if (result.transaction) {
+        entry.transaction = result.transaction._id;
+        entry.localAmount = result.transaction.amount;
+    }
+    if (result.outcome === 'amount-mismatch') {
+        entry.discrepancy = 'amount-mismatch';
+        entry.note = result.transaction.statusReason;
+    }
+    return entry;
+};
+
+// Closes a stale pending record that Paystack never completed
+const abandon = async (entry, local, reason, dryRun) => {
+    if (!dryRun) {
+        const closed = await Transaction.findOneAndUpdate(
+            { _id: local._id, status: 'pending' },
+            { $set: { status: 'abandoned', statusReason: `Closed by payment reconciliation: ${reason}`, updatedAt: Date.now() } },
+            { new: true }
+        );
+        if (!closed) { // Settled in the meantime
+            return entry.discrepancy ? entry : null;
+        }
+        await releaseReservation(closed);
+    }
+    entry.action = 'abandoned';
+    entry.note = reason;
+    return entry;
+};
+
+// Compares our record of one payment with Paystack's (either may be missing) and acts on it.
+// Returns the report entry, or null when both agree and nothing had to be done.
+const reconcileTransaction = async (local, provider, { staleBefore, dryRun }) => {
+    const metadataStudentId = provider && provider.metadata ? provider.metadata.student_id : null;
+    const entry = {
+        reference: local ? local.paystackReference : provider.reference,
+        transaction: local ? local._id : null,
+        student: local ? local.studentId : (mongoose.isValidObjectId(metadataStudentId) ? metadataStudentId : null),
+        localStatus: local ? local.status : null,
+        providerStatus: provider ? provider.status : null,
+        localAmount: local ? local.amount : null,
+        providerAmount: provider ? Number(provider.amount) : null,
+        action: null,
+        discrepancy: null,
+        note: null
+    };
+
+    if (!local) {
+        if (provider.status !== 'success') return null; // Nothing collected, nothing recorded
+        entry.discrepancy = 'missing-locally';
+        return settle(entry, null, provider, 'created', dryRun);
+    }
+
+    if (!provider) {
+        if (local.status === 'success') {
+            entry.discrepancy = 'missing-at-provider';
+            entry.note = 'Recorded as paid, but Paystack has no such transaction.';
+            return entry;
+        }
+        if (local.status === 'pending' && local.createdAt < staleBefore) {
+            entry.discrepancy = 'missing-at-provider';
+            return abandon(entry, local, 'Paystack has no such transaction.', dryRun);
+        }
+        return null;
+    }
+
+    if (local.status === 'amount_mismatch') { // Left for the bursary to resolve
+        entry.discrepancy = provider.status === 'success' ? 'amount-mismatch' : 'status-mismatch';
+        entry.note = local.statusReason;
+        return entry;
+    }
+
+    if (local.status === 'success') {
+        if (provider.status !== 'success') {
+            entry.discrepancy = 'status-mismatch';
+            entry.note = `Recorded as paid, but Paystack reports it as ${provider.status}.`;
+            return entry;
+        }
+        if (local.amountPaid !== null && local.amountPaid !== Number(provider.amount)) {
+            entry.discrepancy = 'amount-mismatch';
+            entry.note = `Recorded ${formatKobo(local.amountPaid)} as collected, but Paystack reports ${formatKobo(Number(provider.amount))}.`;
+            return entry;
+        }
+        return null;
+    }
+
+    // Still open here: pending, failed or abandoned
+    if (provider.status === 'success') {
+        if (local.status !== 'pending') {
+            entry.discrepancy = 'status-mismatch';
+            entry.note = `Recorded as ${local.status}, but Paystack collected the payment.`;
+        }
+        return settle(entry, local, provider, 'settled', dryRun);
+    }
+    if (local.status !== 'pending') {
+        return null; // Both agree it did not go through
+    }
+    if (UNSUCCESSFUL_STATUSES.includes(provider.status)) {
+        return settle(entry, local, provider, 'failed', dryRun);
+    }
+    if (local.createdAt < staleBefore) {
+        return abandon(entry, local, `Paystack still reports it as ${provider.status}.`, dryRun);
+    }
+    return null;
+};
+
+// Reconciles every payment created between `from` and `to` and saves the report as a ReconciliationRun.
+// Returns { run } or { error }.
+const reconcilePayments = async ({ from, to, staleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES, dryRun = false, actor = null }) => {
+    if (!(from < to)) {
+        return rejected(400, 'from must be before to.');
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        return rejected(400, `The date range cannot be longer than ${MAX_RANGE_DAYS} days.`);
+    }
+
+    let providerTransactions;
+    try {
+        providerTransactions = await fetchProviderTransactions(from, to);
+    } catch (error) {
+        console.error('Reconciliation: Error listing Paystack transactions:', error.response ? error.response.data : error.message);
+        return rejected(502, 'Could not fetch the transaction list from Paystack.', {
+            error: error.response && error.response.data ? error.response.data.message : error.message
+        });
+    }
+
+    const providerByReference = new Map(providerTransactions.map(transaction => [transaction.reference, transaction]));
+    const localTransactions = await Transaction.find({
+        $or: [
+            { createdAt: { $gte: from, $lte: to } },
+            { paystackReference: { $in: [...providerByReference.keys()] } }
+        ]
+    });
+    const localByReference = new Map(localTransactions.map(transaction => [transaction.paystackReference, transaction]));
+
+    const context = { staleBefore: new Date(Date.now() - staleAfterMinutes * 60 * 1000), dryRun };
+    const entries = [];
+
+    // One bad record must not stop the run; it is reported instead
+    const reconcileOne = async (reference, getRecords) => {
+        try {
+            const { local, provider } = await getRecords();
+            const entry = await reconcileTransaction(local, provider, context);
+            if (entry) entries.push(entry);
+        } catch (error) {
+            console.error(`Reconciliation: Error reconciling ${reference}:`, error.message);
+            entries.push({ reference, note: `Could not be reconciled: ${error.message}` });
+        }
+    };
+
+    for (const provider of providerTransactions) {
+        await reconcileOne(provider.reference, async () => ({
+            local: localByReference.get(provider.reference) || null,
+            provider
+        }));
+    }
+
+    // Records Paystack did not list: look them up directly, since Paystack may date a transaction
+    // differently. Only paid and stale pending records are worth the request.
+    for (const local of localTransactions) {
+        if (providerByReference.has(local.paystackReference)) continue;
+        if (local.status !== 'success' && !(local.status === 'pending' && local.createdAt < context.staleBefore)) continue;
+        await reconcileOne(local.paystackReference, async () => ({
+            local,
+            provider: await findAtProvider(local.paystackReference)
+        }));
+    }
+
+    const countAction = (action) => entries.filter(entry => entry.action === action).length;
+    const run = await ReconciliationRun.create({
+        from,
+        to,
+        staleAfterMinutes,
+        dryRun,
+        summary: {
+            providerTransactions: providerTransactions.length,
+            localTransactions: localTransactions.length,
+            created: countAction('created'),
+            settled: countAction('settled'),
+            failed: countAction('failed'),
+            abandoned: countAction('abandoned'),
+            discrepancies: entries.filter(entry => entry.discrepancy).length
+        },
+        entries,
+        createdBy: actor ? actor.id : null,
+        createdByRole: actor ? actor.role : 'system'
+    });
+
+    return { run };
+};
+
+// Rows for the CSV report (header first)
+const reconciliationRunToRecords = (run) => {
+    const records = [[
+        'Reference', 'Student', 'Our Status', 'Paystack Status', 'Amount Due', 'Amount at Paystack', 'Action', 'Discrepancy', 'Note'
+    ]];
+    for (const entry of run.entries) {
+        records.push([
+            entry.reference,
+            entry.student ? String(entry.student) : '',
+            entry.localStatus || '',
+            entry.providerStatus || '',
+            entry.localAmount !== null && entry.localAmount !== undefined ? formatKobo(entry.localAmount) : '',
+            entry.providerAmount !== null && entry.providerAmount !== undefined ? formatKobo(entry.providerAmount) : '',
+            entry.action || '',
+            entry.discrepancy || '',
+            entry.note || ''
+        ]);
+    }
+    return records;
+};
+
+module.exports = {
+    DEFAULT_STALE_AFTER_MINUTES,
+    MAX_RANGE_DAYS,
+    reconcilePayments,
+    reconciliationRunToRecords
+};
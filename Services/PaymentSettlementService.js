@@ -0,0 +1,238 @@
+// services/paymentSettlementService.js
+// Applies what Paystack reports about a transaction to our records. The webhook, the verify endpoint and
+// any later check all go through settlePayment, so a payment is settled the same way (and only once)
+// whichever of them sees it first:
+//   - the transaction is marked success, or amount_mismatch when the amount collected is not what was due,
+//   - a successful payment is posted to the student's ledger (Services/LedgerService.js), which also
+//     updates the student's payment status,
+//   - failed or abandoned charges close a pending transaction.
+// Settling or closing a transaction also frees the part of the invoice balance held for it since it was started.
+// Webhook deliveries are recorded by event (Models/PaymentEvents.js) so replays are skipped.
+
+const crypto = require('crypto');
+const Transaction = require('../Models/Payment');
+const Student = require('../Models/Students.js');
+const PaymentEvent = require('../Models/PaymentEvents.js');
+const { resolveTerm } = require('./AcademicTermService.js');
+const { describeAmountMismatch } = require('./FeeService.js');
+const { invoiceBalance, getOrIssueInvoice, postPayment, releaseReservation } = require('./LedgerService.js');
+
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+// Transaction statuses that can still change; success and amount_mismatch are final
+const OPEN_STATUSES = ['pending', 'failed', 'abandoned'];
+
+// Paystack statuses that end a charge without collecting money
+const UNSUCCESSFUL_STATUSES = ['failed', 'abandoned'];
+
+// Webhook events that settle a transaction; others are recorded and ignored
+const SETTLEMENT_EVENTS = ['charge.success', 'charge.failed'];
+
+// How long an event may stay 'processing' before a redelivery may take it over (e.g. after a crash)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Records a successful charge whose initiate-payment record is missing (e.g. the save after
+// initialization failed). The amount due comes from the student's invoice, never from the event; the
+// instalment size is unknown here, so anything up to the invoice balance is accepted.
+const createMissingTransaction = async (paystackData) => {
+    const metadata = paystackData.metadata || {};
+    const { student_id, semester, academic_year, description } = metadata;
+    const term_id = metadata.term_id || null; // Absent on payments started before the term calendar
+
+    if (!student_id || !semester || !academic_year) {
+        return rejected(400, `Payment ${paystackData.reference} has no record and is missing the student or term in its metadata.`);
+    }
+
+    const term = await resolveTerm({ termId: term_id, academicYear: academic_year, semester });
+    const student = await Student.findById(student_id);
+    const invoiceResult = term && student ? await getOrIssueInvoice({ student, term }) : null;
+    const invoice = invoiceResult && !invoiceResult.error ? invoiceResult.invoice : null;
+
+    console.warn(`Settlement: Payment record with reference ${paystackData.reference} not found. Creating new one.`);
+    try {
+        const transaction = await Transaction.create({
+            studentId: student_id,
+            paystackReference: paystackData.reference,
+            amount: invoice ? Math.min(Number(paystackData.amount), invoiceBalance(invoice)) : 0, // In kobo
+            invoice: invoice ? invoice._id : null,
+            feeItems: invoice ? invoice.items : [],
+            currency: 'NGN',
+            // Without an invoice the amount due is unknown, so the payment is left for the bursary to resolve
+            ...(invoice ? {} : {
+                status: 'amount_mismatch',
+                statusReason: 'No invoice could be issued for this term, so the amount due could not be determined.',
+                amountPaid: Number(paystackData.amount),
+                paidAt: paystackData.paid_at
+            }),
+            term: term ? term._id : term_id,
+            semester: semester,
+            academicYear: academic_year,
+            description: description || `Fee payment for ${semester} ${academic_year}`
+        });
+        return { transaction };
+    } catch (error) {
+        if (error.code === 11000) { // Created by a concurrent webhook or verification
+            return { transaction: await Transaction.findOne({ paystackReference: paystackData.reference }) };
+        }
+        throw error;
+    }
+};
+
+// Settles a transaction from the data Paystack reports for it (the `data` of a charge event, or of
+// GET /transaction/verify/:reference). Safe to call any number of times for the same transaction.
+// Returns { transaction, invoice, outcome } or { error }; outcome is one of
+// settled, already-settled, amount-mismatch, failed, unchanged.
+const settlePayment = async (paystackData) => {
+    const reference = paystackData && paystackData.reference;
+    if (!reference) {
+        return rejected(400, 'The payment data has no reference.');
+    }
+
+    let transaction = await Transaction.findOne({ paystackReference: reference });
+    if (!transaction) {
+        if (paystackData.status !== 'success') {
+            return { transaction: null, outcome: 'unchanged' }; // Nothing was recorded and nothing was collected
+        }
+        const created = await createMissingTransaction(paystackData);
+        if (created.error) {
+            return created;
+        }
+        transaction = created.transaction;
+    }
+
+    if (transaction.status === 'amount_mismatch') {
+        return { transaction, outcome: 'amount-mismatch' };
+    }
+    if (transaction.status === 'success') {
+        // Posting is idempotent; this completes a settlement that stopped before the ledger was updated
+        const posting = await postPayment(transaction);
+        if (posting.error) {
+            return posting;
+        }
+        return { transaction: await Transaction.findById(transaction._id), invoice: posting.invoice, outcome: 'already-settled' };
+    }
+
+    if (paystackData.status !== 'success') {
+        if (!UNSUCCESSFUL_STATUSES.includes(paystackData.status)) {
+            return { transaction, outcome: 'unchanged' }; // e.g. still ongoing
+        }
+        const closed = await Transaction.findOneAndUpdate(
+            { _id: transaction._id, status: 'pending' },
+            { $set: { status: paystackData.status, statusReason: paystackData.gateway_response || null, updatedAt: Date.now() } },
+            { new: true }
+        );
+        if (closed) {
+            await releaseReservation(closed);
+        }
+        return { transaction: closed || transaction, outcome: closed ? 'failed' : 'unchanged' };
+    }
+
+    // The student is only credited when the provider collected exactly what was due
+    const mismatch = describeAmountMismatch(transaction.amount, transaction.currency, paystackData);
+    const settled = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: { $in: OPEN_STATUSES } },
+        {
+            $set: {
+                status: mismatch ? 'amount_mismatch' : 'success',
+                statusReason: mismatch,
+                amountPaid: Number(paystackData.amount),
+                paidAt: paystackData.paid_at,
+                updatedAt: Date.now()
+            }
+        },
+        { new: true }
+    );
+    if (!settled) { // Settled by a concurrent webhook or verification in the meantime
+        return settlePayment(paystackData);
+    }
+    if (mismatch) {
+        console.warn(`Settlement: Amount mismatch for ${reference}: ${mismatch}`);
+        await releaseReservation(settled); // Not credited; the bursary resolves it
+        return { transaction: settled, outcome: 'amount-mismatch' };
+    }
+
+    const posting = await postPayment(settled);
+    if (posting.error) {
+        return posting;
+    }
+    return { transaction: await Transaction.findById(settled._id), invoice: posting.invoice, outcome: 'settled' };
+};
+
+// "<event>:<data.id>"; falls back to a hash of the body for events without a data id
+const eventKeyFor = (event, rawBody) => (event.data && event.data.id !== undefined && event.data.id !== null)
+    ? `${event.event}:${event.data.id}`
+    : `${event.event}:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+// Records the event, or takes over a delivery that failed or stalled. Returns the PaymentEvent to
+// process, or null when the event is a replay of one already handled (or being handled).
+const claimEvent = async (event, rawBody) => {
+    const eventKey = eventKeyFor(event, rawBody);
+    try {
+        return await PaymentEvent.create({
+            eventKey,
+            event: event.event,
+            reference: event.data ? event.data.reference || null : null,
+            payloadHash: crypto.createHash('sha256').update(rawBody).digest('hex')
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const retried = await PaymentEvent.findOneAndUpdate(
+        {
+            eventKey,
+            $or: [
+                { status: 'failed' },
+                { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+            ]
+        },
+        { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!retried) {
+        await PaymentEvent.updateOne({ eventKey }, { $inc: { duplicateDeliveries: 1 } });
+    }
+    return retried;
+};
+
+// Handles a webhook event whose signature has been checked. Returns { duplicate, outcome }.
+// Throws when processing fails, after marking the event failed so Paystack's retry processes it again.
+const handleWebhookEvent = async (event, rawBody) => {
+    const record = await claimEvent(event, rawBody);
+    if (!record) {
+        return { duplicate: true, outcome: null };
+    }
+
+    try {
+        if (!SETTLEMENT_EVENTS.includes(event.event)) {
+            record.status = 'ignored';
+            record.outcome = 'unhandled-event';
+        } else {
+            const result = await settlePayment(event.data || {});
+            if (result.error) {
+                // Retrying cannot fix bad data (e.g. missing metadata); keep the reason for the bursary
+                if (result.error.httpStatus >= 500) throw new Error(result.error.message);
+                record.status = 'ignored';
+                record.error = result.error.message;
+            } else {
+                record.status = 'processed';
+                record.outcome = result.outcome;
+            }
+        }
+        record.processedAt = new Date();
+        await record.save();
+        return { duplicate: false, outcome: record.outcome };
+    } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        await record.save();
+        throw error;
+    }
+};
+
+module.exports = {
+    UNSUCCESSFUL_STATUSES,
+    settlePayment,
+    eventKeyFor,
+    handleWebhookEvent
+};
@@ -0,0 +1,66 @@
+// services/paystackService.js
+// Thin client for the Paystack API and webhook signatures.
+// PAYSTACK_API_BASE_URL can point at the local stand-in (Scripts/PaystackStandIn.js) during development.
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PAYSTACK_API_BASE_URL = process.env.PAYSTACK_API_BASE_URL || 'https://api.paystack.co';
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` });
+
+// HMAC-SHA512 of the raw request body with the secret key, as Paystack sends in x-paystack-signature
+const signPayload = (rawBody, secret = process.env.PAYSTACK_SECRET_KEY) =>
+    crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+
+// Checks a webhook signature against the exact bytes received. Re-serialising the parsed JSON is not
+// enough: key order, spacing and number formatting can differ from what Paystack signed.
+const isValidSignature = (rawBody, signature) => {
+    if (!rawBody || !signature || !process.env.PAYSTACK_SECRET_KEY) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(rawBody), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// `verify` hook for the JSON body parser: keeps the exact bytes of webhook requests as req.rawBody for
+// isValidSignature, e.g. app.use(bodyParser.json({ verify: keepRawWebhookBody }))
+const keepRawWebhookBody = (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhook')) {
+        req.rawBody = buf;
+    }
+};
+
+// GET /transaction/verify/:reference. Resolves to Paystack's `data` for the transaction.
+const verifyTransaction = async (reference) => {
+    const response = await axios.get(`${PAYSTACK_API_BASE_URL}/transaction/verify/${encodeURIComponent(reference)}`, {
+        headers: authHeaders()
+    });
+    return response.data.data;
+};
+
+// GET /transaction for one page of transactions created between `from` and `to`.
+// Resolves to { data, meta }; meta.pageCount tells how many pages there are.
+const listTransactions = async ({ from, to, page = 1, perPage = 100, status }) => {
+    const response = await axios.get(`${PAYSTACK_API_BASE_URL}/transaction`, {
+        headers: authHeaders(),
+        params: {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            page,
+            perPage,
+            ...(status ? { status } : {})
+        }
+    });
+    return { data: response.data.data, meta: response.data.meta };
+};
+
+module.exports = {
+    PAYSTACK_API_BASE_URL,
+    signPayload,
+    isValidSignature,
+    keepRawWebhookBody,
+    verifyTransaction,
+    listTransactions
+};
@@ -0,0 +1,132 @@
+// services/pdfService.js
+// Shared PDFKit helpers for official documents: branded header and footer, and simple tables.
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { SCHOOL_NAME } = require('./IdentifierService.js');
+
+const BRAND_COLOR = '#1f3c88';
+const MUTED_COLOR = '#555555';
+
+// Optional logo shown in the header (PNG or JPEG)
+const SCHOOL_LOGO_PATH = process.env.SCHOOL_LOGO_PATH;
+
+// Starts an A4 document with the school header and `title` underneath it.
+// `footerText` is printed at the bottom of every page, e.g. a verification code.
+// `office` is the issuing office printed under the school name.
+const createBrandedDocument = ({ title, subtitle, footerText, layout = 'portrait', office = 'Office of the Registrar' }) => {
+    const doc = new PDFDocument({ size: 'A4', layout, margin: 50, bufferPages: true, info: { Title: title, Author: SCHOOL_NAME } });
+
+    if (SCHOOL_LOGO_PATH && fs.existsSync(SCHOOL_LOGO_PATH)) {
+        doc.image(SCHOOL_LOGO_PATH, doc.page.margins.left, 40, { fit: [50, 50] });
+    }
+
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18)
+        .text(SCHOOL_NAME, { align: 'center' });
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(10)
+        .text(office, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(14)
+        .text(title, { align: 'center' });
+    if (subtitle) {
+        doc.font('Helvetica').fontSize(10).text(subtitle, { align: 'center' });
+    }
+
+    const ruleY = doc.y + 6;
+    doc.moveTo(doc.page.margins.left, ruleY)
+        .lineTo(doc.page.width - doc.page.margins.right, ruleY)
+        .lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+    doc.y = ruleY + 12;
+    doc.x = doc.page.margins.left;
+
+    doc.footerText = footerText;
+    return doc;
+};
+
+// Writes the footer (page numbers and footerText) on every page, then ends the document.
+// Call this instead of doc.end().
+const finalizeDocument = (doc) => {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.height - doc.page.margins.bottom + 15;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        // Lift the bottom margin while writing so PDFKit does not start a new page
+        const { bottom: savedMargin } = doc.page.margins;
+        doc.page.margins.bottom = 0;
+        doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8);
+        if (doc.footerText) {
+            doc.text(doc.footerText, doc.page.margins.left, bottom, { width, align: 'left' });
+        }
+        doc.text(`Page ${i - range.start + 1} of ${range.count}`, doc.page.margins.left, bottom, { width, align: 'right' });
+        doc.page.margins.bottom = savedMargin;
+    }
+    doc.end();
+};
+
+// Label / value lines, e.g. [['Name', 'Jane Doe'], ['Department', 'Physics']]
+const drawKeyValues = (doc, pairs) => {
+    doc.fillColor('black').fontSize(10);
+    for (const [label, value] of pairs) {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+            .font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value));
+    }
+    doc.moveDown(0.5);
+};
+
+// Draws a table. `columns` is [{ header, key, width, align }]; widths are in points.
+// Starts a new page (and repeats the header row) when the table runs past the bottom margin.
+const drawTable = (doc, columns, rows, { fontSize = 9, rowPadding = 4 } = {}) => {
+    const left = doc.page.margins.left;
+    const rowHeight = fontSize + rowPadding * 2;
+
+    const drawRow = (values, { bold = false, shaded = false } = {}) => {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            drawRow(columns.map(column => column.header), { bold: true, shaded: true });
+        }
+        const y = doc.y;
+        const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+        if (shaded) {
+            doc.rect(left, y, totalWidth, rowHeight).fillColor('#e8ecf7').fill();
+        }
+        let x = left;
+        doc.fillColor('black').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+        columns.forEach((column, index) => {
+            const value = values[index];
+            doc.text(value === undefined || value === null ? '' : String(value), x + 3, y + rowPadding, {
+                width: column.width - 6,
+                align: column.align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += column.width;
+        });
+        doc.moveTo(left, y + rowHeight).lineTo(left + totalWidth, y + rowHeight).lineWidth(0.5).strokeColor('#cccccc').stroke();
+        doc.x = left;
+        doc.y = y + rowHeight;
+    };
+
+    drawRow(columns.map(column => column.header), { bold: true, shaded: true });
+    for (const row of rows) {
+        drawRow(columns.map(column => row[column.key]));
+    }
+    doc.moveDown(0.5);
+};
+
+// Collects a finished PDF into a Buffer (handy for emailing or hashing)
+const documentToBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+});
+
+module.exports = {
+    BRAND_COLOR,
+    createBrandedDocument,
+    finalizeDocument,
+    drawKeyValues,
+    drawTable,
+    documentToBuffer
+};
@@ -0,0 +1,111 @@
+// services/prerequisiteService.js
+// Checks a course's prerequisite graph against a student's passed courses and waivers.
+
+const Course = require('../Models/Courses.js');
+const Enrollment = require('../Models/Enrollments.js');
+const PrerequisiteWaiver = require('../Models/PrerequisiteWaivers.js');
+const { gradePointFor } = require('./GpaService.js');
+const { isPublished } = require('./ResultWorkflowService.js');
+
+// Statuses that can never count as having passed a course
+const NON_PASSING_STATUSES = ['Dropped', 'Pending'];
+
+// Ids (as strings) of every course the student has passed: a graded enrollment with a
+// non-zero grade point that was not dropped, and whose result is published. A draft or in-approval
+// grade can still change, so it does not satisfy a prerequisite yet (whatever the enrollment status).
+const getPassedCourseIds = async (studentId) => {
+    const enrollments = await Enrollment.find({
+        student: studentId,
+        status: { $nin: NON_PASSING_STATUSES }
+    }).select('course finalGrade gradePoint status resultStatus').lean();
+
+    return new Set(
+        enrollments
+            .filter(isPublished)
+            .filter(enrollment => {
+                const gradePoint = gradePointFor(enrollment);
+                return gradePoint !== null && gradePoint > 0;
+            })
+            .map(enrollment => enrollment.course.toString())
+    );
+};
+
+// Active waivers for a student, grouped by the course they apply to.
+// Returns Map<courseId, Set<prerequisiteId | '*'>>, where '*' waives every prerequisite.
+const getActiveWaivers = async (studentId) => {
+    const now = new Date();
+    const waivers = await PrerequisiteWaiver.find({
+        student: studentId,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).lean();
+
+    const waiversByCourse = new Map();
+    for (const waiver of waivers) {
+        const courseKey = waiver.course.toString();
+        if (!waiversByCourse.has(courseKey)) waiversByCourse.set(courseKey, new Set());
+        waiversByCourse.get(courseKey).add(waiver.prerequisite ? waiver.prerequisite.toString() : '*');
+    }
+    return waiversByCourse;
+};
+
+// Walks the prerequisite graph of `course` and returns every prerequisite the student is missing.
+// A prerequisite that has been passed (or waived) satisfies its whole sub-tree; for a missing one we
+// keep walking so the student can see the full chain they still need.
+//
+// Returns { satisfied, missing: [{ courseId, courseCode, title, requiredFor }], waived: [...] }
+const checkPrerequisites = async (studentId, course, context = {}) => {
+    const passedCourseIds = context.passedCourseIds || await getPassedCourseIds(studentId);
+    const waiversByCourse = context.waiversByCourse || await getActiveWaivers(studentId);
+
+    const missing = [];
+    const waived = [];
+    const visited = new Set([course._id.toString()]);
+
+    // Breadth-first over the prerequisite graph; `queue` holds courses whose prerequisites need checking
+    let queue = [course];
+    while (queue.length > 0) {
+        const parentIds = queue.flatMap(parent => (parent.prerequisites || []).map(id => id.toString()));
+        const prerequisites = parentIds.length > 0
+            ? await Course.find({ _id: { $in: parentIds } }).select('courseCode title prerequisites').lean()
+            : [];
+        const prerequisitesById = new Map(prerequisites.map(p => [p._id.toString(), p]));
+
+        const nextQueue = [];
+        for (const parent of queue) {
+            const parentWaivers = waiversByCourse.get(parent._id.toString()) || new Set();
+
+            for (const prerequisiteId of (parent.prerequisites || []).map(id => id.toString())) {
+                const prerequisite = prerequisitesById.get(prerequisiteId);
+                if (!prerequisite || passedCourseIds.has(prerequisiteId)) continue;
+
+                const entry = {
+                    courseId: prerequisite._id,
+                    courseCode: prerequisite.courseCode,
+                    title: prerequisite.title,
+                    requiredFor: parent.courseCode
+                };
+
+                if (parentWaivers.has('*') || parentWaivers.has(prerequisiteId)) {
+                    waived.push(entry);
+                    continue;
+                }
+
+                missing.push(entry);
+                if (!visited.has(prerequisiteId)) { // Guard against cycles in the graph
+                    visited.add(prerequisiteId);
+                    nextQueue.push(prerequisite);
+                }
+            }
+        }
+        queue = nextQueue;
+    }
+
+    return { satisfied: missing.length === 0, missing, waived };
+};
+
+module.exports = {
+    getPassedCourseIds,
+    getActiveWaivers,
+    checkPrerequisites
+};
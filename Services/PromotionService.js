@@ -0,0 +1,373 @@
+// services/promotionService.js
+// End-of-session promotion: works out, from each student's published results, whether they move up a
+// level, repeat it, go on probation or are withdrawn. A run is first saved as a draft report that
+// registrars review (and may override per student) before committing it to the students' records.
+
+const PromotionRun = require('../Models/PromotionRuns.js');
+const Student = require('../Models/Students.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { computeResultSummary, gradePointFor } = require('./GpaService.js');
+const { isPublished } = require('./ResultWorkflowService.js');
+const { shiftAcademicYear } = require('./AcademicTermService.js');
+
+// Used for any threshold a run does not set
+const DEFAULT_PROMOTION_THRESHOLDS = {
+    minCreditsEarned: 24,
+    minCgpa: 1.0,
+    probationCgpa: 1.0
+};
+
+// Enrollments in these statuses never count towards promotion
+const EXCLUDED_STATUSES = ['Dropped', 'Pending'];
+
+// Enrollments whose results are expected before a student can be assessed
+const RESULT_BEARING_STATUSES = ['Enrolled', 'Completed'];
+
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+const finalLevelFor = (student) => (student.programmeDuration || 4) * 100;
+
+// Level and standing a student ends up with for an outcome
+const effectOf = (outcome, { level, standing }) => {
+    switch (outcome) {
+        case 'promote': return { newLevel: level + 100, newStanding: 'good' };
+        case 'final-level': return { newLevel: level, newStanding: 'good' };
+        case 'repeat': return { newLevel: level, newStanding: 'good' };
+        case 'probation': return { newLevel: level, newStanding: 'probation' };
+        case 'withdraw': return { newLevel: level, newStanding: 'withdrawn' };
+        default: return { newLevel: level, newStanding: standing }; // review: nothing changes
+    }
+};
+
+// Decides the outcome for one student.
+// `student`: { level, standing, finalLevel, creditsAttempted, creditsEarned, cgpa, unpublishedResults }
+// Returns { outcome, reasons }.
+const decideOutcome = (student, thresholds) => {
+    const { minCreditsEarned, minCgpa, probationCgpa } = thresholds;
+
+    if (student.unpublishedResults > 0) {
+        return { outcome: 'review', reasons: [`${student.unpublishedResults} result(s) for the session are not published yet.`] };
+    }
+    if (student.creditsAttempted === 0) {
+        return { outcome: 'review', reasons: ['No graded results in the session.'] };
+    }
+
+    if (student.cgpa < probationCgpa) {
+        if (student.standing === 'probation') {
+            return { outcome: 'withdraw', reasons: [`CGPA ${student.cgpa.toFixed(2)} is still below ${probationCgpa.toFixed(2)} after a session on probation.`] };
+        }
+        return { outcome: 'probation', reasons: [`CGPA ${student.cgpa.toFixed(2)} is below ${probationCgpa.toFixed(2)}.`] };
+    }
+
+    const reasons = [];
+    if (student.cgpa < minCgpa) {
+        reasons.push(`CGPA ${student.cgpa.toFixed(2)} is below the ${minCgpa.toFixed(2)} needed to move up.`);
+    }
+    if (student.creditsEarned < minCreditsEarned) {
+        reasons.push(`Earned ${student.creditsEarned} of the ${minCreditsEarned} credits needed to move up.`);
+    }
+    if (reasons.length > 0) {
+        return { outcome: 'repeat', reasons };
+    }
+
+    if (student.level >= student.finalLevel) {
+        return { outcome: 'final-level', reasons: ['Met the thresholds at the final level of the programme.'] };
+    }
+    return { outcome: 'promote', reasons: [] };
+};
+
+// Session figures for one student from their enrollments up to and including the session
+const assessStudent = (student, enrollments, academicYear) => {
+    const upToSession = enrollments.filter(enrollment => enrollment.academicYear <= academicYear);
+    const graded = upToSession.filter(enrollment => isPublished(enrollment) && gradePointFor(enrollment) !== null);
+    const summary = computeResultSummary(graded);
+
+    const sessionTerms = summary.terms.filter(term => term.academicYear === academicYear);
+    const creditsAttempted = sessionTerms.reduce((sum, term) => sum + term.creditsAttempted, 0);
+    const creditsEarned = sessionTerms.reduce((sum, term) => sum + term.creditsEarned, 0);
+    const qualityPoints = sessionTerms.reduce((sum, term) => sum + term.qualityPoints, 0);
+
+    const unpublishedResults = upToSession.filter(enrollment =>
+        enrollment.academicYear === academicYear &&
+        RESULT_BEARING_STATUSES.includes(enrollment.status) &&
+        !isPublished(enrollment)).length;
+
+    return {
+        student: student._id,
+        name: student.name,
+        registrationNumber: student.registrationNumber,
+        department: student.department,
+        level: student.level,
+        finalLevel: finalLevelFor(student),
+        standing: student.academicStanding || 'good',
+        creditsAttempted,
+        creditsEarned,
+        sessionGpa: creditsAttempted > 0 ? Math.round((qualityPoints / creditsAttempted) * 100) / 100 : 0,
+        cgpa: summary.cgpa,
+        unpublishedResults
+    };
+};
+
+// The open (draft or committing) run of the session whose students overlap the given scope, if any.
+// A run for every department, or every level, overlaps every run of the session on that axis.
+const findOverlappingOpenRun = (academicYear, departmentId, level) => PromotionRun.findOne({
+    academicYear,
+    status: { $in: ['draft', 'committing'] },
+    ...(departmentId ? { departmentId: { $in: [null, departmentId] } } : {}),
+    ...(level ? { level: { $in: [null, level] } } : {})
+}).select('_id status').lean();
+
+const openRunConflict = (openRun, academicYear) => openRun.status === 'committing'
+    ? rejected(409, `A promotion run for ${academicYear} covering these students did not finish committing. Commit it again first.`, { runId: openRun._id })
+    : rejected(409, `A draft promotion run for ${academicYear} already covers these students. Commit or discard it first.`, { runId: openRun._id });
+
+// Builds and saves a draft promotion run for a session.
+// `department` is a Department or null (every department), `level` a level or null (every level).
+// Withdrawn students and students already assessed for the session by a committed run are left out.
+// Returns { run } or { error: { httpStatus, message } }.
+const createPromotionRun = async ({ academicYear, department, level, thresholds = {}, actor }) => {
+    const runThresholds = { ...DEFAULT_PROMOTION_THRESHOLDS, ...thresholds };
+    if (runThresholds.probationCgpa > runThresholds.minCgpa) {
+        return rejected(400, 'probationCgpa cannot be above minCgpa.');
+    }
+
+    const departmentId = department ? department._id : null;
+    const runLevel = level ? Number(level) : null;
+    const openRun = await findOverlappingOpenRun(academicYear, departmentId, runLevel);
+    if (openRun) {
+        return openRunConflict(openRun, academicYear);
+    }
+
+    let studentQuery = {
+        academicStanding: { $ne: 'withdrawn' },
+        'progressionHistory.academicYear': { $ne: academicYear }
+    };
+    if (department) studentQuery.departmentId = department._id;
+    if (level) studentQuery.level = Number(level);
+
+    const students = await Student.find(studentQuery)
+        .select('name registrationNumber department level programmeDuration academicStanding')
+        .sort({ level: 1, registrationNumber: 1 })
+        .lean();
+    if (students.length === 0) {
+        return rejected(404, `No students are waiting for a promotion decision for ${academicYear}.`);
+    }
+
+    const enrollments = await Enrollment.find({
+        student: { $in: students.map(student => student._id) },
+        status: { $nin: EXCLUDED_STATUSES }
+    })
+        .populate('course', 'credits')
+        .lean();
+    const enrollmentsByStudent = new Map();
+    for (const enrollment of enrollments) {
+        const key = enrollment.student.toString();
+        if (!enrollmentsByStudent.has(key)) enrollmentsByStudent.set(key, []);
+        enrollmentsByStudent.get(key).push(enrollment);
+    }
+
+    const entries = students.map(student => {
+        const assessment = assessStudent(student, enrollmentsByStudent.get(student._id.toString()) || [], academicYear);
+        const { outcome, reasons } = decideOutcome(assessment, runThresholds);
+        return { ...assessment, outcome, reasons, ...effectOf(outcome, assessment) };
+    });
+
+    try {
+        const run = await PromotionRun.create({
+            academicYear,
+            departmentId,
+            level: runLevel,
+            thresholds: runThresholds,
+            entries,
+            createdBy: actor.id,
+            createdByRole: actor.role
+        });
+        return { run };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Another request created a run for the same scope in the meantime
+        const concurrentRun = await findOverlappingOpenRun(academicYear, departmentId, runLevel);
+        return concurrentRun
+            ? openRunConflict(concurrentRun, academicYear)
+            : rejected(409, `A promotion run for ${academicYear} was created for these students in the meantime.`);
+    }
+};
+
+// Changes the outcome of one student in a draft run. A note explaining the decision is required.
+// Returns { run, entry } or { error: { httpStatus, message } }.
+const overridePromotionEntry = async ({ runId, studentId, outcome, note, actor }) => {
+    if (outcome === 'review') {
+        return rejected(400, "Choose an outcome other than 'review'.");
+    }
+    if (!note) {
+        return rejected(400, 'A note explaining the decision is required.');
+    }
+
+    const run = await PromotionRun.findById(runId);
+    if (!run) {
+        return rejected(404, 'Promotion run not found.');
+    }
+    if (run.status !== 'draft') {
+        return rejected(409, `This promotion run is already ${run.status}.`);
+    }
+
+    const entry = run.entries.find(candidate => candidate.student.toString() === String(studentId));
+    if (!entry) {
+        return rejected(404, 'Student is not part of this promotion run.');
+    }
+    if (outcome === 'promote' && entry.level >= entry.finalLevel) {
+        return rejected(400, `${entry.level} is the final level of the student's programme. Use 'final-level' instead.`);
+    }
+
+    Object.assign(entry, { outcome, ...effectOf(outcome, entry), overriddenBy: actor.id, overrideNote: note });
+    await run.save();
+    return { run, entry };
+};
+
+// Applies a draft run to the students: level, academic standing, a progression history entry and, for
+// students who stay at their level, an expected graduation one session later. Every 'review' entry
+// must have been decided first.
+// The run stays 'committing' until every student is written, so a commit that was interrupted part way
+// is resumed by committing the run again; students it already updated are not updated twice.
+// Returns { run, applied, skipped } or { error: { httpStatus, message, details } }.
+const commitPromotionRun = async ({ runId, actor }) => {
+    const run = await PromotionRun.findById(runId).lean();
+    if (!run) {
+        return rejected(404, 'Promotion run not found.');
+    }
+    if (!['draft', 'committing'].includes(run.status)) {
+        return rejected(409, `This promotion run is already ${run.status}.`);
+    }
+
+    const undecided = run.entries.filter(entry => entry.outcome === 'review');
+    if (undecided.length > 0) {
+        return rejected(409, `${undecided.length} student(s) still need a decision.`, undecided.map(entry => ({
+            studentId: entry.student,
+            name: entry.name,
+            registrationNumber: entry.registrationNumber,
+            reasons: entry.reasons
+        })));
+    }
+
+    // Claim the run: overrides and discards only apply to drafts, so the entries cannot change from here on
+    if (run.status === 'draft') {
+        const claimedRun = await PromotionRun.findOneAndUpdate(
+            { _id: run._id, status: 'draft' },
+            { $set: { status: 'committing', closedBy: actor.id, closedByRole: actor.role } }
+        );
+        if (!claimedRun) {
+            return rejected(409, 'The promotion run was updated by someone else. Please reload and try again.');
+        }
+    }
+
+    let applied = 0;
+    let skipped = 0;
+    for (const entry of run.entries) {
+        const student = await Student.findById(entry.student).select('expectedGraduationYear').lean();
+        if (!student) {
+            skipped++;
+            continue;
+        }
+
+        let update = {
+            $set: { level: entry.newLevel, academicStanding: entry.newStanding },
+            $push: {
+                progressionHistory: {
+                    academicYear: run.academicYear,
+                    fromLevel: entry.level,
+                    toLevel: entry.newLevel,
+                    outcome: entry.outcome,
+                    standing: entry.newStanding,
+                    creditsEarned: entry.creditsEarned,
+                    cgpa: entry.cgpa,
+                    promotionRun: run._id
+                }
+            }
+        };
+        if (['repeat', 'probation'].includes(entry.outcome) && student.expectedGraduationYear) {
+            update.$set.expectedGraduationYear = shiftAcademicYear(student.expectedGraduationYear, 1);
+        }
+
+        // Skip students another run has already decided for this session
+        const result = await Student.updateOne(
+            { _id: entry.student, 'progressionHistory.academicYear': { $ne: run.academicYear } },
+            update
+        );
+        if (result.modifiedCount > 0 || await Student.exists({ _id: entry.student, 'progressionHistory.promotionRun': run._id })) {
+            applied++; // Updated now, or by the interrupted commit this one resumes
+        } else {
+            skipped++;
+        }
+    }
+
+    await PromotionRun.updateOne(
+        { _id: run._id, status: 'committing' },
+        { $set: { status: 'committed', isOpen: false, closedAt: new Date() } }
+    );
+    const committedRun = await PromotionRun.findById(run._id);
+
+    return { run: committedRun, applied, skipped };
+};
+
+// Closes a draft run without changing any student.
+// Returns { run } or { error: { httpStatus, message } }.
+const discardPromotionRun = async ({ runId, actor }) => {
+    const run = await PromotionRun.findOneAndUpdate(
+        { _id: runId, status: 'draft' },
+        { $set: { status: 'discarded', isOpen: false, closedBy: actor.id, closedByRole: actor.role, closedAt: new Date() } },
+        { new: true }
+    );
+    if (!run) {
+        const existing = await PromotionRun.findById(runId).select('status').lean();
+        return existing
+            ? rejected(409, `This promotion run is already ${existing.status}.`)
+            : rejected(404, 'Promotion run not found.');
+    }
+    return { run };
+};
+
+// Number of students per outcome, e.g. { promote: 120, repeat: 4, ... }
+const summarizeOutcomes = (run) => {
+    const counts = {};
+    for (const entry of run.entries) {
+        counts[entry.outcome] = (counts[entry.outcome] || 0) + 1;
+    }
+    return counts;
+};
+
+const promotionRunToRecords = (run) => {
+    const records = [[
+        'Registration Number', 'Name', 'Department', 'Level', 'Standing', 'Credits Attempted', 'Credits Earned',
+        'Session GPA', 'CGPA', 'Outcome', 'New Level', 'New Standing', 'Reasons', 'Override Note'
+    ]];
+    for (const entry of run.entries) {
+        records.push([
+            entry.registrationNumber,
+            entry.name,
+            entry.department,
+            entry.level,
+            entry.standing,
+            entry.creditsAttempted,
+            entry.creditsEarned,
+            entry.sessionGpa.toFixed(2),
+            entry.cgpa.toFixed(2),
+            entry.outcome,
+            entry.newLevel,
+            entry.newStanding,
+            entry.reasons.join(' '),
+            entry.overrideNote || ''
+        ]);
+    }
+    return records;
+};
+
+module.exports = {
+    DEFAULT_PROMOTION_THRESHOLDS,
+    decideOutcome,
+    createPromotionRun,
+    overridePromotionEntry,
+    commitPromotionRun,
+    discardPromotionRun,
+    summarizeOutcomes,
+    promotionRunToRecords
+};
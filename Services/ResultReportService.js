@@ -0,0 +1,310 @@
+// services/resultReportService.js
+// Term result reports built from Enrollment data: the department broadsheet (one row per student,
+// one column per course) and the per-student result slip, with CSV and PDF output.
+
+const Student = require('../Models/Students.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { computeResultSummary, compareTerms, gradePointFor, creditsFor } = require('./GpaService.js');
+const { createBrandedDocument, finalizeDocument, drawKeyValues, drawTable } = require('./PdfService.js');
+const { withheldUnlessPublished } = require('./ResultWorkflowService.js');
+
+// Enrollments in these statuses never appear on a result report
+const EXCLUDED_STATUSES = ['Dropped', 'Pending'];
+
+// A CGPA below this puts the student on academic probation
+const PROBATION_CGPA = 1.0;
+
+const REMARKS = {
+    PASS: 'Pass',
+    CARRY_OVER: 'Carry-over',
+    PROBATION: 'Probation',
+    INCOMPLETE: 'Incomplete'
+};
+
+// Remark for one student's term:
+// - Incomplete: at least one course is still ungraded,
+// - Probation: CGPA below PROBATION_CGPA,
+// - Carry-over: at least one course failed (it has to be retaken),
+// - Pass otherwise.
+const remarkFor = ({ ungradedCourses, failedCourses, cgpa }) => {
+    if (ungradedCourses.length > 0) return REMARKS.INCOMPLETE;
+    if (cgpa < PROBATION_CGPA) return REMARKS.PROBATION;
+    if (failedCourses.length > 0) return REMARKS.CARRY_OVER;
+    return REMARKS.PASS;
+};
+
+// Term result for one student, from all their enrollments (used for the CGPA up to and including the term).
+// `enrollments` must have `course` populated with courseCode, title and credits.
+const buildStudentTermResult = (enrollments, academicYear, semester) => {
+    const term = { academicYear, semester };
+    const upToTerm = enrollments.filter(enrollment => compareTerms(enrollment, term) <= 0);
+    const inTerm = enrollments.filter(enrollment =>
+        enrollment.academicYear === academicYear && enrollment.semester === semester && enrollment.course);
+
+    const summary = computeResultSummary(upToTerm);
+    const termSummary = summary.terms.find(t => t.academicYear === academicYear && t.semester === semester);
+
+    const courses = inTerm
+        .map(enrollment => ({
+            courseId: enrollment.course._id,
+            courseCode: enrollment.course.courseCode,
+            title: enrollment.course.title,
+            credits: creditsFor(enrollment),
+            caScore: enrollment.caScore,
+            examScore: enrollment.examScore,
+            totalScore: enrollment.totalScore,
+            grade: enrollment.finalGrade || null,
+            gradePoint: gradePointFor(enrollment)
+        }))
+        .sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+
+    const ungradedCourses = courses.filter(course => course.gradePoint === null).map(course => course.courseCode);
+    const failedCourses = courses.filter(course => course.gradePoint === 0).map(course => course.courseCode);
+
+    return {
+        courses,
+        creditsAttempted: termSummary ? termSummary.creditsAttempted : 0,
+        creditsEarned: termSummary ? termSummary.creditsEarned : 0,
+        gpa: termSummary ? termSummary.gpa : 0,
+        cgpa: summary.cgpa,
+        remark: remarkFor({ ungradedCourses, failedCourses, cgpa: summary.cgpa }),
+        carryOverCourses: failedCourses,
+        ungradedCourses
+    };
+};
+
+const findReportEnrollments = (studentIds) =>
+    Enrollment.find({ student: { $in: studentIds }, status: { $nin: EXCLUDED_STATUSES } })
+        .populate('course', 'courseCode title credits')
+        .lean();
+
+// Broadsheet for the students of a department and level in a term. Students without any
+// enrollment in the term are left out. `department` is a Department (see Services/DepartmentService.js).
+//
+// Returns { department, level, academicYear, semester, courses: [{ courseId, courseCode, title, credits }], rows: [...] }
+const buildBroadsheet = async ({ department, level, academicYear, semester }) => {
+    let studentQuery = { departmentId: department._id };
+    if (level) studentQuery.level = Number(level);
+
+    const students = await Student.find(studentQuery).select('name registrationNumber level').sort({ registrationNumber: 1 }).lean();
+    const enrollments = await findReportEnrollments(students.map(student => student._id));
+
+    const enrollmentsByStudent = new Map();
+    for (const enrollment of enrollments) {
+        const key = enrollment.student.toString();
+        if (!enrollmentsByStudent.has(key)) enrollmentsByStudent.set(key, []);
+        enrollmentsByStudent.get(key).push(enrollment);
+    }
+
+    const coursesById = new Map();
+    const rows = [];
+    for (const student of students) {
+        const result = buildStudentTermResult(enrollmentsByStudent.get(student._id.toString()) || [], academicYear, semester);
+        if (result.courses.length === 0) continue;
+
+        for (const course of result.courses) {
+            coursesById.set(course.courseId.toString(), {
+                courseId: course.courseId,
+                courseCode: course.courseCode,
+                title: course.title,
+                credits: course.credits
+            });
+        }
+
+        rows.push({
+            studentId: student._id,
+            registrationNumber: student.registrationNumber,
+            name: student.name,
+            level: student.level,
+            grades: Object.fromEntries(result.courses.map(course => [course.courseCode, {
+                totalScore: course.totalScore,
+                grade: course.grade
+            }])),
+            creditsAttempted: result.creditsAttempted,
+            creditsEarned: result.creditsEarned,
+            gpa: result.gpa,
+            cgpa: result.cgpa,
+            remark: result.remark,
+            carryOverCourses: result.carryOverCourses
+        });
+    }
+
+    return {
+        department: department.name,
+        departmentCode: department.code,
+        level: level ? Number(level) : null,
+        academicYear,
+        semester,
+        courses: [...coursesById.values()].sort((a, b) => a.courseCode.localeCompare(b.courseCode)),
+        rows
+    };
+};
+
+// Result slip for one student in a term. Returns null if the student does not exist.
+// With publishedOnly (the student's own view) unpublished scores are withheld.
+const buildResultSlip = async (studentId, academicYear, semester, { publishedOnly = false } = {}) => {
+    const student = await Student.findById(studentId).select('name registrationNumber department level').lean();
+    if (!student) {
+        return null;
+    }
+
+    let enrollments = await findReportEnrollments([student._id]);
+    if (publishedOnly) {
+        enrollments = enrollments.map(withheldUnlessPublished);
+    }
+
+    return {
+        student,
+        academicYear,
+        semester,
+        ...buildStudentTermResult(enrollments, academicYear, semester)
+    };
+};
+
+// "71 (A)", "(B)" when there is no total, "" when not graded
+const formatGradeCell = (cell) => {
+    if (!cell || !cell.grade) return '';
+    return typeof cell.totalScore === 'number' ? `${cell.totalScore} (${cell.grade})` : `(${cell.grade})`;
+};
+
+// CSV rows (arrays) for csv-stringify
+const broadsheetToRecords = (broadsheet) => {
+    const courseCodes = broadsheet.courses.map(course => course.courseCode);
+    const records = [[
+        'Registration Number', 'Name', ...courseCodes,
+        'Credits Attempted', 'Credits Earned', 'GPA', 'CGPA', 'Remark', 'Carry-over Courses'
+    ]];
+    for (const row of broadsheet.rows) {
+        records.push([
+            row.registrationNumber,
+            row.name,
+            ...courseCodes.map(code => formatGradeCell(row.grades[code])),
+            row.creditsAttempted,
+            row.creditsEarned,
+            row.gpa.toFixed(2),
+            row.cgpa.toFixed(2),
+            row.remark,
+            row.carryOverCourses.join(' ')
+        ]);
+    }
+    return records;
+};
+
+const resultSlipToRecords = (slip) => {
+    const records = [['Course Code', 'Course Title', 'Credits', 'CA Score', 'Exam Score', 'Total', 'Grade', 'Grade Point']];
+    for (const course of slip.courses) {
+        records.push([
+            course.courseCode,
+            course.title,
+            course.credits,
+            course.caScore ?? '',
+            course.examScore ?? '',
+            course.totalScore ?? '',
+            course.grade || '',
+            course.gradePoint ?? ''
+        ]);
+    }
+    records.push([]);
+    records.push(['GPA', slip.gpa.toFixed(2)]);
+    records.push(['CGPA', slip.cgpa.toFixed(2)]);
+    records.push(['Remark', slip.remark]);
+    return records;
+};
+
+// Landscape PDF; course columns share whatever width is left after the fixed columns
+const renderBroadsheetPdf = (broadsheet) => {
+    const doc = createBrandedDocument({
+        title: 'Departmental Result Broadsheet',
+        subtitle: `${broadsheet.department}${broadsheet.level ? ` - ${broadsheet.level} Level` : ''} - ${broadsheet.semester} ${broadsheet.academicYear}`,
+        footerText: `Generated on ${new Date().toISOString().slice(0, 10)}`,
+        layout: 'landscape'
+    });
+
+    const fixedColumns = [
+        { header: 'Reg. No.', key: 'registrationNumber', width: 95 },
+        { header: 'Name', key: 'name', width: 110 }
+    ];
+    const summaryColumns = [
+        { header: 'GPA', key: 'gpa', width: 35, align: 'center' },
+        { header: 'CGPA', key: 'cgpa', width: 35, align: 'center' },
+        { header: 'Remark', key: 'remark', width: 65 }
+    ];
+    const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const fixedWidth = [...fixedColumns, ...summaryColumns].reduce((sum, column) => sum + column.width, 0);
+    const courseWidth = broadsheet.courses.length > 0
+        ? Math.max(Math.floor((usableWidth - fixedWidth) / broadsheet.courses.length), 28)
+        : 0;
+
+    const columns = [
+        ...fixedColumns,
+        ...broadsheet.courses.map(course => ({ header: course.courseCode, key: course.courseCode, width: courseWidth, align: 'center' })),
+        ...summaryColumns
+    ];
+
+    const rows = broadsheet.rows.map(row => ({
+        registrationNumber: row.registrationNumber,
+        name: row.name,
+        ...Object.fromEntries(broadsheet.courses.map(course => [course.courseCode, formatGradeCell(row.grades[course.courseCode])])),
+        gpa: row.gpa.toFixed(2),
+        cgpa: row.cgpa.toFixed(2),
+        remark: row.remark
+    }));
+
+    if (rows.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No results for this department, level and term.');
+    } else {
+        drawTable(doc, columns, rows, { fontSize: broadsheet.courses.length > 10 ? 7 : 8 });
+    }
+
+    finalizeDocument(doc);
+    return doc;
+};
+
+const renderResultSlipPdf = (slip) => {
+    const doc = createBrandedDocument({
+        title: 'Semester Result Slip',
+        subtitle: `${slip.semester} ${slip.academicYear}`,
+        footerText: `Generated on ${new Date().toISOString().slice(0, 10)}`
+    });
+
+    drawKeyValues(doc, [
+        ['Name', slip.student.name],
+        ['Registration Number', slip.student.registrationNumber],
+        ['Department', slip.student.department],
+        ['Level', slip.student.level]
+    ]);
+
+    drawTable(doc, [
+        { header: 'Code', key: 'courseCode', width: 65 },
+        { header: 'Course Title', key: 'title', width: 170 },
+        { header: 'Credits', key: 'credits', width: 45, align: 'center' },
+        { header: 'CA', key: 'caScore', width: 40, align: 'center' },
+        { header: 'Exam', key: 'examScore', width: 40, align: 'center' },
+        { header: 'Total', key: 'totalScore', width: 45, align: 'center' },
+        { header: 'Grade', key: 'grade', width: 45, align: 'center' }
+    ], slip.courses);
+
+    drawKeyValues(doc, [
+        ['Credits Attempted', slip.creditsAttempted],
+        ['Credits Earned', slip.creditsEarned],
+        ['GPA', slip.gpa.toFixed(2)],
+        ['CGPA', slip.cgpa.toFixed(2)],
+        ['Remark', slip.remark],
+        ['Carry-over Courses', slip.carryOverCourses.join(', ')]
+    ]);
+
+    finalizeDocument(doc);
+    return doc;
+};
+
+module.exports = {
+    PROBATION_CGPA,
+    REMARKS,
+    remarkFor,
+    buildBroadsheet,
+    buildResultSlip,
+    broadsheetToRecords,
+    resultSlipToRecords,
+    renderBroadsheetPdf,
+    renderResultSlipPdf
+};
@@ -0,0 +1,181 @@
+// services/resultWorkflowService.js
+// Result approval workflow for a course's results in a term:
+//   draft (lecturer entering) -> submitted -> hod_approved -> senate_approved -> published
+// Students only see published results, and once results leave 'draft' only admin and registrar
+// can change scores.
+
+const ResultBatch = require('../Models/ResultBatches.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { isAssignedLecturer } = require('./CourseAccessService.js');
+const { findDepartment } = require('./DepartmentService.js');
+
+const RESULT_STATUSES = ['draft', 'submitted', 'hod_approved', 'senate_approved', 'published'];
+const PUBLISHED_STATUS = 'published';
+
+// Roles that can still change scores after the results have been submitted
+const SCORE_EDIT_OVERRIDE_ROLES = ['admin', 'registrar'];
+
+// Enrollments whose results move with the batch
+const RESULT_BEARING_STATUSES = ['Enrolled', 'Completed'];
+
+// Score fields hidden from students until the results are published
+const RESULT_FIELDS = ['caScore', 'examScore', 'totalScore', 'finalGrade', 'gradePoint'];
+
+// The head of department is the `hod` recorded on the course's Department
+const isHeadOfCourseDepartment = async (user, course) => {
+    if (user.role !== 'lecturer') return false;
+    const department = await findDepartment(course.departmentId || course.department);
+    return Boolean(department && department.hod && String(department.hod) === String(user.id));
+};
+
+const isAdminOrRegistrar = (user) => ['admin', 'registrar'].includes(user.role);
+
+// Who may take each step. `from` lists the stages the action can start from.
+const ACTIONS = {
+    'submit': {
+        from: ['draft'],
+        to: 'submitted',
+        allowed: async (user, course, batch) => user.role === 'admin' || isAssignedLecturer(user, course, batch)
+    },
+    'hod-approve': {
+        from: ['submitted'],
+        to: 'hod_approved',
+        allowed: async (user, course) => user.role === 'admin' || isHeadOfCourseDepartment(user, course)
+    },
+    'senate-approve': {
+        from: ['hod_approved'],
+        to: 'senate_approved',
+        allowed: async (user) => isAdminOrRegistrar(user)
+    },
+    'publish': {
+        from: ['senate_approved'],
+        to: PUBLISHED_STATUS,
+        allowed: async (user) => isAdminOrRegistrar(user)
+    },
+    // Sends the results back to the lecturer for corrections; allowed to whoever approves the current stage
+    'return': {
+        from: ['submitted', 'hod_approved', 'senate_approved'],
+        to: 'draft',
+        allowed: async (user, course, batch) => batch.status === 'submitted'
+            ? user.role === 'admin' || isHeadOfCourseDepartment(user, course)
+            : isAdminOrRegistrar(user)
+    }
+};
+
+// The batch for a course and term, created in 'draft' the first time it is needed
+const getOrCreateBatch = (course, term) => ResultBatch.findOneAndUpdate(
+    { course: course._id, academicYear: term.academicYear, semester: term.semester },
+    { $setOnInsert: { term: term._id, status: 'draft' } },
+    { new: true, upsert: true }
+);
+
+// Current stage of a course's results in a term (without creating a batch)
+const getResultStatus = async (courseId, academicYear, semester) => {
+    const batch = await ResultBatch.findOne({ course: courseId, academicYear, semester }).select('status').lean();
+    return batch ? batch.status : 'draft';
+};
+
+// Failure result of transitionResults: the HTTP status to answer with, a message and optional details
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+// Applies a workflow action.
+// Returns { batch, updatedEnrollments }, or { error: { httpStatus, message, details } } when the action is not allowed.
+const transitionResults = async ({ course, term, action, user, comment }) => {
+    const step = ACTIONS[action];
+    if (!step) {
+        return rejected(400, `Unknown action '${action}'. Use one of: ${Object.keys(ACTIONS).join(', ')}.`);
+    }
+
+    const batch = await getOrCreateBatch(course, term);
+
+    if (!step.from.includes(batch.status)) {
+        return rejected(409, `Cannot ${action} results that are '${batch.status}'.`);
+    }
+    if (!(await step.allowed(user, course, batch))) {
+        return rejected(403, `Forbidden: You are not allowed to ${action} the results of ${course.courseCode}.`);
+    }
+    if (action === 'return' && !comment) {
+        return rejected(400, 'A comment explaining what needs correcting is required.');
+    }
+
+    const enrollmentQuery = {
+        course: course._id,
+        academicYear: term.academicYear,
+        semester: term.semester,
+        status: { $in: RESULT_BEARING_STATUSES }
+    };
+
+    // Every student must have a grade before the results can be submitted
+    if (action === 'submit') {
+        const ungraded = await Enrollment.find({ ...enrollmentQuery, finalGrade: null })
+            .populate('student', 'name registrationNumber')
+            .lean();
+        if (ungraded.length > 0) {
+            return rejected(409, `${ungraded.length} student(s) have no grade yet.`, ungraded.map(enrollment => ({
+                enrollmentId: enrollment._id,
+                name: enrollment.student ? enrollment.student.name : 'N/A',
+                registrationNumber: enrollment.student ? enrollment.student.registrationNumber : 'N/A'
+            })));
+        }
+    }
+
+    // Move the batch only if nobody else moved it in the meantime
+    const updatedBatch = await ResultBatch.findOneAndUpdate(
+        { _id: batch._id, status: batch.status },
+        {
+            $set: { status: step.to },
+            $push: {
+                history: {
+                    action,
+                    from: batch.status,
+                    to: step.to,
+                    changedAt: new Date(),
+                    changedBy: user.id,
+                    changedByRole: user.role,
+                    comment
+                }
+            }
+        },
+        { new: true }
+    );
+    if (!updatedBatch) {
+        return rejected(409, 'The results were updated by someone else. Please reload and try again.');
+    }
+
+    const { modifiedCount } = await Enrollment.updateMany(enrollmentQuery, { $set: { resultStatus: step.to } });
+
+    return { batch: updatedBatch, updatedEnrollments: modifiedCount };
+};
+
+// Whether a user may change the scores of an enrollment at its current stage
+const canEditScores = (enrollment, user) =>
+    !enrollment.resultStatus || enrollment.resultStatus === 'draft' ||
+    Boolean(user && SCORE_EDIT_OVERRIDE_ROLES.includes(user.role));
+
+const isPublished = (enrollment) => enrollment.resultStatus === PUBLISHED_STATUS;
+
+// Copy of an enrollment with the score fields blanked
+const withholdResult = (enrollment) => {
+    const withheld = { ...enrollment };
+    for (const field of RESULT_FIELDS) {
+        withheld[field] = null;
+    }
+    return withheld;
+};
+
+// Copy of an enrollment with the score fields blanked unless its results are published
+const withheldUnlessPublished = (enrollment) => isPublished(enrollment) ? enrollment : withholdResult(enrollment);
+
+module.exports = {
+    RESULT_STATUSES,
+    PUBLISHED_STATUS,
+    SCORE_EDIT_OVERRIDE_ROLES,
+    ACTIONS,
+    getOrCreateBatch,
+    getResultStatus,
+    transitionResults,
+    canEditScores,
+    isPublished,
+    withholdResult,
+    withheldUnlessPublished
+};
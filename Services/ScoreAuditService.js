@@ -0,0 +1,84 @@
+// services/scoreAuditService.js
+// Score and grade change history. The entries themselves are written by the Enrollment pre-save hook
+// (see Models/Enrollments.js); this service reads them and reverts individual changes.
+
+const ScoreAudit = require('../Models/ScoreAudits.js');
+const Enrollment = require('../Models/Enrollments.js');
+const Course = require('../Models/Courses.js');
+const { resolveTerm, checkGradingWindow } = require('./AcademicTermService.js');
+const { canEditScores } = require('./ResultWorkflowService.js');
+const { canManageCourse, COURSE_ACCESS_DENIED } = require('./CourseAccessService.js');
+
+// Scores are restored on revert; the grade fields follow from them via the grading hook
+const SCORE_FIELDS = ['caScore', 'examScore'];
+
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+// Newest first
+const getScoreHistory = (enrollmentId) =>
+    ScoreAudit.find({ enrollment: enrollmentId }).sort({ createdAt: -1, _id: -1 }).lean();
+
+// Puts back the old values of one audit entry. The revert is itself audited (source 'revert').
+// Changes that only touched the grade (e.g. a regrade) restore the grade fields directly.
+// Returns { enrollment, audit } or { error: { httpStatus, message, details } }.
+const revertScoreChange = async ({ auditId, user, reason }) => {
+    if (!reason || !String(reason).trim()) {
+        return rejected(400, 'A reason for the revert is required.');
+    }
+
+    const audit = await ScoreAudit.findById(auditId).lean();
+    if (!audit) {
+        return rejected(404, 'Score audit entry not found.');
+    }
+
+    const alreadyReverted = await ScoreAudit.exists({ revertOf: audit._id });
+    if (alreadyReverted) {
+        return rejected(409, 'This change has already been reverted.');
+    }
+
+    const enrollment = await Enrollment.findById(audit.enrollment);
+    if (!enrollment) {
+        return rejected(404, 'The enrollment for this change no longer exists.');
+    }
+
+    const course = await Course.findById(enrollment.course).select('_id').lean();
+    if (!course || !(await canManageCourse(user, course, enrollment))) {
+        return rejected(403, COURSE_ACCESS_DENIED);
+    }
+
+    if (!canEditScores(enrollment, user)) {
+        return rejected(403, `Results for this course are '${enrollment.resultStatus}' and can no longer be changed by lecturers.`);
+    }
+
+    const term = await resolveTerm({ academicYear: enrollment.academicYear, semester: enrollment.semester });
+    const windowClosed = term ? checkGradingWindow(term, user) : null;
+    if (windowClosed) {
+        return rejected(403, windowClosed);
+    }
+
+    // Only revert if nothing has changed these fields since; later changes must be reverted first
+    const changedSince = audit.changes.filter(change => (enrollment[change.field] ?? null) !== change.newValue);
+    if (changedSince.length > 0) {
+        return rejected(409, 'The scores have changed since this entry. Revert the later changes first.', changedSince.map(change => ({
+            field: change.field,
+            expected: change.newValue,
+            current: enrollment[change.field] ?? null
+        })));
+    }
+
+    const scoreChanges = audit.changes.filter(change => SCORE_FIELDS.includes(change.field));
+    for (const change of scoreChanges.length > 0 ? scoreChanges : audit.changes) {
+        enrollment[change.field] = change.oldValue;
+    }
+
+    enrollment.recordScoreChange({ actor: user, source: 'revert', reason: String(reason).trim(), revertOf: audit._id });
+    await enrollment.save();
+
+    const revertAudit = await ScoreAudit.findOne({ revertOf: audit._id }).lean();
+    return { enrollment, audit: revertAudit };
+};
+
+module.exports = {
+    getScoreHistory,
+    revertScoreChange
+};
@@ -0,0 +1,133 @@
+// services/teachingAssignmentService.js
+// Per-term teaching assignments (coordinator / co-lecturer). Course.lecturers is rebuilt from the
+// assignments every time they change, so listings that populate it stay correct.
+
+const TeachingAssignment = require('../Models/TeachingAssignments.js');
+const Course = require('../Models/Courses.js');
+const Lecturer = require('../Models/Lecturers.js');
+const Enrollment = require('../Models/Enrollments.js');
+
+// Enrollments counted as students in a class
+const CLASS_LIST_STATUSES = ['Enrolled', 'Completed'];
+
+const rejected = (httpStatus, message, details) => ({ error: { httpStatus, message, details } });
+
+// Sets Course.lecturers to everyone assigned to the course in any term
+const syncCourseLecturers = async (courseId) => {
+    const lecturerIds = await TeachingAssignment.distinct('lecturer', { course: courseId });
+    await Course.updateOne({ _id: courseId }, { $set: { lecturers: lecturerIds } });
+};
+
+// Assigns a lecturer to a course for a term, or changes their role if already assigned.
+// Returns { assignment, created } or { error: { httpStatus, message } }.
+const assignLecturer = async ({ courseId, lecturerId, term, role = 'co-lecturer', actor }) => {
+    const course = await Course.findById(courseId).select('_id').lean();
+    if (!course) {
+        return rejected(404, 'Course not found.');
+    }
+    const lecturer = await Lecturer.findById(lecturerId).select('_id').lean();
+    if (!lecturer) {
+        return rejected(404, 'Lecturer not found.');
+    }
+
+    const termFilter = { course: courseId, academicYear: term.academicYear, semester: term.semester };
+
+    if (role === 'coordinator') {
+        const coordinator = await TeachingAssignment.findOne({ ...termFilter, role: 'coordinator' }).lean();
+        if (coordinator && coordinator.lecturer.toString() !== lecturerId.toString()) {
+            return rejected(409, `This course already has a coordinator for ${term.semester} ${term.academicYear}. Make them a co-lecturer first.`);
+        }
+    }
+
+    const existing = await TeachingAssignment.findOne({ ...termFilter, lecturer: lecturerId });
+    if (existing) {
+        existing.role = role;
+        await existing.save();
+        return { assignment: existing, created: false };
+    }
+
+    const assignment = await TeachingAssignment.create({
+        ...termFilter,
+        lecturer: lecturerId,
+        term: term._id,
+        role,
+        assignedBy: actor ? actor.id : null,
+        assignedByRole: actor ? actor.role : 'system'
+    });
+    await syncCourseLecturers(courseId);
+    return { assignment, created: true };
+};
+
+// Removes an assignment. Returns the removed assignment, or null if it did not exist.
+const unassignLecturer = async (assignmentId) => {
+    const assignment = await TeachingAssignment.findByIdAndDelete(assignmentId).lean();
+    if (!assignment) {
+        return null;
+    }
+    await syncCourseLecturers(assignment.course);
+    return assignment;
+};
+
+// Removes every assignment of a lecturer (used when the lecturer is deleted)
+const removeLecturerAssignments = async (lecturerId) => {
+    const courseIds = await TeachingAssignment.distinct('course', { lecturer: lecturerId });
+    await TeachingAssignment.deleteMany({ lecturer: lecturerId });
+    for (const courseId of courseIds) {
+        await syncCourseLecturers(courseId);
+    }
+};
+
+// Whether the lecturer teaches the course. With academicYear + semester only that term counts,
+// otherwise an assignment in any term does.
+const isLecturerAssigned = async (lecturerId, courseId, { academicYear, semester } = {}) => {
+    let query = { lecturer: lecturerId, course: courseId };
+    if (academicYear && semester) {
+        query.academicYear = academicYear;
+        query.semester = semester;
+    }
+    return Boolean(await TeachingAssignment.exists(query));
+};
+
+// A lecturer's assignments with course details and the number of students in each class.
+// filter: any of { academicYear, semester }.
+const getLecturerCourses = async (lecturerId, filter = {}) => {
+    let query = { lecturer: lecturerId };
+    if (filter.academicYear) query.academicYear = filter.academicYear;
+    if (filter.semester) query.semester = filter.semester;
+
+    const assignments = await TeachingAssignment.find(query)
+        .populate('course', 'courseCode title credits department description semester schedule')
+        .sort({ academicYear: -1, semester: 1 })
+        .lean();
+    const teaching = assignments.filter(assignment => assignment.course);
+    if (teaching.length === 0) {
+        return [];
+    }
+
+    const counts = await Enrollment.aggregate([
+        {
+            $match: {
+                course: { $in: teaching.map(assignment => assignment.course._id) },
+                status: { $in: CLASS_LIST_STATUSES }
+            }
+        },
+        { $group: { _id: { course: '$course', academicYear: '$academicYear', semester: '$semester' }, students: { $sum: 1 } } }
+    ]);
+    const countByClass = new Map(counts.map(count =>
+        [`${count._id.course}|${count._id.academicYear}|${count._id.semester}`, count.students]));
+
+    return teaching.map(assignment => ({
+        ...assignment,
+        students: countByClass.get(`${assignment.course._id}|${assignment.academicYear}|${assignment.semester}`) || 0
+    }));
+};
+
+module.exports = {
+    CLASS_LIST_STATUSES,
+    syncCourseLecturers,
+    assignLecturer,
+    unassignLecturer,
+    removeLecturerAssignments,
+    isLecturerAssigned,
+    getLecturerCourses
+};
@@ -0,0 +1,138 @@
+// services/timetableService.js
+// Weekly timetables built from Course.schedule, schedule-clash detection for students and
+// venue double-booking checks for courses.
+
+const Course = require('../Models/Courses.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { DAYS } = require('../Models/Courses.js');
+const { escapeRegex } = require('./IdentifierService.js');
+
+// Enrollment statuses that put a course on a student's timetable ('Pending' = waitlisted)
+const TIMETABLE_STATUSES = ['Enrolled', 'Pending'];
+
+// Two sections clash when they are on the same day and their times overlap.
+// Back-to-back sections (one ends at 11:00, the next starts at 11:00) do not clash.
+const sectionsOverlap = (a, b) =>
+    a.day === b.day && a.startTime < b.endTime && b.startTime < a.endTime;
+
+// Two courses can only clash if they run in the same semester; a course without a semester may run in any
+const sameSemester = (a, b) => !a.semester || !b.semester || a.semester === b.semester;
+
+// Every pair of overlapping sections between `course` and `otherCourses`:
+// [{ courseId, courseCode, section, clashesWith: { courseId, courseCode, section } }]
+const findScheduleClashes = (course, otherCourses) => {
+    const clashes = [];
+    for (const other of otherCourses) {
+        if (other._id.toString() === course._id.toString()) continue;
+        for (const section of course.schedule || []) {
+            for (const otherSection of other.schedule || []) {
+                if (sectionsOverlap(section, otherSection)) {
+                    clashes.push({
+                        courseId: course._id,
+                        courseCode: course.courseCode,
+                        section: describeSection(section),
+                        clashesWith: {
+                            courseId: other._id,
+                            courseCode: other.courseCode,
+                            section: describeSection(otherSection)
+                        }
+                    });
+                }
+            }
+        }
+    }
+    return clashes;
+};
+
+// Other courses that already use one of the venues in `schedule` at an overlapping time.
+// Venue names are compared case-insensitively. `course` supplies semester and, when updating, the _id to skip.
+const findVenueConflicts = async (schedule, course = {}) => {
+    const venues = [...new Set((schedule || []).map(section => section.venue).filter(Boolean))];
+    if (venues.length === 0) {
+        return [];
+    }
+
+    const query = {
+        'schedule.venue': { $in: venues.map(venue => new RegExp(`^${escapeRegex(venue.trim())}$`, 'i')) }
+    };
+    if (course._id) query._id = { $ne: course._id };
+
+    const candidates = await Course.find(query).select('courseCode title semester schedule').lean();
+
+    const conflicts = [];
+    for (const other of candidates) {
+        if (!sameSemester(course, other)) continue;
+        for (const section of schedule) {
+            for (const otherSection of other.schedule || []) {
+                const sameVenue = section.venue && otherSection.venue &&
+                    section.venue.trim().toLowerCase() === otherSection.venue.trim().toLowerCase();
+                if (sameVenue && sectionsOverlap(section, otherSection)) {
+                    conflicts.push({
+                        section: describeSection(section),
+                        bookedBy: { courseId: other._id, courseCode: other.courseCode, section: describeSection(otherSection) }
+                    });
+                }
+            }
+        }
+    }
+    return conflicts;
+};
+
+// Courses on a student's timetable for a term, with their schedules
+const getStudentTimetableCourses = async (studentId, academicYear, semester) => {
+    const enrollments = await Enrollment.find({
+        student: studentId,
+        academicYear,
+        semester,
+        status: { $in: TIMETABLE_STATUSES }
+    }).populate('course', 'courseCode title semester schedule').lean();
+
+    return enrollments
+        .filter(enrollment => enrollment.course)
+        .map(enrollment => ({ ...enrollment.course, enrollmentStatus: enrollment.status }));
+};
+
+const describeSection = (section) => ({
+    day: section.day,
+    startTime: section.startTime,
+    endTime: section.endTime,
+    venue: section.venue,
+    type: section.type
+});
+
+// Flattens courses into timetable entries ordered by weekday and start time
+const buildTimetable = (courses) => {
+    const entries = [];
+    for (const course of courses) {
+        for (const section of course.schedule || []) {
+            entries.push({
+                courseId: course._id,
+                courseCode: course.courseCode,
+                title: course.title,
+                ...describeSection(section),
+                ...(course.enrollmentStatus ? { waitlisted: course.enrollmentStatus === 'Pending' } : {})
+            });
+        }
+    }
+    return entries.sort((a, b) =>
+        DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || a.startTime.localeCompare(b.startTime));
+};
+
+// Every clash between the given courses (each pair reported once)
+const findClashesWithin = (courses) => {
+    const clashes = [];
+    courses.forEach((course, index) => {
+        clashes.push(...findScheduleClashes(course, courses.slice(index + 1)));
+    });
+    return clashes;
+};
+
+module.exports = {
+    TIMETABLE_STATUSES,
+    sectionsOverlap,
+    findScheduleClashes,
+    findVenueConflicts,
+    getStudentTimetableCourses,
+    buildTimetable,
+    findClashesWithin
+};
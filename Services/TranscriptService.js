@@ -0,0 +1,223 @@
+// services/transcriptService.js
+// Builds, issues, renders and verifies official transcripts.
+
+const crypto = require('crypto');
+const Transcript = require('../Models/Transcripts.js');
+const Student = require('../Models/Students.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { computeResultSummary, compareTerms, gradePointFor, creditsFor } = require('./GpaService.js');
+const { createBrandedDocument, finalizeDocument, drawKeyValues, drawTable } = require('./PdfService.js');
+const { isPublished } = require('./ResultWorkflowService.js');
+
+// Enrollments in these statuses never appear on a transcript
+const EXCLUDED_STATUSES = ['Dropped', 'Pending'];
+
+// Unambiguous characters for verification codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const verificationUrlFor = (code) => `${process.env.FRONTEND_URL || ''}/verify-transcript?code=${code}`;
+
+// "TR-XXXX-XXXX-XXXX"
+const generateVerificationCode = () => {
+    const bytes = crypto.randomBytes(12);
+    const characters = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `TR-${characters.slice(0, 4)}-${characters.slice(4, 8)}-${characters.slice(8, 12)}`;
+};
+
+// HMAC-SHA256 of the snapshot, keyed with TRANSCRIPT_SIGNING_SECRET. A plain hash could be recomputed by
+// anyone able to edit a stored snapshot; without the secret a matching fingerprint cannot be forged.
+// Snapshots only hold plain strings and numbers built in a fixed key order, so the same record always
+// produces the same fingerprint.
+const signSnapshot = (snapshot) => {
+    const secret = process.env.TRANSCRIPT_SIGNING_SECRET;
+    if (!secret) {
+        throw new Error('TRANSCRIPT_SIGNING_SECRET is not set.');
+    }
+    return crypto.createHmac('sha256', secret).update(JSON.stringify(snapshot)).digest('hex');
+};
+
+// Compares a fingerprint with the one computed for a snapshot in constant time
+const matchesFingerprint = (snapshot, fingerprint) => {
+    const expected = Buffer.from(signSnapshot(snapshot), 'hex');
+    const received = Buffer.from(String(fingerprint), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Everything printed on a transcript: student details, each term's graded and published courses with
+// GPA/CGPA, and the overall summary. Returns null if the student does not exist.
+const buildTranscriptSnapshot = async (studentId) => {
+    const student = await Student.findById(studentId).select('name registrationNumber department level').lean();
+    if (!student) {
+        return null;
+    }
+
+    const enrollments = await Enrollment.find({ student: studentId, status: { $nin: EXCLUDED_STATUSES } })
+        .populate('course', 'courseCode title credits')
+        .lean();
+    const graded = enrollments.filter(enrollment =>
+        enrollment.course && isPublished(enrollment) && gradePointFor(enrollment) !== null);
+
+    const summary = computeResultSummary(graded);
+    const termSummaries = new Map(summary.terms.map(term => [`${term.academicYear}|${term.semester}`, term]));
+
+    const coursesByTerm = new Map();
+    for (const enrollment of graded) {
+        const key = `${enrollment.academicYear}|${enrollment.semester}`;
+        if (!coursesByTerm.has(key)) coursesByTerm.set(key, []);
+        coursesByTerm.get(key).push({
+            courseCode: enrollment.course.courseCode,
+            title: enrollment.course.title,
+            credits: creditsFor(enrollment),
+            totalScore: typeof enrollment.totalScore === 'number' ? enrollment.totalScore : null,
+            grade: enrollment.finalGrade,
+            gradePoint: gradePointFor(enrollment)
+        });
+    }
+
+    const terms = [...coursesByTerm.entries()]
+        .map(([key, courses]) => {
+            const termSummary = termSummaries.get(key);
+            return {
+                academicYear: termSummary.academicYear,
+                semester: termSummary.semester,
+                courses: courses.sort((a, b) => a.courseCode.localeCompare(b.courseCode)),
+                creditsAttempted: termSummary.creditsAttempted,
+                creditsEarned: termSummary.creditsEarned,
+                gpa: termSummary.gpa,
+                cgpa: termSummary.cgpa
+            };
+        })
+        .sort(compareTerms);
+
+    return {
+        student: {
+            id: student._id.toString(),
+            name: student.name,
+            registrationNumber: student.registrationNumber,
+            department: student.department,
+            level: student.level || null
+        },
+        terms,
+        summary: {
+            totalCreditsAttempted: summary.totalCreditsAttempted,
+            totalCreditsEarned: summary.totalCreditsEarned,
+            cgpa: summary.cgpa,
+            degreeClass: summary.degreeClass
+        }
+    };
+};
+
+// Issues a transcript for the student's current record. Returns the saved Transcript, or null if
+// the student does not exist.
+const issueTranscript = async (studentId, actor) => {
+    const snapshot = await buildTranscriptSnapshot(studentId);
+    if (!snapshot) {
+        return null;
+    }
+
+    // Retry on the (very unlikely) chance of a verification code collision
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await Transcript.create({
+                student: studentId,
+                verificationCode: generateVerificationCode(),
+                snapshot,
+                contentHash: signSnapshot(snapshot),
+                issuedBy: actor.id,
+                issuedByRole: actor.role
+            });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= 3) throw error;
+        }
+    }
+};
+
+// Renders an issued transcript. Returns the PDFKit document; the caller pipes it and it ends itself.
+const renderTranscriptPdf = (transcript) => {
+    const { snapshot, verificationCode, contentHash } = transcript;
+    const issuedOn = new Date(transcript.createdAt).toISOString().slice(0, 10);
+
+    const doc = createBrandedDocument({
+        title: 'Official Academic Transcript',
+        subtitle: `Issued on ${issuedOn}`,
+        footerText: `Verification code: ${verificationCode}  |  Verify at ${verificationUrlFor(verificationCode)}`
+    });
+
+    drawKeyValues(doc, [
+        ['Name', snapshot.student.name],
+        ['Registration Number', snapshot.student.registrationNumber],
+        ['Department', snapshot.student.department],
+        ['Level', snapshot.student.level]
+    ]);
+
+    const columns = [
+        { header: 'Code', key: 'courseCode', width: 70 },
+        { header: 'Course Title', key: 'title', width: 215 },
+        { header: 'Credits', key: 'credits', width: 50, align: 'center' },
+        { header: 'Score', key: 'totalScore', width: 50, align: 'center' },
+        { header: 'Grade', key: 'grade', width: 50, align: 'center' },
+        { header: 'Points', key: 'gradePoint', width: 60, align: 'center' }
+    ];
+
+    if (snapshot.terms.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No graded courses on record.');
+    }
+
+    for (const term of snapshot.terms) {
+        doc.moveDown(0.5);
+        doc.fillColor('black').font('Helvetica-Bold').fontSize(11).text(`${term.semester} ${term.academicYear}`);
+        doc.moveDown(0.2);
+        drawTable(doc, columns, term.courses);
+        doc.font('Helvetica').fontSize(9).text(
+            `Credits attempted: ${term.creditsAttempted}    Credits earned: ${term.creditsEarned}    GPA: ${term.gpa.toFixed(2)}    CGPA: ${term.cgpa.toFixed(2)}`
+        );
+    }
+
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(11).text('Summary');
+    drawKeyValues(doc, [
+        ['Total Credits Attempted', snapshot.summary.totalCreditsAttempted],
+        ['Total Credits Earned', snapshot.summary.totalCreditsEarned],
+        ['Cumulative GPA', snapshot.summary.cgpa.toFixed(2)],
+        ['Class of Degree', snapshot.summary.degreeClass]
+    ]);
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(`Document fingerprint (HMAC-SHA256): ${contentHash}`)
+        .text('This transcript is only valid if the verification code above confirms it online.');
+
+    finalizeDocument(doc);
+    return doc;
+};
+
+// Looks up a verification code. Returns null for unknown codes, otherwise
+// { transcript, authentic, revoked, matchesCurrentRecord }:
+// - authentic: the stored snapshot still matches the fingerprint printed on the document,
+// - matchesCurrentRecord: the student's record has not changed since the transcript was issued.
+const verifyTranscript = async (verificationCode) => {
+    const transcript = await Transcript.findOne({ verificationCode: String(verificationCode).trim().toUpperCase() }).lean();
+    if (!transcript) {
+        return null;
+    }
+
+    const authentic = matchesFingerprint(transcript.snapshot, transcript.contentHash);
+    const currentSnapshot = await buildTranscriptSnapshot(transcript.student);
+    const matchesCurrentRecord = Boolean(currentSnapshot) && matchesFingerprint(currentSnapshot, transcript.contentHash);
+
+    return {
+        transcript,
+        authentic,
+        revoked: Boolean(transcript.revokedAt),
+        matchesCurrentRecord
+    };
+};
+
+module.exports = {
+    generateVerificationCode,
+    signSnapshot,
+    buildTranscriptSnapshot,
+    issueTranscript,
+    renderTranscriptPdf,
+    verifyTranscript
+};
@@ -0,0 +1,195 @@
+// services/waitlistService.js
+// Course capacity per academic year and semester, and the waitlist behind it.
+// A waitlisted enrollment is an Enrollment with status 'Pending', ordered by waitlistedAt.
+
+const mongoose = require('mongoose');
+const Course = require('../Models/Courses.js');
+const Enrollment = require('../Models/Enrollments.js');
+const { sendMail } = require('./MailService.js');
+const { resolveTerm } = require('./AcademicTermService.js');
+const { checkFinancialHold } = require('./FinancialHoldService.js');
+
+// Enrollment statuses that occupy a seat in the course
+const SEAT_STATUSES = ['Enrolled', 'Completed'];
+const WAITLIST_STATUS = 'Pending';
+
+const countSeatsTaken = (courseId, academicYear, semester) =>
+    Enrollment.countDocuments({ course: courseId, academicYear, semester, status: { $in: SEAT_STATUSES } });
+
+// Seats still available in a course for a term (never negative)
+const getSeatsAvailable = async (course, academicYear, semester) => {
+    const seatsTaken = await countSeatsTaken(course._id, academicYear, semester);
+    return Math.max((course.capacity || 0) - seatsTaken, 0);
+};
+
+// Takes a seat in a course for an enrollment, or reports that the course is full.
+// takeSeat() writes the enrollment into its seat (returning false if that is no longer possible, e.g. it was
+// promoted elsewhere); giveSeatBack() undoes that write. Claims are serialised through Course.seatClaims:
+// a claim counts the seats held by others, takes the seat, then bumps the counter it read before counting.
+// If another claim bumped it in between, that count may be stale, so the claim is checked again and the
+// seat given back if the course has filled up. Two students can therefore never both get the last seat.
+// Returns 'seated', 'full' or 'unavailable' (takeSeat() declined).
+const claimSeat = async ({ courseId, academicYear, semester, enrollmentId, takeSeat, giveSeatBack }) => {
+    let holdingSeat = false;
+    for (;;) {
+        const course = await Course.findById(courseId).select('capacity seatClaims').lean();
+        const claimsBefore = course ? course.seatClaims ?? null : null; // null also matches courses from before the counter
+        const seatsTakenByOthers = await Enrollment.countDocuments({
+            course: courseId,
+            academicYear,
+            semester,
+            status: { $in: SEAT_STATUSES },
+            _id: { $ne: enrollmentId }
+        });
+
+        if (!course || seatsTakenByOthers >= (course.capacity || 0)) {
+            if (holdingSeat) {
+                await giveSeatBack();
+            }
+            return 'full';
+        }
+        if (!holdingSeat) {
+            if (!(await takeSeat())) {
+                return 'unavailable';
+            }
+            holdingSeat = true;
+        }
+
+        const claimed = await Course.updateOne(
+            { _id: courseId, seatClaims: claimsBefore },
+            { $inc: { seatClaims: 1 } },
+            { timestamps: false }
+        );
+        if (claimed.modifiedCount === 1) {
+            return 'seated';
+        }
+    }
+};
+
+// 1-based position of a waitlisted enrollment in its course's queue, or null if it is not waitlisted
+const getWaitlistPosition = async (enrollment) => {
+    if (enrollment.status !== WAITLIST_STATUS) {
+        return null;
+    }
+    const ahead = await Enrollment.countDocuments({
+        course: enrollment.course._id || enrollment.course,
+        academicYear: enrollment.academicYear,
+        semester: enrollment.semester,
+        status: WAITLIST_STATUS,
+        $or: [
+            { waitlistedAt: { $lt: enrollment.waitlistedAt } },
+            { waitlistedAt: enrollment.waitlistedAt, _id: { $lt: enrollment._id } }
+        ]
+    });
+    return ahead + 1;
+};
+
+// Ordered waitlist for a course and term
+const getWaitlist = (courseId, academicYear, semester) =>
+    Enrollment.find({ course: courseId, academicYear, semester, status: WAITLIST_STATUS })
+        .sort({ waitlistedAt: 1, _id: 1 })
+        .populate('student', 'name email registrationNumber')
+        .lean();
+
+// statusHistory entry for a change made by the waitlist itself
+const waitlistChange = (from, to, reason) => ({ from, to, changedAt: new Date(), changedByRole: 'system', reason });
+
+const notifyPromotion = async (enrollment, course) => {
+    if (!enrollment.student || !enrollment.student.email) return;
+    await sendMail({
+        to: enrollment.student.email,
+        subject: `You have been enrolled in ${course.courseCode}`,
+        text: `Hello ${enrollment.student.name},\n\nA seat has opened up in ${course.courseCode} (${course.title}) for ` +
+            `${enrollment.semester} ${enrollment.academicYear}. You have been moved from the waitlist and are now enrolled.\n`
+    });
+};
+
+// Moves waitlisted students into free seats, first come first served, until the course is full.
+// Students whose registration is on financial hold keep their place in the queue and are passed over
+// until the hold is lifted. Returns the promoted enrollments.
+const promoteFromWaitlist = async (courseId, academicYear, semester) => {
+    const course = await Course.findById(courseId).select('courseCode title capacity').lean();
+    if (!course) {
+        return [];
+    }
+
+    const promoted = [];
+    if (await getSeatsAvailable(course, academicYear, semester) <= 0) {
+        return promoted;
+    }
+
+    const term = await resolveTerm({ academicYear, semester });
+    const queue = await Enrollment.find({ course: courseId, academicYear, semester, status: WAITLIST_STATUS })
+        .sort({ waitlistedAt: 1, _id: 1 })
+        .select('student')
+        .populate('student')
+        .lean();
+
+    for (const candidate of queue) {
+        if (term && candidate.student && await checkFinancialHold(candidate.student, 'registration', term)) {
+            continue;
+        }
+
+        let next = null;
+        const outcome = await claimSeat({
+            courseId,
+            academicYear,
+            semester,
+            enrollmentId: candidate._id,
+            // Only while still waitlisted, so two drops cannot promote the same student twice
+            takeSeat: async () => {
+                next = await Enrollment.findOneAndUpdate(
+                    { _id: candidate._id, status: WAITLIST_STATUS },
+                    {
+                        $set: { status: 'Enrolled', promotedAt: new Date() },
+                        $push: { statusHistory: waitlistChange(WAITLIST_STATUS, 'Enrolled', 'Promoted from waitlist') }
+                    },
+                    { new: true }
+                ).populate('student', 'name email');
+                return Boolean(next);
+            },
+            // The student keeps their place: waitlistedAt is left as it was
+            giveSeatBack: () => Enrollment.updateOne(
+                { _id: candidate._id, status: 'Enrolled' },
+                {
+                    $set: { status: WAITLIST_STATUS, promotedAt: null },
+                    $push: { statusHistory: waitlistChange('Enrolled', WAITLIST_STATUS, 'Seat taken by another student at the same time') }
+                }
+            )
+        });
+
+        if (outcome === 'full') break;
+        if (outcome === 'unavailable') continue; // Promoted or dropped in the meantime
+
+        promoted.push(next);
+        await notifyPromotion(next, course);
+    }
+
+    return promoted;
+};
+
+// Runs promotion for every term that has a waitlist for this course (e.g. after its capacity is raised)
+const promoteAllTermsForCourse = async (courseId) => {
+    const terms = await Enrollment.aggregate([
+        { $match: { course: new mongoose.Types.ObjectId(String(courseId)), status: WAITLIST_STATUS } },
+        { $group: { _id: { academicYear: '$academicYear', semester: '$semester' } } }
+    ]);
+
+    const promoted = [];
+    for (const term of terms) {
+        promoted.push(...await promoteFromWaitlist(courseId, term._id.academicYear, term._id.semester));
+    }
+    return promoted;
+};
+
+module.exports = {
+    SEAT_STATUSES,
+    WAITLIST_STATUS,
+    countSeatsTaken,
+    getSeatsAvailable,
+    claimSeat,
+    getWaitlistPosition,
+    getWaitlist,
+    promoteFromWaitlist,
+    promoteAllTermsForCourse
+};
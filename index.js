@@ -15,6 +15,27 @@ const GetRoutes = require('./Routes/StudentsGetRoutes')
 const LoginRoutes = require ('./Routes/LoginRoutes')
 const PaymentRoute = require ('./Routes/PaymentRoute')
 const LecturersGetRoutes = require ('./Routes/LecturersRoutes')
+const GradingSchemeRoutes = require('./Routes/GradingSchemeRoutes')
+const AdminRoutes = require('./Routes/AdminRoutes')
+const PrerequisiteRoutes = require('./Routes/PrerequisiteRoutes')
+const WaitlistRoutes = require('./Routes/WaitlistRoutes')
+const EnrollmentLifecycleRoutes = require('./Routes/EnrollmentLifecycleRoutes')
+const AcademicTermRoutes = require('./Routes/AcademicTermRoutes')
+const CreditLoadRoutes = require('./Routes/CreditLoadRoutes')
+const TimetableRoutes = require('./Routes/TimetableRoutes')
+const TranscriptRoutes = require('./Routes/TranscriptRoutes')
+const ResultReportRoutes = require('./Routes/ResultReportRoutes')
+const ResultWorkflowRoutes = require('./Routes/ResultWorkflowRoutes')
+const ScoreAuditRoutes = require('./Routes/ScoreAuditRoutes')
+const TeachingAssignmentRoutes = require('./Routes/TeachingAssignmentRoutes')
+const DepartmentRoutes = require('./Routes/DepartmentRoutes')
+const PromotionRoutes = require('./Routes/PromotionRoutes')
+const DegreeAuditRoutes = require('./Routes/DegreeAuditRoutes')
+const FeeRoutes = require('./Routes/FeeRoutes')
+const StudentAccountRoutes = require('./Routes/StudentAccountRoutes')
+const FinancialHoldRoutes = require('./Routes/FinancialHoldRoutes')
+const PaymentReconciliationRoutes = require('./Routes/PaymentReconciliationRoutes')
+const { keepRawWebhookBody } = require('./Services/PaystackService')
  
 
 const connectDB = require('./Dbconnection');
@@ -26,13 +47,34 @@ connectDB();
 // You can configure it further if you need to restrict origins, methods, or headers
 app.use(cors());
 
-app.use(bodyParser.json());
+// The Paystack webhook signature is computed over the exact bytes sent, so keep them for that route
+app.use(bodyParser.json({ verify: keepRawWebhookBody }));
 app.use(RegistrationRoute);
 app.use(ScoresUpdateRoute);
 app.use(GetRoutes);
 app.use(LoginRoutes);
 app.use(PaymentRoute);
 app.use(LecturersGetRoutes);
+app.use(GradingSchemeRoutes);
+app.use(AdminRoutes);
+app.use(PrerequisiteRoutes);
+app.use(WaitlistRoutes);
+app.use(EnrollmentLifecycleRoutes);
+app.use(AcademicTermRoutes);
+app.use(CreditLoadRoutes);
+app.use(TimetableRoutes);
+app.use(TranscriptRoutes);
+app.use(ResultReportRoutes);
+app.use(ResultWorkflowRoutes);
+app.use(ScoreAuditRoutes);
+app.use(TeachingAssignmentRoutes);
+app.use(DepartmentRoutes);
+app.use(PromotionRoutes);
+app.use(DegreeAuditRoutes);
+app.use(FeeRoutes);
+app.use(StudentAccountRoutes);
+app.use(FinancialHoldRoutes);
+app.use(PaymentReconciliationRoutes);
 
 app.get('/', (req, res) => {
     res.send('Hey, Express server is up and running right now until you stop it!');
@@ -0,0 +1,320 @@
+// tests/paystackWebhook.test.js
+// The Paystack payment flow end to end against the stand-in (Scripts/PaystackStandIn.js): webhook
+// signatures over the raw body, replayed deliveries, amount mismatches, and verification and the webhook
+// arriving in either order.
+//
+// The tests that settle payments need a MongoDB and only run when asked for:
+//   MONGO_TEST_URI=mongodb://localhost:27017 npm test   (an existing server)
+//   PAYMENT_DB_TESTS=1 npm test, or npm run test:db      (an in-memory MongoDB from mongodb-memory-server)
+// Either way they use their own database, which is dropped afterwards. Once asked for, a database that
+// cannot be reached fails the run instead of skipping them.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const express = require('express');
+const bodyParser = require('body-parser');
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+const SECRET_KEY = 'sk_test_stand_in';
+const TEST_DB_NAME = 'eportal-payment-tests';
+const AMOUNT_DUE = 4500000; // Kobo
+
+// Set in before(): the modules read the Paystack settings when they are loaded
+let PaystackService;
+let Transaction;
+let Invoice;
+let LedgerEntry;
+let PaymentEvent;
+
+let standInServer;
+let appServer;
+let standInUrl;
+let appUrl;
+let memoryServer = null;
+
+const DATABASE_TESTS = Boolean(process.env.MONGO_TEST_URI) || process.env.PAYMENT_DB_TESTS === '1';
+// Shown as the skip reason of every database test when they were not asked for
+const DATABASE_TESTS_SKIPPED = DATABASE_TESTS
+    ? false
+    : 'Needs MongoDB: set MONGO_TEST_URI, or PAYMENT_DB_TESTS=1 for an in-memory server, to run it.';
+
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+const listen = (app, port = 0) => new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+});
+
+const close = (server) => new Promise(resolve => {
+    if (!server) return resolve();
+    server.closeAllConnections();
+    server.close(() => resolve());
+});
+
+const startDatabase = async () => {
+    if (process.env.MONGO_TEST_URI) {
+        await mongoose.connect(process.env.MONGO_TEST_URI, { dbName: TEST_DB_NAME, serverSelectionTimeoutMS: 5000 });
+        return;
+    }
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    await mongoose.connect(memoryServer.getUri(), { dbName: TEST_DB_NAME });
+};
+
+// The unique indexes are what make replays and concurrent settlements safe, so they must exist first
+const buildIndexes = () => Promise.all([Transaction, Invoice, LedgerEntry, PaymentEvent].map(Model => Model.init()));
+
+// Posts a raw body to the app's webhook exactly as given, with the given signature
+const postWebhook = (rawBody, signature) => axios.post(`${appUrl}/webhook`, rawBody, {
+    headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature },
+    validateStatus: () => true
+});
+
+const standIn = {
+    initialize: async (metadata) => {
+        const response = await axios.post(`${standInUrl}/transaction/initialize`,
+            { email: 'student@example.com', amount: AMOUNT_DUE, metadata },
+            { headers: { Authorization: `Bearer ${SECRET_KEY}` } });
+        return response.data.data.reference;
+    },
+    charge: async (reference, body = {}) => (await axios.post(`${standInUrl}/stand-in/charge/${reference}`, body)).data,
+    replay: async (reference) => (await axios.post(`${standInUrl}/stand-in/replay/${reference}`)).data
+};
+
+const verifyPayment = (reference) => axios.get(`${appUrl}/verify-payment/${reference}`, {
+    headers: { Authorization: 'Bearer test' },
+    validateStatus: () => true
+});
+
+// A pending payment against a fresh invoice, as /initiate-payment leaves it
+const createPendingPayment = async () => {
+    const student = new mongoose.Types.ObjectId();
+    const term = new mongoose.Types.ObjectId();
+    const reference = await standIn.initialize({
+        student_id: student.toString(),
+        semester: 'Fall',
+        academic_year: '2025-2026',
+        term_id: term.toString()
+    });
+
+    const invoice = await Invoice.create({
+        invoiceNumber: `INV/2025-2026/${reference}`,
+        student,
+        term,
+        academicYear: '2025-2026',
+        semester: 'Fall',
+        items: [{ name: 'Tuition', feeType: 'tuition', amount: AMOUNT_DUE / 100 }],
+        totalAmount: AMOUNT_DUE
+    });
+    const transaction = await Transaction.create({
+        studentId: student,
+        paystackReference: reference,
+        amount: AMOUNT_DUE,
+        invoice: invoice._id,
+        currency: 'NGN',
+        status: 'pending',
+        term,
+        semester: 'Fall',
+        academicYear: '2025-2026'
+    });
+    return { reference, transaction, invoice };
+};
+
+// What the ledger shows for a payment once everything has settled
+const paymentState = async ({ transaction, invoice }) => ({
+    transaction: await Transaction.findById(transaction._id).lean(),
+    invoice: await Invoice.findById(invoice._id).lean(),
+    credits: await LedgerEntry.countDocuments({ transaction: transaction._id, entryType: 'payment' })
+});
+
+const assertCreditedOnce = (state) => {
+    assert.equal(state.transaction.status, 'success');
+    assert.equal(state.credits, 1);
+    assert.equal(state.invoice.amountPaid, AMOUNT_DUE);
+    assert.equal(state.invoice.status, 'paid');
+    assert.ok(state.transaction.receiptNumber);
+};
+
+before(async () => {
+    const standInPort = await freePort();
+    standInUrl = `http://127.0.0.1:${standInPort}`;
+    process.env.PAYSTACK_SECRET_KEY = SECRET_KEY;
+    process.env.PAYSTACK_API_BASE_URL = standInUrl;
+
+    PaystackService = require('../Services/PaystackService.js');
+    Transaction = require('../Models/Payment');
+    Invoice = require('../Models/Invoices.js');
+    LedgerEntry = require('../Models/LedgerEntries.js');
+    PaymentEvent = require('../Models/PaymentEvents.js');
+    const { createStandIn } = require('../Scripts/PaystackStandIn.js');
+
+    const app = express();
+    app.use(bodyParser.json({ verify: PaystackService.keepRawWebhookBody }));
+    app.use(require('../Routes/PaymentRoute'));
+    appServer = await listen(app);
+    appUrl = `http://127.0.0.1:${appServer.address().port}`;
+
+    standInServer = await listen(createStandIn({ secretKey: SECRET_KEY, webhookUrl: `${appUrl}/webhook` }), standInPort);
+
+    if (DATABASE_TESTS) {
+        await startDatabase();
+        await buildIndexes();
+    }
+});
+
+after(async () => {
+    await close(standInServer);
+    await close(appServer);
+    if (mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+    if (memoryServer) {
+        await memoryServer.stop();
+    }
+});
+
+describe('webhook signature', () => {
+    const event = { event: 'charge.success', data: { id: 1, reference: 'ref-signature', amount: AMOUNT_DUE, status: 'success' } };
+
+    it('is checked over the exact bytes received', () => {
+        const rawBody = JSON.stringify(event, null, 2); // Spaced differently from JSON.stringify of the parsed body
+        const signature = PaystackService.signPayload(rawBody, SECRET_KEY);
+
+        assert.equal(PaystackService.isValidSignature(Buffer.from(rawBody), signature), true);
+        assert.equal(PaystackService.isValidSignature(Buffer.from(JSON.stringify(JSON.parse(rawBody))), signature), false);
+    });
+
+    it('rejects a tampered body with 400', async () => {
+        const rawBody = JSON.stringify(event);
+        const signature = PaystackService.signPayload(rawBody, SECRET_KEY);
+        const tampered = rawBody.replace(`"amount":${AMOUNT_DUE}`, `"amount":${AMOUNT_DUE * 10}`);
+        assert.notEqual(tampered, rawBody);
+
+        const response = await postWebhook(tampered, signature);
+        assert.equal(response.status, 400);
+    });
+
+    it('rejects a re-serialised body with 400', async () => {
+        const rawBody = JSON.stringify(event, null, 2);
+        const signature = PaystackService.signPayload(rawBody, SECRET_KEY);
+
+        const response = await postWebhook(JSON.stringify(JSON.parse(rawBody)), signature);
+        assert.equal(response.status, 400);
+    });
+
+    it('rejects a body signed with another key with 400', async () => {
+        const rawBody = JSON.stringify(event);
+
+        const response = await postWebhook(rawBody, PaystackService.signPayload(rawBody, 'sk_test_someone_else'));
+        assert.equal(response.status, 400);
+    });
+
+    it('accepts a valid signature over the raw body', { skip: DATABASE_TESTS_SKIPPED }, async () => {
+        const { reference } = await createPendingPayment();
+
+        const { deliveries } = await standIn.charge(reference);
+        assert.equal(deliveries[0].status, 200);
+        assert.equal(deliveries[0].body.received, true);
+    });
+});
+
+describe('webhook deliveries', { skip: DATABASE_TESTS_SKIPPED }, () => {
+    beforeEach(async () => {
+        await Promise.all([Transaction, Invoice, LedgerEntry, PaymentEvent].map(Model => Model.deleteMany({})));
+    });
+
+    it('skips a replayed delivery, so the payment is credited once', async () => {
+        const payment = await createPendingPayment();
+
+        const { deliveries } = await standIn.charge(payment.reference);
+        assert.equal(deliveries[0].status, 200);
+        assert.equal(deliveries[0].body.duplicate, false);
+
+        const { delivery } = await standIn.replay(payment.reference);
+        assert.equal(delivery.status, 200);
+        assert.equal(delivery.body.duplicate, true);
+
+        assertCreditedOnce(await paymentState(payment));
+        const event = await PaymentEvent.findOne({ reference: payment.reference }).lean();
+        assert.equal(event.outcome, 'settled');
+        assert.equal(event.duplicateDeliveries, 1);
+    });
+
+    it('skips a delivery sent twice in a row', async () => {
+        const payment = await createPendingPayment();
+
+        const { deliveries } = await standIn.charge(payment.reference, { deliveries: 2 });
+        assert.deepEqual(deliveries.map(delivery => delivery.body.duplicate), [false, true]);
+
+        assertCreditedOnce(await paymentState(payment));
+    });
+
+    it('holds a payment of the wrong amount as amount_mismatch without crediting it', async () => {
+        const payment = await createPendingPayment();
+
+        const { deliveries } = await standIn.charge(payment.reference, { amount: AMOUNT_DUE - 100000 });
+        assert.equal(deliveries[0].status, 200);
+
+        const state = await paymentState(payment);
+        assert.equal(state.transaction.status, 'amount_mismatch');
+        assert.equal(state.transaction.amountPaid, AMOUNT_DUE - 100000);
+        assert.ok(state.transaction.statusReason);
+        assert.equal(state.credits, 0);
+        assert.equal(state.invoice.amountPaid, 0);
+        assert.equal(state.transaction.receiptNumber, null);
+
+        const verification = await verifyPayment(payment.reference);
+        assert.equal(verification.status, 400);
+        assert.equal((await paymentState(payment)).credits, 0);
+    });
+
+    it('settles once when the webhook arrives before verification', async () => {
+        const payment = await createPendingPayment();
+
+        await standIn.charge(payment.reference);
+        const verification = await verifyPayment(payment.reference);
+        assert.equal(verification.status, 200);
+
+        assertCreditedOnce(await paymentState(payment));
+    });
+
+    it('settles once when verification arrives before the webhook', async () => {
+        const payment = await createPendingPayment();
+
+        await standIn.charge(payment.reference, { deliveries: 0 });
+        const verification = await verifyPayment(payment.reference);
+        assert.equal(verification.status, 200);
+
+        const { delivery } = await standIn.replay(payment.reference); // The webhook's first delivery
+        assert.equal(delivery.status, 200);
+        assert.equal(delivery.body.duplicate, false);
+
+        assertCreditedOnce(await paymentState(payment));
+        const event = await PaymentEvent.findOne({ reference: payment.reference }).lean();
+        assert.equal(event.outcome, 'already-settled');
+    });
+
+    it('settles once when verification and the webhook arrive together', async () => {
+        const payment = await createPendingPayment();
+
+        await standIn.charge(payment.reference, { deliveries: 0 });
+        const [verification, { delivery }] = await Promise.all([
+            verifyPayment(payment.reference),
+            standIn.replay(payment.reference)
+        ]);
+        assert.equal(verification.status, 200);
+        assert.equal(delivery.status, 200);
+
+        assertCreditedOnce(await paymentState(payment));
+    });
+});